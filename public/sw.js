@@ -0,0 +1,353 @@
+/**
+ * Offline service worker.
+ * - Sample audio (dough-samples, VCSL, drum banks, Freesound, uploaded samples) is cache-first from IndexedDB,
+ *   least recently played first out once it grows past AUDIO_CACHE_MAX_BYTES
+ * - Sample manifests (*.json on the sample hosts) are stale-while-revalidate, stored parsed in IndexedDB
+ * - The app shell and CDN modules are stale-while-revalidate in a Cache Storage cache named after the build
+ *   (registered as sw.js?build=<id>); activating a new build deletes the previous caches
+ * - /api/ and Socket.IO requests always go to the network
+ * The page can ask for a list of sample URLs to be fetched ahead of time with a 'prewarm-samples' message.
+ */
+
+const APP_CACHE_PREFIX = 'strudesk-app-';
+const APP_CACHE = `${APP_CACHE_PREFIX}${new URL(self.location.href).searchParams.get('build') || 'dev'}`;
+const SAMPLE_DB_NAME = 'strudesk-sample-store';
+const SAMPLE_DB_VERSION = 2;
+const AUDIO_STORE = 'audio';
+// { url, size, lastUsedAt } per stored sample, kept apart so a cache hit doesn't rewrite the blob
+const AUDIO_META_STORE = 'audio-meta';
+const MANIFEST_STORE = 'manifests';
+const AUDIO_CACHE_MAX_BYTES = 512 * 1024 * 1024;
+const PREWARM_CONCURRENCY = 4;
+
+const SAMPLE_HOSTS = new Set(['raw.githubusercontent.com', 'cdn.freesound.org']);
+const MODULE_CDN_HOSTS = new Set(['unpkg.com', 'cdn.jsdelivr.net', 'esm.sh']);
+const AUDIO_EXTENSION_PATTERN = /\.(wav|mp3|ogg|flac|aac|m4a|webm|opus)$/i;
+const UPLOADED_SAMPLE_PATH = '/api/samples/files/';
+
+let sampleDbPromise = null;
+let audioPrunePromise = null;
+
+function openSampleDb() {
+  if (!sampleDbPromise) {
+    sampleDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(SAMPLE_DB_NAME, SAMPLE_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(AUDIO_STORE)) {
+          db.createObjectStore(AUDIO_STORE, { keyPath: 'url' });
+        }
+        if (!db.objectStoreNames.contains(MANIFEST_STORE)) {
+          db.createObjectStore(MANIFEST_STORE, { keyPath: 'url' });
+        }
+        if (!db.objectStoreNames.contains(AUDIO_META_STORE)) {
+          const meta = db.createObjectStore(AUDIO_META_STORE, { keyPath: 'url' });
+          meta.createIndex('lastUsedAt', 'lastUsedAt');
+          // Samples stored before the size limit existed count as last used when they were saved
+          request.transaction.objectStore(AUDIO_STORE).openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+            const { url, size, blob, savedAt } = cursor.value;
+            meta.put({ url, size: size || blob?.size || 0, lastUsedAt: savedAt || 0 });
+            cursor.continue();
+          };
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      sampleDbPromise = null;
+      throw error;
+    });
+  }
+  return sampleDbPromise;
+}
+
+async function readRecord(storeName, url) {
+  const db = await openSampleDb();
+  return new Promise((resolve, reject) => {
+    const request = db.transaction(storeName, 'readonly').objectStore(storeName).get(url);
+    request.onsuccess = () => resolve(request.result || null);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function writeRecord(storeName, record) {
+  const db = await openSampleDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, 'readwrite');
+    transaction.objectStore(storeName).put(record);
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+async function storeAudioRecord(record) {
+  const db = await openSampleDb();
+  await new Promise((resolve, reject) => {
+    const transaction = db.transaction([AUDIO_STORE, AUDIO_META_STORE], 'readwrite');
+    transaction.objectStore(AUDIO_STORE).put(record);
+    transaction.objectStore(AUDIO_META_STORE).put({ url: record.url, size: record.size, lastUsedAt: Date.now() });
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+  pruneAudioCache();
+}
+
+async function touchAudioRecord(url) {
+  const db = await openSampleDb();
+  const store = db.transaction(AUDIO_META_STORE, 'readwrite').objectStore(AUDIO_META_STORE);
+  const request = store.get(url);
+  request.onsuccess = () => {
+    if (request.result) {
+      store.put({ ...request.result, lastUsedAt: Date.now() });
+    }
+  };
+}
+
+/**
+ * Drop the least recently played samples until the audio store fits AUDIO_CACHE_MAX_BYTES.
+ * Runs after stores; overlapping calls (e.g. during a pre-warm) share one pass.
+ */
+function pruneAudioCache() {
+  if (!audioPrunePromise) {
+    audioPrunePromise = (async () => {
+      const db = await openSampleDb();
+      await new Promise((resolve, reject) => {
+        const transaction = db.transaction([AUDIO_STORE, AUDIO_META_STORE], 'readwrite');
+        const audio = transaction.objectStore(AUDIO_STORE);
+        const meta = transaction.objectStore(AUDIO_META_STORE);
+        const request = meta.index('lastUsedAt').getAll();
+        request.onsuccess = () => {
+          const entries = request.result;
+          let total = entries.reduce((sum, entry) => sum + (entry.size || 0), 0);
+          for (const entry of entries) {
+            if (total <= AUDIO_CACHE_MAX_BYTES) break;
+            audio.delete(entry.url);
+            meta.delete(entry.url);
+            total -= entry.size || 0;
+          }
+        };
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+      });
+    })().catch((error) => {
+      console.warn('⚠️ Could not prune the offline sample cache:', error);
+    }).finally(() => {
+      audioPrunePromise = null;
+    });
+  }
+  return audioPrunePromise;
+}
+
+function isAudioRequest(url) {
+  if (url.pathname.startsWith(UPLOADED_SAMPLE_PATH)) {
+    return true;
+  }
+  return SAMPLE_HOSTS.has(url.hostname) && AUDIO_EXTENSION_PATTERN.test(url.pathname);
+}
+
+function isManifestRequest(url) {
+  return SAMPLE_HOSTS.has(url.hostname) && url.pathname.toLowerCase().endsWith('.json');
+}
+
+function audioResponse(record) {
+  return new Response(record.blob, {
+    headers: {
+      'Content-Type': record.contentType || record.blob.type || 'application/octet-stream',
+      'Content-Length': String(record.blob.size)
+    }
+  });
+}
+
+function jsonResponse(data) {
+  return new Response(JSON.stringify(data), {
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+async function fetchAndStoreAudio(url) {
+  const response = await fetch(url, { mode: 'cors', credentials: 'omit' });
+  // Opaque and error responses are never stored; the next play simply retries
+  if (!response.ok || response.type === 'opaque') {
+    return response;
+  }
+  const blob = await response.clone().blob();
+  await storeAudioRecord({
+    url,
+    blob,
+    contentType: response.headers.get('content-type') || blob.type,
+    size: blob.size,
+    savedAt: Date.now()
+  }).catch((error) => {
+    console.warn('⚠️ Could not store sample for offline use:', url, error);
+  });
+  return response;
+}
+
+async function handleAudioRequest(request) {
+  const record = await readRecord(AUDIO_STORE, request.url).catch(() => null);
+  if (record?.blob) {
+    touchAudioRecord(request.url).catch(() => {});
+    return audioResponse(record);
+  }
+  return fetchAndStoreAudio(request.url);
+}
+
+async function refreshManifest(url) {
+  const response = await fetch(url, { mode: 'cors', credentials: 'omit' });
+  if (!response.ok) {
+    throw new Error(`Manifest request failed with ${response.status}`);
+  }
+  const data = await response.json();
+  await writeRecord(MANIFEST_STORE, { url, data, savedAt: Date.now() }).catch((error) => {
+    console.warn('⚠️ Could not store sample manifest for offline use:', url, error);
+  });
+  return data;
+}
+
+async function handleManifestRequest(event) {
+  const url = event.request.url;
+  const record = await readRecord(MANIFEST_STORE, url).catch(() => null);
+  if (record) {
+    event.waitUntil(refreshManifest(url).catch(() => {}));
+    return jsonResponse(record.data);
+  }
+  try {
+    return jsonResponse(await refreshManifest(url));
+  } catch {
+    // Not JSON after all (or the network is down): hand the raw result back to the page
+    return fetch(event.request);
+  }
+}
+
+async function handleNavigation(request) {
+  const cache = await caches.open(APP_CACHE);
+  // Single-page app: every navigation falls back to the cached index at the scope root
+  const shellUrl = self.registration.scope;
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(shellUrl, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(shellUrl);
+    if (cached) {
+      return cached;
+    }
+    throw error;
+  }
+}
+
+async function handleStaticRequest(event) {
+  const cache = await caches.open(APP_CACHE);
+  const cached = await cache.match(event.request);
+  const network = fetch(event.request).then(async (response) => {
+    if (response.ok || response.type === 'opaque') {
+      await cache.put(event.request, response.clone());
+    }
+    return response;
+  });
+  if (cached) {
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+  return network;
+}
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(
+      names
+        .filter(name => name.startsWith(APP_CACHE_PREFIX) && name !== APP_CACHE)
+        .map(name => caches.delete(name))
+    );
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') {
+    return;
+  }
+  const url = new URL(request.url);
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return;
+  }
+
+  if (isAudioRequest(url)) {
+    // Partial responses can't be served from a whole-file blob; let the browser handle them
+    if (request.headers.has('range')) {
+      return;
+    }
+    event.respondWith(handleAudioRequest(request));
+    return;
+  }
+  if (isManifestRequest(url)) {
+    event.respondWith(handleManifestRequest(event));
+    return;
+  }
+  if (url.pathname.startsWith('/api/') || url.pathname.startsWith('/socket.io/')) {
+    return;
+  }
+  if (request.mode === 'navigate' && url.origin === self.location.origin) {
+    event.respondWith(handleNavigation(request));
+    return;
+  }
+  if (url.origin === self.location.origin || MODULE_CDN_HOSTS.has(url.hostname)) {
+    event.respondWith(handleStaticRequest(event));
+  }
+});
+
+async function prewarmSamples(urls) {
+  const queue = [...new Set(urls)];
+  const summary = { stored: 0, cached: 0, failed: 0 };
+  const worker = async () => {
+    while (queue.length) {
+      const url = queue.shift();
+      try {
+        const record = await readRecord(AUDIO_STORE, url);
+        if (record?.blob) {
+          summary.cached += 1;
+          continue;
+        }
+        const response = await fetchAndStoreAudio(url);
+        if (response.ok && response.type !== 'opaque') {
+          summary.stored += 1;
+        } else {
+          summary.failed += 1;
+        }
+      } catch {
+        summary.failed += 1;
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: PREWARM_CONCURRENCY }, worker));
+  return summary;
+}
+
+self.addEventListener('message', (event) => {
+  const message = event.data;
+  if (message?.type !== 'prewarm-samples' || !Array.isArray(message.urls)) {
+    return;
+  }
+  const urls = message.urls.filter((url) => {
+    try {
+      return isAudioRequest(new URL(url));
+    } catch {
+      return false;
+    }
+  });
+  event.waitUntil(
+    prewarmSamples(urls).then((summary) => {
+      event.ports[0]?.postMessage(summary);
+    })
+  );
+});
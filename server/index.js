@@ -33,7 +33,10 @@ import authRoutes from './routes/auth.js';
 import userRoutes from './routes/users.js';
 import patternRoutes from './routes/patterns.js';
 import collabRoutes from './routes/collabSessions.js';
-import { collabSessionManager } from './services/collabSessionManager.js';
+import sampleRoutes from './routes/samples.js';
+import { collabSessionManager, toListenerSnapshot } from './services/collabSessionManager.js';
+import { collabDocumentManager, MASTER_DOCUMENT_KEY } from './services/collabDocumentManager.js';
+import { collabPresenceManager } from './services/collabPresenceManager.js';
 import { isTestMode } from './utils/config.js';
 log('✅ [4/5] Routes loaded');
 
@@ -235,6 +238,7 @@ app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/patterns', patternRoutes);
 app.use('/api/collab-sessions', collabRoutes);
+app.use('/api/samples', sampleRoutes);
 
 const httpServer = createServer(app);
 const io = new SocketIOServer(httpServer, {
@@ -252,6 +256,12 @@ io.use(wrapSocketMiddleware(passport.initialize()));
 io.use(wrapSocketMiddleware(passport.session()));
 
 const sessionRoom = (sessionId) => `collab-session:${sessionId}`;
+const listenRoom = (sessionId) => `collab-listen:${sessionId}`;
+const listenNamespace = io.of('/listen');
+
+const emitViewerCount = (sessionId, viewers = listenNamespace.adapter.rooms.get(listenRoom(sessionId))?.size || 0) => {
+  io.to(sessionRoom(sessionId)).emit('session:viewers', { sessionId, viewers });
+};
 
 io.on('connection', (socket) => {
   const user = socket.request.user;
@@ -263,6 +273,8 @@ io.on('connection', (socket) => {
 
   console.log(`🔌 Socket connected for user ${user.id}`);
   const joinedSessions = new Set();
+  // Co-edited documents this socket has open: `${sessionId}/${key}` -> { sessionId, key, clientId }
+  const openDocuments = new Map();
   const acknowledge = (cb, payload) => {
     if (typeof cb === 'function') {
       cb(payload);
@@ -281,6 +293,11 @@ io.on('connection', (socket) => {
       joinedSessions.add(sessionId);
       socket.join(sessionRoom(sessionId));
       acknowledge(callback, { success: true, snapshot });
+      socket.emit('session:presence', { sessionId, presence: collabPresenceManager.list(sessionId) });
+      socket.emit('session:viewers', {
+        sessionId,
+        viewers: listenNamespace.adapter.rooms.get(listenRoom(sessionId))?.size || 0
+      });
       socket.to(sessionRoom(sessionId)).emit('session:participant-event', {
         type: 'join',
         sessionId,
@@ -300,6 +317,7 @@ io.on('connection', (socket) => {
       await collabSessionManager.leaveSession(sessionId, user.id);
       joinedSessions.delete(sessionId);
       socket.leave(sessionRoom(sessionId));
+      collabPresenceManager.remove(sessionId, socket.id);
       acknowledge(callback, { success: true });
       socket.to(sessionRoom(sessionId)).emit('session:participant-event', {
         type: 'leave',
@@ -337,7 +355,7 @@ io.on('connection', (socket) => {
       return acknowledge(callback, { success: false, error: 'sessionId and channelId are required' });
     }
     try {
-      const snapshot = await collabSessionManager.publishChannel(sessionId, channelId, status || 'live');
+      const snapshot = await collabSessionManager.publishChannel(sessionId, user.id, channelId, status || 'live');
       acknowledge(callback, { success: true });
       io.to(sessionRoom(sessionId)).emit('session:snapshot', snapshot);
     } catch (error) {
@@ -346,27 +364,292 @@ io.on('connection', (socket) => {
     }
   });
 
+  socket.on('channel:mix', async (payload = {}, callback) => {
+    const { sessionId, channelId, volume, pan, muted, solo } = payload;
+    if (!sessionId || !channelId) {
+      return acknowledge(callback, { success: false, error: 'sessionId and channelId are required' });
+    }
+    try {
+      const snapshot = await collabSessionManager.updateChannelMix(sessionId, user.id, channelId, {
+        volume,
+        pan,
+        muted,
+        solo
+      });
+      acknowledge(callback, { success: true });
+      io.to(sessionRoom(sessionId)).emit('session:snapshot', snapshot);
+    } catch (error) {
+      console.error('Socket channel:mix error', error);
+      acknowledge(callback, { success: false, error: error.message });
+    }
+  });
+
+  socket.on('channels:reorder', async (payload = {}, callback) => {
+    const { sessionId, channelIds } = payload;
+    if (!sessionId || !Array.isArray(channelIds)) {
+      return acknowledge(callback, { success: false, error: 'sessionId and channelIds are required' });
+    }
+    try {
+      const snapshot = await collabSessionManager.reorderChannels(sessionId, user.id, channelIds);
+      acknowledge(callback, { success: true });
+      io.to(sessionRoom(sessionId)).emit('session:snapshot', snapshot);
+    } catch (error) {
+      console.error('Socket channels:reorder error', error);
+      acknowledge(callback, { success: false, error: error.message });
+    }
+  });
+
+  socket.on('channel:group', async (payload = {}, callback) => {
+    const { sessionId, channelId, group } = payload;
+    if (!sessionId || !channelId) {
+      return acknowledge(callback, { success: false, error: 'sessionId and channelId are required' });
+    }
+    try {
+      const snapshot = await collabSessionManager.updateChannelGroup(sessionId, user.id, channelId, group);
+      acknowledge(callback, { success: true });
+      io.to(sessionRoom(sessionId)).emit('session:snapshot', snapshot);
+    } catch (error) {
+      console.error('Socket channel:group error', error);
+      acknowledge(callback, { success: false, error: error.message });
+    }
+  });
+
+  socket.on('scene:save', async (payload = {}, callback) => {
+    const { sessionId, sceneId, name, channelIds } = payload;
+    if (!sessionId) {
+      return acknowledge(callback, { success: false, error: 'sessionId is required' });
+    }
+    try {
+      const snapshot = await collabSessionManager.saveScene(sessionId, user.id, { sceneId, name, channelIds });
+      acknowledge(callback, { success: true });
+      io.to(sessionRoom(sessionId)).emit('session:snapshot', snapshot);
+    } catch (error) {
+      console.error('Socket scene:save error', error);
+      acknowledge(callback, { success: false, error: error.message });
+    }
+  });
+
+  socket.on('scene:delete', async (payload = {}, callback) => {
+    const { sessionId, sceneId } = payload;
+    if (!sessionId || !sceneId) {
+      return acknowledge(callback, { success: false, error: 'sessionId and sceneId are required' });
+    }
+    try {
+      const snapshot = await collabSessionManager.deleteScene(sessionId, user.id, sceneId);
+      acknowledge(callback, { success: true });
+      io.to(sessionRoom(sessionId)).emit('session:snapshot', snapshot);
+    } catch (error) {
+      console.error('Socket scene:delete error', error);
+      acknowledge(callback, { success: false, error: error.message });
+    }
+  });
+
+  // The rebuilt master goes out through masterUpdated (with quantize: 'cycle'); the snapshot follows
+  socket.on('scene:trigger', async (payload = {}, callback) => {
+    const { sessionId, sceneId } = payload;
+    if (!sessionId || !sceneId) {
+      return acknowledge(callback, { success: false, error: 'sessionId and sceneId are required' });
+    }
+    try {
+      const snapshot = await collabSessionManager.triggerScene(sessionId, user.id, sceneId);
+      acknowledge(callback, { success: true });
+      io.to(sessionRoom(sessionId)).emit('session:snapshot', snapshot);
+    } catch (error) {
+      console.error('Socket scene:trigger error', error);
+      acknowledge(callback, { success: false, error: error.message });
+    }
+  });
+
+  socket.on('participant:role', async (payload = {}, callback) => {
+    const { sessionId, userId, role } = payload;
+    if (!sessionId || !userId || !role) {
+      return acknowledge(callback, { success: false, error: 'sessionId, userId and role are required' });
+    }
+    try {
+      const snapshot = await collabSessionManager.updateParticipantRole(sessionId, user.id, userId, role);
+      acknowledge(callback, { success: true });
+      io.to(sessionRoom(sessionId)).emit('session:snapshot', snapshot);
+    } catch (error) {
+      console.error('Socket participant:role error', error);
+      acknowledge(callback, { success: false, error: error.message });
+    }
+  });
+
+  socket.on('transport:update', async (payload = {}, callback) => {
+    const { sessionId, action, tempo } = payload;
+    if (!sessionId || !action) {
+      return acknowledge(callback, { success: false, error: 'sessionId and action are required' });
+    }
+    try {
+      const snapshot = await collabSessionManager.updateTransport(sessionId, user.id, { action, tempo });
+      acknowledge(callback, { success: true, transport: snapshot?.settings?.transport || null });
+      io.to(sessionRoom(sessionId)).emit('session:snapshot', snapshot);
+    } catch (error) {
+      console.error('Socket transport:update error', error);
+      acknowledge(callback, { success: false, error: error.message });
+    }
+  });
+
+  socket.on('session:quantize', async (payload = {}, callback) => {
+    const { sessionId, mode, cycles } = payload;
+    if (!sessionId || !mode) {
+      return acknowledge(callback, { success: false, error: 'sessionId and mode are required' });
+    }
+    try {
+      const snapshot = await collabSessionManager.updateQuantize(sessionId, user.id, { mode, cycles });
+      acknowledge(callback, { success: true, quantize: snapshot?.settings?.quantize || null });
+      io.to(sessionRoom(sessionId)).emit('session:snapshot', snapshot);
+      listenNamespace.to(listenRoom(sessionId)).emit('session:snapshot', toListenerSnapshot(snapshot));
+    } catch (error) {
+      console.error('Socket session:quantize error', error);
+      acknowledge(callback, { success: false, error: error.message });
+    }
+  });
+
+  // NTP-style clock sync: the client halves the round trip to estimate its offset from server time
+  socket.on('clock:ping', (payload = {}, callback) => {
+    acknowledge(callback, { clientTime: payload.clientTime, serverTime: Date.now() });
+  });
+
+  socket.on('channel:revisions', async (payload = {}, callback) => {
+    const { sessionId, channelId, limit } = payload;
+    if (!sessionId || !channelId) {
+      return acknowledge(callback, { success: false, error: 'sessionId and channelId are required' });
+    }
+    try {
+      const revisions = await collabSessionManager.listChannelRevisions(sessionId, user.id, channelId, { limit });
+      acknowledge(callback, { success: true, revisions });
+    } catch (error) {
+      console.error('Socket channel:revisions error', error);
+      acknowledge(callback, { success: false, error: error.message });
+    }
+  });
+
+  socket.on('channel:diff', async (payload = {}, callback) => {
+    const { sessionId, channelId, fromRevisionId, toRevisionId } = payload;
+    if (!sessionId || !channelId || !fromRevisionId) {
+      return acknowledge(callback, { success: false, error: 'sessionId, channelId and fromRevisionId are required' });
+    }
+    try {
+      const diff = await collabSessionManager.diffChannelRevisions(sessionId, user.id, channelId, fromRevisionId, toRevisionId || null);
+      acknowledge(callback, { success: true, diff });
+    } catch (error) {
+      console.error('Socket channel:diff error', error);
+      acknowledge(callback, { success: false, error: error.message });
+    }
+  });
+
+  socket.on('channel:restore', async (payload = {}, callback) => {
+    const { sessionId, channelId, revisionId, status } = payload;
+    if (!sessionId || !channelId || !revisionId) {
+      return acknowledge(callback, { success: false, error: 'sessionId, channelId and revisionId are required' });
+    }
+    try {
+      const snapshot = await collabSessionManager.restoreChannelRevision(sessionId, user.id, channelId, revisionId, status || null);
+      acknowledge(callback, { success: true });
+      io.to(sessionRoom(sessionId)).emit('session:snapshot', snapshot);
+    } catch (error) {
+      console.error('Socket channel:restore error', error);
+      acknowledge(callback, { success: false, error: error.message });
+    }
+  });
+
   socket.on('master:edit', async (payload = {}, callback) => {
     const { sessionId, masterCode } = payload;
     if (!sessionId) {
       return acknowledge(callback, { success: false, error: 'sessionId is required' });
     }
     try {
-      const snapshot = await collabSessionManager.overrideMasterCode(sessionId, user.id, masterCode || '');
+      await collabSessionManager.assertPermission(sessionId, user.id, 'master.edit');
+      // Whole-text edits go through the co-editing document so open editors receive them as an op
+      // The override reaches the session and listen rooms through masterUpdated
+      await collabDocumentManager.replaceText(sessionId, MASTER_DOCUMENT_KEY, masterCode || '', user);
       acknowledge(callback, { success: true });
-      io.to(sessionRoom(sessionId)).emit('master:updated', {
-        masterCode: snapshot?.masterCode || '',
-        mergedStack: snapshot?.mergedStack || ''
-      });
     } catch (error) {
       console.error('Socket master:edit error', error);
       acknowledge(callback, { success: false, error: error.message });
     }
   });
 
+  socket.on('doc:join', async (payload = {}, callback) => {
+    const { sessionId, key, clientId } = payload;
+    if (!sessionId || !key || !clientId) {
+      return acknowledge(callback, { success: false, error: 'sessionId, key and clientId are required' });
+    }
+    try {
+      // Only participants may open documents or receive the session room's broadcasts
+      if (!await collabSessionManager.getParticipantRole(sessionId, user.id)) {
+        return acknowledge(callback, { success: false, error: 'You are not a participant in this session' });
+      }
+      const document = await collabDocumentManager.joinDocument(sessionId, key, { clientId, user });
+      openDocuments.set(`${document.sessionId}/${key}`, { sessionId: document.sessionId, key, clientId });
+      if (!joinedSessions.has(document.sessionId)) {
+        socket.join(sessionRoom(document.sessionId));
+        joinedSessions.add(document.sessionId);
+      }
+      acknowledge(callback, { success: true, document });
+    } catch (error) {
+      console.error('Socket doc:join error', error);
+      acknowledge(callback, { success: false, error: error.message });
+    }
+  });
+
+  socket.on('doc:leave', async (payload = {}, callback) => {
+    const { sessionId, key } = payload;
+    const entry = openDocuments.get(`${sessionId}/${key}`);
+    if (!entry) {
+      return acknowledge(callback, { success: true });
+    }
+    openDocuments.delete(`${sessionId}/${key}`);
+    try {
+      await collabDocumentManager.leaveDocument(entry.sessionId, entry.key, entry.clientId);
+      acknowledge(callback, { success: true });
+    } catch (error) {
+      console.error('Socket doc:leave error', error);
+      acknowledge(callback, { success: false, error: error.message });
+    }
+  });
+
+  socket.on('doc:op', async (payload = {}, callback) => {
+    const { sessionId, key, clientId, seq, revision, operation, selection } = payload;
+    if (!sessionId || !key || !clientId) {
+      return acknowledge(callback, { success: false, error: 'sessionId, key and clientId are required' });
+    }
+    try {
+      const result = await collabDocumentManager.applyClientOperation(sessionId, key, {
+        clientId,
+        seq,
+        revision,
+        operation,
+        selection,
+        user
+      });
+      acknowledge(callback, { success: true, revision: result.revision });
+    } catch (error) {
+      if (!error.resync) {
+        console.error('Socket doc:op error', error);
+      }
+      acknowledge(callback, { success: false, error: error.message, resync: !!error.resync });
+    }
+  });
+
+  socket.on('doc:cursor', (payload = {}) => {
+    const { sessionId, key, clientId, revision, selection } = payload;
+    if (!sessionId || !key || !clientId) return;
+    collabDocumentManager.updateCursor(sessionId, key, { clientId, revision, selection });
+  });
+
+  socket.on('presence:update', (payload = {}) => {
+    const { sessionId, ...presence } = payload;
+    // Presence is only tracked for sessions this socket actually joined
+    if (!sessionId || !joinedSessions.has(sessionId)) return;
+    collabPresenceManager.update(sessionId, socket.id, user, presence);
+  });
+
   socket.on('disconnect', () => {
     console.log(`🔌 Socket disconnected for user ${user.id}`);
     joinedSessions.forEach((sessionId) => {
+      collabPresenceManager.remove(sessionId, socket.id);
       socket.to(sessionRoom(sessionId)).emit('session:participant-event', {
         type: 'disconnect',
         sessionId,
@@ -374,6 +657,12 @@ io.on('connection', (socket) => {
       });
     });
     joinedSessions.clear();
+    openDocuments.forEach(({ sessionId, key, clientId }) => {
+      collabDocumentManager.leaveDocument(sessionId, key, clientId).catch((error) => {
+        console.error('Failed to release collab document on disconnect', error);
+      });
+    });
+    openDocuments.clear();
   });
 });
 
@@ -384,6 +673,61 @@ collabSessionManager.on('sessionUpdated', (sessionId, snapshot) => {
 
 collabSessionManager.on('masterUpdated', (sessionId, payload) => {
   io.to(sessionRoom(sessionId)).emit('master:updated', payload);
+  listenNamespace.to(listenRoom(sessionId)).emit('master:updated', payload);
+});
+
+collabSessionManager.on('transportUpdated', (sessionId, transport) => {
+  io.to(sessionRoom(sessionId)).emit('transport:updated', { sessionId, transport });
+  listenNamespace.to(listenRoom(sessionId)).emit('transport:updated', { sessionId, transport });
+});
+
+// Anonymous listen-link audience: no login, and no handlers that could change the session
+listenNamespace.on('connection', async (socket) => {
+  socket.on('clock:ping', (payload = {}, callback) => {
+    if (typeof callback === 'function') {
+      callback({ clientTime: payload.clientTime, serverTime: Date.now() });
+    }
+  });
+
+  try {
+    const sessionId = await collabSessionManager.resolveListenToken(socket.handshake.auth?.token);
+    const snapshot = sessionId ? await collabSessionManager.getSessionSnapshot(sessionId) : null;
+    if (!snapshot) {
+      socket.emit('listen:error', { error: 'This listen link is invalid or has been revoked' });
+      socket.disconnect(true);
+      return;
+    }
+    socket.join(listenRoom(sessionId));
+    socket.emit('session:snapshot', toListenerSnapshot(snapshot));
+    emitViewerCount(sessionId);
+    socket.on('disconnect', () => emitViewerCount(sessionId));
+    console.log(`👂 Listener connected to session ${sessionId}`);
+  } catch (error) {
+    console.error('Listen socket connection error', error);
+    socket.emit('listen:error', { error: 'Failed to open session' });
+    socket.disconnect(true);
+  }
+});
+
+const closeListenRoom = (sessionId) => {
+  listenNamespace.to(listenRoom(sessionId)).emit('listen:revoked', { sessionId });
+  listenNamespace.in(listenRoom(sessionId)).disconnectSockets(true);
+  emitViewerCount(sessionId, 0);
+};
+
+collabSessionManager.on('listenLinkRevoked', closeListenRoom);
+collabSessionManager.on('sessionDeleted', closeListenRoom);
+
+collabPresenceManager.on('presenceChanged', (sessionId, presence) => {
+  io.to(sessionRoom(sessionId)).emit('session:presence', { sessionId, presence });
+});
+
+collabDocumentManager.on('operation', (payload) => {
+  io.to(sessionRoom(payload.sessionId)).emit('doc:op', payload);
+});
+
+collabDocumentManager.on('cursor', (payload) => {
+  io.to(sessionRoom(payload.sessionId)).emit('doc:cursor', payload);
 });
 
 // Health check with database status
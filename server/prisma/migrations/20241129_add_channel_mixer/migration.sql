@@ -0,0 +1,3 @@
+-- Shared per-channel mixer state for collaboration sessions
+ALTER TABLE "session_channels" ADD COLUMN "muted" BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE "session_channels" ADD COLUMN "solo" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,3 @@
+-- Participants are now owner / editor / performer / listener; "member" meant full edit rights
+ALTER TABLE "session_participants" ALTER COLUMN "role" SET DEFAULT 'editor';
+UPDATE "session_participants" SET "role" = 'editor' WHERE "role" = 'member';
@@ -0,0 +1,3 @@
+-- Revocable token for anonymous listen-only access to a collaboration session
+ALTER TABLE "collab_sessions" ADD COLUMN "listen_token" TEXT;
+CREATE UNIQUE INDEX "collab_sessions_listen_token_key" ON "collab_sessions"("listen_token");
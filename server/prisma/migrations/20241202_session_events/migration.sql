@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "session_events" (
+    "id" TEXT NOT NULL,
+    "session_id" TEXT NOT NULL,
+    "user_id" TEXT,
+    "type" TEXT NOT NULL,
+    "payload" JSONB DEFAULT '{}',
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "session_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "session_events_session_id_created_at_idx" ON "session_events"("session_id", "created_at");
+
+-- CreateIndex
+CREATE INDEX "session_events_user_id_idx" ON "session_events"("user_id");
+
+-- AddForeignKey
+ALTER TABLE "session_events" ADD CONSTRAINT "session_events_session_id_fkey" FOREIGN KEY ("session_id") REFERENCES "collab_sessions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "session_events" ADD CONSTRAINT "session_events_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
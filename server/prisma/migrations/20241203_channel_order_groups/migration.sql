@@ -0,0 +1,15 @@
+-- Explicit channel order and optional group (drums, bass, keys, ...) per session channel
+ALTER TABLE "session_channels" ADD COLUMN "position" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "session_channels" ADD COLUMN "group_name" TEXT;
+
+-- Existing channels keep the order they were created in
+UPDATE "session_channels" AS c
+SET "position" = ranked.rn
+FROM (
+  SELECT "id", ROW_NUMBER() OVER (PARTITION BY "session_id" ORDER BY "created_at") - 1 AS rn
+  FROM "session_channels"
+) AS ranked
+WHERE c."id" = ranked."id";
+
+-- CreateIndex
+CREATE INDEX "session_channels_session_id_position_idx" ON "session_channels"("session_id", "position");
@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "user_samples" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "original_name" TEXT,
+    "mime_type" TEXT NOT NULL,
+    "size" INTEGER NOT NULL,
+    "storage_key" TEXT NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "user_samples_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "user_samples_user_id_idx" ON "user_samples"("user_id");
+
+-- AddForeignKey
+ALTER TABLE "user_samples" ADD CONSTRAINT "user_samples_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -1,9 +1,17 @@
 import express from 'express';
 import { requireAuth } from '../middleware/auth.js';
 import { collabSessionManager } from '../services/collabSessionManager.js';
+import { collabDocumentManager, MASTER_DOCUMENT_KEY } from '../services/collabDocumentManager.js';
 
 const router = express.Router();
 
+// Permission errors mention the owner or a role that is "not allowed"
+function errorStatus(message, fallback = 400) {
+  if (message.includes('not found')) return 404;
+  if (message.includes('owner') || message.includes('not allowed')) return 403;
+  return fallback;
+}
+
 router.post('/', requireAuth, async (req, res) => {
   try {
     const { title } = req.body || {};
@@ -143,7 +151,8 @@ router.post('/:sessionId/channels', requireAuth, async (req, res) => {
     res.status(201).json(snapshot);
   } catch (error) {
     console.error('Error saving channel:', error);
-    res.status(400).json({ error: error.message || 'Failed to save channel' });
+    const message = error.message || 'Failed to save channel';
+    res.status(errorStatus(message)).json({ error: message });
   }
 });
 
@@ -151,27 +160,187 @@ router.post('/:sessionId/channels/:channelId/publish', requireAuth, async (req,
   try {
     const snapshot = await collabSessionManager.publishChannel(
       req.params.sessionId,
+      req.user.id,
       req.params.channelId,
       req.body?.status || 'live'
     );
     res.json(snapshot);
   } catch (error) {
     console.error('Error publishing channel:', error);
-    res.status(500).json({ error: 'Failed to publish channel' });
+    const message = error.message || 'Failed to publish channel';
+    res.status(errorStatus(message, 500)).json({ error: message });
   }
 });
 
-router.post('/:sessionId/master', requireAuth, async (req, res) => {
+router.post('/:sessionId/channels/:channelId/mix', requireAuth, async (req, res) => {
+  try {
+    const { volume, pan, muted, solo } = req.body || {};
+    const snapshot = await collabSessionManager.updateChannelMix(
+      req.params.sessionId,
+      req.user.id,
+      req.params.channelId,
+      { volume, pan, muted, solo }
+    );
+    res.json(snapshot);
+  } catch (error) {
+    console.error('Error updating channel mix:', error);
+    const message = error.message || 'Failed to update channel mix';
+    res.status(errorStatus(message)).json({ error: message });
+  }
+});
+
+router.post('/:sessionId/channels/order', requireAuth, async (req, res) => {
+  try {
+    const snapshot = await collabSessionManager.reorderChannels(
+      req.params.sessionId,
+      req.user.id,
+      req.body?.channelIds
+    );
+    res.json(snapshot);
+  } catch (error) {
+    console.error('Error reordering channels:', error);
+    const message = error.message || 'Failed to reorder channels';
+    res.status(errorStatus(message)).json({ error: message });
+  }
+});
+
+router.post('/:sessionId/channels/:channelId/group', requireAuth, async (req, res) => {
   try {
-    const snapshot = await collabSessionManager.overrideMasterCode(
+    const snapshot = await collabSessionManager.updateChannelGroup(
       req.params.sessionId,
       req.user.id,
-      req.body?.masterCode || ''
+      req.params.channelId,
+      req.body?.group
     );
     res.json(snapshot);
+  } catch (error) {
+    console.error('Error updating channel group:', error);
+    const message = error.message || 'Failed to update channel group';
+    res.status(errorStatus(message)).json({ error: message });
+  }
+});
+
+router.post('/:sessionId/scenes', requireAuth, async (req, res) => {
+  try {
+    const { sceneId, name, channelIds } = req.body || {};
+    const snapshot = await collabSessionManager.saveScene(
+      req.params.sessionId,
+      req.user.id,
+      { sceneId, name, channelIds }
+    );
+    res.status(201).json(snapshot);
+  } catch (error) {
+    console.error('Error saving scene:', error);
+    const message = error.message || 'Failed to save scene';
+    res.status(errorStatus(message)).json({ error: message });
+  }
+});
+
+router.delete('/:sessionId/scenes/:sceneId', requireAuth, async (req, res) => {
+  try {
+    const snapshot = await collabSessionManager.deleteScene(req.params.sessionId, req.user.id, req.params.sceneId);
+    res.json(snapshot);
+  } catch (error) {
+    console.error('Error deleting scene:', error);
+    const message = error.message || 'Failed to delete scene';
+    res.status(errorStatus(message)).json({ error: message });
+  }
+});
+
+router.post('/:sessionId/scenes/:sceneId/trigger', requireAuth, async (req, res) => {
+  try {
+    const snapshot = await collabSessionManager.triggerScene(req.params.sessionId, req.user.id, req.params.sceneId);
+    res.json(snapshot);
+  } catch (error) {
+    console.error('Error triggering scene:', error);
+    const message = error.message || 'Failed to trigger scene';
+    res.status(errorStatus(message)).json({ error: message });
+  }
+});
+
+router.get('/:sessionId/channels/:channelId/revisions', requireAuth, async (req, res) => {
+  try {
+    const revisions = await collabSessionManager.listChannelRevisions(
+      req.params.sessionId,
+      req.user.id,
+      req.params.channelId,
+      { limit: req.query.limit }
+    );
+    res.json({ revisions });
+  } catch (error) {
+    console.error('Error fetching channel revisions:', error);
+    const message = error.message || 'Failed to fetch channel revisions';
+    res.status(errorStatus(message, 500)).json({ error: message });
+  }
+});
+
+router.get('/:sessionId/channels/:channelId/revisions/diff', requireAuth, async (req, res) => {
+  try {
+    if (!req.query.from) {
+      return res.status(400).json({ error: 'from revision is required' });
+    }
+    const diff = await collabSessionManager.diffChannelRevisions(
+      req.params.sessionId,
+      req.user.id,
+      req.params.channelId,
+      req.query.from,
+      req.query.to || null
+    );
+    res.json(diff);
+  } catch (error) {
+    console.error('Error diffing channel revisions:', error);
+    const message = error.message || 'Failed to diff channel revisions';
+    res.status(errorStatus(message, 500)).json({ error: message });
+  }
+});
+
+router.post('/:sessionId/channels/:channelId/revisions/:revisionId/restore', requireAuth, async (req, res) => {
+  try {
+    const snapshot = await collabSessionManager.restoreChannelRevision(
+      req.params.sessionId,
+      req.user.id,
+      req.params.channelId,
+      req.params.revisionId,
+      req.body?.status || null
+    );
+    res.json(snapshot);
+  } catch (error) {
+    console.error('Error restoring channel revision:', error);
+    const message = error.message || 'Failed to restore channel revision';
+    res.status(errorStatus(message)).json({ error: message });
+  }
+});
+
+router.get('/:sessionId/events', requireAuth, async (req, res) => {
+  try {
+    const events = await collabSessionManager.listSessionEvents(
+      req.params.sessionId,
+      req.user.id,
+      { limit: req.query.limit }
+    );
+    res.json({ events });
+  } catch (error) {
+    console.error('Error fetching session events:', error);
+    const message = error.message || 'Failed to fetch session events';
+    res.status(errorStatus(message, 500)).json({ error: message });
+  }
+});
+
+router.post('/:sessionId/master', requireAuth, async (req, res) => {
+  try {
+    await collabSessionManager.assertPermission(req.params.sessionId, req.user.id, 'master.edit');
+    await collabDocumentManager.replaceText(
+      req.params.sessionId,
+      MASTER_DOCUMENT_KEY,
+      req.body?.masterCode || '',
+      req.user
+    );
+    const snapshot = await collabSessionManager.getSessionSnapshot(req.params.sessionId);
+    res.json(snapshot);
   } catch (error) {
     console.error('Error overriding master pattern:', error);
-    res.status(500).json({ error: 'Failed to override master pattern' });
+    const message = error.message || 'Failed to override master pattern';
+    res.status(errorStatus(message, 500)).json({ error: message });
   }
 });
 
@@ -179,7 +348,8 @@ router.post('/:sessionId/delay', requireAuth, async (req, res) => {
   try {
     const snapshot = await collabSessionManager.adjustDelay(
       req.params.sessionId,
-      req.body?.applyDelayMs
+      req.body?.applyDelayMs,
+      req.user.id
     );
     res.json(snapshot);
   } catch (error) {
@@ -188,6 +358,82 @@ router.post('/:sessionId/delay', requireAuth, async (req, res) => {
   }
 });
 
+router.post('/:sessionId/transport', requireAuth, async (req, res) => {
+  try {
+    const snapshot = await collabSessionManager.updateTransport(
+      req.params.sessionId,
+      req.user.id,
+      { action: req.body?.action, tempo: req.body?.tempo }
+    );
+    res.json(snapshot);
+  } catch (error) {
+    console.error('Error updating session transport:', error);
+    const message = error.message || 'Failed to update session transport';
+    res.status(errorStatus(message)).json({ error: message });
+  }
+});
+
+router.post('/:sessionId/quantize', requireAuth, async (req, res) => {
+  try {
+    const snapshot = await collabSessionManager.updateQuantize(
+      req.params.sessionId,
+      req.user.id,
+      { mode: req.body?.mode, cycles: req.body?.cycles }
+    );
+    res.json(snapshot);
+  } catch (error) {
+    console.error('Error updating session quantization:', error);
+    const message = error.message || 'Failed to update session quantization';
+    res.status(errorStatus(message)).json({ error: message });
+  }
+});
+
+router.post('/:sessionId/participants/:userId/role', requireAuth, async (req, res) => {
+  try {
+    const snapshot = await collabSessionManager.updateParticipantRole(
+      req.params.sessionId,
+      req.user.id,
+      req.params.userId,
+      req.body?.role
+    );
+    res.json(snapshot);
+  } catch (error) {
+    console.error('Error updating participant role:', error);
+    const message = error.message || 'Failed to update participant role';
+    res.status(errorStatus(message)).json({ error: message });
+  }
+});
+
+router.get('/:sessionId/listen-link', requireAuth, async (req, res) => {
+  try {
+    res.json(await collabSessionManager.getListenLink(req.params.sessionId, req.user.id));
+  } catch (error) {
+    console.error('Error fetching listen link:', error);
+    const message = error.message || 'Failed to fetch listen link';
+    res.status(errorStatus(message, 500)).json({ error: message });
+  }
+});
+
+router.post('/:sessionId/listen-link', requireAuth, async (req, res) => {
+  try {
+    res.status(201).json(await collabSessionManager.createListenLink(req.params.sessionId, req.user.id));
+  } catch (error) {
+    console.error('Error creating listen link:', error);
+    const message = error.message || 'Failed to create listen link';
+    res.status(errorStatus(message, 500)).json({ error: message });
+  }
+});
+
+router.delete('/:sessionId/listen-link', requireAuth, async (req, res) => {
+  try {
+    res.json(await collabSessionManager.revokeListenLink(req.params.sessionId, req.user.id));
+  } catch (error) {
+    console.error('Error revoking listen link:', error);
+    const message = error.message || 'Failed to revoke listen link';
+    res.status(errorStatus(message, 500)).json({ error: message });
+  }
+});
+
 router.delete('/:sessionId', requireAuth, async (req, res) => {
   try {
     await collabSessionManager.deleteSession(req.params.sessionId, req.user.id);
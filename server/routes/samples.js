@@ -0,0 +1,86 @@
+import express from 'express';
+import path from 'path';
+import { requireAuth } from '../middleware/auth.js';
+import { sampleLibrary, MAX_SAMPLE_BYTES } from '../services/sampleLibrary.js';
+
+const router = express.Router();
+
+function errorStatus(message, fallback = 400) {
+  if (message.includes('not found')) return 404;
+  if (message.includes('owner')) return 403;
+  if (message.includes('quota')) return 413;
+  if (message.includes('still used')) return 409;
+  return fallback;
+}
+
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    res.json(await sampleLibrary.list(req.user.id));
+  } catch (error) {
+    console.error('Error listing samples:', error);
+    res.status(500).json({ error: 'Failed to list samples' });
+  }
+});
+
+// The body is the raw audio file; name and original file name come in the query string
+router.post(
+  '/',
+  requireAuth,
+  express.raw({ type: () => true, limit: MAX_SAMPLE_BYTES }),
+  async (req, res) => {
+    try {
+      const result = await sampleLibrary.upload(req.user.id, {
+        data: req.body,
+        name: req.query.name,
+        originalName: req.query.fileName,
+        contentType: req.get('content-type')
+      });
+      res.status(201).json(result);
+    } catch (error) {
+      const message = error.message || 'Failed to upload sample';
+      res.status(errorStatus(message, 500)).json({ error: message });
+    }
+  }
+);
+
+router.delete('/:sampleId', requireAuth, async (req, res) => {
+  try {
+    const usage = await sampleLibrary.remove(req.user.id, req.params.sampleId);
+    res.json({ success: true, usage });
+  } catch (error) {
+    const message = error.message || 'Failed to delete sample';
+    res.status(errorStatus(message, 500)).json({ error: message });
+  }
+});
+
+// Public on purpose: patterns that reference a sample must play for anyone they are shared with.
+// The trailing file name is only there so the URL reads well inside samples({...})
+router.get('/files/:sampleId/:fileName?', async (req, res) => {
+  try {
+    const file = await sampleLibrary.getFile(req.params.sampleId);
+    res.set('Cache-Control', 'public, max-age=31536000, immutable');
+    // User-uploaded bytes: never let the browser sniff them into something it would render
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.type(file.mimeType);
+    if (!file.mimeType.startsWith('audio/')) {
+      res.attachment(path.basename(file.path));
+    }
+    res.sendFile(file.path, (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({ error: 'Sample file not found' });
+      }
+    });
+  } catch (error) {
+    const message = error.message || 'Failed to load sample';
+    res.status(errorStatus(message, 500)).json({ error: message });
+  }
+});
+
+router.use((error, req, res, next) => {
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({ error: `Samples can be at most ${Math.round(MAX_SAMPLE_BYTES / (1024 * 1024))} MB` });
+  }
+  return next(error);
+});
+
+export default router;
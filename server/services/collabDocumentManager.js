@@ -0,0 +1,395 @@
+import { EventEmitter } from 'events';
+import prisma from '../db.js';
+import { collabSessionManager } from './collabSessionManager.js';
+import {
+  applyOperation,
+  baseLength,
+  diffToOperation,
+  isNoop,
+  isValidOperation,
+  transformIndex,
+  transformOperations
+} from '../../shared/textOperation.js';
+import { roleCan, roleCanOnChannel } from '../../shared/sessionRoles.js';
+
+export const MASTER_DOCUMENT_KEY = 'master';
+const CHANNEL_DOCUMENT_PREFIX = 'channel:';
+
+// Ops older than this can no longer be transformed; those clients resync instead
+const HISTORY_LIMIT = 500;
+const PERSIST_DELAY_MS = 800;
+// Debounced writes also snapshot (revision + event) at most this often, so replay follows the session
+const SNAPSHOT_INTERVAL_MS = 10_000;
+const MAX_DOCUMENT_LENGTH = 100_000;
+
+export class DocumentResyncError extends Error {
+  constructor(message = 'Document out of date, resync required') {
+    super(message);
+    this.resync = true;
+  }
+}
+
+function parseDocumentKey(key) {
+  if (key === MASTER_DOCUMENT_KEY) {
+    return { type: 'master' };
+  }
+  if (typeof key === 'string' && key.startsWith(CHANNEL_DOCUMENT_PREFIX)) {
+    const channelId = key.slice(CHANNEL_DOCUMENT_PREFIX.length);
+    return channelId ? { type: 'channel', channelId } : null;
+  }
+  return null;
+}
+
+function transformSelection(selection, operation) {
+  if (!Array.isArray(selection)) {
+    return null;
+  }
+  return selection.map(range => ({
+    anchor: transformIndex(operation, range.anchor),
+    head: transformIndex(operation, range.head)
+  }));
+}
+
+function sanitizeSelection(selection, length) {
+  if (!Array.isArray(selection)) {
+    return null;
+  }
+  const clamp = value => Math.min(Math.max(Number.isInteger(value) ? value : 0, 0), length);
+  return selection.slice(0, 10).map(range => ({
+    anchor: clamp(range?.anchor),
+    head: clamp(range?.head)
+  }));
+}
+
+/**
+ * Character-level co-editing of the collab master and channel code.
+ * Each document keeps the server text, a revision counter and recent ops; client ops based on an
+ * older revision are transformed against everything applied since, so concurrent edits merge
+ * instead of the last write winning. Text is persisted (debounced) through collabSessionManager;
+ * revisions and events are coalesced to one per SNAPSHOT_INTERVAL_MS, plus explicit replacements
+ * and the last client leaving.
+ */
+class CollabDocumentManager extends EventEmitter {
+  constructor() {
+    super();
+    this.documents = new Map();
+    this.loading = new Map();
+
+    // Changes made outside co-editing (publishing, restores, master rebuilds) become server ops
+    collabSessionManager.on('masterUpdated', (sessionId, payload) => {
+      this.syncFromStore(sessionId, MASTER_DOCUMENT_KEY, payload?.mergedStack || payload?.masterCode || '');
+    });
+    collabSessionManager.on('channelCodeChanged', (sessionId, channelId, code) => {
+      this.syncFromStore(sessionId, `${CHANNEL_DOCUMENT_PREFIX}${channelId}`, code);
+    });
+    collabSessionManager.on('sessionDeleted', (sessionId) => {
+      Array.from(this.documents.values())
+        .filter(doc => doc.sessionId === sessionId)
+        .forEach(doc => {
+          clearTimeout(doc.persistTimer);
+          clearTimeout(doc.snapshotTimer);
+          this.documents.delete(this.documentId(sessionId, doc.key));
+        });
+    });
+  }
+
+  documentId(sessionId, key) {
+    return `${sessionId}/${key}`;
+  }
+
+  async getDocument(sessionId, key) {
+    const parsed = parseDocumentKey(key);
+    if (!parsed) {
+      throw new Error('Unknown document');
+    }
+    sessionId = await collabSessionManager.requireSessionId(sessionId);
+    const id = this.documentId(sessionId, key);
+    if (this.documents.has(id)) {
+      return this.documents.get(id);
+    }
+    if (!this.loading.has(id)) {
+      this.loading.set(id, this.loadDocument(sessionId, key, parsed).finally(() => {
+        this.loading.delete(id);
+      }));
+    }
+    return this.loading.get(id);
+  }
+
+  async loadDocument(sessionId, key, parsed) {
+    const session = await prisma.collabSession.findUnique({
+      where: { id: sessionId },
+      select: { masterCode: true, mergedStack: true }
+    });
+    if (!session) {
+      throw new Error('Session not found');
+    }
+
+    let text = session.mergedStack || session.masterCode || '';
+    let authorId = null;
+    if (parsed.type === 'channel') {
+      const channel = await prisma.sessionChannel.findFirst({
+        where: { id: parsed.channelId, sessionId },
+        select: { code: true, userId: true }
+      });
+      if (!channel) {
+        throw new Error('Channel not found');
+      }
+      text = channel.code || '';
+      authorId = channel.userId;
+    }
+
+    const doc = {
+      sessionId,
+      key,
+      type: parsed.type,
+      channelId: parsed.channelId || null,
+      authorId,
+      text,
+      revision: 0,
+      history: [],
+      lastSeqByClient: new Map(),
+      clients: new Map(),
+      lastPersistedText: text,
+      lastSnapshotText: text,
+      lastSnapshotAt: 0,
+      persistTimer: null,
+      snapshotTimer: null,
+      persistUserId: null
+    };
+    this.documents.set(this.documentId(sessionId, key), doc);
+    return doc;
+  }
+
+  async canEdit(doc, userId) {
+    const role = await collabSessionManager.getParticipantRole(doc.sessionId, userId);
+    if (doc.type === 'master') {
+      return roleCan(role, 'master.edit');
+    }
+    return roleCanOnChannel(role, 'edit', userId === doc.authorId);
+  }
+
+  toCursorPayload(doc, clientId, client) {
+    return {
+      sessionId: doc.sessionId,
+      key: doc.key,
+      clientId,
+      userId: client.user.id,
+      name: client.user.name,
+      revision: doc.revision,
+      selection: client.selection
+    };
+  }
+
+  /**
+   * Open a document; the returned lastSeq tells a reconnecting client which of its ops already landed
+   */
+  async joinDocument(sessionId, key, { clientId, user }) {
+    if (!clientId) {
+      throw new Error('clientId is required');
+    }
+    const doc = await this.getDocument(sessionId, key);
+    const previous = doc.clients.get(clientId);
+    doc.clients.set(clientId, {
+      user: { id: user.id, name: user.artistName || user.name || 'anonymous' },
+      selection: previous?.selection || null
+    });
+    const cursors = Array.from(doc.clients.entries())
+      .filter(([id, client]) => id !== clientId && client.selection)
+      .map(([id, client]) => this.toCursorPayload(doc, id, client));
+    return {
+      sessionId: doc.sessionId,
+      key: doc.key,
+      text: doc.text,
+      revision: doc.revision,
+      lastSeq: doc.lastSeqByClient.get(clientId) || 0,
+      canEdit: await this.canEdit(doc, user.id),
+      cursors
+    };
+  }
+
+  async leaveDocument(sessionId, key, clientId) {
+    const doc = this.documents.get(this.documentId(sessionId, key));
+    if (!doc || !doc.clients.has(clientId)) {
+      return;
+    }
+    doc.clients.delete(clientId);
+    this.emit('cursor', { sessionId: doc.sessionId, key: doc.key, clientId, selection: null });
+    if (doc.clients.size === 0) {
+      // Stay loaded so a reconnecting client's lastSeq survives; only the op history is dropped
+      doc.history = [];
+      await this.flushDocument(doc, { snapshot: true });
+    }
+  }
+
+  /**
+   * Apply a client op made against `revision`; returns the new revision
+   */
+  async applyClientOperation(sessionId, key, { clientId, seq, revision, operation, selection, user }) {
+    if (!isValidOperation(operation)) {
+      throw new Error('Invalid operation');
+    }
+    const doc = await this.getDocument(sessionId, key);
+    if (!(await this.canEdit(doc, user.id))) {
+      throw new Error(doc.type === 'master'
+        ? 'Your session role is not allowed to edit the master'
+        : 'Your session role is not allowed to edit this channel');
+    }
+    if (!Number.isInteger(seq) || seq <= (doc.lastSeqByClient.get(clientId) || 0)) {
+      throw new DocumentResyncError('Operation already applied');
+    }
+    const oldestRevision = doc.revision - doc.history.length;
+    if (!Number.isInteger(revision) || revision > doc.revision || revision < oldestRevision) {
+      throw new DocumentResyncError();
+    }
+
+    let transformed = operation;
+    let transformedSelection = sanitizeSelection(selection, Number.MAX_SAFE_INTEGER);
+    for (const entry of doc.history.slice(revision - oldestRevision)) {
+      const [clientPrime, concurrentPrime] = transformOperations(transformed, entry.operation);
+      transformed = clientPrime;
+      transformedSelection = transformSelection(transformedSelection, concurrentPrime);
+    }
+    if (baseLength(transformed) !== doc.text.length) {
+      throw new DocumentResyncError();
+    }
+    const nextText = applyOperation(doc.text, transformed);
+    if (nextText.length > MAX_DOCUMENT_LENGTH) {
+      throw new Error('Document is too long');
+    }
+
+    doc.lastSeqByClient.set(clientId, seq);
+    const client = doc.clients.get(clientId);
+    if (client) {
+      client.selection = sanitizeSelection(transformedSelection, nextText.length);
+    }
+    this.commitOperation(doc, transformed, {
+      clientId,
+      userId: user.id,
+      name: user.artistName || user.name || 'anonymous',
+      selection: client?.selection || null
+    });
+    this.schedulePersist(doc, user.id);
+    return { revision: doc.revision };
+  }
+
+  commitOperation(doc, operation, { clientId = null, userId = null, name = null, selection = null } = {}) {
+    doc.text = applyOperation(doc.text, operation);
+    doc.revision += 1;
+    doc.history.push({ revision: doc.revision, operation });
+    if (doc.history.length > HISTORY_LIMIT) {
+      doc.history.splice(0, doc.history.length - HISTORY_LIMIT);
+    }
+    // Keep everyone else's stored cursor on the same text
+    doc.clients.forEach((client, id) => {
+      if (id !== clientId && client.selection) {
+        client.selection = transformSelection(client.selection, operation);
+      }
+    });
+    this.emit('operation', {
+      sessionId: doc.sessionId,
+      key: doc.key,
+      revision: doc.revision,
+      operation,
+      clientId,
+      userId,
+      name,
+      selection
+    });
+  }
+
+  updateCursor(sessionId, key, { clientId, revision, selection }) {
+    const doc = this.documents.get(this.documentId(sessionId, key));
+    const client = doc?.clients.get(clientId);
+    // Cursors from an older revision would land in the wrong place; the next op carries a fresh one
+    if (!client || revision !== doc.revision) {
+      return;
+    }
+    client.selection = sanitizeSelection(selection, doc.text.length);
+    this.emit('cursor', this.toCursorPayload(doc, clientId, client));
+  }
+
+  /**
+   * Replace a document's text as a server op (e.g. the legacy whole-master edit)
+   */
+  async replaceText(sessionId, key, text, user) {
+    const doc = await this.getDocument(sessionId, key);
+    const operation = diffToOperation(doc.text, text || '');
+    if (isNoop(operation)) {
+      return { revision: doc.revision };
+    }
+    this.commitOperation(doc, operation, {
+      userId: user?.id || null,
+      name: user ? user.artistName || user.name || 'anonymous' : null
+    });
+    // Whole replacements are rare and callers expect the snapshot to reflect them right away
+    doc.persistUserId = user?.id || doc.persistUserId;
+    await this.flushDocument(doc, { snapshot: true });
+    return { revision: doc.revision };
+  }
+
+  syncFromStore(sessionId, key, text) {
+    const doc = this.documents.get(this.documentId(sessionId, key));
+    if (!doc) {
+      return;
+    }
+    const storedText = text || '';
+    // Our own debounced writes echo back here; only foreign changes become ops
+    if (storedText === doc.lastPersistedText || storedText === doc.text) {
+      doc.lastPersistedText = storedText;
+      return;
+    }
+    // Whoever changed the store already recorded its own revision
+    doc.lastPersistedText = storedText;
+    doc.lastSnapshotText = storedText;
+    const operation = diffToOperation(doc.text, storedText);
+    this.commitOperation(doc, operation);
+  }
+
+  schedulePersist(doc, userId) {
+    doc.persistUserId = userId || doc.persistUserId;
+    clearTimeout(doc.persistTimer);
+    doc.persistTimer = setTimeout(() => {
+      this.flushDocument(doc).catch((error) => {
+        console.error(`Failed to persist collab document ${doc.key} for session`, doc.sessionId, error);
+      });
+    }, PERSIST_DELAY_MS);
+  }
+
+  /**
+   * Write the current text and record a revision/event if it changed since the last one. Without
+   * snapshot the revision waits for SNAPSHOT_INTERVAL_MS since the previous one (a timer catches up).
+   */
+  async flushDocument(doc, { snapshot = false } = {}) {
+    clearTimeout(doc.persistTimer);
+    doc.persistTimer = null;
+    const text = doc.text;
+    const changedSinceSnapshot = text !== doc.lastSnapshotText;
+    const wait = snapshot ? 0 : doc.lastSnapshotAt + SNAPSHOT_INTERVAL_MS - Date.now();
+    const takeSnapshot = changedSinceSnapshot && wait <= 0;
+    if (takeSnapshot) {
+      clearTimeout(doc.snapshotTimer);
+      doc.snapshotTimer = null;
+      doc.lastSnapshotText = text;
+      doc.lastSnapshotAt = Date.now();
+    } else if (changedSinceSnapshot && !doc.snapshotTimer) {
+      doc.snapshotTimer = setTimeout(() => {
+        doc.snapshotTimer = null;
+        this.flushDocument(doc, { snapshot: true }).catch((error) => {
+          console.error(`Failed to snapshot collab document ${doc.key} for session`, doc.sessionId, error);
+        });
+      }, wait);
+    }
+    if (text === doc.lastPersistedText && !takeSnapshot) {
+      return;
+    }
+    doc.lastPersistedText = text;
+    const options = { snapshot: takeSnapshot };
+    if (doc.type === 'master') {
+      await collabSessionManager.overrideMasterCode(doc.sessionId, doc.persistUserId, text, options);
+    } else if (doc.persistUserId) {
+      await collabSessionManager.saveChannelCode(doc.sessionId, doc.persistUserId, doc.channelId, text, options);
+    }
+  }
+}
+
+export const collabDocumentManager = new CollabDocumentManager();
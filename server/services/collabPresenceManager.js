@@ -0,0 +1,121 @@
+import { EventEmitter } from 'events';
+
+// "typing" drops by itself if the client goes quiet without sending typing: false
+const TYPING_TIMEOUT_MS = 4000;
+const MAX_ID_LENGTH = 64;
+
+function sanitizeCursor(cursor) {
+  if (!cursor || typeof cursor !== 'object') {
+    return null;
+  }
+  const line = Number(cursor.line);
+  const column = Number(cursor.column);
+  if (!Number.isInteger(line) || !Number.isInteger(column) || line < 1 || column < 0) {
+    return null;
+  }
+  return { line, column };
+}
+
+/**
+ * Ephemeral per-socket presence for collab sessions: which channel someone is on, whether they are
+ * typing, where their cursor is and whether their local transport is playing.
+ * Lives only in memory - it is rebuilt from live sockets and never written to the database.
+ */
+class CollabPresenceManager extends EventEmitter {
+  constructor() {
+    super();
+    // sessionId -> Map(socketId -> presence)
+    this.sessions = new Map();
+  }
+
+  list(sessionId) {
+    const entries = this.sessions.get(sessionId);
+    if (!entries) {
+      return [];
+    }
+    return Array.from(entries.values()).map(({ typingTimer, ...presence }) => presence);
+  }
+
+  /**
+   * Merge a partial presence update from one socket; unknown fields are ignored
+   */
+  update(sessionId, socketId, user, patch = {}) {
+    if (!this.sessions.has(sessionId)) {
+      this.sessions.set(sessionId, new Map());
+    }
+    const entries = this.sessions.get(sessionId);
+    const previous = entries.get(socketId);
+    const presence = previous || {
+      socketId,
+      userId: user.id,
+      name: user.artistName || user.name || 'anonymous',
+      channelId: null,
+      draft: false,
+      typing: false,
+      cursor: null,
+      playing: false,
+      cycle: null,
+      tempo: null,
+      typingTimer: null
+    };
+
+    if ('channelId' in patch) {
+      presence.channelId = typeof patch.channelId === 'string' && patch.channelId.length <= MAX_ID_LENGTH
+        ? patch.channelId
+        : null;
+    }
+    if ('draft' in patch) {
+      presence.draft = !!patch.draft;
+    }
+    if ('cursor' in patch) {
+      presence.cursor = sanitizeCursor(patch.cursor);
+    }
+    if ('playing' in patch) {
+      presence.playing = !!patch.playing;
+      if (!presence.playing) {
+        presence.cycle = null;
+      }
+    }
+    if ('cycle' in patch) {
+      const cycle = Number(patch.cycle);
+      presence.cycle = presence.playing && Number.isFinite(cycle) && cycle >= 0 ? cycle : null;
+    }
+    if ('tempo' in patch) {
+      const tempo = Number(patch.tempo);
+      presence.tempo = Number.isFinite(tempo) && tempo > 0 ? tempo : null;
+    }
+    if ('typing' in patch) {
+      presence.typing = !!patch.typing;
+      clearTimeout(presence.typingTimer);
+      presence.typingTimer = null;
+      if (presence.typing) {
+        presence.typingTimer = setTimeout(() => {
+          presence.typing = false;
+          presence.typingTimer = null;
+          this.emit('presenceChanged', sessionId, this.list(sessionId));
+        }, TYPING_TIMEOUT_MS);
+      }
+    }
+    presence.updatedAt = Date.now();
+
+    entries.set(socketId, presence);
+    this.emit('presenceChanged', sessionId, this.list(sessionId));
+    return presence;
+  }
+
+  remove(sessionId, socketId) {
+    const entries = this.sessions.get(sessionId);
+    const presence = entries?.get(socketId);
+    if (!presence) {
+      return;
+    }
+    clearTimeout(presence.typingTimer);
+    entries.delete(socketId);
+    if (!entries.size) {
+      this.sessions.delete(sessionId);
+    }
+    this.emit('presenceChanged', sessionId, this.list(sessionId));
+  }
+}
+
+export const collabPresenceManager = new CollabPresenceManager();
@@ -2,6 +2,14 @@ import { EventEmitter } from 'events';
 import crypto from 'crypto';
 import os from 'os';
 import prisma from '../db.js';
+import { diffLines } from '../utils/lineDiff.js';
+import {
+  ASSIGNABLE_SESSION_ROLES,
+  DEFAULT_SESSION_ROLE,
+  normalizeSessionRole,
+  roleCan,
+  roleCanOnChannel
+} from '../../shared/sessionRoles.js';
 
 const LIVE_STATUSES = new Set(['live', 'published']);
 const CACHE_TTL_MS = 5_000;
@@ -9,6 +17,33 @@ const CACHE_TTL_MS = 5_000;
 const MIN_DELAY_MS = 0;
 const MAX_DELAY_MS = 5_000;
 
+// Same range as the tempo slider in the app
+const MIN_TRANSPORT_TEMPO = 60;
+const MAX_TRANSPORT_TEMPO = 240;
+const DEFAULT_TRANSPORT_TEMPO = 120;
+// Starts are stamped slightly in the future so every client can be ready for cycle 0
+const TRANSPORT_START_LEAD_MS = 600;
+
+// Channels one user may have in a session; the owner can change it with settings.channelQuota
+const DEFAULT_CHANNEL_QUOTA = 8;
+const MAX_CHANNEL_QUOTA = 50;
+
+const DEFAULT_REVISION_LIMIT = 50;
+const MAX_REVISION_LIMIT = 200;
+
+const MAX_GROUP_NAME_LENGTH = 32;
+const MAX_SCENES = 24;
+const MAX_SCENE_NAME_LENGTH = 40;
+
+// When clients apply master changes: right away, on the next beat/bar, or on the next multiple of N cycles
+const QUANTIZE_MODES = ['immediate', 'beat', 'bar', 'cycles'];
+const DEFAULT_QUANTIZE = { mode: 'immediate', cycles: 1 };
+const MAX_QUANTIZE_CYCLES = 16;
+
+// Replays load the most recent events of a session, oldest first
+const DEFAULT_EVENT_LIMIT = 2000;
+const MAX_EVENT_LIMIT = 10000;
+
 function sanitizeTitle(title) {
   if (!title || typeof title !== 'string') {
     return 'Untitled Session';
@@ -26,15 +61,75 @@ function slugifyTitle(title) {
   return `${base}-${randomSuffix}`;
 }
 
+const MIN_CHANNEL_VOLUME_DB = -60;
+const MAX_CHANNEL_VOLUME_DB = 6;
+
+function clampNumber(value, min, max) {
+  const numeric = Number(value);
+  if (!Number.isFinite(numeric)) {
+    return null;
+  }
+  return Math.min(Math.max(numeric, min), max);
+}
+
+function formatMixNumber(value) {
+  return Number(value.toFixed(3)).toString();
+}
+
+/**
+ * Mixer modifiers for one channel: volume is stored in dB (0 dB = unity),
+ * pan as -1..1 and converted to Strudel's 0..1 range.
+ */
+function buildChannelMixSuffix(channel) {
+  const modifiers = [];
+  const volumeDb = clampNumber(channel.volume, MIN_CHANNEL_VOLUME_DB, MAX_CHANNEL_VOLUME_DB);
+  if (volumeDb !== null && volumeDb !== 0) {
+    const gain = volumeDb <= MIN_CHANNEL_VOLUME_DB ? 0 : Math.pow(10, volumeDb / 20);
+    modifiers.push(`.gain(${formatMixNumber(gain)})`);
+  }
+  const pan = clampNumber(channel.pan, -1, 1);
+  if (pan !== null && pan !== 0) {
+    modifiers.push(`.pan(${formatMixNumber((pan + 1) / 2)})`);
+  }
+  return modifiers.join('');
+}
+
+function sanitizeGroupName(group) {
+  if (typeof group !== 'string') {
+    return null;
+  }
+  return group.trim().slice(0, MAX_GROUP_NAME_LENGTH) || null;
+}
+
+function normalizeQuantize(quantize) {
+  if (!quantize || !QUANTIZE_MODES.includes(quantize.mode)) {
+    return { ...DEFAULT_QUANTIZE };
+  }
+  const cycles = Math.round(clampNumber(quantize.cycles, 1, MAX_QUANTIZE_CYCLES) ?? 1);
+  return { mode: quantize.mode, cycles: quantize.mode === 'cycles' ? cycles : 1 };
+}
+
+// Merge order: explicit position, then creation time for channels that share one
+const CHANNEL_ORDER = [
+  { position: 'asc' },
+  { createdAt: 'asc' }
+];
+
+/**
+ * Build the master from live channels, in the order given (see CHANNEL_ORDER)
+ */
 function buildMergedPatterns(channels) {
   const liveChannels = channels.filter(channel => LIVE_STATUSES.has(channel.status));
   if (!liveChannels.length) {
     return { masterCode: '', mergedStack: '' };
   }
 
+  // Any solo silences every channel that is not soloed; mute always wins
+  const hasSolo = liveChannels.some(channel => channel.solo);
+
   const trimmedChannels = liveChannels
     .map((channel, index) => {
-      const safeCode = (channel.code || '').trim();
+      const safeCode = (channel.code || '').trim().replace(/;+$/, '');
       if (!safeCode) {
         return null;
       }
@@ -42,10 +137,17 @@ function buildMergedPatterns(channels) {
         channel.name ||
         channel.elementId ||
         `channel-${index + 1}`;
-      const prefix = `// ${label} — ${channel.user?.artistName || channel.user?.name || 'anonymous'}`;
+      const audible = !channel.muted && (!hasSolo || channel.solo);
+      const mixState = channel.muted ? ' [muted]' : channel.solo ? ' [solo]' : '';
+      const groupTag = channel.group ? `[${channel.group}] ` : '';
+      const prefix = `// ${groupTag}${label} — ${channel.user?.artistName || channel.user?.name || 'anonymous'}${mixState}`;
+      // Wrap in parentheses so the mix applies to the whole channel expression
+      const mixSuffix = buildChannelMixSuffix(channel);
+      const code = mixSuffix ? `(${safeCode})${mixSuffix}` : safeCode;
       return {
-        code: safeCode,
-        annotated: `${prefix}\n${safeCode}`
+        code,
+        audible,
+        annotated: `${prefix}\n${audible ? code : safeCode.replace(/^/gm, '// ')}`
       };
     })
     .filter(Boolean);
@@ -54,8 +156,11 @@ function buildMergedPatterns(channels) {
     return { masterCode: '', mergedStack: '' };
   }
 
+  const audibleChannels = trimmedChannels.filter(item => item.audible);
   const masterCode = trimmedChannels.map(item => item.annotated).join('\n\n');
-  const mergedStack = `stack([\n  ${trimmedChannels.map(item => item.code).join(',\n  ')}\n])`;
+  const mergedStack = audibleChannels.length
+    ? `stack([\n  ${audibleChannels.map(item => item.code).join(',\n  ')}\n])`
+    : 'silence';
   return { masterCode, mergedStack };
 }
 
@@ -81,9 +186,13 @@ function toChannelPayload(channel) {
     elementId: channel.elementId,
     name: channel.name,
     status: channel.status,
+    position: channel.position,
+    group: channel.group,
     code: channel.code,
     volume: channel.volume,
     pan: channel.pan,
+    muted: channel.muted,
+    solo: channel.solo,
     metadata: channel.metadata,
     lastEvaluatedAt: channel.lastEvaluatedAt,
     updatedAt: channel.updatedAt,
@@ -97,6 +206,38 @@ function toChannelPayload(channel) {
   };
 }
 
+function toRevisionPayload(revision) {
+  return {
+    id: revision.id,
+    channelId: revision.channelId,
+    sessionId: revision.sessionId,
+    userId: revision.userId,
+    code: revision.code,
+    appliedToMaster: revision.appliedToMaster,
+    createdAt: revision.createdAt,
+    user: revision.user && {
+      id: revision.user.id,
+      name: revision.user.name,
+      artistName: revision.user.artistName,
+      avatarUrl: revision.user.avatarUrl
+    }
+  };
+}
+
+function toEventPayload(event) {
+  return {
+    id: event.id,
+    type: event.type,
+    payload: event.payload || {},
+    createdAt: event.createdAt,
+    user: event.user && {
+      id: event.user.id,
+      name: event.user.name,
+      artistName: event.user.artistName
+    }
+  };
+}
+
 function toInvitePayload(invite) {
   if (!invite) return null;
   return {
@@ -134,6 +275,8 @@ function shapeSession(session) {
     applyDelayMs: session.applyDelayMs,
     cpuStats: session.cpuStats || {},
     settings: session.settings || {},
+    // The token itself is only handed to the owner (getListenLink)
+    hasListenLink: !!session.listenToken,
     createdAt: session.createdAt,
     updatedAt: session.updatedAt,
     owner: session.owner && {
@@ -151,6 +294,43 @@ function shapeSession(session) {
   };
 }
 
+/**
+ * Shared transport position: playing from `anchorCycle` at server time `anchorTime` (epoch ms).
+ * One cycle is one bar, so cycles per second = tempo / 240 (same as the client's .cpm() tempo).
+ */
+function transportCycleAt(transport, serverTime) {
+  if (!transport?.playing) {
+    return transport?.anchorCycle || 0;
+  }
+  const elapsedSeconds = (serverTime - transport.anchorTime) / 1000;
+  return transport.anchorCycle + elapsedSeconds * (transport.tempo / 240);
+}
+
+/**
+ * What anonymous listen-link viewers get: enough to play the master, nothing about participants
+ */
+export function toListenerSnapshot(snapshot) {
+  if (!snapshot) {
+    return null;
+  }
+  return {
+    id: snapshot.id,
+    title: snapshot.title,
+    owner: snapshot.owner && {
+      name: snapshot.owner.name,
+      artistName: snapshot.owner.artistName
+    },
+    masterCode: snapshot.masterCode,
+    mergedStack: snapshot.mergedStack,
+    applyDelayMs: snapshot.applyDelayMs,
+    settings: {
+      transport: snapshot.settings?.transport || null,
+      quantize: snapshot.settings?.quantize || null
+    },
+    updatedAt: snapshot.updatedAt
+  };
+}
+
 function sampleCpuStats() {
   const memoryUsage = process.memoryUsage();
   const loadAvg = os.loadavg();
@@ -242,6 +422,7 @@ class CollabSessionManager extends EventEmitter {
         role: 'owner'
       }
     });
+    await this.recordEvent(session.id, ownerId, 'session.created', { title: safeTitle });
 
     return this.refreshSessionCache(session.id);
   }
@@ -293,10 +474,7 @@ class CollabSessionManager extends EventEmitter {
               }
             }
           },
-          orderBy: [
-            { status: 'desc' },
-            { updatedAt: 'desc' }
-          ]
+          orderBy: CHANNEL_ORDER
         }
       }
     });
@@ -319,6 +497,17 @@ class CollabSessionManager extends EventEmitter {
 
   async joinSession(sessionId, userId) {
     sessionId = await this.requireSessionId(sessionId);
+    const session = await prisma.collabSession.findUnique({
+      where: { id: sessionId },
+      select: { ownerId: true, settings: true }
+    });
+    if (!session) {
+      return null;
+    }
+    // Leaving deletes the participant row, so assigned roles are remembered in settings
+    const role = session.ownerId === userId
+      ? 'owner'
+      : normalizeSessionRole(session.settings?.roleAssignments?.[userId]) || DEFAULT_SESSION_ROLE;
     await prisma.sessionParticipant.upsert({
       where: {
         sessionId_userId: {
@@ -328,13 +517,90 @@ class CollabSessionManager extends EventEmitter {
       },
       create: {
         sessionId,
-        userId
+        userId,
+        role
       },
       update: {}
     });
     return this.refreshSessionCache(sessionId);
   }
 
+  /**
+   * A user's role in a session: 'owner', 'editor', 'performer', 'listener', or null for non-participants
+   */
+  async getParticipantRole(sessionId, userId) {
+    const snapshot = await this.getSessionSnapshot(sessionId);
+    if (!snapshot || !userId) {
+      return null;
+    }
+    if (snapshot.owner?.id === userId) {
+      return 'owner';
+    }
+    const participant = snapshot.participants.find(item => item.user?.id === userId);
+    return participant ? normalizeSessionRole(participant.role) : null;
+  }
+
+  async assertPermission(sessionId, userId, permission, message) {
+    const role = await this.getParticipantRole(sessionId, userId);
+    if (!roleCan(role, permission)) {
+      throw new Error(message || `Your session role (${role || 'none'}) is not allowed to do that`);
+    }
+    return role;
+  }
+
+  /**
+   * Check an own/any channel permission (action: 'edit', 'publish' or 'mix')
+   */
+  async assertChannelPermission(sessionId, userId, channel, action) {
+    const role = await this.getParticipantRole(sessionId, userId);
+    if (!roleCanOnChannel(role, action, channel.userId === userId)) {
+      const scope = channel.userId === userId ? 'your' : "another participant's";
+      throw new Error(`Your session role (${role || 'none'}) is not allowed to ${action} ${scope} channel`);
+    }
+    return role;
+  }
+
+  /**
+   * Change a participant's role (owner only)
+   */
+  async updateParticipantRole(sessionId, ownerId, targetUserId, role) {
+    sessionId = await this.requireSessionId(sessionId);
+    const session = await prisma.collabSession.findUnique({
+      where: { id: sessionId },
+      select: { ownerId: true, settings: true }
+    });
+    if (!session) {
+      throw new Error('Session not found');
+    }
+    if (session.ownerId !== ownerId) {
+      throw new Error('Only the session owner can change roles');
+    }
+    if (targetUserId === session.ownerId) {
+      throw new Error('The session owner role cannot be changed');
+    }
+    if (!ASSIGNABLE_SESSION_ROLES.includes(role)) {
+      throw new Error(`Unknown role. Use one of: ${ASSIGNABLE_SESSION_ROLES.join(', ')}`);
+    }
+    const updated = await prisma.sessionParticipant.updateMany({
+      where: { sessionId, userId: targetUserId },
+      data: { role }
+    });
+    if (!updated.count) {
+      throw new Error('Participant not found');
+    }
+    const settings = session.settings || {};
+    await prisma.collabSession.update({
+      where: { id: sessionId },
+      data: {
+        settings: {
+          ...settings,
+          roleAssignments: { ...(settings.roleAssignments || {}), [targetUserId]: role }
+        }
+      }
+    });
+    return this.refreshSessionCache(sessionId);
+  }
+
   async leaveSession(sessionId, userId) {
     sessionId = await this.requireSessionId(sessionId);
     await prisma.sessionParticipant.deleteMany({
@@ -354,16 +620,39 @@ class CollabSessionManager extends EventEmitter {
       status = 'draft',
       elementId = null,
       name = null,
-      volume = null,
-      pan = null,
+      volume,
+      pan,
+      group,
       metadata = null
     } = payload;
+    // Mixer values and the group have their own updates; code pushes only set them when given
+    const optionalData = {};
+    if (volume !== undefined) {
+      optionalData.volume = clampNumber(volume, MIN_CHANNEL_VOLUME_DB, MAX_CHANNEL_VOLUME_DB);
+    }
+    if (pan !== undefined) {
+      optionalData.pan = clampNumber(pan, -1, 1);
+    }
+    if (group !== undefined) {
+      optionalData.group = sanitizeGroupName(group);
+    }
 
     const trimmedCode = (code || '').trim();
     if (!trimmedCode) {
       throw new Error('Channel code cannot be empty');
     }
 
+    const existing = channelId ? await this.requireSessionChannel(sessionId, channelId) : null;
+    if (existing) {
+      await this.assertChannelPermission(sessionId, userId, existing, 'edit');
+    } else {
+      await this.assertPermission(sessionId, userId, 'channel.create');
+      await this.assertChannelQuota(sessionId, userId);
+    }
+    if (LIVE_STATUSES.has(status) && existing?.status !== status) {
+      await this.assertChannelPermission(sessionId, userId, existing || { userId }, 'publish');
+    }
+
     let channel;
     if (channelId) {
       channel = await prisma.sessionChannel.update({
@@ -373,23 +662,27 @@ class CollabSessionManager extends EventEmitter {
           status,
           elementId,
           name,
-          volume,
-          pan,
+          ...optionalData,
           metadata,
           lastEvaluatedAt: new Date()
         }
       });
     } else {
+      // New channels go to the end of the stack
+      const { _max: last } = await prisma.sessionChannel.aggregate({
+        where: { sessionId },
+        _max: { position: true }
+      });
       channel = await prisma.sessionChannel.create({
         data: {
           sessionId,
           userId,
+          position: (last?.position ?? -1) + 1,
           code: trimmedCode,
           status,
           elementId,
           name,
-          volume,
-          pan,
+          ...optionalData,
           metadata,
           lastEvaluatedAt: new Date()
         }
@@ -405,13 +698,73 @@ class CollabSessionManager extends EventEmitter {
         appliedToMaster: LIVE_STATUSES.has(status)
       }
     });
+    await this.recordEvent(sessionId, userId, 'channel.saved', {
+      channelId: channel.id,
+      name: channel.name,
+      status: channel.status,
+      code: trimmedCode
+    });
 
+    this.emit('channelCodeChanged', sessionId, channel.id, trimmedCode);
     this.scheduleMasterRefresh(sessionId);
     return this.refreshSessionCache(sessionId);
   }
 
-  async publishChannel(sessionId, channelId, status = 'live') {
+  async assertChannelQuota(sessionId, userId) {
+    const session = await prisma.collabSession.findUnique({
+      where: { id: sessionId },
+      select: { settings: true }
+    });
+    const configured = Number(session?.settings?.channelQuota);
+    const quota = Number.isInteger(configured) && configured > 0
+      ? Math.min(configured, MAX_CHANNEL_QUOTA)
+      : DEFAULT_CHANNEL_QUOTA;
+    const count = await prisma.sessionChannel.count({ where: { sessionId, userId } });
+    if (count >= quota) {
+      throw new Error(`Channel quota reached (${quota} per participant). Update or remove one of your channels instead.`);
+    }
+  }
+
+  /**
+   * Persist code produced by live co-editing (see collabDocumentManager); permissions are checked there.
+   * Debounced writes pass snapshot: false so only explicit saves add a revision and a channel.saved event.
+   */
+  async saveChannelCode(sessionId, userId, channelId, code, { snapshot = true } = {}) {
+    sessionId = await this.requireSessionId(sessionId);
+    const channel = await prisma.sessionChannel.update({
+      where: { id: channelId },
+      data: {
+        code,
+        lastEvaluatedAt: new Date()
+      }
+    });
+    if (snapshot) {
+      await prisma.sessionChannelRevision.create({
+        data: {
+          channelId,
+          sessionId,
+          userId,
+          code,
+          appliedToMaster: LIVE_STATUSES.has(channel.status)
+        }
+      });
+      await this.recordEvent(sessionId, userId, 'channel.saved', {
+        channelId,
+        name: channel.name,
+        status: channel.status,
+        code
+      });
+    }
+    if (LIVE_STATUSES.has(channel.status)) {
+      this.scheduleMasterRefresh(sessionId);
+    }
+    return this.refreshSessionCache(sessionId);
+  }
+
+  async publishChannel(sessionId, userId, channelId, status = 'live') {
     sessionId = await this.requireSessionId(sessionId);
+    const channel = await this.requireSessionChannel(sessionId, channelId);
+    await this.assertChannelPermission(sessionId, userId, channel, 'publish');
     await prisma.sessionChannel.update({
       where: { id: channelId },
       data: {
@@ -419,13 +772,216 @@ class CollabSessionManager extends EventEmitter {
         lastEvaluatedAt: new Date()
       }
     });
+    await this.recordEvent(sessionId, userId, 'channel.published', { channelId, status });
+    this.scheduleMasterRefresh(sessionId);
+    return this.refreshSessionCache(sessionId);
+  }
+
+  /**
+   * Update a channel's shared mixer strip (volume dB, pan -1..1, muted, solo).
+   * The owner may change any strip; other roles only their own channel's (listeners none).
+   */
+  async updateChannelMix(sessionId, userId, channelId, mix = {}) {
+    sessionId = await this.requireSessionId(sessionId);
+    const channel = await this.requireSessionChannel(sessionId, channelId);
+    await this.assertChannelPermission(sessionId, userId, channel, 'mix');
+
+    const data = {};
+    if (mix.volume !== undefined) {
+      data.volume = clampNumber(mix.volume, MIN_CHANNEL_VOLUME_DB, MAX_CHANNEL_VOLUME_DB);
+    }
+    if (mix.pan !== undefined) {
+      data.pan = clampNumber(mix.pan, -1, 1);
+    }
+    if (mix.muted !== undefined) {
+      data.muted = Boolean(mix.muted);
+    }
+    if (mix.solo !== undefined) {
+      data.solo = Boolean(mix.solo);
+    }
+    if (!Object.keys(data).length) {
+      throw new Error('No mix changes provided');
+    }
+
+    await prisma.sessionChannel.update({
+      where: { id: channelId },
+      data
+    });
+    await this.recordEvent(sessionId, userId, 'channel.mixed', { channelId, ...data });
+    this.scheduleMasterRefresh(sessionId);
+    return this.refreshSessionCache(sessionId);
+  }
+
+  /**
+   * Set the merged stack order; channels left out keep their relative order after the listed ones
+   */
+  async reorderChannels(sessionId, userId, channelIds = []) {
+    sessionId = await this.requireSessionId(sessionId);
+    await this.assertPermission(sessionId, userId, 'channel.arrange');
+    if (!Array.isArray(channelIds) || !channelIds.length) {
+      throw new Error('channelIds must be a non-empty list');
+    }
+    const channels = await prisma.sessionChannel.findMany({
+      where: { sessionId },
+      select: { id: true },
+      orderBy: CHANNEL_ORDER
+    });
+    const known = new Set(channels.map(channel => channel.id));
+    const listed = [...new Set(channelIds)].filter(id => known.has(id));
+    if (listed.length !== new Set(channelIds).size) {
+      throw new Error('Channel not found');
+    }
+    const order = [...listed, ...channels.map(channel => channel.id).filter(id => !listed.includes(id))];
+
+    await prisma.$transaction(order.map((id, position) => prisma.sessionChannel.update({
+      where: { id },
+      data: { position }
+    })));
+    await this.recordEvent(sessionId, userId, 'channels.reordered', { channelIds: order });
+    this.scheduleMasterRefresh(sessionId);
+    return this.refreshSessionCache(sessionId);
+  }
+
+  /**
+   * Put a channel in a named group (e.g. drums, bass, keys); an empty name removes it from its group
+   */
+  async updateChannelGroup(sessionId, userId, channelId, group) {
+    sessionId = await this.requireSessionId(sessionId);
+    const channel = await this.requireSessionChannel(sessionId, channelId);
+    await this.assertChannelPermission(sessionId, userId, channel, 'edit');
+    const nextGroup = sanitizeGroupName(group);
+    await prisma.sessionChannel.update({
+      where: { id: channelId },
+      data: { group: nextGroup }
+    });
+    await this.recordEvent(sessionId, userId, 'channel.grouped', { channelId, group: nextGroup });
     this.scheduleMasterRefresh(sessionId);
     return this.refreshSessionCache(sessionId);
   }
 
-  async overrideMasterCode(sessionId, userId, masterCode) {
+  async requireSessionChannel(sessionId, channelId) {
+    const channel = await prisma.sessionChannel.findFirst({
+      where: { id: channelId, sessionId },
+      select: { id: true, userId: true, status: true, code: true, session: { select: { ownerId: true } } }
+    });
+    if (!channel) {
+      throw new Error('Channel not found');
+    }
+    return channel;
+  }
+
+  /**
+   * List a channel's revisions, newest first
+   */
+  async listChannelRevisions(sessionId, userId, channelId, { limit = DEFAULT_REVISION_LIMIT } = {}) {
     sessionId = await this.requireSessionId(sessionId);
-    const payload = (masterCode || '').trim();
+    if (!await this.getParticipantRole(sessionId, userId)) {
+      throw new Error('You are not allowed to view this channel\'s history');
+    }
+    await this.requireSessionChannel(sessionId, channelId);
+    const take = Math.min(Math.max(Number(limit) || DEFAULT_REVISION_LIMIT, 1), MAX_REVISION_LIMIT);
+    const revisions = await prisma.sessionChannelRevision.findMany({
+      where: { channelId, sessionId },
+      include: {
+        user: {
+          select: {
+            id: true,
+            name: true,
+            artistName: true,
+            avatarUrl: true
+          }
+        }
+      },
+      orderBy: { createdAt: 'desc' },
+      take
+    });
+    return revisions.map(toRevisionPayload);
+  }
+
+  /**
+   * Line diff between two revisions of a channel; toRevisionId defaults to the channel's current code
+   */
+  async diffChannelRevisions(sessionId, userId, channelId, fromRevisionId, toRevisionId = null) {
+    sessionId = await this.requireSessionId(sessionId);
+    if (!await this.getParticipantRole(sessionId, userId)) {
+      throw new Error('You are not allowed to view this channel\'s history');
+    }
+    const channel = await this.requireSessionChannel(sessionId, channelId);
+    const ids = [fromRevisionId, toRevisionId].filter(Boolean);
+    const revisions = await prisma.sessionChannelRevision.findMany({
+      where: { id: { in: ids }, channelId, sessionId },
+      select: { id: true, code: true, createdAt: true }
+    });
+    const from = revisions.find(revision => revision.id === fromRevisionId);
+    const to = toRevisionId
+      ? revisions.find(revision => revision.id === toRevisionId)
+      : { id: null, code: channel.code, createdAt: null };
+    if (!from || !to) {
+      throw new Error('Revision not found');
+    }
+    return {
+      from: { id: from.id, createdAt: from.createdAt },
+      to: { id: to.id, createdAt: to.createdAt },
+      ...diffLines(from.code, to.code)
+    };
+  }
+
+  /**
+   * Make an old revision the channel's current code, as a draft or straight to the live master.
+   * The restore is itself recorded as a new revision so it can be undone the same way.
+   */
+  async restoreChannelRevision(sessionId, userId, channelId, revisionId, status = null) {
+    sessionId = await this.requireSessionId(sessionId);
+    const channel = await this.requireSessionChannel(sessionId, channelId);
+    await this.assertChannelPermission(sessionId, userId, channel, 'edit');
+    if (status && LIVE_STATUSES.has(status) && status !== channel.status) {
+      await this.assertChannelPermission(sessionId, userId, channel, 'publish');
+    }
+    const revision = await prisma.sessionChannelRevision.findFirst({
+      where: { id: revisionId, channelId, sessionId },
+      select: { code: true }
+    });
+    if (!revision) {
+      throw new Error('Revision not found');
+    }
+
+    const nextStatus = status || channel.status;
+    await prisma.sessionChannel.update({
+      where: { id: channelId },
+      data: {
+        code: revision.code,
+        status: nextStatus,
+        lastEvaluatedAt: new Date()
+      }
+    });
+    await prisma.sessionChannelRevision.create({
+      data: {
+        channelId,
+        sessionId,
+        userId,
+        code: revision.code,
+        appliedToMaster: LIVE_STATUSES.has(nextStatus)
+      }
+    });
+    await this.recordEvent(sessionId, userId, 'channel.saved', {
+      channelId,
+      status: nextStatus,
+      code: revision.code,
+      restoredFrom: revisionId
+    });
+
+    this.emit('channelCodeChanged', sessionId, channelId, revision.code);
+    this.scheduleMasterRefresh(sessionId);
+    return this.refreshSessionCache(sessionId);
+  }
+
+  /**
+   * Persist co-edited master text as-is (trimming would desync it from the live document).
+   * Pass snapshot: false for debounced writes so no master.overridden event is recorded.
+   */
+  async overrideMasterCode(sessionId, userId, masterCode, { snapshot = true } = {}) {
+    sessionId = await this.requireSessionId(sessionId);
+    const payload = masterCode || '';
     await prisma.collabSession.update({
       where: { id: sessionId },
       data: {
@@ -434,8 +990,14 @@ class CollabSessionManager extends EventEmitter {
         updatedAt: new Date()
       }
     });
+    if (snapshot) {
+      await this.recordEvent(sessionId, userId, 'master.overridden', { masterCode: payload });
+    }
 
-    return this.refreshSessionCache(sessionId);
+    const updatedSnapshot = await this.refreshSessionCache(sessionId);
+    // Session members and listen-link viewers both follow masterUpdated
+    this.emit('masterUpdated', sessionId, { masterCode: payload, mergedStack: payload });
+    return updatedSnapshot;
   }
 
   scheduleMasterRefresh(sessionId) {
@@ -455,7 +1017,10 @@ class CollabSessionManager extends EventEmitter {
     this.pendingMasterTimers.set(sessionId, timer);
   }
 
-  async applyMasterRefresh(sessionId) {
+  /**
+   * @param {Object} [switchOptions] - passed along with masterUpdated, e.g. { quantize: { mode: 'bar', cycles: 1 }, sceneId }
+   */
+  async applyMasterRefresh(sessionId, switchOptions = {}) {
     const channels = await prisma.sessionChannel.findMany({
       where: { sessionId },
       include: {
@@ -468,10 +1033,7 @@ class CollabSessionManager extends EventEmitter {
           }
         }
       },
-      orderBy: [
-        { status: 'desc' },
-        { updatedAt: 'desc' }
-      ]
+      orderBy: CHANNEL_ORDER
     });
 
     const { masterCode, mergedStack } = buildMergedPatterns(channels);
@@ -497,26 +1059,339 @@ class CollabSessionManager extends EventEmitter {
       }
     });
 
+    if (masterCode !== snapshot?.masterCode || mergedStack !== snapshot?.mergedStack) {
+      await this.recordEvent(sessionId, null, 'master.rebuilt', { masterCode, mergedStack });
+    }
+
     const updatedSnapshot = await this.refreshSessionCache(sessionId);
     this.emit('sessionUpdated', sessionId, updatedSnapshot);
     if (masterCode) {
       this.emit('masterUpdated', sessionId, {
+        ...switchOptions,
         masterCode: updatedSnapshot.masterCode,
         mergedStack: updatedSnapshot.mergedStack
       });
     }
   }
 
-  async adjustDelay(sessionId, applyDelayMs) {
+  /**
+   * Save a scene: a named set of channels that should be live together. Without channelIds the scene
+   * captures the channels that are live right now. Scenes live in session.settings.scenes.
+   */
+  async saveScene(sessionId, userId, { sceneId = null, name, channelIds } = {}) {
+    sessionId = await this.requireSessionId(sessionId);
+    await this.assertPermission(sessionId, userId, 'scenes.manage', 'Only the session owner can manage scenes');
+    const session = await prisma.collabSession.findUnique({
+      where: { id: sessionId },
+      select: { settings: true, channels: { select: { id: true, status: true } } }
+    });
+    const settings = session.settings || {};
+    const scenes = Array.isArray(settings.scenes) ? settings.scenes : [];
+    const known = new Set(session.channels.map(channel => channel.id));
+    const sceneChannelIds = Array.isArray(channelIds)
+      ? [...new Set(channelIds)].filter(id => known.has(id))
+      : session.channels.filter(channel => LIVE_STATUSES.has(channel.status)).map(channel => channel.id);
+    const sceneName = typeof name === 'string' && name.trim()
+      ? name.trim().slice(0, MAX_SCENE_NAME_LENGTH)
+      : `Scene ${scenes.length + 1}`;
+
+    const existing = sceneId ? scenes.find(scene => scene.id === sceneId) : null;
+    if (sceneId && !existing) {
+      throw new Error('Scene not found');
+    }
+    if (!existing && scenes.length >= MAX_SCENES) {
+      throw new Error(`A session can have at most ${MAX_SCENES} scenes`);
+    }
+    const scene = {
+      id: existing?.id || crypto.randomUUID(),
+      name: sceneName,
+      channelIds: sceneChannelIds
+    };
+    const nextScenes = existing
+      ? scenes.map(item => (item.id === scene.id ? scene : item))
+      : [...scenes, scene];
+
+    await prisma.collabSession.update({
+      where: { id: sessionId },
+      data: { settings: { ...settings, scenes: nextScenes } }
+    });
+    await this.recordEvent(sessionId, userId, 'scene.saved', scene);
+    return this.refreshSessionCache(sessionId);
+  }
+
+  async deleteScene(sessionId, userId, sceneId) {
+    sessionId = await this.requireSessionId(sessionId);
+    await this.assertPermission(sessionId, userId, 'scenes.manage', 'Only the session owner can manage scenes');
+    const session = await prisma.collabSession.findUnique({
+      where: { id: sessionId },
+      select: { settings: true }
+    });
+    const settings = session.settings || {};
+    const scenes = Array.isArray(settings.scenes) ? settings.scenes : [];
+    if (!scenes.some(scene => scene.id === sceneId)) {
+      throw new Error('Scene not found');
+    }
+    await prisma.collabSession.update({
+      where: { id: sessionId },
+      data: { settings: { ...settings, scenes: scenes.filter(scene => scene.id !== sceneId) } }
+    });
+    await this.recordEvent(sessionId, userId, 'scene.deleted', { sceneId });
+    return this.refreshSessionCache(sessionId);
+  }
+
+  /**
+   * Make exactly the scene's channels live. The master is rebuilt right away (no apply delay) and marked
+   * so clients switch on their next cycle boundary, which with a shared transport is the same moment for everyone.
+   */
+  async triggerScene(sessionId, userId, sceneId) {
+    sessionId = await this.requireSessionId(sessionId);
+    await this.assertPermission(sessionId, userId, 'scenes.manage', 'Only the session owner can trigger scenes');
+    const session = await prisma.collabSession.findUnique({
+      where: { id: sessionId },
+      select: { settings: true }
+    });
+    const scene = (session.settings?.scenes || []).find(item => item.id === sceneId);
+    if (!scene) {
+      throw new Error('Scene not found');
+    }
+
+    await prisma.$transaction([
+      prisma.sessionChannel.updateMany({
+        where: { sessionId, id: { in: scene.channelIds }, status: { notIn: [...LIVE_STATUSES] } },
+        data: { status: 'live', lastEvaluatedAt: new Date() }
+      }),
+      prisma.sessionChannel.updateMany({
+        where: { sessionId, id: { notIn: scene.channelIds }, status: { in: [...LIVE_STATUSES] } },
+        data: { status: 'draft', lastEvaluatedAt: new Date() }
+      })
+    ]);
+    await this.recordEvent(sessionId, userId, 'scene.triggered', {
+      sceneId: scene.id,
+      name: scene.name,
+      channelIds: scene.channelIds
+    });
+
+    // Scenes never cut in mid-bar, even in sessions that otherwise apply changes immediately
+    const quantize = normalizeQuantize(session.settings?.quantize);
+    clearTimeout(this.pendingMasterTimers.get(sessionId));
+    this.pendingMasterTimers.delete(sessionId);
+    await this.applyMasterRefresh(sessionId, {
+      quantize: quantize.mode === 'immediate' || quantize.mode === 'beat' ? { mode: 'bar', cycles: 1 } : quantize,
+      sceneId: scene.id
+    });
+    return this.getSessionSnapshot(sessionId);
+  }
+
+  async adjustDelay(sessionId, applyDelayMs, userId = null) {
     sessionId = await this.requireSessionId(sessionId);
     const clamped = Math.min(Math.max(applyDelayMs ?? 0, MIN_DELAY_MS), MAX_DELAY_MS);
     await prisma.collabSession.update({
       where: { id: sessionId },
       data: { applyDelayMs: clamped }
     });
+    await this.recordEvent(sessionId, userId, 'delay.changed', { applyDelayMs: clamped });
     return this.refreshSessionCache(sessionId);
   }
 
+  /**
+   * Start, stop or retempo the session transport (owner only). Stored in session.settings.transport.
+   * @param {{action: 'start'|'stop'|'tempo', tempo?: number}} change
+   */
+  async updateTransport(sessionId, userId, { action, tempo } = {}) {
+    sessionId = await this.requireSessionId(sessionId);
+    const session = await prisma.collabSession.findUnique({
+      where: { id: sessionId },
+      select: { ownerId: true, settings: true }
+    });
+    if (!session) {
+      throw new Error('Session not found');
+    }
+    if (!roleCan(await this.getParticipantRole(sessionId, userId), 'transport.control')) {
+      throw new Error('Only the session owner can control the transport');
+    }
+    if (!['start', 'stop', 'tempo'].includes(action)) {
+      throw new Error('Unknown transport action');
+    }
+
+    const settings = session.settings || {};
+    const previous = settings.transport || {
+      playing: false,
+      tempo: DEFAULT_TRANSPORT_TEMPO,
+      anchorTime: null,
+      anchorCycle: 0
+    };
+    const now = Date.now();
+    const nextTempo = tempo === undefined || tempo === null
+      ? previous.tempo
+      : Math.round(clampNumber(tempo, MIN_TRANSPORT_TEMPO, MAX_TRANSPORT_TEMPO) ?? previous.tempo);
+
+    let transport;
+    if (action === 'start') {
+      transport = {
+        playing: true,
+        tempo: nextTempo,
+        anchorTime: now + TRANSPORT_START_LEAD_MS,
+        anchorCycle: 0
+      };
+    } else if (action === 'stop') {
+      transport = {
+        playing: false,
+        tempo: nextTempo,
+        anchorTime: null,
+        anchorCycle: 0
+      };
+    } else {
+      // Re-anchor at the current position so a tempo change doesn't make everyone jump
+      transport = {
+        ...previous,
+        tempo: nextTempo,
+        anchorTime: previous.playing ? now : previous.anchorTime,
+        anchorCycle: previous.playing ? transportCycleAt(previous, now) : previous.anchorCycle
+      };
+    }
+    transport.updatedAt = now;
+
+    await prisma.collabSession.update({
+      where: { id: sessionId },
+      data: { settings: { ...settings, transport } }
+    });
+    await this.recordEvent(sessionId, userId, 'transport.changed', { transport });
+    const snapshot = await this.refreshSessionCache(sessionId);
+    this.emit('transportUpdated', sessionId, { ...transport, serverTime: Date.now() });
+    return snapshot;
+  }
+
+  /**
+   * Choose when clients apply master changes (owner only). Stored in session.settings.quantize.
+   * @param {{mode: 'immediate'|'beat'|'bar'|'cycles', cycles?: number}} quantize
+   */
+  async updateQuantize(sessionId, userId, quantize = {}) {
+    sessionId = await this.requireSessionId(sessionId);
+    const session = await prisma.collabSession.findUnique({
+      where: { id: sessionId },
+      select: { settings: true }
+    });
+    if (!session) {
+      throw new Error('Session not found');
+    }
+    if (!roleCan(await this.getParticipantRole(sessionId, userId), 'transport.control')) {
+      throw new Error('Only the session owner can change quantization');
+    }
+    if (!QUANTIZE_MODES.includes(quantize?.mode)) {
+      throw new Error('Unknown quantize mode');
+    }
+
+    const settings = session.settings || {};
+    const next = normalizeQuantize(quantize);
+    await prisma.collabSession.update({
+      where: { id: sessionId },
+      data: { settings: { ...settings, quantize: next } }
+    });
+    await this.recordEvent(sessionId, userId, 'quantize.changed', { quantize: next });
+    return this.refreshSessionCache(sessionId);
+  }
+
+  /**
+   * Append to the session's event log. Logging never fails the change being logged.
+   */
+  async recordEvent(sessionId, userId, type, payload = {}) {
+    try {
+      await prisma.sessionEvent.create({
+        data: { sessionId, userId: userId || null, type, payload, createdAt: new Date() }
+      });
+    } catch (error) {
+      console.error(`Failed to record ${type} event for session ${sessionId}:`, error);
+    }
+  }
+
+  /**
+   * The session's most recent events, oldest first, for replay (any participant)
+   */
+  async listSessionEvents(sessionId, userId, { limit = DEFAULT_EVENT_LIMIT } = {}) {
+    sessionId = await this.requireSessionId(sessionId);
+    if (!await this.getParticipantRole(sessionId, userId)) {
+      throw new Error('You are not allowed to replay this session');
+    }
+    const take = Math.min(Math.max(Number(limit) || DEFAULT_EVENT_LIMIT, 1), MAX_EVENT_LIMIT);
+    const events = await prisma.sessionEvent.findMany({
+      where: { sessionId },
+      include: {
+        user: {
+          select: {
+            id: true,
+            name: true,
+            artistName: true
+          }
+        }
+      },
+      orderBy: { createdAt: 'desc' },
+      take
+    });
+    return events.reverse().map(toEventPayload);
+  }
+
+  async requireOwnedSession(sessionId, userId, action) {
+    sessionId = await this.requireSessionId(sessionId);
+    const session = await prisma.collabSession.findUnique({
+      where: { id: sessionId },
+      select: { id: true, ownerId: true, listenToken: true }
+    });
+    if (!session) {
+      throw new Error('Session not found');
+    }
+    if (session.ownerId !== userId) {
+      throw new Error(`Only the session owner can ${action}`);
+    }
+    return session;
+  }
+
+  async getListenLink(sessionId, userId) {
+    const session = await this.requireOwnedSession(sessionId, userId, 'see the listen link');
+    return { token: session.listenToken || null };
+  }
+
+  /**
+   * Create (or rotate) the anonymous listen-only token; the previous link stops working
+   */
+  async createListenLink(sessionId, userId) {
+    const session = await this.requireOwnedSession(sessionId, userId, 'share a listen link');
+    const token = crypto.randomBytes(18).toString('base64url');
+    await prisma.collabSession.update({
+      where: { id: session.id },
+      data: { listenToken: token }
+    });
+    if (session.listenToken) {
+      this.emit('listenLinkRevoked', session.id);
+    }
+    await this.refreshSessionCache(session.id);
+    return { token };
+  }
+
+  async revokeListenLink(sessionId, userId) {
+    const session = await this.requireOwnedSession(sessionId, userId, 'revoke the listen link');
+    await prisma.collabSession.update({
+      where: { id: session.id },
+      data: { listenToken: null }
+    });
+    this.emit('listenLinkRevoked', session.id);
+    await this.refreshSessionCache(session.id);
+    return { token: null };
+  }
+
+  /**
+   * Session id for a listen token, or null when the token is unknown or revoked
+   */
+  async resolveListenToken(token) {
+    if (!token || typeof token !== 'string') {
+      return null;
+    }
+    const session = await prisma.collabSession.findUnique({
+      where: { listenToken: token },
+      select: { id: true }
+    });
+    return session?.id || null;
+  }
+
   async deleteSession(sessionId, userId) {
     sessionId = await this.requireSessionId(sessionId);
     const session = await prisma.collabSession.findUnique({
@@ -541,6 +1416,7 @@ class CollabSessionManager extends EventEmitter {
       clearTimeout(timer);
       this.pendingMasterTimers.delete(sessionId);
     }
+    this.emit('sessionDeleted', sessionId);
     return true;
   }
 
@@ -0,0 +1,211 @@
+import crypto from 'crypto';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { fileURLToPath } from 'url';
+import prisma from '../db.js';
+
+const DEFAULT_STORAGE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'uploads', 'samples');
+const MB = 1024 * 1024;
+
+export const MAX_SAMPLE_BYTES = Number(process.env.SAMPLE_MAX_BYTES) || 20 * MB;
+const SAMPLE_QUOTA_BYTES = Number(process.env.SAMPLE_QUOTA_BYTES) || 200 * MB;
+const MAX_NAME_LENGTH = 48;
+
+const AUDIO_EXTENSIONS = {
+  'audio/wav': 'wav',
+  'audio/wave': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/ogg': 'ogg',
+  'audio/flac': 'flac',
+  'audio/x-flac': 'flac',
+  'audio/aac': 'aac',
+  'audio/mp4': 'm4a',
+  'audio/x-m4a': 'm4a',
+  'audio/webm': 'webm'
+};
+const MIME_BY_EXTENSION = {
+  wav: 'audio/wav',
+  mp3: 'audio/mpeg',
+  ogg: 'audio/ogg',
+  flac: 'audio/flac',
+  aac: 'audio/aac',
+  m4a: 'audio/mp4',
+  webm: 'audio/webm'
+};
+
+/**
+ * Sample names become sound("name") in patterns, so keep them to what mini-notation accepts
+ */
+export function normalizeSampleName(name) {
+  return String(name || '')
+    .trim()
+    .toLowerCase()
+    .replace(/\.[a-z0-9]+$/, '')
+    .replace(/[^a-z0-9_-]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, MAX_NAME_LENGTH);
+}
+
+function resolveMimeType(contentType, originalName) {
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+  if (AUDIO_EXTENSIONS[type]) {
+    return type;
+  }
+  // Some browsers send application/octet-stream (or nothing) for .flac/.m4a
+  const extension = path.extname(String(originalName || '')).slice(1).toLowerCase();
+  return MIME_BY_EXTENSION[extension] || null;
+}
+
+function toSampleDto(sample) {
+  const extension = AUDIO_EXTENSIONS[sample.mimeType] || 'wav';
+  return {
+    id: sample.id,
+    name: sample.name,
+    originalName: sample.originalName,
+    mimeType: sample.mimeType,
+    size: sample.size,
+    fileName: `${sample.name}.${extension}`,
+    createdAt: sample.createdAt
+  };
+}
+
+/**
+ * Per-user audio uploads. Files live in a local directory (SAMPLE_STORAGE_DIR, e.g. a mounted volume)
+ * and rows in user_samples; the file URL is public so shared and public patterns resolve for everyone.
+ */
+class SampleLibrary {
+  constructor(storageDir = process.env.SAMPLE_STORAGE_DIR || DEFAULT_STORAGE_DIR) {
+    this.storageDir = path.resolve(storageDir);
+  }
+
+  filePath(storageKey) {
+    const resolved = path.resolve(this.storageDir, storageKey);
+    if (!resolved.startsWith(`${this.storageDir}${path.sep}`)) {
+      throw new Error('Invalid sample path');
+    }
+    return resolved;
+  }
+
+  async getUsage(userId, client = prisma) {
+    const { _sum } = await client.userSample.aggregate({
+      where: { userId },
+      _sum: { size: true }
+    });
+    return { used: _sum.size || 0, quota: SAMPLE_QUOTA_BYTES };
+  }
+
+  async list(userId) {
+    const [samples, usage] = await Promise.all([
+      prisma.userSample.findMany({
+        where: { userId },
+        orderBy: { createdAt: 'desc' }
+      }),
+      this.getUsage(userId)
+    ]);
+    return { samples: samples.map(toSampleDto), usage };
+  }
+
+  /**
+   * Store one uploaded file
+   * @param {string} userId
+   * @param {Object} upload
+   * @param {Buffer} upload.data - raw file bytes
+   * @param {string} upload.name - sample name used in sound("...")
+   * @param {string} [upload.contentType]
+   * @param {string} [upload.originalName]
+   */
+  async upload(userId, { data, name, contentType, originalName }) {
+    if (!Buffer.isBuffer(data) || data.length === 0) {
+      throw new Error('The uploaded file is empty');
+    }
+    if (data.length > MAX_SAMPLE_BYTES) {
+      throw new Error(`Samples can be at most ${Math.round(MAX_SAMPLE_BYTES / MB)} MB`);
+    }
+    const mimeType = resolveMimeType(contentType, originalName);
+    if (!mimeType) {
+      throw new Error('Only audio files (wav, mp3, ogg, flac, aac, m4a, webm) can be uploaded');
+    }
+    const sampleName = normalizeSampleName(name || originalName);
+    if (!sampleName) {
+      throw new Error('Sample name is required');
+    }
+
+    const id = crypto.randomUUID();
+    const storageKey = path.join(userId, `${id}.${AUDIO_EXTENSIONS[mimeType]}`);
+    const filePath = this.filePath(storageKey);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, data);
+
+    try {
+      const { sample, usage } = await prisma.$transaction(async (tx) => {
+        // Serialize each user's uploads so parallel requests can't all pass the quota check
+        await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${userId}))`;
+        const current = await this.getUsage(userId, tx);
+        if (current.used + data.length > current.quota) {
+          const freeMb = Math.max(0, (current.quota - current.used) / MB).toFixed(1);
+          throw new Error(`Sample storage quota exceeded (${freeMb} MB left)`);
+        }
+        const created = await tx.userSample.create({
+          data: {
+            id,
+            userId,
+            name: sampleName,
+            originalName: originalName ? String(originalName).slice(0, 255) : null,
+            mimeType,
+            size: data.length,
+            storageKey
+          }
+        });
+        return { sample: created, usage: current };
+      });
+      console.log(`🎵 Stored sample "${sampleName}" (${data.length} bytes) for user ${userId}`);
+      return { sample: toSampleDto(sample), usage: { ...usage, used: usage.used + data.length } };
+    } catch (error) {
+      await fs.unlink(filePath).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a sample unless a public or shared pattern still plays it
+   */
+  async remove(userId, sampleId) {
+    const sample = await prisma.userSample.findUnique({ where: { id: sampleId } });
+    if (!sample) {
+      throw new Error('Sample not found');
+    }
+    if (sample.userId !== userId) {
+      throw new Error('Only the owner can delete this sample');
+    }
+    const referencingPatterns = await prisma.pattern.count({
+      where: {
+        patternCode: { contains: sampleId },
+        OR: [{ isPublic: true }, { shares: { some: {} } }]
+      }
+    });
+    if (referencingPatterns > 0) {
+      throw new Error(`Sample is still used by ${referencingPatterns} public or shared pattern${referencingPatterns === 1 ? '' : 's'}`);
+    }
+
+    await prisma.userSample.delete({ where: { id: sampleId } });
+    await fs.unlink(this.filePath(sample.storageKey)).catch((error) => {
+      console.warn(`⚠️ Could not remove sample file ${sample.storageKey}:`, error.message);
+    });
+    return this.getUsage(userId);
+  }
+
+  /**
+   * Where to read a sample from, for the public file route
+   */
+  async getFile(sampleId) {
+    const sample = await prisma.userSample.findUnique({ where: { id: sampleId } });
+    if (!sample) {
+      throw new Error('Sample not found');
+    }
+    return { path: this.filePath(sample.storageKey), mimeType: sample.mimeType, size: sample.size };
+  }
+}
+
+export const sampleLibrary = new SampleLibrary();
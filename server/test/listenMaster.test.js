@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// No database here: fail the connection once instead of retrying in the background
+process.env.PRISMA_CONNECTION_MAX_RETRIES = '1';
+const { default: prisma } = await import('../db.js');
+const { collabSessionManager } = await import('../services/collabSessionManager.js');
+
+/**
+ * Swap a Prisma model delegate for the test's duration
+ */
+function stubModel(t, name, methods) {
+  const original = Object.getOwnPropertyDescriptor(prisma, name);
+  Object.defineProperty(prisma, name, { value: methods, configurable: true, writable: true });
+  t.after(() => {
+    if (original) {
+      Object.defineProperty(prisma, name, original);
+    } else {
+      delete prisma[name];
+    }
+  });
+  return methods;
+}
+
+test('a listen-link viewer receives an overridden master', async (t) => {
+  const collabSession = stubModel(t, 'collabSession', { update: t.mock.fn(async ({ data }) => data) });
+  t.mock.method(collabSessionManager, 'requireSessionId', async (sessionId) => sessionId);
+  t.mock.method(collabSessionManager, 'recordEvent', async () => {});
+  t.mock.method(collabSessionManager, 'refreshSessionCache', async (sessionId) => ({ id: sessionId }));
+
+  // index.js forwards masterUpdated to the listen room as master:updated
+  const received = [];
+  const forward = (sessionId, payload) => received.push({ sessionId, payload });
+  collabSessionManager.on('masterUpdated', forward);
+  t.after(() => collabSessionManager.off('masterUpdated', forward));
+
+  const masterCode = 'stack(\n  s("bd*4"),\n  note("c3 e3")\n)\n';
+  await collabSessionManager.overrideMasterCode('session-1', 'user-1', masterCode, { snapshot: false });
+
+  assert.deepEqual(received, [{ sessionId: 'session-1', payload: { masterCode, mergedStack: masterCode } }]);
+  assert.equal(collabSession.update.mock.calls[0].arguments[0].data.mergedStack, masterCode);
+  assert.equal(collabSessionManager.recordEvent.mock.callCount(), 0);
+});
@@ -0,0 +1,75 @@
+/**
+ * Line diff utility
+ * Compares two pattern revisions line by line (LCS), which is plenty for channel-sized code
+ */
+
+const MAX_DIFF_CELLS = 1_000_000;
+
+/**
+ * Diff two texts line by line
+ * @param {string} fromText - Older text
+ * @param {string} toText - Newer text
+ * @returns {{lines: Array<{type: 'same'|'added'|'removed', text: string}>, added: number, removed: number}}
+ */
+export function diffLines(fromText = '', toText = '') {
+  const from = (fromText || '').split('\n');
+  const to = (toText || '').split('\n');
+
+  // Trim the shared head and tail so the LCS table only covers the changed middle
+  let head = 0;
+  while (head < from.length && head < to.length && from[head] === to[head]) {
+    head++;
+  }
+  let tail = 0;
+  while (
+    tail < from.length - head &&
+    tail < to.length - head &&
+    from[from.length - 1 - tail] === to[to.length - 1 - tail]
+  ) {
+    tail++;
+  }
+
+  const fromMiddle = from.slice(head, from.length - tail);
+  const toMiddle = to.slice(head, to.length - tail);
+  const lines = from.slice(0, head).map(text => ({ type: 'same', text }));
+
+  if ((fromMiddle.length + 1) * (toMiddle.length + 1) > MAX_DIFF_CELLS) {
+    // Too large to align; show it as a full replacement
+    fromMiddle.forEach(text => lines.push({ type: 'removed', text }));
+    toMiddle.forEach(text => lines.push({ type: 'added', text }));
+  } else {
+    const rows = fromMiddle.length;
+    const cols = toMiddle.length;
+    const table = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+    for (let i = rows - 1; i >= 0; i--) {
+      for (let j = cols - 1; j >= 0; j--) {
+        table[i][j] = fromMiddle[i] === toMiddle[j]
+          ? table[i + 1][j + 1] + 1
+          : Math.max(table[i + 1][j], table[i][j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < rows && j < cols) {
+      if (fromMiddle[i] === toMiddle[j]) {
+        lines.push({ type: 'same', text: fromMiddle[i] });
+        i++;
+        j++;
+      } else if (table[i + 1][j] >= table[i][j + 1]) {
+        lines.push({ type: 'removed', text: fromMiddle[i++] });
+      } else {
+        lines.push({ type: 'added', text: toMiddle[j++] });
+      }
+    }
+    while (i < rows) lines.push({ type: 'removed', text: fromMiddle[i++] });
+    while (j < cols) lines.push({ type: 'added', text: toMiddle[j++] });
+  }
+
+  from.slice(from.length - tail).forEach(text => lines.push({ type: 'same', text }));
+
+  return {
+    lines,
+    added: lines.filter(line => line.type === 'added').length,
+    removed: lines.filter(line => line.type === 'removed').length
+  };
+}
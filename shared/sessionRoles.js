@@ -0,0 +1,46 @@
+/**
+ * Collab session roles and what each may do.
+ * Shared by the server, which enforces them, and the UI, which hides controls that would be rejected.
+ */
+
+export const SESSION_ROLES = ['owner', 'editor', 'performer', 'listener'];
+// Roles the owner can hand out; there is exactly one owner per session
+export const ASSIGNABLE_SESSION_ROLES = ['editor', 'performer', 'listener'];
+export const DEFAULT_SESSION_ROLE = 'editor';
+
+const ROLE_PERMISSIONS = {
+  owner: [
+    'channel.create', 'channel.editOwn', 'channel.editAny', 'channel.publishOwn', 'channel.publishAny',
+    'channel.mixOwn', 'channel.mixAny', 'channel.arrange', 'master.edit', 'roles.manage', 'scenes.manage',
+    'transport.control'
+  ],
+  editor: [
+    'channel.create', 'channel.editOwn', 'channel.editAny', 'channel.publishOwn', 'channel.publishAny',
+    'channel.mixOwn', 'channel.arrange', 'master.edit'
+  ],
+  performer: ['channel.create', 'channel.editOwn', 'channel.publishOwn', 'channel.mixOwn'],
+  // Read-only; listeners can still play the master locally
+  listener: []
+};
+
+/**
+ * Sessions created before roles existed stored everyone else as "member"
+ */
+export function normalizeSessionRole(role) {
+  if (role === 'member') {
+    return DEFAULT_SESSION_ROLE;
+  }
+  return SESSION_ROLES.includes(role) ? role : null;
+}
+
+export function roleCan(role, permission) {
+  const normalized = normalizeSessionRole(role);
+  return !!normalized && ROLE_PERMISSIONS[normalized].includes(permission);
+}
+
+/**
+ * Permission check for something that may be "own" or "any" (e.g. channel.edit, channel.publish)
+ */
+export function roleCanOnChannel(role, action, isAuthor) {
+  return roleCan(role, `channel.${action}Any`) || (isAuthor && roleCan(role, `channel.${action}Own`));
+}
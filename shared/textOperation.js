@@ -0,0 +1,286 @@
+/**
+ * Text operations for collaborative editing (operational transform).
+ * An operation is an array walking the whole document:
+ *   positive number = retain that many characters, string = insert it, negative number = delete that many.
+ * Shared by the client and the server so both sides transform identically.
+ */
+
+export const isRetain = (component) => typeof component === 'number' && component > 0;
+export const isInsert = (component) => typeof component === 'string';
+export const isDelete = (component) => typeof component === 'number' && component < 0;
+
+function pushRetain(operation, count) {
+  if (count <= 0) return;
+  const last = operation.length - 1;
+  if (isRetain(operation[last])) {
+    operation[last] += count;
+  } else {
+    operation.push(count);
+  }
+}
+
+function pushInsert(operation, text) {
+  if (!text) return;
+  const last = operation.length - 1;
+  if (isInsert(operation[last])) {
+    operation[last] += text;
+  } else if (isDelete(operation[last])) {
+    // Keep inserts before deletes so equal edits always have the same shape
+    if (isInsert(operation[last - 1])) {
+      operation[last - 1] += text;
+    } else {
+      operation.splice(last, 0, text);
+    }
+  } else {
+    operation.push(text);
+  }
+}
+
+function pushDelete(operation, count) {
+  if (count <= 0) return;
+  const last = operation.length - 1;
+  if (isDelete(operation[last])) {
+    operation[last] -= count;
+  } else {
+    operation.push(-count);
+  }
+}
+
+/**
+ * Validate an operation received over the wire
+ */
+export function isValidOperation(operation) {
+  return Array.isArray(operation) && operation.every((component) => (
+    (typeof component === 'string' && component.length > 0) ||
+    (Number.isInteger(component) && component !== 0)
+  ));
+}
+
+export function baseLength(operation) {
+  return operation.reduce((length, component) => (
+    isInsert(component) ? length : length + Math.abs(component)
+  ), 0);
+}
+
+export function targetLength(operation) {
+  return operation.reduce((length, component) => {
+    if (isRetain(component)) return length + component;
+    if (isInsert(component)) return length + component.length;
+    return length;
+  }, 0);
+}
+
+export function isNoop(operation) {
+  return !operation || operation.length === 0 || (operation.length === 1 && isRetain(operation[0]));
+}
+
+export function applyOperation(text, operation) {
+  if (baseLength(operation) !== text.length) {
+    throw new Error('Operation does not match document length');
+  }
+  const parts = [];
+  let position = 0;
+  operation.forEach((component) => {
+    if (isRetain(component)) {
+      parts.push(text.slice(position, position + component));
+      position += component;
+    } else if (isInsert(component)) {
+      parts.push(component);
+    } else {
+      position -= component;
+    }
+  });
+  return parts.join('');
+}
+
+/**
+ * Combine a then b into one operation with the same effect
+ */
+export function composeOperations(a, b) {
+  if (targetLength(a) !== baseLength(b)) {
+    throw new Error('Operations cannot be composed (length mismatch)');
+  }
+  const result = [];
+  let indexA = 0;
+  let indexB = 0;
+  let componentA = a[indexA++];
+  let componentB = b[indexB++];
+
+  while (componentA !== undefined || componentB !== undefined) {
+    if (isDelete(componentA)) {
+      pushDelete(result, -componentA);
+      componentA = a[indexA++];
+      continue;
+    }
+    if (isInsert(componentB)) {
+      pushInsert(result, componentB);
+      componentB = b[indexB++];
+      continue;
+    }
+    if (componentA === undefined || componentB === undefined) {
+      throw new Error('Operations cannot be composed (ran out of components)');
+    }
+
+    if (isRetain(componentA) && isRetain(componentB)) {
+      const length = Math.min(componentA, componentB);
+      pushRetain(result, length);
+      componentA = componentA > length ? componentA - length : a[indexA++];
+      componentB = componentB > length ? componentB - length : b[indexB++];
+    } else if (isInsert(componentA) && isDelete(componentB)) {
+      const length = Math.min(componentA.length, -componentB);
+      componentA = componentA.length > length ? componentA.slice(length) : a[indexA++];
+      componentB = -componentB > length ? componentB + length : b[indexB++];
+    } else if (isInsert(componentA) && isRetain(componentB)) {
+      const length = Math.min(componentA.length, componentB);
+      pushInsert(result, componentA.slice(0, length));
+      componentA = componentA.length > length ? componentA.slice(length) : a[indexA++];
+      componentB = componentB > length ? componentB - length : b[indexB++];
+    } else if (isRetain(componentA) && isDelete(componentB)) {
+      const length = Math.min(componentA, -componentB);
+      pushDelete(result, length);
+      componentA = componentA > length ? componentA - length : a[indexA++];
+      componentB = -componentB > length ? componentB + length : b[indexB++];
+    } else {
+      throw new Error('Operations cannot be composed');
+    }
+  }
+  return result;
+}
+
+/**
+ * Transform two concurrent operations on the same document.
+ * Returns [a', b'] so that apply(apply(doc, a), b') === apply(apply(doc, b), a').
+ * When both insert at the same spot, a's text goes first - callers pass the client op as a.
+ */
+export function transformOperations(a, b) {
+  if (baseLength(a) !== baseLength(b)) {
+    throw new Error('Operations cannot be transformed (length mismatch)');
+  }
+  const primeA = [];
+  const primeB = [];
+  let indexA = 0;
+  let indexB = 0;
+  let componentA = a[indexA++];
+  let componentB = b[indexB++];
+
+  while (componentA !== undefined || componentB !== undefined) {
+    if (isInsert(componentA)) {
+      pushInsert(primeA, componentA);
+      pushRetain(primeB, componentA.length);
+      componentA = a[indexA++];
+      continue;
+    }
+    if (isInsert(componentB)) {
+      pushRetain(primeA, componentB.length);
+      pushInsert(primeB, componentB);
+      componentB = b[indexB++];
+      continue;
+    }
+    if (componentA === undefined || componentB === undefined) {
+      throw new Error('Operations cannot be transformed (ran out of components)');
+    }
+
+    const lengthA = Math.abs(componentA);
+    const lengthB = Math.abs(componentB);
+    const length = Math.min(lengthA, lengthB);
+    if (isRetain(componentA) && isRetain(componentB)) {
+      pushRetain(primeA, length);
+      pushRetain(primeB, length);
+    } else if (isDelete(componentA) && isRetain(componentB)) {
+      pushDelete(primeA, length);
+    } else if (isRetain(componentA) && isDelete(componentB)) {
+      pushDelete(primeB, length);
+    }
+    // Both deleting the same text: nothing left for either side to do
+    componentA = lengthA > length ? Math.sign(componentA) * (lengthA - length) : a[indexA++];
+    componentB = lengthB > length ? Math.sign(componentB) * (lengthB - length) : b[indexB++];
+  }
+  return [primeA, primeB];
+}
+
+/**
+ * Move a document index (cursor) across an operation
+ */
+export function transformIndex(operation, index) {
+  let newIndex = index;
+  let position = 0;
+  for (const component of operation) {
+    if (isRetain(component)) {
+      position += component;
+    } else if (isInsert(component)) {
+      newIndex += component.length;
+    } else {
+      newIndex -= Math.min(Math.max(index - position, 0), -component);
+      position -= component;
+    }
+    if (position > index) {
+      break;
+    }
+  }
+  return newIndex;
+}
+
+/**
+ * Single replace operation turning oldText into newText (shared prefix and suffix kept)
+ */
+export function diffToOperation(oldText, newText) {
+  let prefix = 0;
+  const maxPrefix = Math.min(oldText.length, newText.length);
+  while (prefix < maxPrefix && oldText[prefix] === newText[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  const maxSuffix = maxPrefix - prefix;
+  while (
+    suffix < maxSuffix &&
+    oldText[oldText.length - 1 - suffix] === newText[newText.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+  const operation = [];
+  pushRetain(operation, prefix);
+  pushInsert(operation, newText.slice(prefix, newText.length - suffix));
+  pushDelete(operation, oldText.length - prefix - suffix);
+  pushRetain(operation, suffix);
+  return operation;
+}
+
+/**
+ * Build an operation from editor changes ({ from, to, insert } in start-document coordinates, ascending)
+ */
+export function operationFromChanges(changes, documentLength) {
+  const operation = [];
+  let position = 0;
+  changes.forEach(({ from, to, insert }) => {
+    pushRetain(operation, from - position);
+    pushInsert(operation, insert);
+    pushDelete(operation, to - from);
+    position = to;
+  });
+  pushRetain(operation, documentLength - position);
+  return operation;
+}
+
+/**
+ * Turn an operation into editor changes ({ from, to, insert } in start-document coordinates)
+ */
+export function operationToChanges(operation) {
+  const changes = [];
+  let position = 0;
+  operation.forEach((component) => {
+    if (isRetain(component)) {
+      position += component;
+    } else if (isInsert(component)) {
+      changes.push({ from: position, to: position, insert: component });
+    } else {
+      const last = changes[changes.length - 1];
+      if (last && last.to === position) {
+        last.to = position - component;
+      } else {
+        changes.push({ from: position, to: position - component, insert: '' });
+      }
+      position -= component;
+    }
+  });
+  return changes;
+}
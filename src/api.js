@@ -267,6 +267,45 @@ export const patternsAPI = {
   }
 };
 
+/**
+ * User sample library API
+ */
+export const samplesAPI = {
+  /**
+   * List the current user's samples
+   * @returns {Promise<{samples: Array, usage: {used: number, quota: number}}>}
+   */
+  async getSamples() {
+    return apiRequest('/samples');
+  },
+
+  /**
+   * Upload an audio file as a named sample (the file is sent as the raw request body)
+   */
+  async uploadSample(file, name) {
+    const params = new URLSearchParams({ name: name || '', fileName: file?.name || '' });
+    return apiRequest(`/samples?${params.toString()}`, {
+      method: 'POST',
+      headers: { 'Content-Type': file?.type || 'application/octet-stream' },
+      body: file
+    });
+  },
+
+  async deleteSample(sampleId) {
+    return apiRequest(`/samples/${encodeURIComponent(sampleId)}`, {
+      method: 'DELETE'
+    });
+  },
+
+  /**
+   * Absolute, stable URL of a sample file (what patterns reference)
+   */
+  getSampleFileUrl(sample) {
+    const path = `${API_URL}/samples/files/${encodeURIComponent(sample.id)}/${encodeURIComponent(sample.fileName || sample.name)}`;
+    return new URL(path, window.location.href).href;
+  }
+};
+
 /**
  * Collaboration Sessions API
  */
@@ -340,6 +379,38 @@ export const collabAPI = {
     });
   },
 
+  async updateChannelMix(sessionId, channelId, mix) {
+    return apiRequest(`/collab-sessions/${encodeURIComponent(sessionId)}/channels/${encodeURIComponent(channelId)}/mix`, {
+      method: 'POST',
+      body: JSON.stringify(mix)
+    });
+  },
+
+  async listChannelRevisions(sessionId, channelId, limit) {
+    const query = limit ? `?limit=${encodeURIComponent(limit)}` : '';
+    return apiRequest(`/collab-sessions/${encodeURIComponent(sessionId)}/channels/${encodeURIComponent(channelId)}/revisions${query}`);
+  },
+
+  async diffChannelRevisions(sessionId, channelId, fromRevisionId, toRevisionId = null) {
+    const params = new URLSearchParams({ from: fromRevisionId });
+    if (toRevisionId) {
+      params.set('to', toRevisionId);
+    }
+    return apiRequest(`/collab-sessions/${encodeURIComponent(sessionId)}/channels/${encodeURIComponent(channelId)}/revisions/diff?${params}`);
+  },
+
+  async restoreChannelRevision(sessionId, channelId, revisionId, status = null) {
+    return apiRequest(`/collab-sessions/${encodeURIComponent(sessionId)}/channels/${encodeURIComponent(channelId)}/revisions/${encodeURIComponent(revisionId)}/restore`, {
+      method: 'POST',
+      body: JSON.stringify({ status })
+    });
+  },
+
+  async listSessionEvents(sessionId, limit = null) {
+    const query = limit ? `?limit=${encodeURIComponent(limit)}` : '';
+    return apiRequest(`/collab-sessions/${encodeURIComponent(sessionId)}/events${query}`);
+  },
+
   async overrideMaster(sessionId, masterCode) {
     return apiRequest(`/collab-sessions/${encodeURIComponent(sessionId)}/master`, {
       method: 'POST',
@@ -347,6 +418,43 @@ export const collabAPI = {
     });
   },
 
+  async updateParticipantRole(sessionId, userId, role) {
+    return apiRequest(`/collab-sessions/${encodeURIComponent(sessionId)}/participants/${encodeURIComponent(userId)}/role`, {
+      method: 'POST',
+      body: JSON.stringify({ role })
+    });
+  },
+
+  async updateTransport(sessionId, action, tempo = null) {
+    return apiRequest(`/collab-sessions/${encodeURIComponent(sessionId)}/transport`, {
+      method: 'POST',
+      body: JSON.stringify({ action, tempo })
+    });
+  },
+
+  async updateQuantize(sessionId, mode, cycles = 1) {
+    return apiRequest(`/collab-sessions/${encodeURIComponent(sessionId)}/quantize`, {
+      method: 'POST',
+      body: JSON.stringify({ mode, cycles })
+    });
+  },
+
+  async getListenLink(sessionId) {
+    return apiRequest(`/collab-sessions/${encodeURIComponent(sessionId)}/listen-link`);
+  },
+
+  async createListenLink(sessionId) {
+    return apiRequest(`/collab-sessions/${encodeURIComponent(sessionId)}/listen-link`, {
+      method: 'POST'
+    });
+  },
+
+  async revokeListenLink(sessionId) {
+    return apiRequest(`/collab-sessions/${encodeURIComponent(sessionId)}/listen-link`, {
+      method: 'DELETE'
+    });
+  },
+
   async updateDelay(sessionId, applyDelayMs) {
     return apiRequest(`/collab-sessions/${encodeURIComponent(sessionId)}/delay`, {
       method: 'POST',
@@ -389,6 +497,7 @@ export default {
   users: usersAPI,
   patterns: patternsAPI,
   collab: collabAPI,
+  samples: samplesAPI,
   isAuthenticated,
   getCurrentUser
 };
@@ -0,0 +1,342 @@
+import { collaborationClient } from './socketClient.js';
+import { bindCollaborativeEditor } from '../strudelReplEditor.js';
+import {
+  applyOperation,
+  composeOperations,
+  diffToOperation,
+  isNoop,
+  operationFromChanges,
+  operationToChanges,
+  transformIndex,
+  transformOperations
+} from '../../shared/textOperation.js';
+
+export const MASTER_DOCUMENT_KEY = 'master';
+export const channelDocumentKey = (channelId) => `channel:${channelId}`;
+
+const CURSOR_THROTTLE_MS = 120;
+const CURSOR_COLORS = ['#ff6b6b', '#4dabf7', '#51cf66', '#fcc419', '#cc5de8', '#ff922b', '#20c997', '#f06595'];
+
+// One id per page so the server can tell our ops apart after a reconnect; seq is shared by all documents
+const CLIENT_ID = globalThis.crypto?.randomUUID?.() || `client-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+let nextSeq = 0;
+
+function defaultCursorColor(userId) {
+  const text = String(userId || '');
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = (hash * 31 + text.charCodeAt(i)) >>> 0;
+  }
+  return CURSOR_COLORS[hash % CURSOR_COLORS.length];
+}
+
+function transformSelection(selection, operation) {
+  if (!Array.isArray(selection)) return null;
+  return selection.map(range => ({
+    anchor: transformIndex(operation, range.anchor),
+    head: transformIndex(operation, range.head)
+  }));
+}
+
+/**
+ * Keeps one CodeMirror editor in sync with a server-side collab document.
+ * Classic OT client: at most one op in flight (outstanding), later local edits are composed into a
+ * buffer, and remote ops are transformed against both before being applied to the editor.
+ */
+export class CollaborativeDocument {
+  /**
+   * @param {Object} options
+   * @param {string} options.sessionId
+   * @param {string} options.key - MASTER_DOCUMENT_KEY or channelDocumentKey(id)
+   * @param {HTMLTextAreaElement|HTMLElement|string} options.editor - textarea/strudel-editor (or id) to bind
+   * @param {Function} [options.onRemoteChange] - called with the new text after remote edits
+   * @param {Function} [options.onJoined] - called with the join payload ({ canEdit, ... })
+   * @param {Function} [options.cursorColor] - userId -> CSS color for that collaborator's cursor
+   */
+  constructor({ sessionId, key, editor, onRemoteChange = null, onJoined = null, cursorColor = null }) {
+    this.sessionId = sessionId;
+    this.cursorColor = cursorColor || defaultCursorColor;
+    this.key = key;
+    this.onRemoteChange = onRemoteChange;
+    this.onJoined = onJoined;
+    this.revision = 0;
+    this.serverText = '';
+    this.outstanding = null;
+    this.buffer = null;
+    this.remoteCursors = new Map();
+    this.joined = false;
+    this.hasJoined = false;
+    this.destroyed = false;
+    this.cursorTimer = null;
+
+    this.binding = bindCollaborativeEditor(editor, {
+      onLocalChanges: (changes, length) => this.handleLocalChanges(changes, length),
+      onSelectionChange: () => this.scheduleCursorUpdate()
+    });
+    if (!this.binding) {
+      console.warn(`⚠️ Co-editing unavailable: editor for ${key} not found`);
+      return;
+    }
+
+    this.unsubscribers = [
+      collaborationClient.on('doc:op', payload => this.handleRemoteOperation(payload)),
+      collaborationClient.on('doc:cursor', payload => this.handleRemoteCursor(payload)),
+      collaborationClient.on('connect', () => this.join()),
+      collaborationClient.on('disconnect', () => {
+        this.joined = false;
+      })
+    ];
+    this.join();
+  }
+
+  isFor(payload) {
+    return payload?.sessionId === this.sessionId && payload?.key === this.key;
+  }
+
+  /**
+   * Pending local ops, outstanding first
+   */
+  pendingOperations() {
+    return [this.outstanding?.op, this.buffer?.op].filter(Boolean);
+  }
+
+  handleLocalChanges(changes, length) {
+    const operation = operationFromChanges(changes, length);
+    if (isNoop(operation)) return;
+
+    this.remoteCursors.forEach((cursor) => {
+      cursor.selection = transformSelection(cursor.selection, operation);
+    });
+    this.renderRemoteCursors();
+
+    if (!this.outstanding) {
+      this.outstanding = { op: operation, seq: ++nextSeq, sent: false };
+    } else if (!this.buffer) {
+      this.buffer = { op: operation };
+    } else {
+      this.buffer.op = composeOperations(this.buffer.op, operation);
+    }
+    this.sendOutstanding();
+  }
+
+  sendOutstanding() {
+    if (!this.outstanding || this.outstanding.sent || !this.joined || !collaborationClient.connected) {
+      return;
+    }
+    const pending = this.outstanding;
+    pending.sent = true;
+    const sentRevision = this.revision;
+    collaborationClient.sendDocumentOperation({
+      sessionId: this.sessionId,
+      key: this.key,
+      clientId: CLIENT_ID,
+      seq: pending.seq,
+      revision: sentRevision,
+      operation: pending.op,
+      selection: this.binding.getSelection()
+    })
+      .then(({ revision }) => this.handleAck(pending, revision))
+      .catch((error) => {
+        if (this.destroyed || pending !== this.outstanding) return;
+        console.warn(`⚠️ Shared edit rejected (${this.key}):`, error.message);
+        // A resync keeps local edits and reconciles them; anything else (permissions, size) drops them
+        this.join({ discardLocal: !error.resync });
+      });
+  }
+
+  handleAck(pending, revision) {
+    if (this.destroyed || pending !== this.outstanding || revision <= this.revision) return;
+    this.serverText = applyOperation(this.serverText, pending.op);
+    this.revision = revision;
+    this.outstanding = this.buffer ? { op: this.buffer.op, seq: ++nextSeq, sent: false } : null;
+    this.buffer = null;
+    this.sendOutstanding();
+  }
+
+  handleRemoteOperation(payload) {
+    if (this.destroyed || !this.isFor(payload) || !this.joined) {
+      return;
+    }
+    if (payload.clientId === CLIENT_ID) {
+      // Our own op echoed back; it can overtake the ack, so it counts as one
+      if (this.outstanding?.sent && payload.revision === this.revision + 1) {
+        this.handleAck(this.outstanding, payload.revision);
+      }
+      return;
+    }
+    if (payload.revision !== this.revision + 1) {
+      // Missed something (e.g. while reconnecting) - start over from the server text
+      this.join();
+      return;
+    }
+
+    let operation = payload.operation;
+    this.serverText = applyOperation(this.serverText, operation);
+    this.revision = payload.revision;
+    let selection = payload.selection;
+    if (this.outstanding) {
+      const [outstandingPrime, operationPrime] = transformOperations(this.outstanding.op, operation);
+      this.outstanding.op = outstandingPrime;
+      operation = operationPrime;
+      selection = transformSelection(selection, outstandingPrime);
+    }
+    if (this.buffer) {
+      const [bufferPrime, operationPrime] = transformOperations(this.buffer.op, operation);
+      this.buffer.op = bufferPrime;
+      operation = operationPrime;
+      selection = transformSelection(selection, bufferPrime);
+    }
+
+    this.remoteCursors.forEach((cursor, clientId) => {
+      if (clientId !== payload.clientId) {
+        cursor.selection = transformSelection(cursor.selection, operation);
+      }
+    });
+    if (payload.clientId && selection) {
+      this.setRemoteCursor(payload, selection);
+    }
+    this.binding.applyRemoteChanges(operationToChanges(operation));
+    this.renderRemoteCursors();
+    this.onRemoteChange?.(this.binding.getValue());
+  }
+
+  handleRemoteCursor(payload) {
+    if (this.destroyed || !this.isFor(payload) || payload.clientId === CLIENT_ID) {
+      return;
+    }
+    if (!payload.selection) {
+      this.remoteCursors.delete(payload.clientId);
+      this.renderRemoteCursors();
+      return;
+    }
+    if (payload.revision !== this.revision) {
+      return;
+    }
+    let selection = payload.selection;
+    this.pendingOperations().forEach((operation) => {
+      selection = transformSelection(selection, operation);
+    });
+    this.setRemoteCursor(payload, selection);
+    this.renderRemoteCursors();
+  }
+
+  setRemoteCursor(payload, selection) {
+    const existing = this.remoteCursors.get(payload.clientId);
+    this.remoteCursors.set(payload.clientId, {
+      userId: payload.userId ?? existing?.userId,
+      name: payload.name || existing?.name || 'guest',
+      selection
+    });
+  }
+
+  renderRemoteCursors() {
+    const cursors = [];
+    this.remoteCursors.forEach((cursor) => {
+      (cursor.selection || []).forEach((range) => {
+        cursors.push({
+          from: Math.min(range.anchor, range.head),
+          to: Math.max(range.anchor, range.head),
+          head: range.head,
+          color: this.cursorColor(cursor.userId),
+          label: cursor.name
+        });
+      });
+    });
+    this.binding.setRemoteCursors(cursors);
+  }
+
+  scheduleCursorUpdate() {
+    if (this.cursorTimer) return;
+    this.cursorTimer = setTimeout(() => {
+      this.cursorTimer = null;
+      // While ops are pending the server can't place this cursor; it travels with the next op instead
+      if (this.destroyed || !this.joined || this.outstanding) return;
+      collaborationClient.sendDocumentCursor({
+        sessionId: this.sessionId,
+        key: this.key,
+        clientId: CLIENT_ID,
+        revision: this.revision,
+        selection: this.binding.getSelection()
+      });
+    }, CURSOR_THROTTLE_MS);
+  }
+
+  /**
+   * (Re)open the document. Local edits the server hasn't seen are rebased onto its current text.
+   */
+  async join({ discardLocal = false } = {}) {
+    if (this.destroyed || !collaborationClient.connected) return;
+    this.joined = false;
+    let document;
+    try {
+      document = await collaborationClient.joinDocument({
+        sessionId: this.sessionId,
+        key: this.key,
+        clientId: CLIENT_ID
+      });
+    } catch (error) {
+      console.warn(`⚠️ Failed to open shared document ${this.key}:`, error.message);
+      return;
+    }
+    if (this.destroyed) return;
+
+    const localText = this.binding.getValue();
+    const serverText = document.text || '';
+    let base = this.serverText;
+    const pending = discardLocal || !this.hasJoined ? [] : this.pendingOperations();
+    // The in-flight op may already have landed before we lost the connection
+    if (pending.length && this.outstanding?.sent && document.lastSeq >= this.outstanding.seq) {
+      base = applyOperation(base, pending.shift());
+    }
+
+    let localOperation = null;
+    try {
+      if (pending.length) {
+        const local = pending.reduce((composed, operation) => composeOperations(composed, operation));
+        const [localPrime] = transformOperations(local, diffToOperation(base, serverText));
+        localOperation = localPrime;
+      }
+    } catch (error) {
+      console.warn(`⚠️ Could not rebase local edits on ${this.key}, using the server copy:`, error.message);
+      localOperation = null;
+    }
+
+    this.serverText = serverText;
+    this.revision = document.revision;
+    this.outstanding = localOperation && !isNoop(localOperation)
+      ? { op: localOperation, seq: ++nextSeq, sent: false }
+      : null;
+    this.buffer = null;
+
+    const targetText = this.outstanding ? applyOperation(serverText, this.outstanding.op) : serverText;
+    if (targetText !== localText) {
+      this.binding.applyRemoteChanges(operationToChanges(diffToOperation(localText, targetText)));
+      this.onRemoteChange?.(this.binding.getValue());
+    }
+
+    this.remoteCursors.clear();
+    (document.cursors || []).forEach((cursor) => {
+      let selection = cursor.selection;
+      this.pendingOperations().forEach((operation) => {
+        selection = transformSelection(selection, operation);
+      });
+      this.setRemoteCursor(cursor, selection);
+    });
+    this.renderRemoteCursors();
+
+    this.joined = true;
+    this.hasJoined = true;
+    this.onJoined?.(document);
+    this.sendOutstanding();
+  }
+
+  destroy() {
+    if (this.destroyed) return;
+    this.destroyed = true;
+    this.joined = false;
+    clearTimeout(this.cursorTimer);
+    this.unsubscribers?.forEach(unsubscribe => unsubscribe());
+    this.binding?.destroy();
+    collaborationClient.leaveDocument({ sessionId: this.sessionId, key: this.key });
+  }
+}
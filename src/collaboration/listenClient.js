@@ -0,0 +1,104 @@
+import { io } from 'socket.io-client';
+import { SOCKET_URL } from './socketClient.js';
+
+/**
+ * Anonymous, receive-only connection for listen links (?listen=<token>).
+ * Talks to the server's /listen namespace, which needs no login and accepts no edits;
+ * mirrors the event API of collaborationClient so sessionClock can use it as its source.
+ */
+class ListenClient {
+  constructor() {
+    this.socket = null;
+    this.connected = false;
+    this.token = null;
+    this.eventHandlers = new Map();
+  }
+
+  connect(token) {
+    if (this.socket) {
+      return this.socket;
+    }
+    this.token = token;
+    this.socket = io(`${SOCKET_URL}/listen`, {
+      auth: { token },
+      transports: ['websocket'],
+      timeout: 8000
+    });
+
+    this.socket.on('connect', () => {
+      this.connected = true;
+      this.emitLocal('connect');
+    });
+
+    this.socket.on('disconnect', (reason) => {
+      this.connected = false;
+      this.emitLocal('disconnect', { reason });
+    });
+
+    ['session:snapshot', 'master:updated', 'transport:updated', 'listen:error', 'listen:revoked'].forEach((event) => {
+      this.socket.on(event, payload => this.emitLocal(event, payload));
+    });
+
+    this.socket.on('connect_error', (error) => {
+      this.emitLocal('error', { message: error.message });
+    });
+
+    return this.socket;
+  }
+
+  disconnect() {
+    this.socket?.disconnect();
+    this.socket = null;
+    this.connected = false;
+  }
+
+  on(event, handler) {
+    if (!this.eventHandlers.has(event)) {
+      this.eventHandlers.set(event, new Set());
+    }
+    this.eventHandlers.get(event).add(handler);
+    return () => this.off(event, handler);
+  }
+
+  off(event, handler) {
+    const handlers = this.eventHandlers.get(event);
+    if (!handlers) return;
+    handlers.delete(handler);
+    if (handlers.size === 0) {
+      this.eventHandlers.delete(event);
+    }
+  }
+
+  emitLocal(event, payload) {
+    const handlers = this.eventHandlers.get(event);
+    if (!handlers) return;
+    handlers.forEach((handler) => {
+      try {
+        handler(payload);
+      } catch (error) {
+        console.error(`ListenClient handler error for event ${event}:`, error);
+      }
+    });
+  }
+
+  /**
+   * One clock sync round trip; resolves with { clientTime, serverTime, receivedAt }
+   */
+  async pingClock() {
+    return new Promise((resolve, reject) => {
+      if (!this.socket?.connected) {
+        reject(new Error('Not connected'));
+        return;
+      }
+      this.socket.emit('clock:ping', { clientTime: Date.now() }, (response) => {
+        if (!Number.isFinite(response?.serverTime)) {
+          reject(new Error('Invalid clock response'));
+          return;
+        }
+        resolve({ ...response, receivedAt: Date.now() });
+      });
+    });
+  }
+}
+
+export const listenClient = new ListenClient();
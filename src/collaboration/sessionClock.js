@@ -0,0 +1,105 @@
+import { collaborationClient } from './socketClient.js';
+
+const BURST_SIZE = 8;
+const BURST_SPACING_MS = 80;
+const RESYNC_INTERVAL_MS = 20_000;
+// Only the fastest round trips are trusted; slow ones are usually asymmetric
+const BEST_SAMPLE_COUNT = 3;
+const MAX_SAMPLES = 24;
+
+/**
+ * Estimates the offset between this browser's clock and the collab server's clock, NTP style:
+ * offset = serverTime - (sent + received) / 2, taking the median of the lowest-latency samples.
+ */
+class SessionClock {
+  constructor() {
+    this.samples = [];
+    this.offsetMs = 0;
+    this.synced = false;
+    this.resyncTimer = null;
+    this.syncing = null;
+    this.unsubscribers = [];
+    this.source = collaborationClient;
+  }
+
+  /**
+   * Sync against another connection with the same on()/pingClock() API (e.g. listenClient)
+   */
+  useSource(source) {
+    const running = !!this.resyncTimer;
+    this.stop();
+    this.source = source || collaborationClient;
+    this.samples = [];
+    if (running) {
+      this.start();
+    }
+  }
+
+  /**
+   * Start syncing (idempotent); re-syncs periodically and after every reconnect
+   */
+  start() {
+    if (this.resyncTimer) return;
+    this.unsubscribers.push(this.source.on('connect', () => {
+      this.samples = [];
+      this.sync();
+    }));
+    this.resyncTimer = setInterval(() => this.sync(BEST_SAMPLE_COUNT), RESYNC_INTERVAL_MS);
+    this.sync();
+  }
+
+  stop() {
+    clearInterval(this.resyncTimer);
+    this.resyncTimer = null;
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+  }
+
+  async sync(count = BURST_SIZE) {
+    if (this.syncing) return this.syncing;
+    this.syncing = (async () => {
+      for (let i = 0; i < count; i++) {
+        try {
+          const { clientTime, serverTime, receivedAt } = await this.source.pingClock();
+          this.addSample(receivedAt - clientTime, serverTime - (clientTime + receivedAt) / 2);
+        } catch {
+          break;
+        }
+        await new Promise(resolve => setTimeout(resolve, BURST_SPACING_MS));
+      }
+    })().finally(() => {
+      this.syncing = null;
+    });
+    return this.syncing;
+  }
+
+  addSample(roundTripMs, offsetMs) {
+    this.samples.push({ roundTripMs, offsetMs });
+    if (this.samples.length > MAX_SAMPLES) {
+      this.samples.shift();
+    }
+    const best = [...this.samples]
+      .sort((a, b) => a.roundTripMs - b.roundTripMs)
+      .slice(0, BEST_SAMPLE_COUNT)
+      .map(sample => sample.offsetMs)
+      .sort((a, b) => a - b);
+    this.offsetMs = best[Math.floor(best.length / 2)];
+    this.synced = true;
+  }
+
+  /**
+   * Current server time (epoch ms) as seen from this client
+   */
+  serverNow() {
+    return Date.now() + this.offsetMs;
+  }
+
+  /**
+   * Local Date.now() value at which the server clock reads `serverTime`
+   */
+  toLocalTime(serverTime) {
+    return serverTime - this.offsetMs;
+  }
+}
+
+export const sessionClock = new SessionClock();
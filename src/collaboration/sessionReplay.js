@@ -0,0 +1,213 @@
+/**
+ * Rebuilds a collab session from its event log (GET /collab-sessions/:id/events) so it can be played back:
+ * scrub to any moment, change the speed, and export the pattern that was playing at that moment.
+ */
+
+export const REPLAY_SPEEDS = [0.5, 1, 2, 4, 8, 16, 32];
+const REPLAY_TICK_MS = 100;
+
+export function createReplayState() {
+  return {
+    channels: {},
+    masterCode: '',
+    mergedStack: '',
+    applyDelayMs: 0,
+    transport: null
+  };
+}
+
+/**
+ * Apply one logged event to a replay state (mutates and returns it). Unknown event types are ignored.
+ */
+export function applySessionEvent(state, event) {
+  const payload = event?.payload || {};
+  const channel = payload.channelId ? state.channels[payload.channelId] : null;
+  switch (event?.type) {
+    case 'channel.saved':
+      state.channels[payload.channelId] = {
+        ...channel,
+        id: payload.channelId,
+        name: payload.name ?? channel?.name ?? null,
+        status: payload.status || channel?.status || 'draft',
+        code: payload.code ?? channel?.code ?? '',
+        author: channel?.author || event.user?.artistName || event.user?.name || null
+      };
+      break;
+    case 'channel.published':
+      if (channel) {
+        channel.status = payload.status;
+      }
+      break;
+    case 'channel.grouped':
+      if (channel) {
+        channel.group = payload.group || null;
+      }
+      break;
+    case 'scene.triggered': {
+      const sceneChannels = new Set(payload.channelIds || []);
+      Object.values(state.channels).forEach((item) => {
+        if (sceneChannels.has(item.id)) {
+          item.status = 'live';
+        } else if (item.status === 'live' || item.status === 'published') {
+          item.status = 'draft';
+        }
+      });
+      break;
+    }
+    case 'channel.mixed':
+      if (channel) {
+        ['volume', 'pan', 'muted', 'solo'].forEach((key) => {
+          if (payload[key] !== undefined) {
+            channel[key] = payload[key];
+          }
+        });
+      }
+      break;
+    case 'master.overridden':
+      state.masterCode = payload.masterCode || '';
+      state.mergedStack = payload.masterCode || '';
+      break;
+    case 'master.rebuilt':
+      state.masterCode = payload.masterCode || '';
+      state.mergedStack = payload.mergedStack || '';
+      break;
+    case 'delay.changed':
+      state.applyDelayMs = payload.applyDelayMs ?? state.applyDelayMs;
+      break;
+    case 'transport.changed':
+      state.transport = payload.transport || null;
+      break;
+    default:
+      break;
+  }
+  return state;
+}
+
+export function formatReplayTime(ms) {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+}
+
+export class SessionReplay {
+  /**
+   * @param {Array<{type: string, payload: Object, createdAt: string}>} events - oldest first
+   * @param {Object} [options]
+   * @param {Function} [options.onChange] - called with { position, duration, playing, speed, state, appliedCount }
+   */
+  constructor(events = [], { onChange = null } = {}) {
+    this.events = events
+      .map(event => ({ ...event, time: new Date(event.createdAt).getTime() }))
+      .filter(event => Number.isFinite(event.time))
+      .sort((a, b) => a.time - b.time);
+    this.startTime = this.events[0]?.time ?? 0;
+    this.duration = this.events.length ? this.events[this.events.length - 1].time - this.startTime : 0;
+    this.position = 0;
+    this.speed = 1;
+    this.playing = false;
+    this.timer = null;
+    this.lastTick = 0;
+    this.onChange = onChange;
+  }
+
+  /**
+   * Number of events that happened at or before `position` (ms from the first event)
+   */
+  appliedCountAt(position) {
+    const cutoff = this.startTime + position;
+    let count = 0;
+    while (count < this.events.length && this.events[count].time <= cutoff) {
+      count++;
+    }
+    return count;
+  }
+
+  stateAt(position) {
+    const state = createReplayState();
+    const count = this.appliedCountAt(position);
+    for (let i = 0; i < count; i++) {
+      applySessionEvent(state, this.events[i]);
+    }
+    return state;
+  }
+
+  /**
+   * What the master played at `position`: the merged stack, or the master code when nothing was merged
+   */
+  playbackCodeAt(position = this.position) {
+    const state = this.stateAt(position);
+    return state.mergedStack?.trim() || state.masterCode?.trim() || '';
+  }
+
+  seek(position) {
+    this.position = Math.min(Math.max(Number(position) || 0, 0), this.duration);
+    this.lastTick = performance.now();
+    this.emitChange();
+  }
+
+  setSpeed(speed) {
+    const numeric = Number(speed);
+    this.speed = Number.isFinite(numeric) && numeric > 0 ? numeric : 1;
+    this.emitChange();
+  }
+
+  play() {
+    if (this.playing || !this.events.length) return;
+    if (this.position >= this.duration) {
+      this.position = 0;
+    }
+    this.playing = true;
+    this.lastTick = performance.now();
+    this.timer = setInterval(() => this.tick(), REPLAY_TICK_MS);
+    this.emitChange();
+  }
+
+  pause() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (!this.playing) return;
+    this.playing = false;
+    this.emitChange();
+  }
+
+  tick() {
+    const now = performance.now();
+    this.position = Math.min(this.position + (now - this.lastTick) * this.speed, this.duration);
+    this.lastTick = now;
+    if (this.position >= this.duration) {
+      this.pause();
+      return;
+    }
+    this.emitChange();
+  }
+
+  emitChange() {
+    this.onChange?.({
+      position: this.position,
+      duration: this.duration,
+      playing: this.playing,
+      speed: this.speed,
+      state: this.stateAt(this.position),
+      appliedCount: this.appliedCountAt(this.position)
+    });
+  }
+
+  /**
+   * The pattern that was playing at `position`, as one self-contained piece of code
+   */
+  exportAt(position = this.position, { title = 'Session' } = {}) {
+    const code = this.playbackCodeAt(position);
+    if (!code) {
+      return '';
+    }
+    const recordedAt = new Date(this.startTime + position).toISOString();
+    return `// ${title} at ${formatReplayTime(position)} (${recordedAt})\n${code}\n`;
+  }
+
+  destroy() {
+    this.pause();
+    this.onChange = null;
+  }
+}
@@ -1,6 +1,6 @@
 import { io } from 'socket.io-client';
 
-const SOCKET_URL = import.meta.env?.VITE_SOCKET_URL
+export const SOCKET_URL = import.meta.env?.VITE_SOCKET_URL
   || (import.meta.env?.PROD ? window.location.origin : 'http://localhost:3001');
 
 class CollaborationClient {
@@ -54,10 +54,30 @@ class CollaborationClient {
       this.emitLocal('session:participant-event', payload);
     });
 
+    this.socket.on('transport:updated', (payload) => {
+      this.emitLocal('transport:updated', payload);
+    });
+
+    this.socket.on('session:presence', (payload) => {
+      this.emitLocal('session:presence', payload);
+    });
+
+    this.socket.on('session:viewers', (payload) => {
+      this.emitLocal('session:viewers', payload);
+    });
+
     this.socket.on('master:updated', (payload) => {
       this.queueMasterUpdate(payload);
     });
 
+    this.socket.on('doc:op', (payload) => {
+      this.emitLocal('doc:op', payload);
+    });
+
+    this.socket.on('doc:cursor', (payload) => {
+      this.emitLocal('doc:cursor', payload);
+    });
+
     this.socket.on('auth:error', (payload) => {
       this.emitLocal('auth:error', payload);
     });
@@ -141,6 +161,7 @@ class CollaborationClient {
         if (sessionId === this.currentSessionId) {
           this.currentSessionId = null;
         }
+        this.emitLocal('session:left', { sessionId });
         resolve();
       });
     });
@@ -180,6 +201,300 @@ class CollaborationClient {
     });
   }
 
+  /**
+   * Change a channel's shared mixer strip; any of volume (dB), pan (-1..1), muted, solo
+   */
+  async updateChannelMix({ channelId, sessionId, ...mix } = {}) {
+    const resolvedSessionId = sessionId || this.currentSessionId;
+    if (!resolvedSessionId || !channelId) {
+      throw new Error('sessionId and channelId are required');
+    }
+    this.ensureSocket();
+    return new Promise((resolve, reject) => {
+      this.socket.emit('channel:mix', { ...mix, sessionId: resolvedSessionId, channelId }, (response) => {
+        if (response?.success) {
+          resolve();
+        } else {
+          reject(new Error(response?.error || 'Failed to update channel mix'));
+        }
+      });
+    });
+  }
+
+  async updateParticipantRole({ userId, role, sessionId } = {}) {
+    const resolvedSessionId = sessionId || this.currentSessionId;
+    if (!resolvedSessionId || !userId || !role) {
+      throw new Error('sessionId, userId and role are required');
+    }
+    this.ensureSocket();
+    return new Promise((resolve, reject) => {
+      this.socket.emit('participant:role', { sessionId: resolvedSessionId, userId, role }, (response) => {
+        if (response?.success) {
+          resolve();
+        } else {
+          reject(new Error(response?.error || 'Failed to change role'));
+        }
+      });
+    });
+  }
+
+  /**
+   * Set the merged stack order (channel ids, first to last)
+   */
+  async reorderChannels({ channelIds, sessionId } = {}) {
+    const resolvedSessionId = sessionId || this.currentSessionId;
+    if (!resolvedSessionId || !Array.isArray(channelIds)) {
+      throw new Error('sessionId and channelIds are required');
+    }
+    this.ensureSocket();
+    return new Promise((resolve, reject) => {
+      this.socket.emit('channels:reorder', { sessionId: resolvedSessionId, channelIds }, (response) => {
+        if (response?.success) {
+          resolve();
+        } else {
+          reject(new Error(response?.error || 'Failed to reorder channels'));
+        }
+      });
+    });
+  }
+
+  async updateChannelGroup({ channelId, group = null, sessionId } = {}) {
+    const resolvedSessionId = sessionId || this.currentSessionId;
+    if (!resolvedSessionId || !channelId) {
+      throw new Error('sessionId and channelId are required');
+    }
+    this.ensureSocket();
+    return new Promise((resolve, reject) => {
+      this.socket.emit('channel:group', { sessionId: resolvedSessionId, channelId, group }, (response) => {
+        if (response?.success) {
+          resolve();
+        } else {
+          reject(new Error(response?.error || 'Failed to update channel group'));
+        }
+      });
+    });
+  }
+
+  /**
+   * Owner-only: save a named set of live channels (without channelIds, the ones live right now)
+   */
+  async saveScene({ sceneId = null, name, channelIds, sessionId } = {}) {
+    const resolvedSessionId = sessionId || this.currentSessionId;
+    if (!resolvedSessionId) {
+      throw new Error('sessionId is required');
+    }
+    this.ensureSocket();
+    return new Promise((resolve, reject) => {
+      this.socket.emit('scene:save', { sessionId: resolvedSessionId, sceneId, name, channelIds }, (response) => {
+        if (response?.success) {
+          resolve();
+        } else {
+          reject(new Error(response?.error || 'Failed to save scene'));
+        }
+      });
+    });
+  }
+
+  async deleteScene({ sceneId, sessionId } = {}) {
+    const resolvedSessionId = sessionId || this.currentSessionId;
+    if (!resolvedSessionId || !sceneId) {
+      throw new Error('sessionId and sceneId are required');
+    }
+    this.ensureSocket();
+    return new Promise((resolve, reject) => {
+      this.socket.emit('scene:delete', { sessionId: resolvedSessionId, sceneId }, (response) => {
+        if (response?.success) {
+          resolve();
+        } else {
+          reject(new Error(response?.error || 'Failed to delete scene'));
+        }
+      });
+    });
+  }
+
+  /**
+   * Owner-only: make exactly the scene's channels live; clients switch on their next cycle boundary
+   */
+  async triggerScene({ sceneId, sessionId } = {}) {
+    const resolvedSessionId = sessionId || this.currentSessionId;
+    if (!resolvedSessionId || !sceneId) {
+      throw new Error('sessionId and sceneId are required');
+    }
+    this.ensureSocket();
+    return new Promise((resolve, reject) => {
+      this.socket.emit('scene:trigger', { sessionId: resolvedSessionId, sceneId }, (response) => {
+        if (response?.success) {
+          resolve();
+        } else {
+          reject(new Error(response?.error || 'Failed to trigger scene'));
+        }
+      });
+    });
+  }
+
+  /**
+   * Owner-only shared transport control: action is 'start', 'stop' or 'tempo'
+   */
+  async updateTransport({ action, tempo = null, sessionId } = {}) {
+    const resolvedSessionId = sessionId || this.currentSessionId;
+    if (!resolvedSessionId || !action) {
+      throw new Error('sessionId and action are required');
+    }
+    this.ensureSocket();
+    return new Promise((resolve, reject) => {
+      this.socket.emit('transport:update', { sessionId: resolvedSessionId, action, tempo }, (response) => {
+        if (response?.success) {
+          resolve(response.transport);
+        } else {
+          reject(new Error(response?.error || 'Failed to update transport'));
+        }
+      });
+    });
+  }
+
+  /**
+   * Owner-only: when everyone applies master changes ('immediate', 'beat', 'bar' or 'cycles' with a cycle count)
+   */
+  async updateQuantize({ mode, cycles = 1, sessionId } = {}) {
+    const resolvedSessionId = sessionId || this.currentSessionId;
+    if (!resolvedSessionId || !mode) {
+      throw new Error('sessionId and mode are required');
+    }
+    this.ensureSocket();
+    return new Promise((resolve, reject) => {
+      this.socket.emit('session:quantize', { sessionId: resolvedSessionId, mode, cycles }, (response) => {
+        if (response?.success) {
+          resolve(response.quantize);
+        } else {
+          reject(new Error(response?.error || 'Failed to update quantization'));
+        }
+      });
+    });
+  }
+
+  /**
+   * One clock sync round trip; resolves with { clientTime, serverTime, receivedAt }
+   */
+  async pingClock() {
+    this.ensureSocket();
+    return new Promise((resolve, reject) => {
+      if (!this.socket.connected) {
+        reject(new Error('Not connected'));
+        return;
+      }
+      this.socket.emit('clock:ping', { clientTime: Date.now() }, (response) => {
+        if (!Number.isFinite(response?.serverTime)) {
+          reject(new Error('Invalid clock response'));
+          return;
+        }
+        resolve({ ...response, receivedAt: Date.now() });
+      });
+    });
+  }
+
+  async listChannelRevisions({ channelId, sessionId, limit } = {}) {
+    const resolvedSessionId = sessionId || this.currentSessionId;
+    if (!resolvedSessionId || !channelId) {
+      throw new Error('sessionId and channelId are required');
+    }
+    this.ensureSocket();
+    return new Promise((resolve, reject) => {
+      this.socket.emit('channel:revisions', { sessionId: resolvedSessionId, channelId, limit }, (response) => {
+        if (response?.success) {
+          resolve(response.revisions || []);
+        } else {
+          reject(new Error(response?.error || 'Failed to load revisions'));
+        }
+      });
+    });
+  }
+
+  /**
+   * Diff two revisions; without toRevisionId the channel's current code is the right-hand side
+   */
+  async diffChannelRevisions({ channelId, fromRevisionId, toRevisionId = null, sessionId } = {}) {
+    const resolvedSessionId = sessionId || this.currentSessionId;
+    if (!resolvedSessionId || !channelId || !fromRevisionId) {
+      throw new Error('sessionId, channelId and fromRevisionId are required');
+    }
+    this.ensureSocket();
+    return new Promise((resolve, reject) => {
+      this.socket.emit('channel:diff', { sessionId: resolvedSessionId, channelId, fromRevisionId, toRevisionId }, (response) => {
+        if (response?.success) {
+          resolve(response.diff);
+        } else {
+          reject(new Error(response?.error || 'Failed to diff revisions'));
+        }
+      });
+    });
+  }
+
+  async restoreChannelRevision({ channelId, revisionId, status = null, sessionId } = {}) {
+    const resolvedSessionId = sessionId || this.currentSessionId;
+    if (!resolvedSessionId || !channelId || !revisionId) {
+      throw new Error('sessionId, channelId and revisionId are required');
+    }
+    this.ensureSocket();
+    return new Promise((resolve, reject) => {
+      this.socket.emit('channel:restore', { sessionId: resolvedSessionId, channelId, revisionId, status }, (response) => {
+        if (response?.success) {
+          resolve();
+        } else {
+          reject(new Error(response?.error || 'Failed to restore revision'));
+        }
+      });
+    });
+  }
+
+  /**
+   * Share ephemeral presence (focused channel, typing, cursor, transport); fields not given are left as they were
+   */
+  updatePresence(presence = {}, sessionId = this.currentSessionId) {
+    if (!sessionId || !this.socket?.connected) return;
+    this.socket.emit('presence:update', { ...presence, sessionId });
+  }
+
+  async joinDocument({ sessionId, key, clientId }) {
+    this.ensureSocket();
+    return new Promise((resolve, reject) => {
+      this.socket.emit('doc:join', { sessionId, key, clientId }, (response) => {
+        if (response?.success) {
+          resolve(response.document);
+        } else {
+          reject(new Error(response?.error || 'Failed to open shared document'));
+        }
+      });
+    });
+  }
+
+  leaveDocument({ sessionId, key }) {
+    if (!this.socket?.connected) return;
+    this.socket.emit('doc:leave', { sessionId, key });
+  }
+
+  /**
+   * Send one co-editing op; rejects with error.resync when the client must rejoin the document
+   */
+  async sendDocumentOperation(payload) {
+    this.ensureSocket();
+    return new Promise((resolve, reject) => {
+      this.socket.emit('doc:op', payload, (response) => {
+        if (response?.success) {
+          resolve(response);
+        } else {
+          const error = new Error(response?.error || 'Failed to apply edit');
+          error.resync = !!response?.resync;
+          reject(error);
+        }
+      });
+    });
+  }
+
+  sendDocumentCursor(payload) {
+    if (!this.socket?.connected) return;
+    this.socket.emit('doc:cursor', payload);
+  }
+
   async editMaster(masterCode, sessionId = this.currentSessionId) {
     if (!sessionId) {
       throw new Error('Join a session before editing master');
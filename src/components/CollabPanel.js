@@ -1,9 +1,25 @@
 import { collabAPI, usersAPI } from '../api.js';
-import { getStrudelEditorValue, setStrudelEditorValue } from '../strudelReplEditor.js';
+import { createStrudelReplEditor, getStrudelEditorValue, setStrudelEditorEditable, setStrudelEditorValue } from '../strudelReplEditor.js';
 import { collaborationClient } from '../collaboration/socketClient.js';
+import { CollaborativeDocument, channelDocumentKey } from '../collaboration/collabDocument.js';
+import { REPLAY_SPEEDS, SessionReplay, formatReplayTime } from '../collaboration/sessionReplay.js';
 import { lockScroll, unlockScroll } from '../scrollLock.js';
 import { DRUM_BANK_VALUES, SYNTH_BANK_ALIASES, parseBankSelectionValue } from '../constants/banks.js';
 import { getTheoryControlsTemplate, updateTheoryControlsVisibility } from './TheoryControls.js';
+import {
+  ASSIGNABLE_SESSION_ROLES,
+  SESSION_ROLE_DESCRIPTIONS,
+  SESSION_ROLE_LABELS,
+  normalizeSessionRole,
+  roleCan,
+  roleCanOnChannel
+} from '../constants/collabRoles.js';
+import {
+  COLLAB_QUANTIZE_LABELS,
+  COLLAB_QUANTIZE_MODES,
+  describeCollabQuantize,
+  normalizeCollabQuantize
+} from '../constants/collabQuantize.js';
 import { soundManager } from '../soundManager.js';
 import { initPianoSections } from '../pianoKeyboard.js';
 
@@ -66,6 +82,11 @@ const NOTE_MODE = {
 };
 
 const MASTER_CHANNEL_STATUSES = new Set(['live', 'published']);
+// Offered in the group field; any other name works too
+const DEFAULT_CHANNEL_GROUPS = ['drums', 'bass', 'keys', 'lead', 'pads', 'fx'];
+
+// Mirrors the server clamp in collabSessionManager (volume is stored in dB)
+const MIXER_VOLUME_RANGE = { min: -60, max: 6, step: 0.5 };
 
 const AUTHOR_COLOR_PALETTE = [
   { bg: '#fff1f2', border: '#fda4af' },
@@ -77,6 +98,11 @@ const AUTHOR_COLOR_PALETTE = [
   { bg: '#fffbeb', border: '#fcd34d' }
 ];
 
+// Presence: typing stops after this much idle time; the playhead is shared about once a second
+const PRESENCE_SEND_THROTTLE_MS = 150;
+const PRESENCE_TYPING_IDLE_MS = 1500;
+const PRESENCE_PLAYHEAD_INTERVAL_MS = 1000;
+
 const CODE_META_PREFIX = '// @meta';
 
 export class CollabPanel {
@@ -103,6 +129,22 @@ export class CollabPanel {
     this.userColorAssignments = new Map();
     this.userColorIndex = 0;
     this.masterPlaybackActive = false;
+    this.revisionChannelId = null;
+    this.channelRevisions = [];
+    this.revisionChannelUpdatedAt = null;
+    this.coeditChannelId = null;
+    this.coeditDocument = null;
+    this.presence = [];
+    this.localPresence = this.createDefaultPresence();
+    this.pendingPresence = null;
+    this.presenceSendTimer = null;
+    this.presenceTypingTimer = null;
+    this.presencePlayheadTimer = null;
+    this.listenLinkSessionId = null;
+    this.listenLinkToken = null;
+    this.sessionReplay = null;
+    this.replaySessionId = null;
+    this.replayAppliedCode = null;
   }
 
   createDefaultEditorState() {
@@ -269,6 +311,23 @@ export class CollabPanel {
               <input type="range" min="0" max="5000" step="50" id="collab-delay-slider" data-collab-requires-auth />
               <span id="collab-delay-value">0 ms</span>
             </div>
+            <div class="collab-transport-row">
+              <strong>Shared transport:</strong>
+              <span id="collab-transport-status">stopped</span>
+              <span class="collab-transport-controls" id="collab-transport-controls" hidden>
+                <button id="collab-transport-toggle-btn" class="btn-secondary" type="button" data-collab-requires-auth>Start for everyone</button>
+                <input type="number" id="collab-transport-tempo" min="60" max="240" step="1" value="120" aria-label="Shared tempo (BPM)" data-collab-requires-auth />
+                <span>BPM</span>
+              </span>
+            </div>
+            <div class="collab-quantize-row">
+              <strong>Apply changes:</strong>
+              <span id="collab-quantize-status">Immediately</span>
+              <span class="collab-quantize-controls" id="collab-quantize-controls" hidden>
+                <select id="collab-quantize-mode" aria-label="When collaborators' changes are applied" data-collab-requires-auth></select>
+                <input type="number" id="collab-quantize-cycles" min="1" max="16" step="1" value="1" aria-label="Cycles between switches" data-collab-requires-auth hidden />
+              </span>
+            </div>
             <div class="collab-cpu-row">
               <span><strong>CPU avg:</strong> <span id="collab-cpu-load">n/a</span></span>
               <span><strong>Last server update:</strong> <span id="collab-cpu-updated">—</span></span>
@@ -290,6 +349,19 @@ export class CollabPanel {
               </div>
             </div>
             <small class="collab-helper-text">Selected users will receive an invite in their Live Collaboration panel.</small>
+            <div class="collab-listen-link">
+              <div class="collab-list-header">
+                <strong>Listen-only link</strong>
+                <span class="collab-helper-text" id="collab-listen-viewers">0 listening</span>
+              </div>
+              <div class="collab-listen-link-row">
+                <input type="text" id="collab-listen-link-url" readonly placeholder="No link yet" aria-label="Listen-only link" />
+                <button id="collab-listen-link-copy-btn" class="btn-secondary" type="button" disabled>Copy</button>
+                <button id="collab-listen-link-create-btn" class="btn-secondary" type="button" data-collab-requires-auth>Create link</button>
+                <button id="collab-listen-link-revoke-btn" class="btn-ghost danger" type="button" data-collab-requires-auth hidden>Revoke</button>
+              </div>
+              <small class="collab-helper-text">Anyone with the link can hear the master and follow the shared transport without an account. A new link replaces the old one.</small>
+            </div>
           </div>
           <div class="collab-participants">
             <div class="collab-list-header">
@@ -298,6 +370,23 @@ export class CollabPanel {
             </div>
             <ul id="collab-participants-list"></ul>
           </div>
+          <div class="collab-replay">
+            <div class="collab-list-header">
+              <strong>Session replay</strong>
+              <button id="collab-replay-load-btn" class="btn-link" type="button">Load replay</button>
+            </div>
+            <div class="collab-replay-controls" id="collab-replay-controls" hidden>
+              <button id="collab-replay-toggle-btn" class="btn-secondary" type="button">▶ Replay</button>
+              <input type="range" id="collab-replay-scrub" min="0" max="0" step="100" value="0" aria-label="Replay position" />
+              <span id="collab-replay-time" class="collab-replay-time">0:00 / 0:00</span>
+              <select id="collab-replay-speed" aria-label="Replay speed">
+                ${REPLAY_SPEEDS.map(speed => `<option value="${speed}"${speed === 1 ? ' selected' : ''}>${speed}×</option>`).join('')}
+              </select>
+              <button id="collab-replay-export-btn" class="btn-link" type="button">Export pattern at this point</button>
+              <button id="collab-replay-close-btn" class="btn-link" type="button">Back to live</button>
+            </div>
+            <small class="collab-helper-text" id="collab-replay-summary">Plays back every draft, publish, master override and delay change in this session.</small>
+          </div>
           <div class="collab-channel-form">
             <div class="collab-list-header">
               <strong>Channel snippet</strong>
@@ -375,10 +464,20 @@ export class CollabPanel {
                 data-collab-requires-auth
               >▶</button>
             </div>
+            <small class="collab-helper-text" id="collab-role-hint" hidden></small>
             <div class="collab-master-display">
               <div class="collab-list-header">
                 <strong>Published Master Pattern</strong>
               </div>
+              <div class="collab-scenes" id="collab-scenes" hidden>
+                <div class="collab-list-header">
+                  <strong>Scenes</strong>
+                  <button id="collab-scene-save-btn" class="btn-link" type="button" data-collab-requires-auth hidden>Save live channels as scene</button>
+                </div>
+                <div id="collab-scenes-list" class="collab-scenes-list"></div>
+                <small class="collab-helper-text">Launching a scene switches which channels are live on the next cycle.</small>
+              </div>
+              <datalist id="collab-group-options"></datalist>
               <div id="collab-master-pattern" class="collab-master-pattern-field" role="region" aria-live="polite"></div>
             </div>
           </div>
@@ -389,6 +488,22 @@ export class CollabPanel {
             </div>
             <div id="collab-channels-container"></div>
           </div>
+          <div class="collab-coedit" id="collab-coedit" hidden>
+            <div class="collab-list-header">
+              <strong id="collab-coedit-title">Co-editing</strong>
+              <span id="collab-coedit-status" class="collab-coedit__status"></span>
+              <button id="collab-coedit-close-btn" class="btn-link" type="button">Done</button>
+            </div>
+            <div id="collab-coedit-editor" class="collab-coedit__editor"></div>
+          </div>
+          <div class="collab-revision-timeline" id="collab-revision-timeline" hidden>
+            <div class="collab-list-header">
+              <strong id="collab-revision-title">Channel history</strong>
+              <button id="collab-revision-close-btn" class="btn-link" type="button">Close</button>
+            </div>
+            <ol id="collab-revision-list" class="collab-revision-list"></ol>
+            <div id="collab-revision-diff" class="collab-revision-diff" hidden></div>
+          </div>
         </div>
       </div>
     `;
@@ -431,6 +546,19 @@ export class CollabPanel {
         this.channelEditorState.customCode = this.channelTextarea.value;
       }
       this.updatePatternLineNumbers();
+      this.markPresenceTyping();
+    });
+
+    this.channelTextarea.addEventListener('focus', () => {
+      this.setLocalPresence({ channelId: null, draft: true });
+    });
+    this.channelTextarea.addEventListener('blur', () => {
+      this.setLocalPresence({ draft: false, typing: false, cursor: null });
+    });
+    ['keyup', 'click'].forEach((eventName) => {
+      this.channelTextarea.addEventListener(eventName, () => {
+        this.setLocalPresence({ cursor: this.getTextCursor(this.channelTextarea.value, this.channelTextarea.selectionStart) });
+      });
     });
 
     this.channelTextarea.addEventListener('scroll', () => {
@@ -1054,12 +1182,114 @@ export class CollabPanel {
     this.root?.querySelector('#collab-send-invite-btn')?.addEventListener('click', () => {
       this.handleSendInvite();
     });
-    this.root?.querySelector('#collab-master-pattern')?.addEventListener('click', (event) => {
+    const masterPatternContainer = this.root?.querySelector('#collab-master-pattern');
+    masterPatternContainer?.addEventListener('click', (event) => {
+      const toggle = event.target.closest('[data-mixer-toggle]');
+      if (toggle) {
+        const strip = toggle.closest('[data-mixer-channel-id]');
+        const field = toggle.getAttribute('data-mixer-toggle');
+        const nextValue = toggle.getAttribute('aria-pressed') !== 'true';
+        toggle.setAttribute('aria-pressed', String(nextValue));
+        toggle.classList.toggle('active', nextValue);
+        this.handleChannelMixChange(strip?.getAttribute('data-mixer-channel-id'), { [field]: nextValue });
+        return;
+      }
+      const historyTarget = event.target.closest('[data-channel-history-id]');
+      if (historyTarget) {
+        this.openChannelHistory(historyTarget.getAttribute('data-channel-history-id'));
+        return;
+      }
+      const coeditTarget = event.target.closest('[data-channel-coedit-id]');
+      if (coeditTarget) {
+        this.openChannelCoedit(coeditTarget.getAttribute('data-channel-coedit-id'));
+        return;
+      }
+      const moveTarget = event.target.closest('[data-channel-move-id]');
+      if (moveTarget) {
+        this.moveChannel(moveTarget.getAttribute('data-channel-move-id'), Number(moveTarget.getAttribute('data-move-direction')));
+        return;
+      }
       const target = event.target.closest('[data-remove-master-id]');
       if (!target) return;
       const channelId = target.getAttribute('data-remove-master-id');
       this.handleRemoveChannelFromMaster(channelId);
     });
+    masterPatternContainer?.addEventListener('input', (event) => {
+      const field = event.target.getAttribute('data-mixer-field');
+      if (!field) return;
+      const output = event.target.closest('[data-mixer-channel-id]')?.querySelector(`[data-mixer-output="${field}"]`);
+      if (output) {
+        output.textContent = this.formatMixerValue(field, Number(event.target.value));
+      }
+    });
+    this.root?.querySelector('#collab-channels-container')?.addEventListener('click', (event) => {
+      const historyTarget = event.target.closest('[data-channel-history-id]');
+      if (historyTarget) {
+        this.openChannelHistory(historyTarget.getAttribute('data-channel-history-id'));
+      }
+    });
+    this.root?.querySelector('#collab-revision-close-btn')?.addEventListener('click', () => {
+      this.closeChannelHistory();
+    });
+    this.root?.querySelector('#collab-participants-list')?.addEventListener('change', (event) => {
+      const select = event.target.closest('[data-participant-role-user-id]');
+      if (!select) return;
+      this.handleParticipantRoleChange(select.getAttribute('data-participant-role-user-id'), select.value);
+    });
+    this.root?.querySelector('#collab-coedit-close-btn')?.addEventListener('click', () => {
+      this.closeChannelCoedit();
+    });
+    const coeditMount = this.root?.querySelector('#collab-coedit-editor');
+    coeditMount?.addEventListener('keydown', (event) => {
+      // Only count keys that can change the text as typing
+      if (event.key.length === 1 || event.key === 'Backspace' || event.key === 'Delete' || event.key === 'Enter') {
+        this.markPresenceTyping();
+      }
+    });
+    ['keyup', 'click'].forEach((eventName) => {
+      coeditMount?.addEventListener(eventName, () => this.syncCoeditCursorPresence());
+    });
+    this.root?.querySelector('#collab-revision-list')?.addEventListener('click', (event) => {
+      const diffTarget = event.target.closest('[data-revision-diff]');
+      if (diffTarget) {
+        this.showRevisionDiff(diffTarget.getAttribute('data-revision-diff'));
+        return;
+      }
+      const restoreTarget = event.target.closest('[data-revision-restore]');
+      if (restoreTarget) {
+        this.handleRestoreRevision(
+          restoreTarget.getAttribute('data-revision-restore'),
+          restoreTarget.getAttribute('data-restore-status')
+        );
+      }
+    });
+    masterPatternContainer?.addEventListener('change', (event) => {
+      const groupInput = event.target.closest('[data-channel-group-id]');
+      if (groupInput) {
+        this.handleChannelGroupChange(groupInput.getAttribute('data-channel-group-id'), groupInput.value);
+      }
+    });
+    this.root?.querySelector('#collab-scene-save-btn')?.addEventListener('click', () => {
+      this.handleSaveScene();
+    });
+    this.root?.querySelector('#collab-scenes-list')?.addEventListener('click', (event) => {
+      const triggerTarget = event.target.closest('[data-scene-trigger-id]');
+      if (triggerTarget) {
+        this.handleTriggerScene(triggerTarget.getAttribute('data-scene-trigger-id'));
+        return;
+      }
+      const deleteTarget = event.target.closest('[data-scene-delete-id]');
+      if (deleteTarget) {
+        this.handleDeleteScene(deleteTarget.getAttribute('data-scene-delete-id'));
+      }
+    });
+    // Sliders only hit the server on release; every change rebuilds the shared master
+    masterPatternContainer?.addEventListener('change', (event) => {
+      const field = event.target.getAttribute('data-mixer-field');
+      if (!field) return;
+      const strip = event.target.closest('[data-mixer-channel-id]');
+      this.handleChannelMixChange(strip?.getAttribute('data-mixer-channel-id'), { [field]: Number(event.target.value) });
+    });
     this.root?.querySelector('#collab-my-invites')?.addEventListener('click', (event) => {
       const acceptTarget = event.target.closest('[data-accept-invite]');
       if (acceptTarget) {
@@ -1117,6 +1347,48 @@ export class CollabPanel {
         valueEl.textContent = `${value} ms`;
       }
     });
+    this.root?.querySelector('#collab-replay-load-btn')?.addEventListener('click', () => {
+      this.loadReplay();
+    });
+    this.root?.querySelector('#collab-replay-toggle-btn')?.addEventListener('click', () => {
+      this.toggleReplayPlayback();
+    });
+    this.root?.querySelector('#collab-replay-scrub')?.addEventListener('input', (event) => {
+      this.sessionReplay?.seek(Number(event.target.value));
+    });
+    this.root?.querySelector('#collab-replay-speed')?.addEventListener('change', (event) => {
+      this.sessionReplay?.setSpeed(Number(event.target.value));
+    });
+    this.root?.querySelector('#collab-replay-export-btn')?.addEventListener('click', () => {
+      this.exportReplayPattern();
+    });
+    this.root?.querySelector('#collab-replay-close-btn')?.addEventListener('click', () => {
+      this.closeReplay();
+    });
+    this.root?.querySelector('#collab-listen-link-create-btn')?.addEventListener('click', () => {
+      this.handleListenLinkCreate();
+    });
+    this.root?.querySelector('#collab-listen-link-revoke-btn')?.addEventListener('click', () => {
+      this.handleListenLinkRevoke();
+    });
+    this.root?.querySelector('#collab-listen-link-copy-btn')?.addEventListener('click', () => {
+      this.handleListenLinkCopy();
+    });
+    this.root?.querySelector('#collab-transport-toggle-btn')?.addEventListener('click', () => {
+      const playing = !!this.currentSnapshot?.settings?.transport?.playing;
+      this.handleTransportChange(playing ? 'stop' : 'start');
+    });
+    this.root?.querySelector('#collab-transport-tempo')?.addEventListener('change', (event) => {
+      const tempo = Number(event.target.value);
+      if (!Number.isFinite(tempo)) return;
+      this.handleTransportChange('tempo', tempo);
+    });
+    this.root?.querySelector('#collab-quantize-mode')?.addEventListener('change', () => {
+      this.handleQuantizeChange();
+    });
+    this.root?.querySelector('#collab-quantize-cycles')?.addEventListener('change', () => {
+      this.handleQuantizeChange();
+    });
     this.root?.querySelector('#collab-delay-slider')?.addEventListener('change', (event) => {
       const value = Number(event.target.value);
       if (!this.currentSnapshot?.id) return;
@@ -1143,9 +1415,28 @@ export class CollabPanel {
     this.boundHandlers.push(this.socketClient.on('session:snapshot', (snapshot) => {
       this.updateSnapshot(snapshot);
     }));
+    this.boundHandlers.push(this.socketClient.on('transport:updated', (payload) => {
+      if (!payload?.transport || payload.sessionId !== this.currentSnapshot?.id) return;
+      this.currentSnapshot.settings = { ...(this.currentSnapshot.settings || {}), transport: payload.transport };
+      this.renderTransport(payload.transport);
+    }));
+    this.boundHandlers.push(this.socketClient.on('session:presence', (payload) => {
+      this.handlePresence(payload);
+    }));
+    this.boundHandlers.push(this.socketClient.on('session:viewers', (payload) => {
+      if (payload?.sessionId !== this.currentSnapshot?.id) return;
+      this.renderListenViewers(payload.viewers);
+    }));
     this.boundHandlers.push(this.socketClient.on('master:updated', (payload) => {
       if (payload?.masterCode) {
-        this.setStatus('Master updated across collaborators', STATUS_VARIANTS.info, 2000);
+        const scene = payload.sceneId
+          ? (this.currentSnapshot?.settings?.scenes || []).find(item => item.id === payload.sceneId)
+          : null;
+        this.setStatus(
+          scene ? `Scene "${scene.name}" goes live on the next cycle` : 'Master updated across collaborators',
+          STATUS_VARIANTS.info,
+          2000
+        );
         if (this.currentSnapshot) {
           this.currentSnapshot.masterCode = payload.masterCode;
           this.renderMasterPattern(this.currentSnapshot, payload.masterCode);
@@ -1244,6 +1535,9 @@ export class CollabPanel {
     this.renderParticipants([]);
     this.renderChannels([]);
     this.renderMasterPattern(null);
+    this.closeChannelHistory();
+    this.closeChannelCoedit();
+    this.resetPresence();
     this.renderEmptyState();
     this.updateMasterPlayButton(false);
 
@@ -1412,11 +1706,27 @@ export class CollabPanel {
       this.setStatus(`Master updates apply after ${snapshot.applyDelayMs} ms to protect playback.`, STATUS_VARIANTS.info, 3000);
     }
     const ownerTools = this.root?.querySelector('#collab-owner-tools');
+    const isOwner = !!(this.currentUser && snapshot.owner && this.currentUser.id === snapshot.owner.id);
     if (ownerTools) {
-      ownerTools.hidden = !(this.currentUser && snapshot.owner && this.currentUser.id === snapshot.owner.id);
+      ownerTools.hidden = !isOwner;
+    }
+    if (isOwner && this.listenLinkSessionId !== snapshot.id) {
+      this.loadListenLink(snapshot.id);
+    }
+    if (this.sessionReplay && this.replaySessionId !== snapshot.id) {
+      this.closeReplay({ restoreLive: false });
     }
+    this.renderTransport(snapshot.settings?.transport);
+    this.renderQuantize(snapshot.settings?.quantize);
+    this.renderScenes(snapshot);
+    this.updateRoleState();
     this.renderParticipants(snapshot.participants || []);
     this.renderChannels(snapshot.channels || []);
+    this.startPresencePlayhead();
+    this.syncChannelHistory(snapshot);
+    if (this.coeditChannelId && !(snapshot?.channels || []).some((channel) => channel.id === this.coeditChannelId)) {
+      this.closeChannelCoedit();
+    }
     const samples = snapshot.cpuStats?.recentServerSamples || [];
     if (samples.length) {
       this.updateCpuStats(samples[samples.length - 1]);
@@ -1431,15 +1741,76 @@ export class CollabPanel {
       list.innerHTML = '<li class="empty">No collaborators yet.</li>';
       return;
     }
+    const canManageRoles = roleCan(this.getMyRole(), 'roles.manage');
     list.innerHTML = participants.map((participant) => {
       const userName = participant.user?.artistName || participant.user?.name || 'Unknown';
+      const userId = participant.user?.id || '';
+      const role = userId && userId === this.currentSnapshot?.owner?.id
+        ? 'owner'
+        : normalizeSessionRole(participant.role) || participant.role;
+      const roleControl = canManageRoles && role !== 'owner' && userId
+        ? `<select class="collab-role-select" data-participant-role-user-id="${userId}" aria-label="Role for ${this.escapeHtml(userName)}">
+            ${ASSIGNABLE_SESSION_ROLES.map((option) => `<option value="${option}" title="${SESSION_ROLE_DESCRIPTIONS[option]}" ${option === role ? 'selected' : ''}>${SESSION_ROLE_LABELS[option]}</option>`).join('')}
+          </select>`
+        : `<span class="role" title="${SESSION_ROLE_DESCRIPTIONS[role] || ''}">${SESSION_ROLE_LABELS[role] || role}</span>`;
       return `<li>
         <span>${userName}</span>
-        <span class="role">${participant.role}</span>
+        <span class="collab-presence-status" data-presence-user-id="${userId}">${this.escapeHtml(this.describeUserPresence(userId))}</span>
+        ${roleControl}
       </li>`;
     }).join('');
   }
 
+  /**
+   * This user's role in the current session (null when not a participant)
+   */
+  getMyRole() {
+    const snapshot = this.currentSnapshot;
+    if (!snapshot || !this.currentUser) return null;
+    if (snapshot.owner?.id === this.currentUser.id) return 'owner';
+    const participant = (snapshot.participants || []).find((item) => item.user?.id === this.currentUser.id);
+    return participant ? normalizeSessionRole(participant.role) : null;
+  }
+
+  /**
+   * Disable channel actions the server would reject for this role
+   */
+  updateRoleState() {
+    if (!this.currentUser) return;
+    const role = this.getMyRole();
+    const canCreate = roleCan(role, 'channel.create');
+    const canPublish = roleCan(role, 'channel.publishOwn');
+    const draftButton = this.root?.querySelector('#collab-push-draft-btn');
+    const publishButton = this.root?.querySelector('#collab-publish-btn');
+    if (draftButton) {
+      draftButton.disabled = !canCreate;
+    }
+    if (publishButton) {
+      publishButton.disabled = !canPublish;
+    }
+    const hint = this.root?.querySelector('#collab-role-hint');
+    if (hint) {
+      hint.hidden = !role || role === 'owner';
+      hint.textContent = role ? `You are ${SESSION_ROLE_LABELS[role] || role}: ${SESSION_ROLE_DESCRIPTIONS[role] || ''}.` : '';
+    }
+  }
+
+  async handleParticipantRoleChange(userId, role) {
+    if (!userId || !role || !this.currentSnapshot?.id) return;
+    try {
+      await this.socketClient.updateParticipantRole({
+        sessionId: this.currentSnapshot.id,
+        userId,
+        role
+      });
+      this.setStatus(`Role changed to ${SESSION_ROLE_LABELS[role] || role}.`, STATUS_VARIANTS.success, 2000);
+    } catch (error) {
+      console.error('Role change failed', error);
+      this.setStatus(error.message || 'Failed to change role', STATUS_VARIANTS.error);
+      this.renderParticipants(this.currentSnapshot?.participants || []);
+    }
+  }
+
   renderChannels(channels) {
     const container = this.root?.querySelector('#collab-channels-container');
     if (!container) return;
@@ -1455,11 +1826,13 @@ export class CollabPanel {
         <div class="collab-channel-card">
           <div class="collab-channel-card__header">
             <span>${channel.name || 'Untitled channel'}</span>
+            <span class="collab-presence-avatars" data-presence-channel-id="${channel.id}">${this.renderPresenceAvatars(channel.id)}</span>
             <span class="badge ${channel.status}">${channel.status}</span>
           </div>
           <div class="collab-channel-card__meta">
             <span>By ${author}</span>
             <span>${updatedAt}</span>
+            <button type="button" class="btn-link collab-history-button" data-channel-history-id="${channel.id}">History</button>
           </div>
           <pre>${channel.code.slice(0, 220)}${channel.code.length > 220 ? '…' : ''}</pre>
         </div>
@@ -1489,37 +1862,954 @@ export class CollabPanel {
       return;
     }
 
+    this.renderGroupOptions(snapshot?.channels || []);
+    // Channels arrive in stack order; a heading marks where each run of a group starts
+    let previousGroup = null;
     container.innerHTML = channels
-      .map((channel) => this.renderMasterChannelBlock(channel))
+      .map((channel, index) => {
+        const group = channel.group || null;
+        const heading = group && group !== previousGroup
+          ? `<div class="collab-master-group">${this.escapeHtml(group)}</div>`
+          : '';
+        previousGroup = group;
+        return heading + this.renderMasterChannelBlock(channel, { isFirst: index === 0, isLast: index === channels.length - 1 });
+      })
       .join('');
     this.updateMasterPlayButton(soundManager?.masterActive);
   }
 
-  renderMasterChannelBlock(channel) {
+  renderGroupOptions(channels) {
+    const datalist = this.root?.querySelector('#collab-group-options');
+    if (!datalist) return;
+    const groups = new Set(DEFAULT_CHANNEL_GROUPS);
+    channels.forEach((channel) => {
+      if (channel.group) {
+        groups.add(channel.group);
+      }
+    });
+    datalist.innerHTML = Array.from(groups)
+      .map(group => `<option value="${this.escapeHtml(group)}"></option>`)
+      .join('');
+  }
+
+  renderMasterChannelBlock(channel, { isFirst = false, isLast = false } = {}) {
     const label = channel.name || channel.elementId || 'Untitled channel';
     const author = channel.user?.artistName || channel.user?.name || 'anonymous';
     const code = (channel.code || '').trim();
-    const comment = `// ${label} — ${author}`;
+    const comment = `// ${channel.group ? `[${channel.group}] ` : ''}${label} — ${author}`;
     const fullPayload = `${comment}\n${code}`.trim();
     const colors = this.getUserColor(channel);
     const safeLabel = this.escapeHtml(label);
-    const canRemove = !!this.currentUser &&
-      (this.currentUser.id === channel.user?.id || this.currentUser.id === this.currentSnapshot?.owner?.id);
+    const canRemove = roleCanOnChannel(this.getMyRole(), 'publish', channel.user?.id === this.currentUser?.id);
+    const canMix = this.canEditChannelMix(channel);
+    const canArrange = roleCan(this.getMyRole(), 'channel.arrange');
+    const canEdit = roleCanOnChannel(this.getMyRole(), 'edit', channel.user?.id === this.currentUser?.id);
+    const arrangeControls = canArrange
+      ? `<span class="collab-master-block__order">
+          <button type="button" class="btn-link" data-channel-move-id="${channel.id}" data-move-direction="-1" aria-label="Move ${safeLabel} up" ${isFirst ? 'disabled' : ''}>↑</button>
+          <button type="button" class="btn-link" data-channel-move-id="${channel.id}" data-move-direction="1" aria-label="Move ${safeLabel} down" ${isLast ? 'disabled' : ''}>↓</button>
+        </span>`
+      : '';
+    const groupControl = canEdit
+      ? `<input type="text" class="collab-group-input" data-channel-group-id="${channel.id}" list="collab-group-options" value="${this.escapeHtml(channel.group || '')}" placeholder="group" maxlength="32" aria-label="Group for ${safeLabel}">`
+      : '';
     const removeButton = canRemove
       ? `<button type="button" class="collab-master-block__remove" data-remove-master-id="${channel.id}" aria-label="Remove ${safeLabel}">&times;</button>`
       : '';
+    const soloActive = (this.currentSnapshot?.channels || [])
+      .some((candidate) => candidate.solo && MASTER_CHANNEL_STATUSES.has(candidate.status));
+    const stateClasses = [
+      channel.muted ? 'is-muted' : '',
+      channel.solo ? 'is-soloed' : '',
+      soloActive && !channel.solo ? 'is-silenced' : ''
+    ].filter(Boolean).join(' ');
     return `
-      <div class="collab-master-block" data-master-channel-id="${channel.id}" style="--author-bg:${colors.bg}; --author-border:${colors.border};">
+      <div class="collab-master-block ${stateClasses}" data-master-channel-id="${channel.id}" style="--author-bg:${colors.bg}; --author-border:${colors.border};">
         ${removeButton}
         <div class="collab-master-block__meta">
+          ${arrangeControls}
           <span>${safeLabel}</span>
           <span>${this.escapeHtml(author)}</span>
+          ${groupControl}
+          <span class="collab-presence-avatars" data-presence-channel-id="${channel.id}">${this.renderPresenceAvatars(channel.id)}</span>
+          ${canEdit ? `<button type="button" class="btn-link collab-history-button" data-channel-coedit-id="${channel.id}">Edit together</button>` : ''}
+          <button type="button" class="btn-link collab-history-button" data-channel-history-id="${channel.id}">History</button>
         </div>
+        ${this.renderMixerStrip(channel, canMix)}
         <pre>${this.escapeHtml(fullPayload)}</pre>
       </div>
     `;
   }
 
+  /**
+   * The owner may change any channel's mix; other roles (except listeners) only their own
+   */
+  canEditChannelMix(channel) {
+    return !!this.currentUser &&
+      roleCanOnChannel(this.getMyRole(), 'mix', this.currentUser.id === channel.user?.id);
+  }
+
+  /**
+   * Swap a live channel with its neighbour in the master; the full order (drafts included) is sent
+   */
+  async moveChannel(channelId, direction) {
+    const channels = this.currentSnapshot?.channels || [];
+    const live = channels.filter((channel) => MASTER_CHANNEL_STATUSES.has(channel.status) && channel.code?.trim());
+    const index = live.findIndex((channel) => channel.id === channelId);
+    const neighbour = live[index + direction];
+    if (index === -1 || !neighbour) return;
+    const order = channels.map((channel) => channel.id);
+    const from = order.indexOf(channelId);
+    const to = order.indexOf(neighbour.id);
+    [order[from], order[to]] = [order[to], order[from]];
+    try {
+      await this.socketClient.reorderChannels({ sessionId: this.currentSnapshot.id, channelIds: order });
+    } catch (error) {
+      console.error('Channel reorder failed', error);
+      this.setStatus(error.message || 'Failed to reorder channels', STATUS_VARIANTS.error);
+    }
+  }
+
+  async handleChannelGroupChange(channelId, group) {
+    if (!channelId || !this.currentSnapshot?.id) return;
+    try {
+      await this.socketClient.updateChannelGroup({
+        sessionId: this.currentSnapshot.id,
+        channelId,
+        group: group.trim() || null
+      });
+    } catch (error) {
+      console.error('Channel group update failed', error);
+      this.setStatus(error.message || 'Failed to update channel group', STATUS_VARIANTS.error);
+      this.renderMasterPattern(this.currentSnapshot);
+    }
+  }
+
+  renderScenes(snapshot) {
+    const section = this.root?.querySelector('#collab-scenes');
+    const list = this.root?.querySelector('#collab-scenes-list');
+    if (!section || !list) return;
+    const scenes = snapshot?.settings?.scenes || [];
+    const canManage = roleCan(this.getMyRole(), 'scenes.manage');
+    section.hidden = !canManage && !scenes.length;
+    const saveBtn = this.root.querySelector('#collab-scene-save-btn');
+    if (saveBtn) {
+      saveBtn.hidden = !canManage;
+    }
+    if (!scenes.length) {
+      list.innerHTML = '<div class="collab-empty-state">No scenes yet. Publish the channels you want together, then save them as a scene.</div>';
+      return;
+    }
+    const channels = snapshot?.channels || [];
+    const liveIds = new Set(channels.filter((channel) => MASTER_CHANNEL_STATUSES.has(channel.status)).map((channel) => channel.id));
+    list.innerHTML = scenes.map((scene) => {
+      const names = scene.channelIds
+        .map((id) => channels.find((channel) => channel.id === id))
+        .filter(Boolean)
+        .map((channel) => channel.name || channel.elementId || 'Untitled channel');
+      const isActive = scene.channelIds.length === liveIds.size && scene.channelIds.every((id) => liveIds.has(id));
+      const title = this.escapeHtml(names.join(', ') || 'No channels (silence)');
+      const controls = canManage
+        ? `<button type="button" class="btn-secondary" data-scene-trigger-id="${scene.id}" data-collab-requires-auth>Launch</button>
+           <button type="button" class="btn-link danger" data-scene-delete-id="${scene.id}" aria-label="Delete scene ${this.escapeHtml(scene.name)}">&times;</button>`
+        : '';
+      return `
+        <div class="collab-scene${isActive ? ' is-active' : ''}" title="${title}">
+          <span class="collab-scene__name">${this.escapeHtml(scene.name)}</span>
+          <span class="collab-scene__count">${names.length} ch</span>
+          ${controls}
+        </div>
+      `;
+    }).join('');
+  }
+
+  async handleSaveScene() {
+    if (!this.currentSnapshot?.id) return;
+    const scenes = this.currentSnapshot.settings?.scenes || [];
+    const name = prompt('Scene name:', `Scene ${scenes.length + 1}`);
+    if (name === null) return;
+    try {
+      await this.socketClient.saveScene({ sessionId: this.currentSnapshot.id, name });
+      this.setStatus('Scene saved from the live channels.', STATUS_VARIANTS.success, 2000);
+    } catch (error) {
+      console.error('Scene save failed', error);
+      this.setStatus(error.message || 'Failed to save scene', STATUS_VARIANTS.error);
+    }
+  }
+
+  async handleTriggerScene(sceneId) {
+    if (!sceneId || !this.currentSnapshot?.id) return;
+    try {
+      await this.socketClient.triggerScene({ sessionId: this.currentSnapshot.id, sceneId });
+    } catch (error) {
+      console.error('Scene trigger failed', error);
+      this.setStatus(error.message || 'Failed to launch scene', STATUS_VARIANTS.error);
+    }
+  }
+
+  async handleDeleteScene(sceneId) {
+    if (!sceneId || !this.currentSnapshot?.id) return;
+    const scene = (this.currentSnapshot.settings?.scenes || []).find((item) => item.id === sceneId);
+    if (!confirm(`Delete scene "${scene?.name || 'scene'}"?`)) return;
+    try {
+      await this.socketClient.deleteScene({ sessionId: this.currentSnapshot.id, sceneId });
+    } catch (error) {
+      console.error('Scene delete failed', error);
+      this.setStatus(error.message || 'Failed to delete scene', STATUS_VARIANTS.error);
+    }
+  }
+
+  renderMixerStrip(channel, canEdit) {
+    const volume = Number.isFinite(channel.volume) ? channel.volume : 0;
+    const pan = Number.isFinite(channel.pan) ? channel.pan : 0;
+    const disabled = canEdit ? '' : 'disabled';
+    const title = canEdit ? '' : 'title="Your session role cannot change this channel\'s mix"';
+    return `
+      <div class="collab-mixer-strip" data-mixer-channel-id="${channel.id}" ${title}>
+        <label class="collab-mixer-strip__control">
+          <span>Vol</span>
+          <input type="range" data-mixer-field="volume" min="${MIXER_VOLUME_RANGE.min}" max="${MIXER_VOLUME_RANGE.max}" step="${MIXER_VOLUME_RANGE.step}" value="${volume}" ${disabled}>
+          <output data-mixer-output="volume">${this.formatMixerValue('volume', volume)}</output>
+        </label>
+        <label class="collab-mixer-strip__control">
+          <span>Pan</span>
+          <input type="range" data-mixer-field="pan" min="-1" max="1" step="0.05" value="${pan}" ${disabled}>
+          <output data-mixer-output="pan">${this.formatMixerValue('pan', pan)}</output>
+        </label>
+        <button type="button" class="collab-mixer-strip__toggle ${channel.muted ? 'active' : ''}" data-mixer-toggle="muted" aria-pressed="${!!channel.muted}" ${disabled}>M</button>
+        <button type="button" class="collab-mixer-strip__toggle solo ${channel.solo ? 'active' : ''}" data-mixer-toggle="solo" aria-pressed="${!!channel.solo}" ${disabled}>S</button>
+      </div>
+    `;
+  }
+
+  formatMixerValue(field, value) {
+    if (field === 'volume') {
+      return value <= MIXER_VOLUME_RANGE.min ? '-∞ dB' : `${value > 0 ? '+' : ''}${value.toFixed(1)} dB`;
+    }
+    if (Math.abs(value) < 0.01) {
+      return 'C';
+    }
+    return `${value < 0 ? 'L' : 'R'}${Math.round(Math.abs(value) * 100)}`;
+  }
+
+  async handleChannelMixChange(channelId, mix) {
+    if (!channelId || !this.currentSnapshot?.id) {
+      return;
+    }
+    try {
+      await this.socketClient.updateChannelMix({
+        sessionId: this.currentSnapshot.id,
+        channelId,
+        ...mix
+      });
+    } catch (error) {
+      console.error('Channel mix update failed', error);
+      this.setStatus(error.message || 'Failed to update channel mix', STATUS_VARIANTS.error);
+      // Put the strip back to the last state the server confirmed
+      this.renderMasterPattern(this.currentSnapshot);
+    }
+  }
+
+  /**
+   * Open a channel's code in a shared editor; keystrokes merge live with everyone else editing it
+   */
+  openChannelCoedit(channelId) {
+    const channel = this.getSnapshotChannel(channelId);
+    const sessionId = this.currentSnapshot?.id;
+    if (!channel || !sessionId) return;
+    this.closeChannelCoedit();
+
+    const section = this.root?.querySelector('#collab-coedit');
+    const mount = this.root?.querySelector('#collab-coedit-editor');
+    if (!section || !mount) return;
+    const textarea = document.createElement('textarea');
+    textarea.id = 'collab-coedit-textarea';
+    textarea.className = 'pattern-editor';
+    textarea.value = channel.code || '';
+    mount.appendChild(textarea);
+    const editor = createStrudelReplEditor(textarea);
+    if (editor) {
+      textarea._strudelEditor = editor;
+    }
+
+    const title = this.root.querySelector('#collab-coedit-title');
+    if (title) {
+      title.textContent = `Co-editing: ${channel.name || channel.elementId || 'Untitled channel'}`;
+    }
+    const status = this.root.querySelector('#collab-coedit-status');
+    if (status) {
+      status.textContent = 'Connecting…';
+    }
+    section.hidden = false;
+
+    this.coeditChannelId = channelId;
+    this.coeditDocument = new CollaborativeDocument({
+      sessionId,
+      key: channelDocumentKey(channelId),
+      editor: textarea,
+      cursorColor: (userId) => this.getUserColor({ user: { id: userId } }).border,
+      onJoined: ({ canEdit }) => {
+        setStrudelEditorEditable(textarea, canEdit);
+        if (status) {
+          status.textContent = canEdit ? 'Live' : 'Read only — only the author or session owner can edit';
+        }
+      }
+    });
+    if (!this.coeditDocument.binding && status) {
+      status.textContent = 'Editor unavailable';
+    }
+    this.setLocalPresence({ channelId, draft: false, cursor: null });
+    section.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  }
+
+  closeChannelCoedit() {
+    if (this.coeditChannelId && this.localPresence.channelId === this.coeditChannelId) {
+      this.setLocalPresence({ channelId: null, typing: false, cursor: null });
+    }
+    this.coeditDocument?.destroy();
+    this.coeditDocument = null;
+    this.coeditChannelId = null;
+    const section = this.root?.querySelector('#collab-coedit');
+    if (section) {
+      section.hidden = true;
+    }
+    const mount = this.root?.querySelector('#collab-coedit-editor');
+    if (mount) {
+      mount.querySelector('textarea')?._strudelEditor?.destroy?.();
+      mount.innerHTML = '';
+    }
+  }
+
+  renderTransport(transport) {
+    const isOwner = !!this.currentUser && this.currentUser.id === this.currentSnapshot?.owner?.id;
+    const playing = !!transport?.playing;
+    const tempo = transport?.tempo || 120;
+    const status = this.root?.querySelector('#collab-transport-status');
+    if (status) {
+      const follow = isOwner ? '' : ' (following the owner)';
+      status.textContent = playing ? `▶ ${tempo} BPM${follow}` : `stopped · ${tempo} BPM`;
+    }
+    const controls = this.root?.querySelector('#collab-transport-controls');
+    if (controls) {
+      controls.hidden = !isOwner;
+    }
+    const toggle = this.root?.querySelector('#collab-transport-toggle-btn');
+    if (toggle) {
+      toggle.textContent = playing ? 'Stop for everyone' : 'Start for everyone';
+      toggle.classList.toggle('active', playing);
+    }
+    const tempoInput = this.root?.querySelector('#collab-transport-tempo');
+    if (tempoInput && document.activeElement !== tempoInput) {
+      tempoInput.value = tempo;
+    }
+  }
+
+  renderQuantize(quantize) {
+    const isOwner = !!this.currentUser && this.currentUser.id === this.currentSnapshot?.owner?.id;
+    const normalized = normalizeCollabQuantize(quantize);
+    const status = this.root?.querySelector('#collab-quantize-status');
+    if (status) {
+      status.textContent = describeCollabQuantize(normalized);
+      status.hidden = isOwner;
+    }
+    const controls = this.root?.querySelector('#collab-quantize-controls');
+    if (controls) {
+      controls.hidden = !isOwner;
+    }
+    const modeSelect = this.root?.querySelector('#collab-quantize-mode');
+    if (modeSelect) {
+      if (!modeSelect.options.length) {
+        COLLAB_QUANTIZE_MODES.forEach((mode) => {
+          modeSelect.appendChild(new Option(COLLAB_QUANTIZE_LABELS[mode], mode));
+        });
+      }
+      modeSelect.value = normalized.mode;
+    }
+    const cyclesInput = this.root?.querySelector('#collab-quantize-cycles');
+    if (cyclesInput) {
+      cyclesInput.hidden = normalized.mode !== 'cycles';
+      if (document.activeElement !== cyclesInput) {
+        cyclesInput.value = normalized.cycles;
+      }
+    }
+  }
+
+  async loadReplay() {
+    const sessionId = this.currentSnapshot?.id;
+    if (!sessionId) return;
+    this.setStatus('Loading session history…', STATUS_VARIANTS.info);
+    let events;
+    try {
+      ({ events } = await collabAPI.listSessionEvents(sessionId));
+    } catch (error) {
+      console.error('Failed to load session events', error);
+      this.setStatus(error.message || 'Failed to load session history', STATUS_VARIANTS.error);
+      return;
+    }
+    if (sessionId !== this.currentSnapshot?.id) return;
+    if (!events?.length) {
+      this.setStatus('Nothing has been recorded in this session yet.', STATUS_VARIANTS.info, 2500);
+      return;
+    }
+
+    this.closeReplay({ restoreLive: false });
+    this.sessionReplay = new SessionReplay(events, {
+      onChange: change => this.handleReplayChange(change)
+    });
+    this.replaySessionId = sessionId;
+    // Live master updates keep coming in; the app leaves the audio to the replay until we're back to live
+    this.socketClient.emitLocal('replay:state', { active: true, sessionId });
+    const controls = this.root?.querySelector('#collab-replay-controls');
+    if (controls) {
+      controls.hidden = false;
+    }
+    const scrub = this.root?.querySelector('#collab-replay-scrub');
+    if (scrub) {
+      scrub.max = String(this.sessionReplay.duration);
+    }
+    const speed = this.root?.querySelector('#collab-replay-speed');
+    if (speed) {
+      this.sessionReplay.setSpeed(Number(speed.value));
+    }
+    this.sessionReplay.seek(0);
+    this.setStatus(`Loaded ${events.length} session events.`, STATUS_VARIANTS.success, 2000);
+  }
+
+  handleReplayChange({ position, duration, playing, state, appliedCount }) {
+    const scrub = this.root?.querySelector('#collab-replay-scrub');
+    if (scrub && document.activeElement !== scrub) {
+      scrub.value = String(Math.round(position));
+    }
+    const time = this.root?.querySelector('#collab-replay-time');
+    if (time) {
+      time.textContent = `${formatReplayTime(position)} / ${formatReplayTime(duration)}`;
+    }
+    const toggle = this.root?.querySelector('#collab-replay-toggle-btn');
+    if (toggle) {
+      toggle.textContent = playing ? '❚❚ Pause' : '▶ Replay';
+      toggle.classList.toggle('active', playing);
+    }
+    const summary = this.root?.querySelector('#collab-replay-summary');
+    if (summary) {
+      const channels = Object.values(state.channels);
+      const live = channels.filter(channel => channel.status === 'live' || channel.status === 'published').length;
+      summary.textContent = `Event ${appliedCount} of ${this.sessionReplay?.events.length || 0} · ${channels.length} channels, ${live} live`;
+    }
+
+    // Re-apply the master as it was at this point; the scheduler re-evaluates without stopping
+    const code = state.mergedStack?.trim() || state.masterCode?.trim() || '';
+    if (code && code !== this.replayAppliedCode && (playing || soundManager.masterActive)) {
+      this.replayAppliedCode = code;
+      soundManager.setMasterPatternCode(code);
+    }
+  }
+
+  async toggleReplayPlayback() {
+    const replay = this.sessionReplay;
+    if (!replay) return;
+    if (replay.playing) {
+      replay.pause();
+      if (soundManager.masterActive) {
+        await soundManager.stopMasterPattern();
+        this.updateMasterPlayButton(false);
+      }
+      return;
+    }
+    this.replayAppliedCode = null;
+    replay.play();
+    if (!soundManager.masterActive && this.replayAppliedCode) {
+      const result = await soundManager.playMasterPattern();
+      if (!result?.success) {
+        replay.pause();
+        this.setStatus(result?.error || 'Unable to start replay playback', STATUS_VARIANTS.error, 3000);
+        return;
+      }
+      this.updateMasterPlayButton(true);
+    }
+  }
+
+  exportReplayPattern() {
+    const replay = this.sessionReplay;
+    if (!replay) return;
+    const title = this.currentSnapshot?.title || 'Session';
+    const code = replay.exportAt(replay.position, { title });
+    if (!code) {
+      this.setStatus('Nothing was playing at this point.', STATUS_VARIANTS.info, 2500);
+      return;
+    }
+    const blob = new Blob([code], { type: 'text/javascript' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${this.currentSnapshot?.slug || 'session'}-${formatReplayTime(replay.position).replace(/:/g, '-')}.js`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Leave replay mode; by default the master goes back to the live session's stack
+   */
+  closeReplay({ restoreLive = true } = {}) {
+    if (!this.sessionReplay) return;
+    this.sessionReplay.destroy();
+    this.sessionReplay = null;
+    this.replaySessionId = null;
+    this.replayAppliedCode = null;
+    const controls = this.root?.querySelector('#collab-replay-controls');
+    if (controls) {
+      controls.hidden = true;
+    }
+    const summary = this.root?.querySelector('#collab-replay-summary');
+    if (summary) {
+      summary.textContent = 'Plays back every draft, publish, master override and delay change in this session.';
+    }
+    this.socketClient.emitLocal('replay:state', { active: false });
+    const liveCode = this.currentSnapshot?.mergedStack?.trim() || this.currentSnapshot?.masterCode?.trim();
+    if (restoreLive && liveCode) {
+      soundManager.setMasterPatternCode(liveCode);
+    }
+  }
+
+  async loadListenLink(sessionId) {
+    this.listenLinkSessionId = sessionId;
+    this.renderListenLink(null);
+    try {
+      const { token } = await collabAPI.getListenLink(sessionId);
+      if (this.listenLinkSessionId === sessionId) {
+        this.renderListenLink(token);
+      }
+    } catch (error) {
+      console.warn('Failed to load listen link', error);
+    }
+  }
+
+  renderListenLink(token) {
+    this.listenLinkToken = token || null;
+    const url = this.root?.querySelector('#collab-listen-link-url');
+    if (url) {
+      url.value = token ? `${window.location.origin}/?listen=${encodeURIComponent(token)}` : '';
+    }
+    const copyBtn = this.root?.querySelector('#collab-listen-link-copy-btn');
+    if (copyBtn) {
+      copyBtn.disabled = !token;
+    }
+    const createBtn = this.root?.querySelector('#collab-listen-link-create-btn');
+    if (createBtn) {
+      createBtn.textContent = token ? 'New link' : 'Create link';
+    }
+    const revokeBtn = this.root?.querySelector('#collab-listen-link-revoke-btn');
+    if (revokeBtn) {
+      revokeBtn.hidden = !token;
+    }
+  }
+
+  renderListenViewers(count) {
+    const viewers = this.root?.querySelector('#collab-listen-viewers');
+    if (viewers) {
+      const total = Number(count) || 0;
+      viewers.textContent = `${total} listening`;
+    }
+  }
+
+  async handleListenLinkCreate() {
+    const sessionId = this.currentSnapshot?.id;
+    if (!sessionId) return;
+    if (this.listenLinkToken && !confirm('Create a new link? Anyone using the current one will be disconnected.')) {
+      return;
+    }
+    try {
+      const { token } = await collabAPI.createListenLink(sessionId);
+      this.renderListenLink(token);
+      this.setStatus('Listen-only link ready to share.', STATUS_VARIANTS.success, 2500);
+    } catch (error) {
+      console.error('Failed to create listen link', error);
+      this.setStatus(error.message || 'Failed to create listen link', STATUS_VARIANTS.error);
+    }
+  }
+
+  async handleListenLinkRevoke() {
+    const sessionId = this.currentSnapshot?.id;
+    if (!sessionId || !this.listenLinkToken) return;
+    if (!confirm('Revoke the listen-only link? Current listeners will be disconnected.')) {
+      return;
+    }
+    try {
+      await collabAPI.revokeListenLink(sessionId);
+      this.renderListenLink(null);
+      this.setStatus('Listen-only link revoked.', STATUS_VARIANTS.info, 2500);
+    } catch (error) {
+      console.error('Failed to revoke listen link', error);
+      this.setStatus(error.message || 'Failed to revoke listen link', STATUS_VARIANTS.error);
+    }
+  }
+
+  async handleListenLinkCopy() {
+    const url = this.root?.querySelector('#collab-listen-link-url')?.value;
+    if (!url) return;
+    try {
+      await navigator.clipboard.writeText(url);
+      this.setStatus('Listen-only link copied.', STATUS_VARIANTS.success, 2000);
+    } catch (error) {
+      console.warn('Clipboard unavailable', error);
+      this.root.querySelector('#collab-listen-link-url').select();
+    }
+  }
+
+  async handleTransportChange(action, tempo = null) {
+    if (!this.currentSnapshot?.id) return;
+    const tempoInput = this.root?.querySelector('#collab-transport-tempo');
+    const requestedTempo = tempo ?? (Number(tempoInput?.value) || null);
+    try {
+      await this.socketClient.updateTransport({
+        sessionId: this.currentSnapshot.id,
+        action,
+        tempo: requestedTempo
+      });
+    } catch (error) {
+      console.error('Transport update failed', error);
+      this.setStatus(error.message || 'Failed to update transport', STATUS_VARIANTS.error);
+      this.renderTransport(this.currentSnapshot?.settings?.transport);
+    }
+  }
+
+  async handleQuantizeChange() {
+    if (!this.currentSnapshot?.id) return;
+    const mode = this.root?.querySelector('#collab-quantize-mode')?.value;
+    const cycles = Number(this.root?.querySelector('#collab-quantize-cycles')?.value) || 1;
+    try {
+      await this.socketClient.updateQuantize({ sessionId: this.currentSnapshot.id, mode, cycles });
+      this.setStatus(`Changes now apply: ${describeCollabQuantize({ mode, cycles }).toLowerCase()}.`, STATUS_VARIANTS.success, 2500);
+    } catch (error) {
+      console.error('Quantize update failed', error);
+      this.setStatus(error.message || 'Failed to update quantization', STATUS_VARIANTS.error);
+      this.renderQuantize(this.currentSnapshot?.settings?.quantize);
+    }
+  }
+
+  createDefaultPresence() {
+    return {
+      channelId: null,
+      draft: false,
+      typing: false,
+      cursor: null,
+      playing: false,
+      cycle: null,
+      tempo: null
+    };
+  }
+
+  /**
+   * Merge into what this user shares as presence and send the change (throttled)
+   */
+  setLocalPresence(patch = {}) {
+    const changed = Object.keys(patch).filter((key) => {
+      const next = patch[key];
+      const current = this.localPresence[key];
+      return typeof next === 'object' && next !== null
+        ? JSON.stringify(next) !== JSON.stringify(current)
+        : next !== current;
+    });
+    if (!changed.length) return;
+    changed.forEach((key) => {
+      this.localPresence[key] = patch[key];
+    });
+    this.pendingPresence = { ...(this.pendingPresence || {}), ...Object.fromEntries(changed.map((key) => [key, patch[key]])) };
+    if (this.presenceSendTimer) return;
+    this.presenceSendTimer = setTimeout(() => {
+      this.presenceSendTimer = null;
+      this.flushPresence();
+    }, PRESENCE_SEND_THROTTLE_MS);
+  }
+
+  flushPresence() {
+    if (!this.pendingPresence || !this.currentSnapshot?.id) {
+      this.pendingPresence = null;
+      return;
+    }
+    this.socketClient.updatePresence(this.pendingPresence, this.currentSnapshot.id);
+    this.pendingPresence = null;
+  }
+
+  markPresenceTyping() {
+    this.setLocalPresence({ typing: true });
+    clearTimeout(this.presenceTypingTimer);
+    this.presenceTypingTimer = setTimeout(() => {
+      this.presenceTypingTimer = null;
+      this.setLocalPresence({ typing: false });
+    }, PRESENCE_TYPING_IDLE_MS);
+  }
+
+  syncCoeditCursorPresence() {
+    const textarea = this.root?.querySelector('#collab-coedit-textarea');
+    const view = textarea?._strudelEditor;
+    if (!view?.state) return;
+    this.setLocalPresence({
+      channelId: this.coeditChannelId,
+      cursor: this.getTextCursor(view.state.doc.toString(), view.state.selection.main.head)
+    });
+  }
+
+  getTextCursor(text, offset) {
+    if (!Number.isInteger(offset)) return null;
+    const before = (text || '').slice(0, offset).split('\n');
+    return { line: before.length, column: before[before.length - 1].length };
+  }
+
+  /**
+   * Share whether this user's transport is playing and where its playhead is
+   */
+  startPresencePlayhead() {
+    if (this.presencePlayheadTimer) return;
+    this.presencePlayheadTimer = setInterval(() => {
+      const playing = !!soundManager?.masterActive;
+      const clock = playing ? soundManager.getSchedulerClock?.() : null;
+      this.setLocalPresence({
+        playing,
+        cycle: clock ? Math.floor(clock.cycle) : null,
+        tempo: playing ? soundManager.currentTempo || null : null
+      });
+    }, PRESENCE_PLAYHEAD_INTERVAL_MS);
+  }
+
+  resetPresence() {
+    clearInterval(this.presencePlayheadTimer);
+    clearTimeout(this.presenceSendTimer);
+    clearTimeout(this.presenceTypingTimer);
+    this.presencePlayheadTimer = null;
+    this.presenceSendTimer = null;
+    this.presenceTypingTimer = null;
+    this.pendingPresence = null;
+    this.localPresence = this.createDefaultPresence();
+    this.presence = [];
+    this.renderPresence();
+  }
+
+  handlePresence(payload) {
+    if (!payload || payload.sessionId !== this.currentSnapshot?.id) return;
+    this.presence = (payload.presence || []).filter((entry) => entry.userId !== this.currentUser?.id);
+    // After a reconnect the server starts from scratch; send everything we had again
+    const ownEntry = (payload.presence || []).some((entry) => entry.userId === this.currentUser?.id);
+    if (!ownEntry) {
+      this.pendingPresence = { ...this.localPresence };
+      this.flushPresence();
+    }
+    this.renderPresence();
+  }
+
+  describePresence(entry) {
+    const parts = [];
+    if (entry.typing) {
+      parts.push('typing…');
+    } else if (entry.draft) {
+      parts.push('writing a new channel');
+    }
+    const channel = entry.channelId ? this.getSnapshotChannel(entry.channelId) : null;
+    if (channel) {
+      parts.push(`on ${channel.name || channel.elementId || 'a channel'}`);
+    }
+    if (entry.cursor) {
+      parts.push(`Ln ${entry.cursor.line}, Col ${entry.cursor.column + 1}`);
+    }
+    if (entry.playing) {
+      parts.push(Number.isFinite(entry.cycle) ? `▶ bar ${entry.cycle + 1}` : '▶ playing');
+    }
+    return parts.join(' · ');
+  }
+
+  describeUserPresence(userId) {
+    if (!userId) return '';
+    return this.presence
+      .filter((entry) => entry.userId === userId)
+      .map((entry) => this.describePresence(entry))
+      .filter(Boolean)
+      .join(' / ');
+  }
+
+  renderPresenceAvatars(channelId) {
+    const seen = new Set();
+    return this.presence
+      .filter((entry) => entry.channelId === channelId && !seen.has(entry.userId) && seen.add(entry.userId))
+      .map((entry) => {
+        const color = this.getUserColor({ user: { id: entry.userId } });
+        const initials = (entry.name || '?').trim().slice(0, 2).toUpperCase();
+        const title = this.escapeHtml(`${entry.name} — ${this.describePresence(entry)}`);
+        return `<span class="collab-presence-avatar${entry.typing ? ' is-typing' : ''}${entry.playing ? ' is-playing' : ''}" style="--presence-bg:${color.bg}; --presence-border:${color.border};" title="${title}">${this.escapeHtml(initials)}</span>`;
+      })
+      .join('');
+  }
+
+  /**
+   * Update presence markers in place so mixer strips and editors are not re-rendered on every keystroke
+   */
+  renderPresence() {
+    this.root?.querySelectorAll('[data-presence-channel-id]').forEach((element) => {
+      element.innerHTML = this.renderPresenceAvatars(element.getAttribute('data-presence-channel-id'));
+    });
+    this.root?.querySelectorAll('[data-presence-user-id]').forEach((element) => {
+      element.textContent = this.describeUserPresence(element.getAttribute('data-presence-user-id'));
+    });
+  }
+
+  getSnapshotChannel(channelId) {
+    return (this.currentSnapshot?.channels || []).find((channel) => channel.id === channelId) || null;
+  }
+
+  async openChannelHistory(channelId) {
+    const channel = this.getSnapshotChannel(channelId);
+    if (!channel) return;
+    this.revisionChannelId = channelId;
+    this.revisionChannelUpdatedAt = channel.updatedAt || null;
+    const timeline = this.root?.querySelector('#collab-revision-timeline');
+    if (timeline) {
+      timeline.hidden = false;
+    }
+    const title = this.root?.querySelector('#collab-revision-title');
+    if (title) {
+      title.textContent = `History: ${channel.name || channel.elementId || 'Untitled channel'}`;
+    }
+    this.hideRevisionDiff();
+    await this.loadChannelRevisions();
+    timeline?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  }
+
+  closeChannelHistory() {
+    this.revisionChannelId = null;
+    this.revisionChannelUpdatedAt = null;
+    this.channelRevisions = [];
+    const timeline = this.root?.querySelector('#collab-revision-timeline');
+    if (timeline) {
+      timeline.hidden = true;
+    }
+    this.hideRevisionDiff();
+  }
+
+  /**
+   * Keep an open timeline current when pushes or restores arrive from collaborators
+   */
+  syncChannelHistory(snapshot) {
+    if (!this.revisionChannelId) return;
+    const channel = (snapshot?.channels || []).find((candidate) => candidate.id === this.revisionChannelId);
+    if (!channel) {
+      this.closeChannelHistory();
+      return;
+    }
+    if ((channel.updatedAt || null) !== this.revisionChannelUpdatedAt) {
+      this.revisionChannelUpdatedAt = channel.updatedAt || null;
+      this.loadChannelRevisions();
+    }
+  }
+
+  async loadChannelRevisions() {
+    const channelId = this.revisionChannelId;
+    const list = this.root?.querySelector('#collab-revision-list');
+    if (!channelId || !this.currentSnapshot?.id) return;
+    if (list && !this.channelRevisions.length) {
+      list.innerHTML = '<li class="empty">Loading history…</li>';
+    }
+    try {
+      const revisions = await this.socketClient.listChannelRevisions({
+        sessionId: this.currentSnapshot.id,
+        channelId
+      });
+      if (channelId !== this.revisionChannelId) return;
+      this.channelRevisions = revisions;
+      this.renderRevisionTimeline();
+    } catch (error) {
+      console.error('Failed to load channel history', error);
+      this.setStatus(error.message || 'Failed to load channel history', STATUS_VARIANTS.error);
+    }
+  }
+
+  renderRevisionTimeline() {
+    const list = this.root?.querySelector('#collab-revision-list');
+    if (!list) return;
+    if (!this.channelRevisions.length) {
+      list.innerHTML = '<li class="empty">No revisions yet.</li>';
+      return;
+    }
+    const channel = this.getSnapshotChannel(this.revisionChannelId);
+    const isOwn = !!channel && !!this.currentUser && channel.user?.id === this.currentUser.id;
+    // Mirrors restoreChannelRevision: editing restores a draft, going live also needs publish
+    const canRestore = !!channel && roleCanOnChannel(this.getMyRole(), 'edit', isOwn);
+    const canRestoreLive = canRestore && roleCanOnChannel(this.getMyRole(), 'publish', isOwn);
+    list.innerHTML = this.channelRevisions.map((revision, index) => {
+      const author = revision.user?.artistName || revision.user?.name || 'anonymous';
+      const createdAt = revision.createdAt ? new Date(revision.createdAt).toLocaleTimeString() : '';
+      const firstLine = (revision.code || '').split('\n').find((line) => line.trim()) || '';
+      const isCurrent = index === 0;
+      const actions = isCurrent
+        ? '<span class="badge current">current</span>'
+        : `
+          <button type="button" class="btn-link" data-revision-diff="${revision.id}">Diff</button>
+          ${canRestore ? `
+            <button type="button" class="btn-link" data-revision-restore="${revision.id}" data-restore-status="draft">Restore draft</button>
+            ${canRestoreLive ? `<button type="button" class="btn-link" data-revision-restore="${revision.id}" data-restore-status="live">Restore live</button>` : ''}
+          ` : ''}
+        `;
+      return `
+        <li class="collab-revision-item ${isCurrent ? 'is-current' : ''}">
+          <div class="collab-revision-item__meta">
+            <span>${this.escapeHtml(createdAt)}</span>
+            <span>${this.escapeHtml(author)}</span>
+            <span class="badge ${revision.appliedToMaster ? 'live' : 'draft'}">${revision.appliedToMaster ? 'live' : 'draft'}</span>
+          </div>
+          <code>${this.escapeHtml(firstLine.slice(0, 80))}</code>
+          <div class="collab-revision-item__actions">${actions}</div>
+        </li>
+      `;
+    }).join('');
+  }
+
+  async showRevisionDiff(revisionId) {
+    if (!revisionId || !this.revisionChannelId || !this.currentSnapshot?.id) return;
+    const container = this.root?.querySelector('#collab-revision-diff');
+    if (!container) return;
+    try {
+      const diff = await this.socketClient.diffChannelRevisions({
+        sessionId: this.currentSnapshot.id,
+        channelId: this.revisionChannelId,
+        fromRevisionId: revisionId
+      });
+      const markers = { added: '+', removed: '-', same: ' ' };
+      container.innerHTML = `
+        <div class="collab-revision-diff__summary">Changes since this revision: +${diff.added} / -${diff.removed}</div>
+        <pre>${diff.lines.map((line) => `<span class="diff-${line.type}">${markers[line.type]} ${this.escapeHtml(line.text)}</span>`).join('\n')}</pre>
+      `;
+      container.hidden = false;
+    } catch (error) {
+      console.error('Failed to diff revisions', error);
+      this.setStatus(error.message || 'Failed to diff revisions', STATUS_VARIANTS.error);
+    }
+  }
+
+  hideRevisionDiff() {
+    const container = this.root?.querySelector('#collab-revision-diff');
+    if (container) {
+      container.hidden = true;
+      container.innerHTML = '';
+    }
+  }
+
+  async handleRestoreRevision(revisionId, status = 'draft') {
+    if (!revisionId || !this.revisionChannelId || !this.currentSnapshot?.id) return;
+    try {
+      this.setStatus(status === 'live' ? 'Restoring revision to master…' : 'Restoring revision as draft…', STATUS_VARIANTS.info);
+      await this.socketClient.restoreChannelRevision({
+        sessionId: this.currentSnapshot.id,
+        channelId: this.revisionChannelId,
+        revisionId,
+        status
+      });
+      this.hideRevisionDiff();
+      this.setStatus('Revision restored.', STATUS_VARIANTS.success, 2200);
+    } catch (error) {
+      console.error('Failed to restore revision', error);
+      this.setStatus(error.message || 'Failed to restore revision', STATUS_VARIANTS.error);
+    }
+  }
+
   getUserColor(channel) {
     const key =
       channel?.user?.id ||
@@ -1882,6 +3172,10 @@ export class CollabPanel {
     if (ownerTools) {
       ownerTools.hidden = true;
     }
+    this.listenLinkSessionId = null;
+    this.renderListenLink(null);
+    this.renderListenViewers(0);
+    this.closeReplay();
     const label = this.root?.querySelector('#collab-session-label');
     if (label) {
       label.textContent = 'Not connected';
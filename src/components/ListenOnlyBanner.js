@@ -0,0 +1,82 @@
+/**
+ * Listen-Only Banner Component
+ * Shown instead of the collab tools when the page is opened from a session's listen link
+ */
+
+export class ListenOnlyBanner {
+  constructor({ onPlay = null, onStop = null } = {}) {
+    this.element = null;
+    this.onPlay = onPlay;
+    this.onStop = onStop;
+    this.playing = false;
+  }
+
+  /**
+   * Initialize the banner
+   */
+  init() {
+    if (this.element) return;
+    this.element = document.createElement('div');
+    this.element.className = 'listen-only-banner';
+    this.element.id = 'listen-only-banner';
+    this.element.innerHTML = `
+      <div class="listen-only-info">
+        <span class="listen-only-badge">🎧 Listening</span>
+        <strong id="listen-only-title">Connecting to session…</strong>
+        <span id="listen-only-status" class="listen-only-status"></span>
+      </div>
+      <button type="button" id="listen-only-toggle" class="listen-only-toggle" disabled>▶ Play</button>
+    `;
+    document.body.prepend(this.element);
+    document.body.classList.add('listen-only-mode');
+
+    this.element.querySelector('#listen-only-toggle').addEventListener('click', () => {
+      if (this.playing) {
+        this.onStop?.();
+      } else {
+        this.onPlay?.();
+      }
+    });
+  }
+
+  setSession(snapshot) {
+    if (!this.element || !snapshot) return;
+    const host = snapshot.owner?.artistName || snapshot.owner?.name;
+    const title = this.element.querySelector('#listen-only-title');
+    title.textContent = snapshot.title || 'Live session';
+    if (host) {
+      const byline = document.createElement('small');
+      byline.textContent = ` by ${host}`;
+      title.appendChild(byline);
+    }
+    this.element.querySelector('#listen-only-toggle').disabled = false;
+  }
+
+  setStatus(text) {
+    const status = this.element?.querySelector('#listen-only-status');
+    if (status) {
+      status.textContent = text || '';
+    }
+  }
+
+  setPlaying(playing) {
+    this.playing = !!playing;
+    const toggle = this.element?.querySelector('#listen-only-toggle');
+    if (toggle) {
+      toggle.textContent = this.playing ? '■ Stop' : '▶ Play';
+      toggle.classList.toggle('active', this.playing);
+    }
+  }
+
+  /**
+   * The link was revoked, the session deleted or the token never worked
+   */
+  setEnded(message) {
+    this.setPlaying(false);
+    this.setStatus(message);
+    const toggle = this.element?.querySelector('#listen-only-toggle');
+    if (toggle) {
+      toggle.disabled = true;
+    }
+  }
+}
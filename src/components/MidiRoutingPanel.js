@@ -0,0 +1,219 @@
+import { soundManager } from '../soundManager.js';
+import { lockScroll, unlockScroll } from '../scrollLock.js';
+
+const DEFAULT_PORT_KEY = '*';
+const MIDI_CHANNELS = Array.from({ length: 16 }, (_, index) => index + 1);
+
+/**
+ * Routing matrix: one row per element, one column per MIDI output port.
+ * Each cell picks the channel that element plays on that port (or none),
+ * so an element can drive several ports/channels while still playing through WebAudio.
+ */
+export class MidiRoutingPanel {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getElements - () => [{ id, title }]
+   * @param {Function} options.getElementRouting - (elementId) => { enabled, audio, routes }
+   * @param {Function} options.updateElementRouting - (elementId, { enabled, audio, routes }) => void
+   */
+  constructor({ getElements, getElementRouting, updateElementRouting }) {
+    this.getElements = getElements;
+    this.getElementRouting = getElementRouting;
+    this.updateElementRouting = updateElementRouting;
+    this.overlay = null;
+    this.isOpen = false;
+    this.unsubscribe = null;
+  }
+
+  init() {
+    this.render();
+    this.attachEventListeners();
+    // Ports coming and going re-draw the columns while the panel is open
+    this.unsubscribe = soundManager.addMIDIInputListener((message) => {
+      if (message.type === 'devices' && this.isOpen) {
+        this.renderMatrix();
+      }
+    });
+  }
+
+  render() {
+    if (this.overlay) return;
+    const modalHtml = `
+      <div class="settings-panel-overlay" id="midi-routing-overlay" style="display: none;">
+        <div class="settings-panel midi-routing-panel" role="dialog" aria-modal="true" aria-labelledby="midi-routing-title">
+          <div class="settings-panel-header">
+            <div>
+              <h2 id="midi-routing-title">MIDI Routing</h2>
+              <p>Send each channel to any MIDI outputs and channels, with or without its WebAudio sound.</p>
+            </div>
+            <div class="settings-panel-actions">
+              <button type="button" class="settings-panel-close" id="midi-routing-close" aria-label="Close MIDI routing">&times;</button>
+            </div>
+          </div>
+          <div class="settings-panel-body">
+            <div class="settings-field">
+              <label for="midi-routing-default-output">Default output</label>
+              <select id="midi-routing-default-output"></select>
+              <small>Used by the “Default” column and by plain <code>.midi()</code> in pattern code.</small>
+            </div>
+            <div class="midi-routing-matrix" id="midi-routing-matrix"></div>
+          </div>
+        </div>
+      </div>
+    `;
+    document.body.insertAdjacentHTML('beforeend', modalHtml);
+    this.overlay = document.getElementById('midi-routing-overlay');
+  }
+
+  attachEventListeners() {
+    this.overlay.querySelector('#midi-routing-close')?.addEventListener('click', () => this.hide());
+    this.overlay.addEventListener('click', (event) => {
+      if (event.target === this.overlay) {
+        this.hide();
+      }
+    });
+    document.addEventListener('keydown', (event) => {
+      if (this.isOpen && event.key === 'Escape') {
+        this.hide();
+      }
+    });
+
+    this.overlay.querySelector('#midi-routing-default-output')?.addEventListener('change', (event) => {
+      if (event.target.value) {
+        soundManager.selectMIDIOutput(event.target.value);
+      }
+    });
+
+    const matrix = this.overlay.querySelector('#midi-routing-matrix');
+    matrix?.addEventListener('change', (event) => {
+      const row = event.target.closest('[data-midi-route-element]');
+      if (row) {
+        this.applyRow(row);
+      }
+    });
+  }
+
+  /**
+   * Read one matrix row back into element routing
+   */
+  applyRow(row) {
+    const routes = Array.from(row.querySelectorAll('[data-midi-route-port]'))
+      .filter((select) => select.value !== '')
+      .map((select) => ({
+        port: select.dataset.midiRoutePort === DEFAULT_PORT_KEY ? null : select.dataset.midiRoutePort,
+        channel: Number(select.value)
+      }));
+    const audioToggle = row.querySelector('[data-midi-route-audio]');
+    this.updateElementRouting(row.dataset.midiRouteElement, {
+      enabled: routes.length > 0,
+      audio: audioToggle ? audioToggle.checked : true,
+      routes
+    });
+  }
+
+  async show() {
+    if (!this.overlay || this.isOpen) return;
+    await soundManager.ensureMIDIEnabled();
+    this.renderMatrix();
+    this.overlay.style.display = 'flex';
+    lockScroll('midi-routing-panel');
+    this.isOpen = true;
+  }
+
+  hide() {
+    if (!this.overlay || !this.isOpen) return;
+    this.overlay.style.display = 'none';
+    unlockScroll('midi-routing-panel');
+    this.isOpen = false;
+  }
+
+  renderMatrix() {
+    const matrix = this.overlay?.querySelector('#midi-routing-matrix');
+    if (!matrix) return;
+
+    const connectedPorts = soundManager.getMIDIOutputs();
+    const defaultName = soundManager.selectedMidiOutput?.name || '';
+    const defaultSelect = this.overlay.querySelector('#midi-routing-default-output');
+    if (defaultSelect) {
+      defaultSelect.innerHTML = connectedPorts.length > 0
+        ? connectedPorts.map((port) => `<option value="${this.escapeHtml(port)}">${this.escapeHtml(port)}</option>`).join('')
+        : `<option value="">${soundManager.midiEnabled ? 'No MIDI outputs connected' : 'Web MIDI unavailable'}</option>`;
+      defaultSelect.value = connectedPorts.includes(defaultName) ? defaultName : '';
+    }
+
+    const elements = this.getElements();
+    const routingByElement = new Map(elements.map(({ id }) => [id, this.getElementRouting(id)]));
+
+    // Keep columns for routed ports that are currently unplugged so their routes stay visible
+    const offlinePorts = new Set();
+    routingByElement.forEach((routing) => {
+      routing.routes.forEach((route) => {
+        if (route.port && !connectedPorts.includes(route.port)) {
+          offlinePorts.add(route.port);
+        }
+      });
+    });
+    const columns = [
+      { key: DEFAULT_PORT_KEY, label: 'Default', offline: false },
+      ...connectedPorts.map((port) => ({ key: port, label: port, offline: false })),
+      ...Array.from(offlinePorts, (port) => ({ key: port, label: port, offline: true }))
+    ];
+
+    if (elements.length === 0) {
+      matrix.innerHTML = '<p class="midi-routing-empty">No channels yet.</p>';
+      return;
+    }
+
+    const channelOptions = (selected) => [
+      `<option value="">—</option>`,
+      ...MIDI_CHANNELS.map((channel) => `<option value="${channel}"${channel === selected ? ' selected' : ''}>${channel}</option>`)
+    ].join('');
+
+    matrix.innerHTML = `
+      <table class="midi-routing-table">
+        <thead>
+          <tr>
+            <th scope="col">Channel</th>
+            <th scope="col">Audio</th>
+            ${columns.map((column) => `
+              <th scope="col" class="${column.offline ? 'is-offline' : ''}" title="${this.escapeHtml(column.label)}">
+                ${this.escapeHtml(column.label)}${column.offline ? ' (offline)' : ''}
+              </th>
+            `).join('')}
+          </tr>
+        </thead>
+        <tbody>
+          ${elements.map(({ id, title }) => {
+            const routing = routingByElement.get(id);
+            return `
+              <tr data-midi-route-element="${this.escapeHtml(id)}">
+                <th scope="row">${this.escapeHtml(title)}</th>
+                <td>
+                  <input type="checkbox" data-midi-route-audio ${routing.audio ? 'checked' : ''} aria-label="Play ${this.escapeHtml(title)} through WebAudio">
+                </td>
+                ${columns.map((column) => {
+                  const port = column.key === DEFAULT_PORT_KEY ? null : column.key;
+                  const route = routing.enabled ? routing.routes.find((candidate) => candidate.port === port) : null;
+                  return `
+                    <td>
+                      <select data-midi-route-port="${this.escapeHtml(column.key)}" aria-label="${this.escapeHtml(title)} → ${this.escapeHtml(column.label)} channel">
+                        ${channelOptions(route?.channel ?? null)}
+                      </select>
+                    </td>
+                  `;
+                }).join('')}
+              </tr>
+            `;
+          }).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  escapeHtml(value = '') {
+    const div = document.createElement('div');
+    div.textContent = value ?? '';
+    // Also used inside attributes, where port names may contain quotes
+    return div.innerHTML.replace(/"/g, '&quot;');
+  }
+}
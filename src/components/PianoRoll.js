@@ -0,0 +1,448 @@
+import { parsePianoRollPattern, serializePianoRoll, replacePianoRollRegion, replacesPattern } from '../utils/pianoRollNotation.js';
+import { midiToNoteName } from '../utils/midiImport.js';
+import { noteNameToMidi } from '../utils/offlineRenderer.js';
+
+const LOWEST_NOTE = 24; // C1
+const HIGHEST_NOTE = 96; // C7
+const ROW_HEIGHT = 14;
+const STEP_WIDTH = 20;
+const RESIZE_HANDLE_PX = 6;
+const BAR_OPTIONS = [1, 2, 4, 8];
+const LENGTH_OPTIONS = [
+  { steps: 1, label: '1/16' },
+  { steps: 2, label: '1/8' },
+  { steps: 4, label: '1/4' },
+  { steps: 8, label: '1/2' },
+  { steps: 16, label: '1/1' }
+];
+const BLACK_PITCH_CLASSES = new Set([1, 3, 6, 8, 10]);
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * Melodic step editor for the element modal: draws note("...") and n("...").scale() code as a
+ * multi-bar piano roll. Click or drag on an empty lane to draw a note, drag a note to move it, drag
+ * its right edge to change its length; right-click or double-click deletes. Every edit rewrites the
+ * pattern's note code in place and keeps the rest of the chain (.s(), effects) as it was. A pattern
+ * without note code is read-only until the user agrees to replace it.
+ */
+export class PianoRoll {
+  /**
+   * @param {Object} options
+   * @param {HTMLElement} options.container
+   * @param {Function} options.getMetrics - () => getTimeSignatureMetrics() for the modal's time signature
+   * @param {Function} options.getKeyScale - () => ({ key, scale }) from the key/scale selectors
+   * @param {Function} options.getScaleSteps - (key, scale) => semitone steps of the scale
+   * @param {Function} options.onChange - (pattern) => void, with the rewritten pattern after each edit
+   * @param {Function} [options.onPreviewNote] - (midi, velocity) => void, auditions drawn notes
+   */
+  constructor({ container, getMetrics, getKeyScale, getScaleSteps, onChange, onPreviewNote = null }) {
+    this.container = container;
+    this.getMetrics = getMetrics;
+    this.getKeyScale = getKeyScale;
+    this.getScaleSteps = getScaleSteps;
+    this.onChange = onChange;
+    this.onPreviewNote = onPreviewNote;
+    this.notes = [];
+    this.bars = 1;
+    this.pattern = '';
+    this.region = null;
+    this.exact = true;
+    this.locked = false;
+    this.selectedIndex = -1;
+    this.drag = null;
+    this.scalePitchClasses = null;
+    this.rootPitchClass = null;
+    this.defaultLength = 2;
+    this.velocity = 1;
+    this.snapToScale = true;
+    this.rendered = false;
+  }
+
+  get stepsPerBar() {
+    return Math.max(1, this.getMetrics()?.totalSteps || 16);
+  }
+
+  get totalSteps() {
+    return this.stepsPerBar * this.bars;
+  }
+
+  render() {
+    if (this.rendered) return;
+    this.container.innerHTML = `
+      <div class="piano-roll">
+        <div class="piano-roll-toolbar">
+          <label>Bars
+            <select data-roll-bars>
+              ${BAR_OPTIONS.map(bars => `<option value="${bars}">${bars}</option>`).join('')}
+            </select>
+          </label>
+          <label>Length
+            <select data-roll-length>
+              ${LENGTH_OPTIONS.map(option => `<option value="${option.steps}">${option.label}</option>`).join('')}
+            </select>
+          </label>
+          <label>Velocity
+            <input type="range" data-roll-velocity min="0.05" max="1" step="0.05">
+            <output data-roll-velocity-value></output>
+          </label>
+          <label class="piano-roll-snap">
+            <input type="checkbox" data-roll-snap checked>
+            Snap to scale
+          </label>
+        </div>
+        <div class="piano-roll-viewport" data-roll-viewport>
+          <div class="piano-roll-keys" data-roll-keys></div>
+          <div class="piano-roll-lanes" data-roll-lanes tabindex="0">
+            <div class="piano-roll-rows" data-roll-rows></div>
+            <div class="piano-roll-gridlines" data-roll-gridlines></div>
+            <div class="piano-roll-notes" data-roll-notes></div>
+          </div>
+        </div>
+        <div class="piano-roll-hint" data-roll-hint></div>
+      </div>
+    `;
+    const root = this.container.querySelector('.piano-roll');
+    this.elements = {
+      bars: root.querySelector('[data-roll-bars]'),
+      length: root.querySelector('[data-roll-length]'),
+      velocity: root.querySelector('[data-roll-velocity]'),
+      velocityValue: root.querySelector('[data-roll-velocity-value]'),
+      snap: root.querySelector('[data-roll-snap]'),
+      viewport: root.querySelector('[data-roll-viewport]'),
+      keys: root.querySelector('[data-roll-keys]'),
+      lanes: root.querySelector('[data-roll-lanes]'),
+      rows: root.querySelector('[data-roll-rows]'),
+      gridlines: root.querySelector('[data-roll-gridlines]'),
+      notes: root.querySelector('[data-roll-notes]'),
+      hint: root.querySelector('[data-roll-hint]')
+    };
+    this.elements.length.value = String(this.defaultLength);
+    this.attachEventListeners();
+    this.rendered = true;
+  }
+
+  attachEventListeners() {
+    const { bars, length, velocity, snap, lanes } = this.elements;
+    bars.addEventListener('change', () => {
+      if (!this.confirmReplace()) {
+        bars.value = String(this.bars);
+        return;
+      }
+      this.bars = Number(bars.value) || 1;
+      this.notes = this.notes
+        .filter(note => note.start < this.totalSteps)
+        .map(note => ({ ...note, length: Math.min(note.length, this.totalSteps - note.start) }));
+      this.selectedIndex = -1;
+      this.draw();
+      this.commit();
+    });
+    length.addEventListener('change', () => {
+      this.defaultLength = Number(length.value) || 1;
+    });
+    velocity.addEventListener('input', () => {
+      this.velocity = Number(velocity.value);
+      const selected = this.notes[this.selectedIndex];
+      if (selected) {
+        selected.velocity = this.velocity;
+        this.drawNotes();
+      }
+      this.updateToolbar();
+    });
+    velocity.addEventListener('change', () => {
+      if (this.notes[this.selectedIndex]) {
+        this.commit();
+      }
+    });
+    snap.addEventListener('change', () => {
+      this.snapToScale = snap.checked;
+    });
+
+    lanes.addEventListener('pointerdown', event => this.handlePointerDown(event));
+    lanes.addEventListener('pointermove', event => this.handlePointerMove(event));
+    lanes.addEventListener('pointerup', event => this.handlePointerUp(event));
+    lanes.addEventListener('pointercancel', () => {
+      this.drag = null;
+    });
+    lanes.addEventListener('contextmenu', (event) => {
+      const noteEl = event.target.closest('.piano-roll-note');
+      if (!noteEl) return;
+      event.preventDefault();
+      this.removeNote(Number(noteEl.dataset.index));
+    });
+    lanes.addEventListener('dblclick', (event) => {
+      const noteEl = event.target.closest('.piano-roll-note');
+      if (noteEl) {
+        this.removeNote(Number(noteEl.dataset.index));
+      }
+    });
+    lanes.addEventListener('keydown', (event) => {
+      if ((event.key === 'Delete' || event.key === 'Backspace') && this.notes[this.selectedIndex]) {
+        event.preventDefault();
+        this.removeNote(this.selectedIndex);
+      }
+    });
+  }
+
+  /**
+   * Show the notes of `pattern` (called when the modal opens and when the code changes elsewhere)
+   */
+  load(pattern) {
+    this.render();
+    const parsed = this.parse(pattern);
+    this.pattern = pattern || '';
+    this.region = parsed.region;
+    this.exact = parsed.exact;
+    this.locked = replacesPattern(this.pattern, this.region);
+    this.notes = parsed.notes;
+    this.bars = parsed.bars;
+    this.selectedIndex = -1;
+    this.drag = null;
+    this.draw();
+    this.scrollToNotes();
+  }
+
+  parse(pattern) {
+    return parsePianoRollPattern(pattern, { stepsPerBar: this.stepsPerBar, getScaleSteps: this.getScaleSteps });
+  }
+
+  /**
+   * Ask before the first edit of a pattern the roll would have to replace as a whole
+   */
+  confirmReplace() {
+    if (!this.locked) {
+      return true;
+    }
+    if (!confirm('This pattern has no note("...") or n("...").scale() sequence the piano roll can edit. Replace the whole pattern with piano roll notes?')) {
+      return false;
+    }
+    this.locked = false;
+    this.updateToolbar();
+    return true;
+  }
+
+  /**
+   * Re-read the key/scale selectors (row highlighting and snapping)
+   */
+  refreshScale() {
+    const { key, scale } = this.getKeyScale() || {};
+    this.scalePitchClasses = null;
+    this.rootPitchClass = null;
+    if (key) {
+      const rootMidi = noteNameToMidi(key, 4);
+      const steps = Number.isFinite(rootMidi) ? this.getScaleSteps(key, scale || 'chromatic') : null;
+      if (Array.isArray(steps) && steps.length && steps.length < 12) {
+        this.rootPitchClass = ((rootMidi % 12) + 12) % 12;
+        this.scalePitchClasses = new Set(steps.map(step => (this.rootPitchClass + step) % 12));
+      }
+    }
+    if (this.rendered) {
+      this.drawRows();
+    }
+  }
+
+  draw() {
+    if (!this.rendered) return;
+    const { lanes, gridlines, bars } = this.elements;
+    const metrics = this.getMetrics() || {};
+    const stepsPerBeat = Math.max(1, metrics.stepsPerBeat || 4);
+    const rowCount = HIGHEST_NOTE - LOWEST_NOTE + 1;
+    lanes.style.width = `${this.totalSteps * STEP_WIDTH}px`;
+    lanes.style.height = `${rowCount * ROW_HEIGHT}px`;
+    gridlines.style.setProperty('--piano-roll-step', `${STEP_WIDTH}px`);
+    gridlines.style.setProperty('--piano-roll-beat', `${STEP_WIDTH * stepsPerBeat}px`);
+    gridlines.style.setProperty('--piano-roll-bar', `${STEP_WIDTH * this.stepsPerBar}px`);
+    if (!BAR_OPTIONS.includes(this.bars)) {
+      const option = document.createElement('option');
+      option.value = String(this.bars);
+      option.textContent = String(this.bars);
+      bars.appendChild(option);
+    }
+    bars.value = String(this.bars);
+    this.refreshScale();
+    this.drawNotes();
+    this.updateToolbar();
+  }
+
+  drawRows() {
+    const { keys, rows } = this.elements;
+    const keyCells = [];
+    const rowCells = [];
+    for (let midi = HIGHEST_NOTE; midi >= LOWEST_NOTE; midi--) {
+      const pitchClass = midi % 12;
+      const classes = [];
+      if (BLACK_PITCH_CLASSES.has(pitchClass)) classes.push('is-black');
+      if (this.scalePitchClasses?.has(pitchClass)) classes.push('is-in-scale');
+      if (pitchClass === this.rootPitchClass) classes.push('is-root');
+      const label = pitchClass === 0 || pitchClass === this.rootPitchClass ? midiToNoteName(midi).toUpperCase() : '';
+      keyCells.push(`<div class="piano-roll-key ${classes.join(' ')}" style="height: ${ROW_HEIGHT}px">${label}</div>`);
+      rowCells.push(`<div class="piano-roll-row ${classes.join(' ')}" style="height: ${ROW_HEIGHT}px"></div>`);
+    }
+    keys.innerHTML = keyCells.join('');
+    rows.innerHTML = rowCells.join('');
+  }
+
+  drawNotes() {
+    const { notes } = this.elements;
+    notes.innerHTML = this.notes.map((note, index) => {
+      const top = (HIGHEST_NOTE - note.midi) * ROW_HEIGHT;
+      const classes = ['piano-roll-note'];
+      if (index === this.selectedIndex) classes.push('is-selected');
+      return `<div class="${classes.join(' ')}" data-index="${index}" title="${midiToNoteName(note.midi)} · ${note.length} step${note.length === 1 ? '' : 's'} · velocity ${note.velocity}"
+        style="left: ${note.start * STEP_WIDTH}px; top: ${top}px; width: ${note.length * STEP_WIDTH - 1}px; height: ${ROW_HEIGHT - 1}px; --piano-roll-velocity: ${Math.min(note.velocity, 1)}"></div>`;
+    }).join('');
+  }
+
+  updateToolbar() {
+    const { velocity, velocityValue, hint } = this.elements;
+    const selected = this.notes[this.selectedIndex];
+    const value = selected ? selected.velocity : this.velocity;
+    velocity.value = String(Math.min(value, 1));
+    velocityValue.textContent = value.toFixed(2);
+    hint.classList.toggle('is-warning', !this.exact);
+    this.elements.lanes.classList.toggle('is-locked', this.locked);
+    if (this.locked) {
+      hint.textContent = 'This pattern has no note("...") or n("...").scale() sequence to show, so the piano roll is read-only. Drawing asks before replacing the pattern.';
+    } else if (this.exact) {
+      hint.textContent = 'Drag on a lane to draw, drag a note to move it or its edge to resize; right-click deletes.';
+    } else if (this.region) {
+      hint.textContent = 'Parts of this pattern can\'t be shown in the piano roll. Editing a note rewrites its note code.';
+    } else {
+      hint.textContent = 'Drawing a note replaces this pattern.';
+    }
+  }
+
+  scrollToNotes() {
+    const { viewport } = this.elements;
+    const pitches = this.notes.map(note => note.midi);
+    const center = pitches.length
+      ? (Math.min(...pitches) + Math.max(...pitches)) / 2
+      : 60;
+    viewport.scrollTop = Math.max(0, (HIGHEST_NOTE - center) * ROW_HEIGHT - viewport.clientHeight / 2);
+  }
+
+  /**
+   * Nearest tone of the selected scale (ties resolve downwards), or the pitch itself
+   */
+  snapPitch(midi) {
+    if (!this.snapToScale || !this.scalePitchClasses) {
+      return midi;
+    }
+    for (let distance = 0; distance < 12; distance++) {
+      for (const candidate of [midi - distance, midi + distance]) {
+        if (this.scalePitchClasses.has(((candidate % 12) + 12) % 12)) {
+          return clamp(candidate, LOWEST_NOTE, HIGHEST_NOTE);
+        }
+      }
+    }
+    return midi;
+  }
+
+  positionFromEvent(event) {
+    const rect = this.elements.lanes.getBoundingClientRect();
+    const x = event.clientX - rect.left;
+    const y = event.clientY - rect.top;
+    return {
+      step: clamp(Math.floor(x / STEP_WIDTH), 0, this.totalSteps - 1),
+      midi: clamp(HIGHEST_NOTE - Math.floor(y / ROW_HEIGHT), LOWEST_NOTE, HIGHEST_NOTE)
+    };
+  }
+
+  handlePointerDown(event) {
+    if (event.button !== 0 || !this.confirmReplace()) return;
+    const { step, midi } = this.positionFromEvent(event);
+    const noteEl = event.target.closest('.piano-roll-note');
+    this.elements.lanes.focus({ preventScroll: true });
+
+    if (noteEl) {
+      const index = Number(noteEl.dataset.index);
+      const note = this.notes[index];
+      if (!note) return;
+      const rect = noteEl.getBoundingClientRect();
+      this.selectedIndex = index;
+      this.drag = {
+        mode: rect.right - event.clientX <= RESIZE_HANDLE_PX ? 'resize' : 'move',
+        index,
+        originStep: step,
+        originMidi: midi,
+        origin: { ...note },
+        changed: false
+      };
+    } else {
+      const note = {
+        midi: this.snapPitch(midi),
+        start: step,
+        length: Math.min(this.defaultLength, this.totalSteps - step),
+        velocity: this.velocity
+      };
+      this.notes.push(note);
+      this.selectedIndex = this.notes.length - 1;
+      this.drag = { mode: 'draw', index: this.selectedIndex, originStep: step, changed: true };
+      this.onPreviewNote?.(note.midi, note.velocity);
+    }
+    this.elements.lanes.setPointerCapture?.(event.pointerId);
+    event.preventDefault();
+    this.drawNotes();
+    this.updateToolbar();
+  }
+
+  handlePointerMove(event) {
+    const drag = this.drag;
+    if (!drag) return;
+    const note = this.notes[drag.index];
+    if (!note) return;
+    const { step, midi } = this.positionFromEvent(event);
+
+    if (drag.mode === 'draw' || drag.mode === 'resize') {
+      const minimum = drag.mode === 'draw' ? Math.min(this.defaultLength, this.totalSteps - note.start) : 1;
+      const length = clamp(step - note.start + 1, minimum, this.totalSteps - note.start);
+      if (length !== note.length) {
+        note.length = length;
+        drag.changed = true;
+      }
+    } else {
+      const start = clamp(drag.origin.start + step - drag.originStep, 0, this.totalSteps - note.length);
+      const pitch = this.snapPitch(clamp(drag.origin.midi + midi - drag.originMidi, LOWEST_NOTE, HIGHEST_NOTE));
+      if (start !== note.start || pitch !== note.midi) {
+        if (pitch !== note.midi) {
+          this.onPreviewNote?.(pitch, note.velocity);
+        }
+        note.start = start;
+        note.midi = pitch;
+        drag.changed = true;
+      }
+    }
+    this.drawNotes();
+  }
+
+  handlePointerUp(event) {
+    const drag = this.drag;
+    this.drag = null;
+    this.elements.lanes.releasePointerCapture?.(event.pointerId);
+    if (drag?.changed) {
+      this.commit();
+    }
+  }
+
+  removeNote(index) {
+    if (!this.notes[index]) return;
+    this.notes.splice(index, 1);
+    this.selectedIndex = -1;
+    this.drawNotes();
+    this.updateToolbar();
+    this.commit();
+  }
+
+  /**
+   * Write the notes back into the pattern and hand it to the modal
+   */
+  commit() {
+    const code = serializePianoRoll(this.notes, { stepsPerBar: this.stepsPerBar, bars: this.bars, region: this.region });
+    const pattern = replacePianoRollRegion(this.pattern, this.region, code);
+    this.pattern = pattern;
+    this.region = this.parse(pattern).region;
+    this.exact = true;
+    this.updateToolbar();
+    this.onChange?.(pattern);
+  }
+}
@@ -338,11 +338,14 @@ export class SavePatternDialog {
 
   /**
    * Show modal with pattern data
+   * @param {Object} [options]
+   * @param {Object} [options.metadata] - extra metadata saved with the pattern (e.g. the master's hydraSketch)
    */
-  async show(patternCode, type, elementId = null) {
+  async show(patternCode, type, elementId = null, { metadata = {} } = {}) {
     if (!this.modal) return;
 
     this.currentPattern = patternCode;
+    this.extraMetadata = metadata || {};
     this.patternType = type;
     this.elementId = elementId;
     this.selectedUsers = [];
@@ -494,7 +497,7 @@ export class SavePatternDialog {
       cleanedPattern = cleanedPattern.replace(/\.+$/, '').trim();
       cleanedPattern = cleanedPattern.replace(/\s+\./g, '.');
 
-      const metadata = {};
+      const metadata = { ...this.extraMetadata };
       if (imageUrl) {
         metadata.imageUrl = imageUrl;
       }
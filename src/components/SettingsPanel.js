@@ -1,12 +1,16 @@
 import { BUILTIN_BANK_OPTIONS } from '../constants/banks.js';
 import { CHAOSPAD_EFFECT_OPTIONS, CHAOSPAD_EFFECTS } from '../constants/chaospad.js';
+import { describeMidiLearnTarget } from '../constants/midi.js';
 import {
   getSettings,
   updateSettings,
   subscribeToSettings,
   toggleBankVisibility,
   resetSettings,
-  getDefaultSettings
+  getDefaultSettings,
+  removeMidiCcBinding,
+  exportMidiMapping,
+  importMidiMapping
 } from '../utils/settingsStore.js';
 import { lockScroll, unlockScroll } from '../scrollLock.js';
 
@@ -71,6 +75,26 @@ export class SettingsPanel {
                 </div>
               </section>
 
+              <section class="settings-section" id="settings-midi">
+                <div class="settings-section-header">
+                  <div>
+                    <h3>MIDI Controller</h3>
+                    <p>Use “MIDI Learn” in the header to bind knobs, then manage the mapping here.</p>
+                  </div>
+                </div>
+                <label class="settings-checkbox">
+                  <input type="checkbox" id="settings-midi-soft-takeover">
+                  <span>Soft takeover (a knob only takes over once it reaches the control's current value)</span>
+                </label>
+                <ul class="settings-midi-bindings" id="settings-midi-bindings"></ul>
+                <div class="settings-midi-actions">
+                  <button type="button" class="settings-link" id="settings-midi-export-btn">Export mapping</button>
+                  <button type="button" class="settings-link" id="settings-midi-import-btn">Import mapping</button>
+                  <input type="file" id="settings-midi-import-file" accept="application/json,.json" hidden>
+                </div>
+                <small class="settings-midi-status" id="settings-midi-status"></small>
+              </section>
+
               <section class="settings-section" id="settings-styling">
                 <div class="settings-section-header">
                   <div>
@@ -284,6 +308,57 @@ export class SettingsPanel {
       this.showSaveStatus();
     });
 
+    const softTakeoverInput = this.overlay.querySelector('#settings-midi-soft-takeover');
+    softTakeoverInput?.addEventListener('change', (event) => {
+      updateSettings({
+        midi: {
+          softTakeover: event.target.checked
+        }
+      });
+      this.showSaveStatus();
+    });
+
+    this.overlay.querySelector('#settings-midi-bindings')?.addEventListener('click', (event) => {
+      const removeButton = event.target.closest('[data-midi-remove]');
+      if (!removeButton) return;
+      removeMidiCcBinding(removeButton.dataset.midiRemove);
+      this.showSaveStatus();
+    });
+
+    this.overlay.querySelector('#settings-midi-export-btn')?.addEventListener('click', () => {
+      const blob = new Blob([JSON.stringify(exportMidiMapping(), null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'strudesk-midi-mapping.json';
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    });
+
+    const importFileInput = this.overlay.querySelector('#settings-midi-import-file');
+    this.overlay.querySelector('#settings-midi-import-btn')?.addEventListener('click', () => importFileInput?.click());
+    importFileInput?.addEventListener('change', async () => {
+      const file = importFileInput.files?.[0];
+      importFileInput.value = '';
+      if (!file) return;
+      const status = this.overlay.querySelector('#settings-midi-status');
+      try {
+        const result = importMidiMapping(JSON.parse(await file.text()));
+        if (status) {
+          status.textContent = result.success ? `Imported ${result.count} binding${result.count === 1 ? '' : 's'}.` : result.error;
+        }
+        if (result.success) {
+          this.showSaveStatus();
+        }
+      } catch (error) {
+        if (status) {
+          status.textContent = 'Could not read the mapping file.';
+        }
+      }
+    });
+
     const resetButton = this.overlay.querySelector('#settings-reset-btn');
     resetButton?.addEventListener('click', () => {
       resetSettings();
@@ -351,6 +426,8 @@ export class SettingsPanel {
       this.updateChaospadAxisInputs(axis, axisConfig);
     });
 
+    this.renderMidiBindings(settings?.midi);
+
     const styling = settings?.styling || getDefaultSettings().styling;
     const modeInput = this.overlay.querySelector(`input[name="settings-bg-mode"][value="${styling.backgroundType}"]`);
     if (modeInput && !modeInput.checked) {
@@ -368,6 +445,27 @@ export class SettingsPanel {
     bgColorInput.disabled = styling.backgroundType === 'animated';
   }
 
+  renderMidiBindings(midiSettings) {
+    const softTakeoverInput = this.overlay?.querySelector('#settings-midi-soft-takeover');
+    if (softTakeoverInput) {
+      softTakeoverInput.checked = !!midiSettings?.softTakeover;
+    }
+    const list = this.overlay?.querySelector('#settings-midi-bindings');
+    if (!list) return;
+    const bindings = midiSettings?.ccBindings || [];
+    if (bindings.length === 0) {
+      list.innerHTML = '<li class="settings-midi-empty">No MIDI bindings yet.</li>';
+      return;
+    }
+    list.innerHTML = bindings.map((binding) => `
+      <li class="settings-midi-binding">
+        <span>${describeMidiLearnTarget(binding.target)}</span>
+        <span class="settings-midi-cc">CC ${binding.controller}${binding.channel === null ? '' : ` · ch ${binding.channel + 1}`}</span>
+        <button type="button" class="settings-link" data-midi-remove="${binding.target}" aria-label="Remove binding">Remove</button>
+      </li>
+    `).join('');
+  }
+
   updateChaospadAxisInputs(axis, axisConfig) {
     const effect = CHAOSPAD_EFFECTS[axisConfig.effect];
     const minInput = this.overlay?.querySelector(`[data-chaospad-min="${axis}"]`);
@@ -259,13 +259,44 @@ function renderPianoSection(context) {
   `;
 }
 
+function renderMidiInputSection(context) {
+  const config = CONTEXT_CONFIG[context];
+  if (!config) return '';
+  return `
+    <div class="midi-input-section" data-midi-input-section data-piano-context="${context}">
+      <div class="piano-octave-controls">
+        <label for="${context}-midi-input-select">MIDI In:</label>
+        <select id="${context}-midi-input-select" class="control-select" data-midi-input-select aria-label="MIDI input device">
+          <option value="">No MIDI input</option>
+        </select>
+        <label class="midi-input-toggle">
+          <input type="checkbox" data-midi-monitor checked />
+          <span>Monitor</span>
+        </label>
+      </div>
+      <div class="piano-octave-controls">
+        <label for="${context}-midi-record-bars">Record:</label>
+        <select id="${context}-midi-record-bars" class="control-select" data-midi-record-bars aria-label="Bars to record">
+          <option value="1">1 bar</option>
+          <option value="2">2 bars</option>
+          <option value="4" selected>4 bars</option>
+          <option value="8">8 bars</option>
+        </select>
+        <button type="button" class="piano-octave-btn midi-record-btn" data-midi-record>● Rec</button>
+        <span class="midi-input-status" data-midi-status aria-live="polite"></span>
+      </div>
+    </div>
+  `;
+}
+
 export function getTheoryControlsTemplate(context) {
   if (context === 'modal') {
     return [
       renderTimeSignatureBlock(context),
       renderKeyScaleBlock(context),
       renderModalChordSuggestions(),
-      renderPianoSection(context)
+      renderPianoSection(context),
+      renderMidiInputSection(context)
     ].join('\n');
   }
 
@@ -289,6 +320,7 @@ export function getTheoryControlsTemplate(context) {
         ${renderKeyScaleBlock(context)}
         ${renderCollabChordTools()}
         ${renderPianoSection(context)}
+        ${renderMidiInputSection(context)}
       </div>
     `;
   }
@@ -54,6 +54,8 @@ export const BUILTIN_BANK_VALUES = new Set(
 );
 
 export const VCSL_OPTION_PREFIX = 'vcsl:';
+// Options in the "My Samples" group insert an uploaded sample instead of setting a bank
+export const USER_SAMPLE_OPTION_PREFIX = 'user-sample:';
 
 export const parseBankSelectionValue = (rawValue) => {
   if (!rawValue || typeof rawValue !== 'string') {
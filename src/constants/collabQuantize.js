@@ -0,0 +1,39 @@
+/**
+ * When collab master changes are applied, mirrored from normalizeQuantize in server/services/collabSessionManager.js.
+ * Positions are in cycles of the shared transport; one cycle is one bar of four beats.
+ */
+
+export const COLLAB_QUANTIZE_MODES = ['immediate', 'beat', 'bar', 'cycles'];
+
+export const COLLAB_QUANTIZE_LABELS = {
+  immediate: 'Immediately',
+  beat: 'Next beat',
+  bar: 'Next bar',
+  cycles: 'Every N cycles'
+};
+
+export const MAX_COLLAB_QUANTIZE_CYCLES = 16;
+
+export function normalizeCollabQuantize(quantize) {
+  if (!quantize || !COLLAB_QUANTIZE_MODES.includes(quantize.mode)) {
+    return { mode: 'immediate', cycles: 1 };
+  }
+  const cycles = Math.min(Math.max(Math.round(Number(quantize.cycles) || 1), 1), MAX_COLLAB_QUANTIZE_CYCLES);
+  return { mode: quantize.mode, cycles: quantize.mode === 'cycles' ? cycles : 1 };
+}
+
+/**
+ * Length of one quantize step in cycles, or 0 when changes apply immediately
+ */
+export function quantizeStepCycles(quantize) {
+  const { mode, cycles } = normalizeCollabQuantize(quantize);
+  if (mode === 'beat') return 0.25;
+  if (mode === 'bar') return 1;
+  if (mode === 'cycles') return cycles;
+  return 0;
+}
+
+export function describeCollabQuantize(quantize) {
+  const { mode, cycles } = normalizeCollabQuantize(quantize);
+  return mode === 'cycles' ? `Every ${cycles} cycle${cycles === 1 ? '' : 's'}` : COLLAB_QUANTIZE_LABELS[mode];
+}
@@ -0,0 +1,24 @@
+/**
+ * Labels and descriptions for the collab session roles; the permission table lives in shared/sessionRoles.js.
+ */
+
+export {
+  ASSIGNABLE_SESSION_ROLES,
+  normalizeSessionRole,
+  roleCan,
+  roleCanOnChannel
+} from '../../shared/sessionRoles.js';
+
+export const SESSION_ROLE_LABELS = {
+  owner: 'Owner',
+  editor: 'Editor',
+  performer: 'Performer',
+  listener: 'Listener'
+};
+
+export const SESSION_ROLE_DESCRIPTIONS = {
+  owner: 'Full control, including roles, scenes and the shared transport',
+  editor: 'Edit, publish and reorder any channel and edit the master',
+  performer: 'Write and publish only their own channels',
+  listener: 'Read-only; can play the master locally'
+};
@@ -0,0 +1,173 @@
+export const MIDI_TICKS_PER_QUARTER = 480;
+
+// MIDI channel 10 (0-indexed) is reserved for drums in General MIDI
+export const GM_DRUM_CHANNEL = 9;
+
+// Strudel drum sample names -> General MIDI percussion notes
+export const GM_DRUM_MAP = {
+  'bd': 36, 'kick': 36, 'kickdrum': 36,
+  'sd': 38, 'snare': 38, 'snaredrum': 38,
+  'hh': 42, 'hihat': 42, 'closedhihat': 42,
+  'oh': 46, 'openhihat': 46,
+  'cr': 49, 'crash': 49,
+  'rd': 51, 'ride': 51,
+  'ht': 48, 'hightom': 48,
+  'mt': 47, 'midtom': 47,
+  'lt': 45, 'lowtom': 45,
+  'cp': 39, 'clap': 39,
+  'rim': 37, 'rimshot': 37
+};
+
+// General MIDI percussion notes with no Strudel name of their own -> closest mapped note
+export const GM_DRUM_NOTE_ALIASES = {
+  35: 36, // acoustic bass drum
+  40: 38, // electric snare
+  44: 42, // pedal hi-hat
+  41: 45, 43: 45, // low floor toms
+  50: 48, // high tom
+  52: 49, 55: 49, 57: 49, // china / splash / crash 2
+  53: 51, 59: 51 // ride bell / ride 2
+};
+
+// localStorage key for the last selected MIDI input port
+export const MIDI_INPUT_STORAGE_KEY = 'midi-input-port';
+
+// localStorage key for the default MIDI output (routes without an explicit port use it)
+export const MIDI_OUTPUT_STORAGE_KEY = 'midi-output-port';
+
+// Element MIDI routes are written into pattern code as "<port>:<channel>", e.g. .midi(["*:1", "Synth:10"])
+export const MIDI_DEFAULT_PORT = '*';
+
+export function formatMidiRoute({ port = null, channel = 1 } = {}) {
+  return `${port || MIDI_DEFAULT_PORT}:${channel}`;
+}
+
+/**
+ * Parse a route string; port names may contain colons so only the last one splits.
+ * A bare port name (the legacy .midi("port") form) keeps channel null = use the hap's own channel.
+ * @returns {{port: string|null, channel: number|null}|null} - channel is 1-16
+ */
+export function parseMidiRoute(route) {
+  if (typeof route !== 'string' || route.trim() === '') {
+    return null;
+  }
+  const match = route.trim().match(/^(.*):(\d{1,2})$/);
+  const port = (match ? match[1] : route).trim();
+  const channel = match ? Number(match[2]) : null;
+  if (channel !== null && (channel < 1 || channel > 16)) {
+    return null;
+  }
+  return { port: port === MIDI_DEFAULT_PORT || port === '' ? null : port, channel };
+}
+
+/**
+ * Find .midi(...) and .midiport(...) calls in pattern code. Quoted strings and nested parentheses
+ * are skipped, so a port like "IAC Driver (Bus 1)" doesn't end the call early.
+ * @returns {Array<{name: string, start: number, end: number, args: string}>} - end is exclusive
+ */
+export function findMidiCalls(pattern) {
+  const calls = [];
+  if (typeof pattern !== 'string') {
+    return calls;
+  }
+  const opener = /\.(midiport|midi)\s*\(/gi;
+  let match;
+  while ((match = opener.exec(pattern)) !== null) {
+    const argsStart = match.index + match[0].length;
+    let depth = 1;
+    let quote = null;
+    let index = argsStart;
+    for (; index < pattern.length && depth > 0; index++) {
+      const char = pattern[index];
+      if (quote) {
+        if (char === '\\') {
+          index++;
+        } else if (char === quote) {
+          quote = null;
+        }
+      } else if (char === '"' || char === "'" || char === '`') {
+        quote = char;
+      } else if (char === '(') {
+        depth++;
+      } else if (char === ')') {
+        depth--;
+      }
+    }
+    // An unclosed call is left as typed
+    if (depth > 0) {
+      break;
+    }
+    calls.push({ name: match[1].toLowerCase(), start: match.index, end: index, args: pattern.slice(argsStart, index - 1) });
+    opener.lastIndex = index;
+  }
+  return calls;
+}
+
+/**
+ * Routes named in a .midi(...) argument list: every quoted string is read as a route
+ * @returns {Array<{port: string|null, channel: number}>} - bare port names default to channel 1
+ */
+export function parseMidiCallRoutes(args) {
+  return Array.from((args || '').matchAll(/'((?:[^'\\]|\\.)*)'|"((?:[^"\\]|\\.)*)"/g))
+    .map((match) => parseMidiRoute((match[1] ?? match[2]).replace(/\\(.)/g, '$1')))
+    .filter(Boolean)
+    .map((route) => ({ port: route.port, channel: route.channel ?? 1 }));
+}
+
+// Monitored notes are fired through superdough, which needs their length up front
+export const MIDI_MONITOR_HOLD_SECONDS = 0.5;
+
+export const MIDI_MAPPING_FORMAT = 'strudesk-midi-map';
+
+// Controls that can be MIDI-learned; per-element targets are element.<id>.gain / element.<id>.pan
+export const MIDI_LEARN_TARGETS = {
+  'chaospad.x': 'Chaospad X',
+  'chaospad.y': 'Chaospad Y',
+  'master.volume': 'Master Volume',
+  'master.pan': 'Master Pan',
+  'master.tempo': 'Tempo'
+};
+
+const ELEMENT_TARGET_PATTERN = /^element\.([\w-]+)\.(gain|pan)$/;
+
+export function parseElementMidiTarget(target) {
+  const match = typeof target === 'string' ? target.match(ELEMENT_TARGET_PATTERN) : null;
+  return match ? { elementId: match[1], control: match[2] } : null;
+}
+
+export function isValidMidiLearnTarget(target) {
+  return Object.prototype.hasOwnProperty.call(MIDI_LEARN_TARGETS, target) || !!parseElementMidiTarget(target);
+}
+
+export function describeMidiLearnTarget(target) {
+  if (MIDI_LEARN_TARGETS[target]) {
+    return MIDI_LEARN_TARGETS[target];
+  }
+  const element = parseElementMidiTarget(target);
+  if (element) {
+    return `${element.elementId.replace('element-', 'Channel ')} ${element.control === 'gain' ? 'Gain' : 'Pan'}`;
+  }
+  return target;
+}
+
+// MIDI clock: 24 pulses per quarter note, one Strudel cycle is one 4/4 bar
+export const MIDI_CLOCK_PPQ = 24;
+export const MIDI_CLOCK_PULSES_PER_CYCLE = MIDI_CLOCK_PPQ * 4;
+export const MIDI_CLOCK_OUTPUT_STORAGE_KEY = 'midi-clock-output';
+export const MIDI_CLOCK_FOLLOW_STORAGE_KEY = 'midi-clock-follow';
+// Clock out is scheduled ahead from a timer, like Strudel's own scheduler
+export const MIDI_CLOCK_LOOKAHEAD_MS = 100;
+export const MIDI_CLOCK_TICK_MS = 20;
+// Clock in: average over one beat of pulses, then only retempo on real changes
+// (setTempo re-evaluates every pattern, so it can't follow pulse-level jitter)
+export const MIDI_CLOCK_SMOOTHING = 0.2;
+export const MIDI_CLOCK_MIN_BPM_CHANGE = 1;
+export const MIDI_CLOCK_MIN_UPDATE_MS = 1000;
+
+export const MIDI_SYSTEM_MESSAGES = {
+  clock: 0xF8,
+  start: 0xFA,
+  continue: 0xFB,
+  stop: 0xFC,
+  songPosition: 0xF2
+};
@@ -0,0 +1,242 @@
+/**
+ * Hydra (hydra-synth) visualizer for the master pattern.
+ * Sketches are plain Hydra code with three extra inputs:
+ *   a.fft[i]  - 0..1 energy per frequency band of the master analyser (a.setBins(n), a.setSmooth(v) like Hydra's own)
+ *   h.<sound> - 0..1 pulse that jumps on every hap of that sound (h.bd, h.sd, h.hh...) and decays; h.any for all haps
+ *   cam.blend - the camera blend slider (0 when the camera is off); the camera itself is s0
+ */
+
+export const DEFAULT_HYDRA_SKETCH = `osc(8, 0.05, () => 0.6 + a.fft[0])
+  .kaleid(4)
+  .modulate(noise(3), () => a.fft[1] * 0.4)
+  .scale(() => 1 + h.bd * 0.3)
+  .color(1, () => 0.6 + h.sd * 0.4, () => 0.8 + a.fft[3])
+  .blend(src(s0), () => cam.blend)
+  .out()`;
+
+const DEFAULT_FFT_BINS = 4;
+const MAX_FFT_BINS = 16;
+const DEFAULT_FFT_SMOOTHING = 0.6;
+// Pulses fall to ~37% after this long
+const TRIGGER_DECAY_MS = 180;
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][\w$]*$/;
+
+function hapSoundName(value) {
+  if (!value || typeof value !== 'object') {
+    return 'note';
+  }
+  const sound = value.s ?? value.sound;
+  if (sound !== undefined && sound !== null && sound !== '') {
+    return String(sound).split(':')[0].toLowerCase();
+  }
+  return 'note';
+}
+
+function hapLevel(value) {
+  const gain = Number(value?.gain ?? 1) * Number(value?.velocity ?? 1);
+  return Number.isFinite(gain) ? Math.min(Math.max(gain, 0.2), 1) : 1;
+}
+
+export class HydraVisualizer {
+  /**
+   * @param {Object} options
+   * @param {HTMLElement} options.container - element the Hydra canvas is added to (the master visualizer box)
+   * @param {Function} options.getAnalyser - returns the master AnalyserNode (or null)
+   * @param {Function} options.getCamera - returns { video, blend } while the camera is on, otherwise null
+   */
+  constructor({ container, getAnalyser, getCamera }) {
+    this.container = container;
+    this.getAnalyser = getAnalyser;
+    this.getCamera = getCamera;
+    this.canvas = null;
+    this.hydra = null;
+    this.cameraSource = null;
+    this.frequencyData = null;
+    this.triggerLevels = {};
+
+    const audio = {
+      fft: new Array(DEFAULT_FFT_BINS).fill(0),
+      smooth: DEFAULT_FFT_SMOOTHING,
+      setBins: (count) => {
+        const bins = Math.min(Math.max(Math.round(Number(count)) || DEFAULT_FFT_BINS, 1), MAX_FFT_BINS);
+        audio.fft = new Array(bins).fill(0);
+      },
+      setSmooth: (value) => {
+        audio.smooth = Math.min(Math.max(Number(value) || 0, 0), 0.99);
+      },
+      // Hydra's own audio object has these; sketches copied from hydra.ojack.xyz shouldn't break
+      show: () => {},
+      hide: () => {},
+      setCutoff: () => {},
+      setScale: () => {}
+    };
+    this.audio = audio;
+    this.triggers = new Proxy(this.triggerLevels, {
+      get: (levels, key) => (typeof key === 'string' ? levels[key] || 0 : undefined)
+    });
+    this.camera = { blend: 0 };
+  }
+
+  get running() {
+    return !!this.hydra;
+  }
+
+  async start(sketch = DEFAULT_HYDRA_SKETCH) {
+    if (!this.hydra) {
+      let Hydra;
+      try {
+        ({ default: Hydra } = await import('hydra-synth'));
+      } catch (error) {
+        console.warn('⚠️ hydra-synth could not be loaded:', error);
+        return { success: false, error: 'Hydra is unavailable in this browser' };
+      }
+      this.canvas = document.createElement('canvas');
+      this.canvas.className = 'hydra-visualizer-canvas';
+      this.container.appendChild(this.canvas);
+      const { width, height } = this.measure();
+      try {
+        this.hydra = new Hydra({
+          canvas: this.canvas,
+          width,
+          height,
+          detectAudio: false,
+          makeGlobal: false,
+          autoLoop: true
+        });
+      } catch (error) {
+        console.warn('⚠️ Hydra failed to start:', error);
+        this.canvas.remove();
+        this.canvas = null;
+        return { success: false, error: 'Hydra needs WebGL, which is not available here' };
+      }
+      this.hydra.synth.update = dt => this.update(dt);
+      console.log('🌊 Hydra visualizer started');
+    }
+    return this.run(sketch);
+  }
+
+  /**
+   * Evaluate a sketch; on error the previous one keeps running
+   */
+  run(sketch) {
+    if (!this.hydra) {
+      return { success: false, error: 'Hydra is not running' };
+    }
+    const synth = this.hydra.synth;
+    const names = Object.keys(synth).filter(name => IDENTIFIER_PATTERN.test(name) && !['a', 'h', 'cam'].includes(name));
+    try {
+      const evaluate = new Function(...names, 'a', 'h', 'cam', sketch);
+      evaluate(...names.map(name => synth[name]), this.audio, this.triggers, this.camera);
+      return { success: true };
+    } catch (error) {
+      console.warn('⚠️ Hydra sketch error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Per-frame inputs: FFT bands, decaying hap pulses and the camera source
+   */
+  update(dt) {
+    this.updateFft();
+    const decay = Math.exp(-(Number(dt) || 16) / TRIGGER_DECAY_MS);
+    Object.keys(this.triggerLevels).forEach((name) => {
+      this.triggerLevels[name] *= decay;
+    });
+
+    const camera = this.getCamera?.();
+    this.camera.blend = camera?.video ? camera.blend : 0;
+    if (camera?.video && this.cameraSource !== camera.video && camera.video.readyState >= 2) {
+      try {
+        this.hydra.synth.s0.init({ src: camera.video });
+        this.cameraSource = camera.video;
+      } catch (error) {
+        console.warn('⚠️ Could not use the camera as a Hydra source:', error);
+      }
+    } else if (!camera?.video) {
+      this.cameraSource = null;
+    }
+  }
+
+  updateFft() {
+    const analyser = this.getAnalyser?.();
+    const bins = this.audio.fft;
+    if (!analyser) {
+      bins.fill(0);
+      return;
+    }
+    if (!this.frequencyData || this.frequencyData.length !== analyser.frequencyBinCount) {
+      this.frequencyData = new Uint8Array(analyser.frequencyBinCount);
+    }
+    analyser.getByteFrequencyData(this.frequencyData);
+    // Log-spaced bands from ~40 Hz up, so the first band is the kick and the last the hats
+    const nyquist = (analyser.context?.sampleRate || 44100) / 2;
+    const binHz = nyquist / this.frequencyData.length;
+    const minHz = 40;
+    const maxHz = Math.min(16000, nyquist);
+    for (let band = 0; band < bins.length; band++) {
+      const from = minHz * (maxHz / minHz) ** (band / bins.length);
+      const to = minHz * (maxHz / minHz) ** ((band + 1) / bins.length);
+      const start = Math.floor(from / binHz);
+      const end = Math.max(start + 1, Math.ceil(to / binHz));
+      let sum = 0;
+      for (let i = start; i < end && i < this.frequencyData.length; i++) {
+        sum += this.frequencyData[i];
+      }
+      const level = sum / ((end - start) * 255);
+      bins[band] = bins[band] * this.audio.smooth + level * (1 - this.audio.smooth);
+    }
+  }
+
+  /**
+   * Pulse the trigger for one hap (called when it sounds)
+   */
+  trigger(value) {
+    const level = hapLevel(value);
+    const name = hapSoundName(value);
+    this.triggerLevels[name] = Math.max(this.triggerLevels[name] || 0, level);
+    this.triggerLevels.any = Math.max(this.triggerLevels.any || 0, level);
+  }
+
+  measure() {
+    const rect = this.container.getBoundingClientRect();
+    const pixelRatio = window.devicePixelRatio || 1;
+    return {
+      width: Math.round(Math.max(rect.width || 320, 240) * pixelRatio),
+      height: Math.round(Math.max(rect.height || 200, 200) * pixelRatio)
+    };
+  }
+
+  /**
+   * Match the container size (after resizes and fullscreen changes)
+   */
+  resize() {
+    if (!this.hydra) return;
+    if (this.canvas && this.canvas.parentNode !== this.container) {
+      this.container.appendChild(this.canvas);
+    }
+    const { width, height } = this.measure();
+    if (this.canvas.width !== width || this.canvas.height !== height) {
+      this.hydra.setResolution(width, height);
+    }
+  }
+
+  stop() {
+    if (!this.hydra) return;
+    try {
+      this.hydra.synth.hush?.();
+      this.hydra.loop?.stop?.();
+      this.hydra.regl?.destroy?.();
+    } catch (error) {
+      console.warn('⚠️ Error while stopping Hydra:', error);
+    }
+    this.hydra = null;
+    this.cameraSource = null;
+    this.canvas?.remove();
+    this.canvas = null;
+    Object.keys(this.triggerLevels).forEach((name) => {
+      delete this.triggerLevels[name];
+    });
+    console.log('🌊 Hydra visualizer stopped');
+  }
+}
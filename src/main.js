@@ -2,7 +2,7 @@
  * Main entry point - Wires together all components
  */
 
-import { soundManager, getStrudelModules } from './soundManager.js';
+import { soundManager, getStrudelModules, OFFLINE_EXPORT_SAMPLE_RATES } from './soundManager.js';
 import { uiController } from './ui.js';
 import { soundConfig } from './config.js';
 import { initStrudelReplEditors, getStrudelEditor, getStrudelEditorValue, setStrudelEditorValue, setStrudelEditorEditable, insertStrudelEditorSnippet } from './strudelReplEditor.js';
@@ -17,17 +17,32 @@ import { UserProfilesListing } from './components/UserProfilesListing.js';
 import { UserSubmissions } from './components/UserSubmissions.js';
 import { SavePatternDialog } from './components/SavePatternDialog.js';
 import { SettingsPanel } from './components/SettingsPanel.js';
+import { MidiRoutingPanel } from './components/MidiRoutingPanel.js';
 import { ProfileOnboardingModal } from './components/ProfileOnboardingModal.js';
 import { AdminUserManager } from './components/AdminUserManager.js';
 import { CollabPanel } from './components/CollabPanel.js';
-import { getCurrentUser, authAPI, patternsAPI } from './api.js';
+import { ListenOnlyBanner } from './components/ListenOnlyBanner.js';
+import { getCurrentUser, authAPI, patternsAPI, samplesAPI } from './api.js';
 import { lockScroll, unlockScroll, forceUnlockScroll } from './scrollLock.js';
 import { collaborationClient } from './collaboration/socketClient.js';
+import { CollaborativeDocument, MASTER_DOCUMENT_KEY } from './collaboration/collabDocument.js';
+import { sessionClock } from './collaboration/sessionClock.js';
+import { normalizeCollabQuantize, quantizeStepCycles } from './constants/collabQuantize.js';
+import { listenClient } from './collaboration/listenClient.js';
 import { getTheoryControlsTemplate, updateTheoryControlsVisibility } from './components/TheoryControls.js';
-import { SYNTH_BANK_ALIASES, OSCILLATOR_SYNTHS, SAMPLE_SYNTHS, LEGACY_SAMPLE_SYNTHS, DRUM_BANK_VALUES, VCSL_OPTION_PREFIX, parseBankSelectionValue } from './constants/banks.js';
+import { SYNTH_BANK_ALIASES, OSCILLATOR_SYNTHS, SAMPLE_SYNTHS, LEGACY_SAMPLE_SYNTHS, DRUM_BANK_VALUES, VCSL_OPTION_PREFIX, USER_SAMPLE_OPTION_PREFIX, parseBankSelectionValue } from './constants/banks.js';
 import { initPianoSections } from './pianoKeyboard.js';
+import { HydraVisualizer, DEFAULT_HYDRA_SKETCH } from './hydraVisualizer.js';
+import { recordCanvasClip } from './utils/clipRecorder.js';
+import { createDrumHit, fitDrumStepsToGrid, parseDrumGridPattern, serializeDrumGrid } from './utils/drumGridNotation.js';
+import { getTimeSignatureMetrics } from './utils/timeSignature.js';
+import { PianoRoll } from './components/PianoRoll.js';
+import { registerOfflineServiceWorker } from './utils/offlineSamples.js';
+import { fetchSamplePackSamples, normalizeSamplePackPath, isSamplePackValue, addRemoteSamplePack, importZipSamplePack, importFolderSamplePack, listCustomSamplePacks, removeCustomSamplePack } from './utils/samplePacks.js';
 import { resolveAssetUrl } from './utils/assetUrls.js';
-import { getStylingSettings, subscribeToSettings, isBankVisible, getChaospadAxes } from './utils/settingsStore.js';
+import { parseMIDIFile, splitMIDIParts, midiPartToPattern, midiTempoToCycleTempo } from './utils/midiImport.js';
+import { getStylingSettings, subscribeToSettings, isBankVisible, getChaospadAxes, getMidiCcBindings, isMidiSoftTakeoverEnabled, setMidiCcBinding } from './utils/settingsStore.js';
+import { describeMidiLearnTarget, findMidiCalls, formatMidiRoute, parseElementMidiTarget, parseMidiCallRoutes } from './constants/midi.js';
 import { CHAOSPAD_EFFECTS } from './constants/chaospad.js';
 
 // Drum abbreviation mapping
@@ -89,148 +104,21 @@ const SAMPLE_PACKS = [
   { value: 'github:tidalcycles/dirt-samples', label: 'Dirt Samples', samples: 218 }
 ];
 
-const AUDIO_FILE_EXTENSIONS = ['.wav', '.wave', '.mp3', '.ogg', '.oga', '.flac', '.aif', '.aiff', '.m4a', '.mp4', '.webm'];
-const SAMPLE_PACK_FETCH_HEADERS = { Accept: 'application/vnd.github+json' };
-const samplePackSamplesCache = new Map();
-const samplePackFetchPromises = new Map();
-
 const GDPR_CONSENT_KEY = 'strudesk_gdpr_consent_v1';
-
-const normalizeSamplePackPath = (path = '') => path.replace(/^\/+|\/+$/g, '');
-
-const isAudioFilePath = (path = '') => {
-  const lower = path.toLowerCase();
-  return AUDIO_FILE_EXTENSIONS.some(ext => lower.endsWith(ext));
-};
-
-const parseSamplePackValue = (value = '') => {
-  if (typeof value !== 'string' || !value.startsWith('github:')) {
-    return null;
-  }
-  const withoutPrefix = value.slice('github:'.length);
-  const segments = withoutPrefix.split('/').filter(Boolean);
-  if (segments.length < 2) {
-    return null;
-  }
-  const owner = segments.shift();
-  const repo = segments.shift();
-  const subdir = segments.length > 0 ? segments.join('/') : '';
-  return { owner, repo, subdir: normalizeSamplePackPath(subdir) };
-};
-
-const buildRawGitHubUrl = ({ owner, repo, branch, path }) =>
-  `https://raw.githubusercontent.com/${owner}/${repo}/${branch}/${path}`;
-
-async function fetchGitHubJson(url) {
-  const response = await fetch(url, {
-    headers: SAMPLE_PACK_FETCH_HEADERS
-  });
-  if (!response.ok) {
-    let errorMessage = response.statusText;
-    try {
-      const errorBody = await response.json();
-      if (errorBody?.message) {
-        errorMessage = errorBody.message;
-      }
-    } catch {
-      // ignore
-    }
-    throw new Error(`GitHub API error (${response.status}): ${errorMessage}`);
-  }
-  return response.json();
-}
-
-const filterSamplesBySubdir = (path, subdir) => {
-  if (!subdir) {
-    return { matches: true, relativePath: path };
-  }
-  const normalized = normalizeSamplePackPath(subdir);
-  if (!normalized) {
-    return { matches: true, relativePath: path };
-  }
-  if (path === normalized) {
-    return { matches: true, relativePath: path.split('/').pop() || path };
-  }
-  if (path.startsWith(`${normalized}/`)) {
-    return { matches: true, relativePath: path.slice(normalized.length + 1) };
-  }
-  return { matches: false, relativePath: path };
-};
-
-async function fetchSamplePackSamples(packValue) {
-  if (samplePackSamplesCache.has(packValue)) {
-    return samplePackSamplesCache.get(packValue);
-  }
-  if (samplePackFetchPromises.has(packValue)) {
-    return samplePackFetchPromises.get(packValue);
-  }
-
-  const fetchPromise = (async () => {
-    const parsed = parseSamplePackValue(packValue);
-    if (!parsed) {
-      throw new Error('Invalid sample pack format.');
-    }
-    const { owner, repo, subdir } = parsed;
-    const repoInfo = await fetchGitHubJson(`https://api.github.com/repos/${owner}/${repo}`);
-    const branch = repoInfo?.default_branch || 'main';
-    const treeData = await fetchGitHubJson(
-      `https://api.github.com/repos/${owner}/${repo}/git/trees/${encodeURIComponent(branch)}?recursive=1`
-    );
-
-    if (!treeData?.tree) {
-      throw new Error('GitHub repository tree data is unavailable.');
-    }
-
-    const rootPath = normalizeSamplePackPath(subdir);
-    const validPrefix = rootPath ? `${rootPath}/` : '';
-    const audioNodes = treeData.tree
-      .filter(node => node.type === 'blob' && isAudioFilePath(node.path))
-      .map(node => {
-        if (rootPath) {
-          if (node.path === rootPath) {
-            // audio file exactly at the subdir path
-          } else if (!node.path.startsWith(validPrefix)) {
-            return null;
-          }
-        }
-        const relativeFromRoot = rootPath
-          ? (node.path === rootPath ? node.path.split('/').pop() || node.path : node.path.slice(validPrefix.length))
-          : node.path;
-        const normalizedRelative = normalizeSamplePackPath(relativeFromRoot);
-        if (!normalizedRelative) {
-          return null;
-        }
-        const fileName = normalizedRelative.split('/').pop() || normalizedRelative;
-        const sampleName = fileName.replace(/\.[^/.]+$/, '');
-        return {
-          id: `${packValue}:${node.path}`,
-          name: sampleName,
-          path: node.path,
-          relativePath: normalizedRelative,
-          fileName,
-          rawUrl: buildRawGitHubUrl({ owner, repo, branch, path: node.path })
-        };
-      })
-      .filter(Boolean)
-      .sort((a, b) => a.relativePath.localeCompare(b.relativePath));
-
-    if (audioNodes.length === 0) {
-      throw new Error('No audio files were found in this sample pack.');
-    }
-
-    const payload = {
-      audioNodes,
-      meta: { owner, repo, branch, rootPath }
-    };
-    samplePackSamplesCache.set(packValue, payload);
-    return payload;
-  })().finally(() => {
-    samplePackFetchPromises.delete(packValue);
-  });
-
-  samplePackFetchPromises.set(packValue, fetchPromise);
-  return fetchPromise;
-}
+// Working copy of the Hydra sketch; saved tracks carry their own in metadata.hydraSketch
+const HYDRA_SKETCH_STORAGE_KEY = 'strudesk_hydra_sketch';
+// Visualizer clips: length limit in bars, and how close a cycle boundary may be before waiting for the next one
+const CLIP_DEFAULT_BARS = 4;
+const CLIP_MAX_BARS = 64;
+const CLIP_MIN_START_NOTICE_MS = 150;
+// Shared collab transport: how often the scheduler is checked against the shared cycle, and how far it may drift
+const SHARED_TRANSPORT_SYNC_INTERVAL_MS = 1000;
+const SHARED_TRANSPORT_DRIFT_TOLERANCE_MS = 30;
+// Quantized master switches (session quantize setting, scene launches): Strudel queries ~100 ms ahead, so swap
+// that much before the boundary; a boundary closer than the notice below (covers the master update debounce) waits a step more
+const MASTER_SWITCH_LEAD_MS = 100;
+const MASTER_SWITCH_MIN_NOTICE_MS = 200;
+const MASTER_SWITCH_COUNTDOWN_INTERVAL_MS = 100;
 
 let cachedVcslManifest = null;
 let cachedNormalizedVcslManifest = null;
@@ -479,7 +367,7 @@ const getDrumBankDisplayName = (bank) => {
 const DRUM_BANK_INSTRUMENTS = {
   'RolandTR808': [
     { key: 'bd', label: 'BD', sample: 'bd' },
-    { key: 'sd', label: 'SD', sample: 'sd' },
+    { key: 'sn', label: 'SD', sample: 'sd' },
     { key: 'cp', label: 'CP', sample: 'cp' },
     { key: 'hh', label: 'HH', sample: 'hh' },
     { key: 'oh', label: 'OH', sample: 'oh' },
@@ -493,7 +381,7 @@ const DRUM_BANK_INSTRUMENTS = {
   ],
   'RolandTR909': [
     { key: 'bd', label: 'BD', sample: 'bd' },
-    { key: 'sd', label: 'SD', sample: 'sd' },
+    { key: 'sn', label: 'SD', sample: 'sd' },
     { key: 'cp', label: 'CP', sample: 'cp' },
     { key: 'hh', label: 'HH', sample: 'hh' },
     { key: 'oh', label: 'OH', sample: 'oh' },
@@ -505,7 +393,7 @@ const DRUM_BANK_INSTRUMENTS = {
   ],
   'RolandTR707': [
     { key: 'bd', label: 'BD', sample: 'bd' },
-    { key: 'sd', label: 'SD', sample: 'sd' },
+    { key: 'sn', label: 'SD', sample: 'sd' },
     { key: 'hh', label: 'HH', sample: 'hh' },
     { key: 'oh', label: 'OH', sample: 'oh' },
     { key: 'cr', label: 'CR', sample: 'cr' },
@@ -516,7 +404,7 @@ const DRUM_BANK_INSTRUMENTS = {
   ],
   'RhythmAce': [
     { key: 'bd', label: 'BD', sample: 'bd' },
-    { key: 'sd', label: 'SD', sample: 'sd' },
+    { key: 'sn', label: 'SD', sample: 'sd' },
     { key: 'hh', label: 'HH', sample: 'hh' },
     { key: 'oh', label: 'OH', sample: 'oh' },
     { key: 'cr', label: 'CR', sample: 'cr' },
@@ -527,7 +415,7 @@ const DRUM_BANK_INSTRUMENTS = {
   ],
   'AkaiLinn': [
     { key: 'bd', label: 'BD', sample: 'bd' },
-    { key: 'sd', label: 'SD', sample: 'sd' },
+    { key: 'sn', label: 'SD', sample: 'sd' },
     { key: 'hh', label: 'HH', sample: 'hh' },
     { key: 'oh', label: 'OH', sample: 'oh' },
     { key: 'cr', label: 'CR', sample: 'cr' },
@@ -538,7 +426,7 @@ const DRUM_BANK_INSTRUMENTS = {
   ],
   'ViscoSpaceDrum': [
     { key: 'bd', label: 'BD', sample: 'bd' },
-    { key: 'sd', label: 'SD', sample: 'sd' },
+    { key: 'sn', label: 'SD', sample: 'sd' },
     { key: 'hh', label: 'HH', sample: 'hh' },
     { key: 'oh', label: 'OH', sample: 'oh' },
     { key: 'cr', label: 'CR', sample: 'cr' },
@@ -549,7 +437,7 @@ const DRUM_BANK_INSTRUMENTS = {
   ],
   'CasioRZ1': [
     { key: 'bd', label: 'BD', sample: 'bd' },
-    { key: 'sd', label: 'SD', sample: 'sd' },
+    { key: 'sn', label: 'SD', sample: 'sd' },
     { key: 'hh', label: 'HH', sample: 'hh' },
     { key: 'oh', label: 'OH', sample: 'oh' },
     { key: 'cr', label: 'CR', sample: 'cr' },
@@ -1228,6 +1116,9 @@ const createPatternHistoryModal = () => {
       interactiveSoundAppInstance.applyChannelHistoryEntry(context.elementId, patternCode);
     } else if (context?.type === 'master') {
       interactiveSoundAppInstance.applyMasterHistoryEntry(patternCode);
+      if (entry.metadata?.hydraSketch) {
+        interactiveSoundAppInstance.setHydraSketch(entry.metadata.hydraSketch);
+      }
     }
     closeModal();
   });
@@ -1397,13 +1288,25 @@ const initializePatternHistoryUI = () => {
   document.addEventListener('click', historyButtonHandler);
 };
 
-// Default drum grid rows (fallback)
+// Default drum grid rows (full kit; also the row order for banks discovered from the sound map)
 const DRUM_GRID_ROWS = [
   { key: 'bd', label: 'BD', sample: 'bd' },
-  { key: 'sn', label: 'SN', sample: 'sd' },
-  { key: 'hh', label: 'HH', sample: 'hh' }
+  { key: 'sn', label: 'SD', sample: 'sd' },
+  { key: 'cp', label: 'CP', sample: 'cp' },
+  { key: 'hh', label: 'HH', sample: 'hh' },
+  { key: 'oh', label: 'OH', sample: 'oh' },
+  { key: 'cr', label: 'CR', sample: 'cr' },
+  { key: 'rd', label: 'RD', sample: 'rd' },
+  { key: 'lt', label: 'LT', sample: 'lt' },
+  { key: 'mt', label: 'MT', sample: 'mt' },
+  { key: 'ht', label: 'HT', sample: 'ht' },
+  { key: 'cb', label: 'CB', sample: 'cb' },
+  { key: 'sh', label: 'SH', sample: 'sh' }
 ];
 
+// Rows the user picked per bank ({ [bank]: ['bd', 'sn', ...] })
+const DRUM_GRID_ROWS_STORAGE_KEY = 'drumGridRows';
+
 const DRUM_SAMPLE_TO_ROW = new Map([
   ['bd', 'bd'],
   ['kick', 'bd'],
@@ -1432,6 +1335,28 @@ const DRUM_SAMPLE_TO_ROW = new Map([
   ['shaker', 'sh']
 ]);
 
+const resolveDrumRowKey = (sound) => {
+  const name = String(sound || '').split(':')[0].toLowerCase();
+  return DRUM_SAMPLE_TO_ROW.get(name) || name;
+};
+
+/**
+ * Row for a key, playing a sound the bank actually has when the bank's sound names are known
+ */
+const getDrumRowDefinition = (key, soundNames = []) => {
+  const known = DRUM_GRID_ROWS.find(row => row.key === key);
+  const sample = known && (!soundNames.length || soundNames.includes(known.sample))
+    ? known.sample
+    : soundNames.find(name => resolveDrumRowKey(name) === key) || known?.sample || key;
+  return { key, label: known?.label || key.slice(0, 4).toUpperCase(), sample };
+};
+
+const sortDrumRowKeys = (keys) => {
+  const order = DRUM_GRID_ROWS.map(row => row.key);
+  const rank = key => (order.includes(key) ? order.indexOf(key) : order.length);
+  return [...keys].sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+};
+
 const SYNTH_NAME_MATCHERS = new Set([
   ...OSCILLATOR_SYNTHS,
   ...SAMPLE_SYNTHS,
@@ -3219,40 +3144,6 @@ function drumDisplayToPattern(display) {
   return pattern;
 }
 
-/**
- * Normalize and parse a time signature string into useful metrics.
- * @param {string} signature - e.g., "4/4" or "3/4"
- * @returns {{signature: string, numerator: number, denominator: number, stepsPerBeat: number, totalSteps: number}}
- */
-function getTimeSignatureMetrics(signature) {
-  let numerator = 4;
-  let denominator = 4;
-  
-  if (typeof signature === 'string' && signature.includes('/')) {
-    const [numPart, denPart] = signature.split('/');
-    const parsedNumerator = parseInt(numPart, 10);
-    const parsedDenominator = parseInt(denPart, 10);
-    if (Number.isFinite(parsedNumerator) && parsedNumerator > 0) {
-      numerator = parsedNumerator;
-    }
-    if (Number.isFinite(parsedDenominator) && parsedDenominator > 0) {
-      denominator = parsedDenominator;
-    }
-  }
-  
-  const stepsPerBeatRaw = 16 / denominator;
-  const stepsPerBeat = Math.max(1, Math.round(stepsPerBeatRaw));
-    const totalSteps = Math.max(numerator, 1) * stepsPerBeat;
-  
-  return {
-    signature: `${numerator}/${denominator}`,
-    numerator,
-    denominator,
-    stepsPerBeat,
-    totalSteps
-  };
-}
-
 const fromPolar = (angle, radius, cx, cy) => {
   const radians = ((angle - 90) * Math.PI) / 180;
   return [cx + Math.cos(radians) * radius, cy + Math.sin(radians) * radius];
@@ -3416,6 +3307,11 @@ class InteractiveSoundApp {
     this.collabUnsubscribers = [];
     this.masterUpdateQueue = [];
     this.masterUpdateTimer = null;
+    this.masterDocument = null;
+    this.masterDocumentTimer = null;
+    this.sharedTransport = null;
+    this.sharedTransportStartTimer = null;
+    this.sharedTransportSyncTimer = null;
     this.topTracks = [];
     this.visualizerTextInterval = null;
     this.hasGdprConsent = this.getStoredGdprConsent();
@@ -3432,6 +3328,11 @@ class InteractiveSoundApp {
     this.cameraBlendSlider = null;
     this.cameraBlendSliderMobile = null;
 
+    // Hydra visualizer state
+    this.hydraVisualizer = null;
+    this.hydraSketch = this.getStoredHydraSketch();
+    this.hydraTriggerUnsubscribe = null;
+
     if (this.isMobileView) {
       this.limitInitialElementsForMobile();
     }
@@ -3592,6 +3493,9 @@ class InteractiveSoundApp {
     setStrudelEditorValue('master-pattern', patternCode);
     soundManager.setMasterPatternCode(patternCode);
     this.updateMasterPatternDisplay();
+    if (track.metadata?.hydraSketch) {
+      this.setHydraSketch(track.metadata.hydraSketch);
+    }
     const title = track.title || 'Untitled Track';
     uiController.updateStatus(`Loaded “${title}” into master`);
 
@@ -3840,6 +3744,9 @@ class InteractiveSoundApp {
 
     // Initialize master channel
     this.setupMasterChannel();
+    this.setupMidiLearn();
+    this.setupMidiClock();
+    this.setupMidiRouting();
 
     // Add emergency stop keyboard shortcut (Escape key)
     const handleEscape = (e) => {
@@ -4077,6 +3984,10 @@ class InteractiveSoundApp {
     }, 100);
     
     this.setupCollaborationBridge();
+    const listenToken = new URLSearchParams(window.location.search).get('listen');
+    if (listenToken) {
+      this.startListenOnlyMode(listenToken);
+    }
     console.log('Interactive Sound App initialized');
     console.log('💡 Tip: Press Escape key or click Stop All button to silence everything');
   }
@@ -4196,6 +4107,270 @@ class InteractiveSoundApp {
     console.log('✅ Master channel controls setup complete');
   }
 
+  /**
+   * Setup MIDI learn: while learn mode is on, clicking a control arms it and the next
+   * incoming CC is bound to it. Bound CCs then drive the control like the mouse would.
+   */
+  setupMidiLearn() {
+    const learnButton = document.getElementById('midi-learn-btn');
+    this.midiLearnActive = false;
+    this.midiLearnPending = null;
+    this.midiCcState = new Map(); // target -> { lastApplied, lastIncoming } for soft takeover
+
+    const clearPendingHighlight = () => {
+      document.querySelectorAll('.midi-learn-pending').forEach((el) => el.classList.remove('midi-learn-pending'));
+    };
+
+    const setLearnMode = async (active) => {
+      this.midiLearnActive = active;
+      this.midiLearnPending = null;
+      clearPendingHighlight();
+      document.body.classList.toggle('midi-learn-mode', active);
+      if (learnButton) {
+        learnButton.classList.toggle('active', active);
+        learnButton.textContent = active ? 'Done' : 'MIDI Learn';
+      }
+      if (!active) return;
+
+      const enabled = await soundManager.ensureMIDIEnabled();
+      if (!enabled) {
+        uiController.updateStatus('⚠️ Web MIDI is not available in this browser');
+        setLearnMode(false);
+        return;
+      }
+      if (!soundManager.selectedMidiInput) {
+        const [firstInput] = soundManager.getMIDIInputs();
+        if (firstInput) {
+          soundManager.selectMIDIInput(firstInput);
+        }
+      }
+      uiController.updateStatus(soundManager.selectedMidiInput
+        ? `🎛️ MIDI learn: click a control, then move a knob on ${soundManager.selectedMidiInput.name}`
+        : '⚠️ MIDI learn: no MIDI input connected');
+    };
+
+    learnButton?.addEventListener('click', () => setLearnMode(!this.midiLearnActive));
+
+    // Capture phase so armed sliders/checkboxes don't also react to the click
+    const armFromEvent = (event) => {
+      if (!this.midiLearnActive || learnButton?.contains(event.target)) return;
+      const target = this.resolveMidiLearnTarget(event.target);
+      if (!target) return;
+      event.preventDefault();
+      event.stopPropagation();
+      if (event.type !== 'pointerdown') return;
+      clearPendingHighlight();
+      this.midiLearnPending = target.id;
+      target.element.classList.add('midi-learn-pending');
+      uiController.updateStatus(`🎛️ MIDI learn: move a knob to control ${describeMidiLearnTarget(target.id)}`);
+    };
+    document.addEventListener('pointerdown', armFromEvent, true);
+    document.addEventListener('click', armFromEvent, true);
+
+    soundManager.addMIDIInputListener((message) => {
+      if (message.type === 'controlchange') {
+        this.handleMidiControlChange(message);
+      }
+    });
+  }
+
+  /**
+   * Setup MIDI clock: send clock to an output while master plays, and/or follow the
+   * tempo and start/stop of an external clock arriving on the selected MIDI input
+   */
+  setupMidiClock() {
+    const outputSelect = document.getElementById('midi-clock-output');
+    const followInput = document.getElementById('midi-clock-follow');
+    const statusEl = document.getElementById('midi-clock-status');
+    if (!outputSelect || !followInput) return;
+
+    const refreshOutputs = () => {
+      const outputs = soundManager.getMIDIOutputs();
+      const selectedName = soundManager.midiClockOutput?.name || '';
+      outputSelect.innerHTML = '';
+      const offOption = document.createElement('option');
+      offOption.value = '';
+      offOption.textContent = soundManager.midiEnabled ? 'Clock out: off' : 'Enable MIDI clock…';
+      outputSelect.appendChild(offOption);
+      outputs.forEach((name) => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        outputSelect.appendChild(option);
+      });
+      outputSelect.value = outputs.includes(selectedName) ? selectedName : '';
+      followInput.checked = soundManager.midiClockFollow;
+    };
+
+    outputSelect.addEventListener('focus', async () => {
+      if (!soundManager.midiEnabled) {
+        await soundManager.ensureMIDIEnabled();
+        refreshOutputs();
+      }
+    });
+    outputSelect.addEventListener('change', () => {
+      soundManager.setMIDIClockOutput(outputSelect.value || null);
+    });
+
+    followInput.addEventListener('change', async () => {
+      const enabled = await soundManager.ensureMIDIEnabled();
+      if (!enabled) {
+        followInput.checked = false;
+        uiController.updateStatus('⚠️ Web MIDI is not available in this browser');
+        return;
+      }
+      if (followInput.checked && !soundManager.selectedMidiInput) {
+        const [firstInput] = soundManager.getMIDIInputs();
+        if (firstInput) {
+          soundManager.selectMIDIInput(firstInput);
+        }
+      }
+      soundManager.setMIDIClockFollow(followInput.checked);
+      if (statusEl) statusEl.textContent = '';
+      uiController.updateStatus(followInput.checked
+        ? (soundManager.selectedMidiInput
+          ? `⏱️ Following MIDI clock on ${soundManager.selectedMidiInput.name}`
+          : '⚠️ Follow MIDI clock: no MIDI input connected')
+        : '⏱️ Stopped following MIDI clock');
+    });
+
+    soundManager.addMIDIInputListener((message) => {
+      if (message.type === 'devices') {
+        refreshOutputs();
+      } else if (message.type === 'clock') {
+        const applied = this.applyExternalTempo(message.bpm);
+        if (statusEl) statusEl.textContent = `Ext ${applied} BPM`;
+      } else if (message.type === 'transport') {
+        // Go through the play button so its state and the visualizer stay in sync
+        const shouldPlay = message.action !== 'stop';
+        if (shouldPlay !== !!this.masterActive) {
+          document.getElementById('play-master-btn')?.click();
+        }
+      }
+    });
+
+    refreshOutputs();
+  }
+
+  /**
+   * Setup the MIDI routing matrix (element -> output ports/channels)
+   */
+  setupMidiRouting() {
+    this.midiRoutingPanel = new MidiRoutingPanel({
+      getElements: () => Array.from(document.querySelectorAll('.sound-element[data-sound-id]')).map((element) => {
+        const id = element.getAttribute('data-sound-id');
+        const title = this.loadElementConfig(id)?.title
+          || element.querySelector('.element-title')?.textContent?.trim()
+          || id;
+        return { id, title };
+      }),
+      getElementRouting: (elementId) => this.getElementMidiSettings(elementId),
+      updateElementRouting: (elementId, routing) => this.updateElementMidiSettings(elementId, routing)
+    });
+    this.midiRoutingPanel.init();
+    document.getElementById('midi-routing-btn')?.addEventListener('click', () => this.midiRoutingPanel.show());
+  }
+
+  /**
+   * Map a clicked DOM node to a MIDI learn target id
+   * @returns {{id: string, element: HTMLElement}|null}
+   */
+  resolveMidiLearnTarget(node) {
+    if (!(node instanceof Element)) return null;
+    const explicit = node.closest('[data-midi-learn-target]');
+    if (explicit) {
+      return { id: explicit.dataset.midiLearnTarget, element: explicit };
+    }
+    const slider = node.closest('.sound-element .gain-slider, .sound-element .pan-slider');
+    const elementId = slider?.closest('.sound-element')?.getAttribute('data-sound-id');
+    if (slider && elementId) {
+      return { id: `element.${elementId}.${slider.classList.contains('gain-slider') ? 'gain' : 'pan'}`, element: slider };
+    }
+    return null;
+  }
+
+  getMidiTargetSlider(target) {
+    const element = parseElementMidiTarget(target);
+    if (element) {
+      return document.querySelector(`[data-sound-id="${element.elementId}"] .${element.control}-slider`);
+    }
+    const explicit = document.querySelector(`[data-midi-learn-target="${target}"]`);
+    return explicit instanceof HTMLInputElement && explicit.type === 'range' ? explicit : null;
+  }
+
+  /**
+   * Current value of a MIDI target normalized to 0..1 (null when it can't be read)
+   */
+  getMidiTargetValue(target) {
+    if (target === 'chaospad.x' || target === 'chaospad.y') {
+      const gravity = this.chaospadVirtualGravity || { x: 0, y: 0 };
+      return ((target === 'chaospad.x' ? gravity.x : gravity.y) + 1) / 2;
+    }
+    const slider = this.getMidiTargetSlider(target);
+    if (!slider) return null;
+    const min = parseFloat(slider.min);
+    const max = parseFloat(slider.max);
+    return max > min ? (parseFloat(slider.value) - min) / (max - min) : null;
+  }
+
+  applyMidiTargetValue(target, normalized) {
+    if (target === 'chaospad.x' || target === 'chaospad.y') {
+      if (!this.chaospadEnabled) return false;
+      const horizontal = target === 'chaospad.x' ? normalized : this.getMidiTargetValue('chaospad.x');
+      const vertical = target === 'chaospad.y' ? normalized : this.getMidiTargetValue('chaospad.y');
+      this.applyChaospadInputFromPercentages(horizontal, vertical, 'midi');
+      return true;
+    }
+    const slider = this.getMidiTargetSlider(target);
+    if (!slider) return false;
+    const min = parseFloat(slider.min);
+    const max = parseFloat(slider.max);
+    slider.value = String(min + (max - min) * normalized);
+    // The slider's own input handler applies the value (setMasterVolume, setElementGain, setTempo, ...)
+    slider.dispatchEvent(new Event('input', { bubbles: true }));
+    return true;
+  }
+
+  handleMidiControlChange({ controller, value, channel }) {
+    const normalized = value / 127;
+
+    if (this.midiLearnActive && this.midiLearnPending) {
+      const target = this.midiLearnPending;
+      setMidiCcBinding(target, controller, channel);
+      this.midiCcState.delete(target);
+      this.midiLearnPending = null;
+      document.querySelectorAll('.midi-learn-pending').forEach((el) => el.classList.remove('midi-learn-pending'));
+      uiController.updateStatus(`🎛️ CC ${controller} (ch ${channel + 1}) → ${describeMidiLearnTarget(target)}`);
+      console.log(`🎛️ MIDI learn: CC ${controller} ch ${channel + 1} bound to ${target}`);
+      return;
+    }
+
+    const softTakeover = isMidiSoftTakeoverEnabled();
+    getMidiCcBindings()
+      .filter((binding) => binding.controller === controller && (binding.channel === null || binding.channel === channel))
+      .forEach(({ target }) => {
+        const state = this.midiCcState.get(target) || { lastApplied: null, lastIncoming: null };
+        this.midiCcState.set(target, state);
+
+        if (softTakeover) {
+          const current = this.getMidiTargetValue(target);
+          // Another input moved the control since our last write: wait until the knob reaches it
+          const controlMovedElsewhere = current !== null && (state.lastApplied === null || Math.abs(current - state.lastApplied) > 0.01);
+          if (controlMovedElsewhere) {
+            const closeEnough = Math.abs(normalized - current) <= 0.03;
+            const crossed = state.lastIncoming !== null && Math.sign(state.lastIncoming - current) !== Math.sign(normalized - current);
+            state.lastIncoming = normalized;
+            if (!closeEnough && !crossed) return;
+          }
+        }
+
+        state.lastIncoming = normalized;
+        if (this.applyMidiTargetValue(target, normalized)) {
+          state.lastApplied = this.getMidiTargetValue(target);
+        }
+      });
+  }
+
   tryPlayIntroSample() {
     if (this.introSamplePlayed || !INTRO_SAMPLE_PATH) {
       return;
@@ -4429,50 +4604,81 @@ class InteractiveSoundApp {
       }
     }
 
-    // Export Audio button
-    const exportAudioBtn = document.getElementById('export-audio-btn');
-    if (exportAudioBtn) {
-      exportAudioBtn.addEventListener('click', async () => {
-        console.log('🎵 Export Audio button clicked');
-        
-        if (!soundManager.getMasterPatternCode() || soundManager.getMasterPatternCode().trim() === '') {
-          alert('No master pattern to export. Please create a pattern first.');
-          return;
-        }
+    // Export Audio / Stems / MIDI buttons share the same bar (+ tail) prompts and result handling
+    const promptExportOptions = ({ askTail = true } = {}) => {
+      if (!soundManager.getMasterPatternCode() || soundManager.getMasterPatternCode().trim() === '') {
+        alert('No master pattern to export. Please create a pattern first.');
+        return null;
+      }
+
+      // Ask for length in bars and the tail left for reverb/delay to ring out
+      const barsInput = prompt('Enter export length in bars (default: 8):', '8');
+      if (barsInput === null) return null; // User cancelled
+      const bars = parseInt(barsInput, 10) || 8;
+      if (!askTail) return { bars };
+
+      const tailInput = prompt('Enter tail length in seconds for reverb/delay (default: 2):', '2');
+      if (tailInput === null) return null;
+
+      const tailSeconds = Number.isFinite(parseFloat(tailInput)) ? parseFloat(tailInput) : 2;
+
+      const sampleRateInput = prompt(`Enter sample rate in Hz (${OFFLINE_EXPORT_SAMPLE_RATES.join(', ')}; default: 44100):`, '44100');
+      if (sampleRateInput === null) return null;
+      const sampleRate = parseInt(sampleRateInput, 10);
+      if (!OFFLINE_EXPORT_SAMPLE_RATES.includes(sampleRate)) {
+        alert(`Unsupported sample rate. Choose one of: ${OFFLINE_EXPORT_SAMPLE_RATES.join(', ')} Hz.`);
+        return null;
+      }
+      return { bars, tailSeconds, sampleRate };
+    };
+
+    const bindExportButton = (button, label, runExport, promptOptions = {}) => {
+      if (!button) return;
+      button.addEventListener('click', async () => {
+        console.log(`🎵 ${label} button clicked`);
+        const options = promptExportOptions(promptOptions);
+        if (!options) return;
 
-        // Ask for duration
-        const duration = prompt('Enter export duration in seconds (default: 16):', '16');
-        if (duration === null) return; // User cancelled
-        
-        const durationSeconds = parseInt(duration) || 16;
-        
         // Disable button during export
-        exportAudioBtn.disabled = true;
-        exportAudioBtn.textContent = '⏳ Exporting...';
-        
+        const originalText = button.textContent;
+        button.disabled = true;
+        button.textContent = '⏳ Exporting...';
+
         try {
-          const result = await soundManager.exportAudioWAV(durationSeconds);
-          
+          const result = await runExport(options);
+
           if (result.success) {
             if (result.warning) {
-              alert(`⚠️ Audio exported as ${result.format.toUpperCase()}!\n\n${result.warning}`);
+              alert(`⚠️ Exported as ${result.format.toUpperCase()}!\n\n${result.warning}`);
             } else {
-              alert(`✅ Audio exported successfully as ${result.format.toUpperCase()}!`);
+              alert(`✅ Exported successfully as ${result.format.toUpperCase()}!`);
             }
-            console.log('✅ Audio export complete');
+            console.log(`✅ ${label} complete`);
           } else {
             alert(`❌ Export failed: ${result.error}`);
-            console.error('❌ Audio export failed:', result.error);
+            console.error(`❌ ${label} failed:`, result.error);
           }
         } catch (error) {
           alert(`❌ Export error: ${error.message}`);
-          console.error('❌ Audio export error:', error);
+          console.error(`❌ ${label} error:`, error);
         } finally {
-          exportAudioBtn.disabled = false;
-          exportAudioBtn.textContent = '🎵 Export Audio';
+          button.disabled = false;
+          button.textContent = originalText;
         }
       });
-    }
+    };
+
+    bindExportButton(document.getElementById('export-audio-btn'), 'Export Audio', (options) => soundManager.exportAudioWAV(options));
+    bindExportButton(document.getElementById('export-stems-btn'), 'Export Stems', (options) => soundManager.exportStemsZIP({
+      ...options,
+      soloedElements: this.soloedElements,
+      mutedElements: this.mutedElements
+    }));
+    bindExportButton(document.getElementById('export-midi-btn'), 'Export MIDI', (options) => soundManager.exportMIDIFile({
+      ...options,
+      soloedElements: this.soloedElements,
+      mutedElements: this.mutedElements
+    }), { askTail: false });
 
 
     // Update Master button (apply manual edits)
@@ -4595,6 +4801,7 @@ class InteractiveSoundApp {
         
         // Update camera controls visibility
         this.updateCameraControlsVisibility();
+        this.updateHydraSketchPanel();
         
         if (this.selectedVisualizer === 'off') {
           // When "Off" is selected, always show placeholder
@@ -4613,6 +4820,13 @@ class InteractiveSoundApp {
       });
     }
     
+    this.setupHydraSketchEditor();
+    
+    this.visualizerRecordBtn = document.getElementById('visualizer-record-btn');
+    this.visualizerRecordBtn?.addEventListener('click', () => {
+      this.recordVisualizerClip();
+    });
+    
     this.visualizerFullscreenBtn = document.getElementById('visualizer-fullscreen-btn');
     if (this.visualizerFullscreenBtn) {
       this.visualizerFullscreenBtn.addEventListener('click', () => {
@@ -4997,6 +5211,9 @@ class InteractiveSoundApp {
       this.scopeSpectrumCopyLoop = null;
       this.stopVisualizerAnimation();
     this.teardownExternalVisualizerCanvas();
+    if (this.selectedVisualizer !== 'hydra') {
+      this.stopHydraVisualizer();
+    }
     
     if (this.selectedVisualizer !== 'pianoroll') {
       const existingPianorollCanvases = document.querySelectorAll('canvas[data-processed="true"]');
@@ -5119,6 +5336,10 @@ class InteractiveSoundApp {
           colorizeInactive: true,
           background: '#05060a'
         })`;
+    } else if (this.selectedVisualizer === 'hydra') {
+      // Hydra reads the analyser itself; the pattern only needs to report its haps for h.<sound> pulses
+      soundManager.ensurePatternMidiMethodsRegistered('hydra visualizer');
+      patternWithVisualizer = `${basePattern}.visualTrigger()`;
     }
     }
     
@@ -5128,7 +5349,7 @@ class InteractiveSoundApp {
     }
     
     if (this.selectedVisualizer !== 'off' && this.selectedVisualizer !== 'punchcard') {
-    const usesInternalVisualizer = this.selectedVisualizer === 'scope' || this.selectedVisualizer === 'barchart';
+    const usesInternalVisualizer = this.selectedVisualizer === 'scope' || this.selectedVisualizer === 'barchart' || this.selectedVisualizer === 'hydra';
       if (!usesInternalVisualizer) {
       const checkRegex = new RegExp(`\\.\\s*_?${this.selectedVisualizer}\\s*\\(`);
         if (!checkRegex.test(patternWithVisualizer)) {
@@ -5189,6 +5410,9 @@ class InteractiveSoundApp {
       }
       // Watch for Strudel to create the spectrum canvas and attach it
       this.watchForExternalVisualizerCanvas('spectrum');
+    } else if (this.selectedVisualizer === 'hydra') {
+      // Hydra blends the camera itself (s0 / cam.blend), so no camera blend loop here
+      await this.startHydraVisualizer();
     }
     
     this.refreshMasterPunchcard(this.selectedVisualizer === 'off' ? 'visualizer-off' : 'visualizer-applied').catch(err => {
@@ -5325,6 +5549,12 @@ class InteractiveSoundApp {
     }
     
     const activeVisualizer = this.selectedVisualizer || 'punchcard';
+    if (activeVisualizer === 'hydra') {
+      this.hydraVisualizer?.resize();
+      this.hideMasterPunchcardPlaceholder();
+      this.masterPunchcardIsRendering = false;
+      return;
+    }
     if (activeVisualizer === 'scope') {
       await this.prepareCanvasForExternalVisualizer();
       this.startScopeVisualizerLoop();
@@ -6005,6 +6235,196 @@ class InteractiveSoundApp {
   }
 
 
+  /**
+   * The canvas currently showing the visualizer: Hydra's, an attached Strudel one (pianoroll, spectrum, spiral) or the master canvas
+   */
+  getActiveVisualizerCanvas() {
+    if (this.hydraVisualizer?.running && this.hydraVisualizer.canvas) {
+      return this.hydraVisualizer.canvas;
+    }
+    if (this.externalVisualizerCanvas?.isConnected) {
+      return this.externalVisualizerCanvas;
+    }
+    return this.masterPunchcardCanvas;
+  }
+
+  /**
+   * Record the visualizer and the master audio for N bars as a WebM clip. Recording starts on the next
+   * cycle boundary and lasts whole cycles, so the clip loops seamlessly. Clicking again stops early.
+   */
+  async recordVisualizerClip() {
+    if (this.clipRecording) {
+      this.clipRecording.abort();
+      return;
+    }
+    if (!soundManager.getMasterPatternCode()?.trim()) {
+      alert('No master pattern to record. Please create a pattern first.');
+      return;
+    }
+    const barsInput = prompt(`Record how many bars? (1-${CLIP_MAX_BARS}, default: ${CLIP_DEFAULT_BARS})`, String(CLIP_DEFAULT_BARS));
+    if (barsInput === null) return;
+    const bars = Math.min(Math.max(parseInt(barsInput, 10) || CLIP_DEFAULT_BARS, 1), CLIP_MAX_BARS);
+
+    const controller = new AbortController();
+    this.clipRecording = controller;
+    this.updateVisualizerRecordButton('waiting');
+    let audio = null;
+    try {
+      if (!soundManager.masterActive) {
+        const playResult = await soundManager.playMasterPattern();
+        if (!playResult?.success) {
+          throw new Error(playResult?.error || 'Could not start the master pattern');
+        }
+      }
+      const clock = soundManager.getSchedulerClock();
+      if (!clock) {
+        throw new Error('The scheduler is not running');
+      }
+      audio = soundManager.createMasterAudioStream();
+      if (!audio) {
+        throw new Error('Master audio is not available');
+      }
+      const cycleMs = 1000 / clock.cps;
+      let startDelayMs = (Math.ceil(clock.cycle) - clock.cycle) * cycleMs;
+      if (startDelayMs < CLIP_MIN_START_NOTICE_MS) {
+        startDelayMs += cycleMs;
+      }
+
+      const result = await recordCanvasClip({
+        canvas: this.getActiveVisualizerCanvas(),
+        audioStream: audio.stream,
+        durationMs: bars * cycleMs,
+        startDelayMs,
+        signal: controller.signal,
+        onStart: () => this.updateVisualizerRecordButton('recording')
+      });
+      if (!result.success) {
+        if (!controller.signal.aborted) {
+          throw new Error(result.error);
+        }
+        return;
+      }
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+      soundManager.downloadBlob(result.blob, `strudesk-clip-${bars}-bars-${stamp}.webm`, result.mimeType);
+      uiController.updateStatus(controller.signal.aborted ? 'Saved the clip recorded so far' : `Saved a ${bars}-bar clip`);
+    } catch (error) {
+      console.warn('⚠️ Clip recording failed:', error);
+      alert(`❌ Clip recording failed: ${error.message}`);
+    } finally {
+      audio?.release();
+      this.clipRecording = null;
+      this.updateVisualizerRecordButton('idle');
+    }
+  }
+
+  updateVisualizerRecordButton(state) {
+    const button = this.visualizerRecordBtn;
+    if (!button) return;
+    const labels = { idle: '⏺ Clip', waiting: '⏳ Next bar…', recording: '⏹ Stop' };
+    button.textContent = labels[state] || labels.idle;
+    button.classList.toggle('is-waiting', state === 'waiting');
+    button.classList.toggle('is-recording', state === 'recording');
+  }
+
+  getStoredHydraSketch() {
+    try {
+      return localStorage.getItem(HYDRA_SKETCH_STORAGE_KEY) || DEFAULT_HYDRA_SKETCH;
+    } catch {
+      return DEFAULT_HYDRA_SKETCH;
+    }
+  }
+
+  setupHydraSketchEditor() {
+    const input = document.getElementById('hydra-sketch-input');
+    if (!input) return;
+    input.value = this.hydraSketch;
+    input.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+        event.preventDefault();
+        this.setHydraSketch(input.value);
+      }
+    });
+    document.getElementById('hydra-sketch-run-btn')?.addEventListener('click', () => {
+      this.setHydraSketch(input.value);
+    });
+    document.getElementById('hydra-sketch-reset-btn')?.addEventListener('click', () => {
+      this.setHydraSketch(DEFAULT_HYDRA_SKETCH);
+    });
+    this.updateHydraSketchPanel();
+  }
+
+  updateHydraSketchPanel() {
+    const panel = document.getElementById('hydra-sketch-panel');
+    if (panel) {
+      panel.hidden = this.selectedVisualizer !== 'hydra';
+    }
+  }
+
+  /**
+   * Replace the Hydra sketch for the current master pattern and run it if Hydra is showing
+   */
+  setHydraSketch(sketch) {
+    const trimmed = (sketch || '').trim() || DEFAULT_HYDRA_SKETCH;
+    this.hydraSketch = trimmed;
+    try {
+      localStorage.setItem(HYDRA_SKETCH_STORAGE_KEY, trimmed);
+    } catch (error) {
+      console.warn('⚠️ Unable to persist Hydra sketch:', error);
+    }
+    const input = document.getElementById('hydra-sketch-input');
+    if (input && input.value !== trimmed) {
+      input.value = trimmed;
+    }
+    if (this.hydraVisualizer?.running) {
+      this.showHydraSketchResult(this.hydraVisualizer.run(trimmed));
+    }
+  }
+
+  showHydraSketchResult(result) {
+    const errorEl = document.getElementById('hydra-sketch-error');
+    if (errorEl) {
+      errorEl.textContent = result?.success ? '' : (result?.error || 'Sketch failed');
+    }
+  }
+
+  async startHydraVisualizer() {
+    if (!this.masterPunchcardContainer) return;
+    if (!this.hydraVisualizer) {
+      this.hydraVisualizer = new HydraVisualizer({
+        container: this.masterPunchcardContainer,
+        getAnalyser: () => this.ensureVisualizerAnalyser(),
+        getCamera: () => (this.cameraEnabled && this.cameraVideo
+          ? { video: this.cameraVideo, blend: this.cameraBlendValue }
+          : null)
+      });
+    }
+    if (!this.hydraTriggerUnsubscribe) {
+      this.hydraTriggerUnsubscribe = soundManager.addVisualTriggerListener(value => this.hydraVisualizer?.trigger(value));
+    }
+    this.hideMasterPunchcardPlaceholder();
+    if (this.masterPunchcardCanvas) {
+      this.masterPunchcardCanvas.style.display = 'none';
+    }
+    const result = await this.hydraVisualizer.start(this.hydraSketch);
+    this.showHydraSketchResult(result);
+    if (!this.hydraVisualizer.running) {
+      if (this.masterPunchcardCanvas) {
+        this.masterPunchcardCanvas.style.display = 'block';
+      }
+      this.drawVisualizerMessage(result.error);
+    }
+  }
+
+  stopHydraVisualizer() {
+    this.hydraTriggerUnsubscribe?.();
+    this.hydraTriggerUnsubscribe = null;
+    if (!this.hydraVisualizer?.running) return;
+    this.hydraVisualizer.stop();
+    if (this.masterPunchcardCanvas) {
+      this.masterPunchcardCanvas.style.display = 'block';
+    }
+  }
+
   teardownExternalVisualizerCanvas() {
     // Disconnect observer
     if (this.externalVisualizerObserver) {
@@ -6798,7 +7218,7 @@ class InteractiveSoundApp {
       return -1;
     };
     
-    const visualizerMethods = ['scope', 'tscope', 'fscope', 'spectrum', 'visual', 'pianoroll', 'barchart'];
+    const visualizerMethods = ['scope', 'tscope', 'fscope', 'spectrum', 'visual', 'visualTrigger', 'pianoroll', 'barchart'];
     let sanitized = pattern;
     visualizerMethods.forEach(method => {
       const searchPattern = new RegExp(`\\.\\s*_?${method}\\s*\\(`, 'gi');
@@ -7727,19 +8147,15 @@ class InteractiveSoundApp {
   getElementMidiSettings(elementId) {
     if (!this.elementMidiSettings) {
       this.elementMidiSettings = {};
-            }
+    }
     
     if (this.elementMidiSettings[elementId]) {
-      const existing = this.elementMidiSettings[elementId];
-      return {
-        enabled: !!existing.enabled,
-        channel: this.normalizeMidiChannel(existing.channel)
-      };
+      return this.normalizeElementMidiSettings(this.elementMidiSettings[elementId]);
     }
     
     const defaults = this.deriveMidiSettingsFromPattern(
       soundConfig.getElementConfig(elementId)?.pattern
-    ) || { enabled: false, channel: 1 };
+    ) || this.normalizeElementMidiSettings({ enabled: false });
     
     this.elementMidiSettings[elementId] = defaults;
     return defaults;
@@ -7752,16 +8168,46 @@ class InteractiveSoundApp {
     }
     return Math.min(16, Math.max(1, Math.round(numeric)));
   }
-  
+
+  /**
+   * Element MIDI settings: { enabled, audio, routes: [{ port, channel }], channel }.
+   * port null is the default output; one route per port; channel mirrors the first route
+   * for code that only knows a single channel (MIDI export). Accepts the old { enabled, channel } shape.
+   */
+  normalizeElementMidiSettings(settings = {}) {
+    const byPort = new Map();
+    (Array.isArray(settings.routes) ? settings.routes : []).forEach((route) => {
+      if (!route || typeof route !== 'object') return;
+      const port = typeof route.port === 'string' && route.port !== '' ? route.port : null;
+      byPort.set(port, { port, channel: this.normalizeMidiChannel(route.channel) });
+    });
+    let routes = Array.from(byPort.values());
+    if (routes.length === 0 && settings.enabled) {
+      routes = [{ port: null, channel: this.normalizeMidiChannel(settings.channel) }];
+    }
+    return {
+      enabled: !!settings.enabled && routes.length > 0,
+      audio: settings.audio !== false,
+      routes,
+      channel: routes[0]?.channel ?? this.normalizeMidiChannel(settings.channel)
+    };
+  }
+  
   updateElementMidiSettings(elementId, updates = {}) {
     if (!elementId) return;
     const current = this.getElementMidiSettings(elementId);
-    const next = {
-      enabled: updates.enabled !== undefined ? !!updates.enabled : current.enabled,
-      channel: this.normalizeMidiChannel(
-        updates.channel !== undefined ? updates.channel : current.channel
-      )
-    };
+    let routes = updates.routes !== undefined ? updates.routes : current.routes;
+    if (updates.channel !== undefined && updates.routes === undefined) {
+      // Single-channel callers retarget the first route
+      const [first = { port: null }, ...rest] = current.routes;
+      routes = [{ ...first, channel: updates.channel }, ...rest];
+    }
+    const next = this.normalizeElementMidiSettings({
+      enabled: updates.enabled !== undefined ? updates.enabled : current.enabled,
+      audio: updates.audio !== undefined ? updates.audio : current.audio,
+      routes,
+      channel: updates.channel !== undefined ? updates.channel : current.channel
+    });
     this.elementMidiSettings[elementId] = next;
     this.persistMidiSettings();
     this.applyMidiSettingsToPattern(elementId);
@@ -7782,10 +8228,7 @@ class InteractiveSoundApp {
         if (!settings || typeof settings !== 'object') {
           return;
         }
-        normalized[elementId] = {
-          enabled: !!settings.enabled,
-          channel: this.normalizeMidiChannel(settings.channel)
-        };
+        normalized[elementId] = this.normalizeElementMidiSettings(settings);
       });
       return normalized;
     } catch (error) {
@@ -7806,16 +8249,26 @@ class InteractiveSoundApp {
     if (!pattern || !/\.midi\b/i.test(pattern)) {
       return null;
     }
-    const midiPortMatch = pattern.match(/\.midiport\s*\(\s*(\d+)\s*\)/i);
-    const channel = midiPortMatch ? this.normalizeMidiChannel(parseInt(midiPortMatch[1], 10) + 1) : 1;
-    return { enabled: true, channel };
-      }
+    const midiCall = findMidiCalls(pattern).find((call) => call.name === 'midi');
+    const args = midiCall ? midiCall.args : '';
+    const routes = parseMidiCallRoutes(args);
+    if (routes.length === 0) {
+      // Legacy .midi().midiport(n) used the port number as a 0-based channel
+      const midiPortMatch = pattern.match(/\.midiport\s*\(\s*(\d+)\s*\)/i);
+      routes.push({ port: null, channel: midiPortMatch ? parseInt(midiPortMatch[1], 10) + 1 : 1 });
+    }
+    return this.normalizeElementMidiSettings({
+      enabled: true,
+      audio: !/audio\s*:\s*false/.test(args),
+      routes
+    });
+  }
   
   stripMidiModifiers(pattern) {
     if (!pattern) return pattern;
-    let cleaned = pattern;
-    cleaned = cleaned.replace(/\.midiport\s*\([^)]*\)/gi, '');
-    cleaned = cleaned.replace(/\.midi\s*\([^)]*\)/gi, '');
+    let cleaned = findMidiCalls(pattern)
+      .reverse()
+      .reduce((code, call) => code.slice(0, call.start) + code.slice(call.end), pattern);
     cleaned = cleaned.replace(/\.midi\b/gi, '');
     cleaned = cleaned.replace(/\.\.+/g, '.');
     cleaned = cleaned.replace(/\s+\./g, '.');
@@ -7830,8 +8283,11 @@ class InteractiveSoundApp {
     if (!settings.enabled) {
       return cleanedPattern;
     }
-    const channelArg = Math.max(0, this.normalizeMidiChannel(settings.channel) - 1);
-    const midiModifier = `.midi().midiport(${channelArg})`;
+    // Single quotes: the transpiler would turn double-quoted strings into mini-notation
+    const routeArgs = settings.routes
+      .map((route) => `'${formatMidiRoute(route).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`)
+      .join(', ');
+    const midiModifier = `.midi([${routeArgs}]${settings.audio ? '' : ', { audio: false }'})`;
     
     // Insert .midi() before .postgain() if it exists, otherwise append at the end
     // This is necessary because .midi() must be called before .postgain()
@@ -7982,7 +8438,8 @@ class InteractiveSoundApp {
     
     if (window.savePatternDialog) {
       // Show save dialog for cloud save
-      await window.savePatternDialog.show(trimmed, 'master', null);
+      const metadata = this.hydraSketch !== DEFAULT_HYDRA_SKETCH ? { hydraSketch: this.hydraSketch } : {};
+      await window.savePatternDialog.show(trimmed, 'master', null, { metadata });
       window.savePatternDialog.setOnSave(async (savedPattern) => {
         // Also save locally
         patternHistoryStore.saveMasterVersion(trimmed);
@@ -9266,10 +9723,12 @@ class InteractiveSoundApp {
     }
     
     const bankSelect = document.getElementById('modal-pattern-bank');
-    const sampleUrlInput = document.getElementById('modal-sample-url');
-    const sampleNameInput = document.getElementById('modal-sample-name');
-    const addSampleButton = document.getElementById('modal-add-sample-btn');
-    const sampleFileInput = document.getElementById('modal-sample-file');
+    // The "Add samples" inputs are built later by ensurePatternSnippetContainer, so look them up when used
+    const getSampleInputs = () => ({
+      sampleUrlInput: document.getElementById('modal-sample-url'),
+      sampleNameInput: document.getElementById('modal-sample-name'),
+      sampleFileInput: document.getElementById('modal-sample-file')
+    });
     const patternTextarea = document.getElementById('modal-pattern');
 
     const initializeSamplePackSamplesGroup = () => {
@@ -9279,7 +9738,8 @@ class InteractiveSoundApp {
         const pathContainer = wrapper.querySelector('.sample-pack-path-container');
         const select = wrapper.querySelector('select');
         const status = wrapper.querySelector('.sample-pack-sounds-status');
-        return { wrapper, select, status, pathContainer };
+        const removeButton = wrapper.querySelector('.sample-pack-remove-btn');
+        return { wrapper, select, status, pathContainer, removeButton };
       }
       const bankFormGroup = bankSelect.closest('.form-group');
       if (!bankFormGroup) return null;
@@ -9309,12 +9769,19 @@ class InteractiveSoundApp {
       pathContainer.className = 'sample-pack-path-container';
       pathContainer.style.display = 'none';
 
+      const removeButton = document.createElement('button');
+      removeButton.type = 'button';
+      removeButton.className = 'sample-pack-remove-btn';
+      removeButton.textContent = 'Remove pack from this device';
+      removeButton.hidden = true;
+
       wrapper.appendChild(label);
       wrapper.appendChild(pathContainer);
       wrapper.appendChild(select);
       wrapper.appendChild(status);
+      wrapper.appendChild(removeButton);
       bankFormGroup.insertAdjacentElement('afterend', wrapper);
-      return { wrapper, select, status, pathContainer };
+      return { wrapper, select, status, pathContainer, removeButton };
     };
 
     const samplePackUi = initializeSamplePackSamplesGroup();
@@ -9342,6 +9809,7 @@ class InteractiveSoundApp {
         samplePackUi.pathContainer.style.display = 'none';
       }
       samplePackUi.status.textContent = message;
+      samplePackUi.removeButton.hidden = true;
       currentSamplePackValue = '';
       currentSamplePackData = null;
       currentSamplePackSamples = [];
@@ -9364,7 +9832,7 @@ class InteractiveSoundApp {
       samplePackUi.status.textContent = `Loading samples from ${packLabel}...`;
     };
 
-    const insertSamplePackSoundIntoPattern = (sampleId) => {
+    const insertSamplePackSoundIntoPattern = async (sampleId) => {
       if (!sampleId || !currentSamplePackData) {
         return;
       }
@@ -9374,23 +9842,40 @@ class InteractiveSoundApp {
         return;
       }
 
-      const baseUrl = `https://raw.githubusercontent.com/${currentSamplePackData.meta.owner}/${currentSamplePackData.meta.repo}/${currentSamplePackData.meta.branch}/`;
-      const relativeRepoPath = sample.relativePath || sample.path || sample.fileName || sample.name;
-      const sampleName = sample.name;
+      let sampleName = sample.name;
+      let sampleUrl = sample.url;
+      if (!sampleUrl && sample.blob) {
+        // Local (ZIP/folder) packs only exist on this device, so the pattern gets an uploaded copy instead
+        samplePackUi.select.disabled = true;
+        samplePackUi.status.textContent = `Adding ${sample.fileName}...`;
+        try {
+          const file = new File([sample.blob], sample.fileName, { type: sample.blob.type });
+          ({ name: sampleName, url: sampleUrl } = await resolveSampleFileUrl(file, sample.name));
+        } catch (error) {
+          samplePackUi.status.textContent = `Unable to add ${sample.fileName}: ${error.message}`;
+          samplePackUi.select.value = '';
+          return;
+        } finally {
+          samplePackUi.select.disabled = false;
+        }
+      }
+      const { baseUrl, samplePath } = sampleUrl.startsWith('data:')
+        ? { baseUrl: './', samplePath: sampleUrl }
+        : parseSampleLocation(sampleUrl);
 
       const sampleSnippet = [
         'samples({',
-        `  "${sampleName}": "${relativeRepoPath}"`,
-        `}, { baseUrl: "${baseUrl}" })`
+        `  ${quoteForPattern(sampleName)}: ${quoteForPattern(samplePath)}`,
+        `}, { baseUrl: ${quoteForPattern(baseUrl)} })`
       ].join('\n');
-      const combinedExpression = `(${sampleSnippet},\n sound("${sampleName}"))`;
+      const combinedExpression = `(${sampleSnippet},\n sound(${quoteForPattern(sampleName)}))`;
       const currentValue = getStrudelEditorValue('modal-pattern') || '';
       const trimmedEnd = currentValue.trimEnd();
       const needsNewline = trimmedEnd.length > 0;
       const nextPattern = needsNewline ? `${trimmedEnd}\n\n${combinedExpression}` : combinedExpression;
 
-      const alreadyHasSampleSnippet = currentValue.includes(`"${sampleName}": "${relativeRepoPath}"`);
-      const alreadyHasSound = currentValue.includes(`sound("${sampleName}")`);
+      const alreadyHasSampleSnippet = currentValue.includes(`${quoteForPattern(sampleName)}: ${quoteForPattern(samplePath)}`);
+      const alreadyHasSound = currentValue.includes(`sound(${quoteForPattern(sampleName)})`);
       if (alreadyHasSound || alreadyHasSampleSnippet) {
         samplePackUi?.status && (samplePackUi.status.textContent = `sound("${sampleName}") already exists in the pattern.`);
         samplePackUi.select.value = '';
@@ -9581,6 +10066,7 @@ class InteractiveSoundApp {
         currentSamplePackData = packData;
         samplePackPathSegments = [];
         samplePackUi.wrapper.style.display = '';
+        samplePackUi.removeButton.hidden = !customSamplePacks?.some(pack => pack.value === packValue);
         renderSamplePackPathAndSamples();
       } catch (error) {
         if (token !== samplePackLoadToken) {
@@ -9614,6 +10100,27 @@ class InteractiveSoundApp {
       samplePackUi.select.dataset.listenerAttached = 'true';
     }
 
+    if (samplePackUi?.removeButton && !samplePackUi.removeButton.dataset.listenerAttached) {
+      samplePackUi.removeButton.addEventListener('click', async () => {
+        const packValue = currentSamplePackValue;
+        const pack = customSamplePacks?.find(entry => entry.value === packValue);
+        if (!pack || !confirm(`Remove "${pack.label}" from this device? Patterns that already use its samples keep working.`)) {
+          return;
+        }
+        try {
+          await removeCustomSamplePack(packValue);
+        } catch (error) {
+          samplePackUi.status.textContent = `Unable to remove the pack: ${error.message}`;
+          return;
+        }
+        customSamplePacks = customSamplePacks.filter(entry => entry.value !== packValue);
+        hideSamplePackSamples();
+        ensurePatternBankOptions('');
+        bankSelect.dispatchEvent(new Event('change'));
+      });
+      samplePackUi.removeButton.dataset.listenerAttached = 'true';
+    }
+
     hideSamplePackSamples();
 
 
@@ -9682,46 +10189,275 @@ class InteractiveSoundApp {
       if (typeof updatePreviewButtonState === 'function') {
         updatePreviewButtonState();
       }
-      sampleNameInput.value = '';
-      sampleUrlInput.value = '';
+      const { sampleUrlInput, sampleNameInput, sampleFileInput } = getSampleInputs();
+      if (sampleUrlInput) {
+        sampleUrlInput.value = '';
+      }
       if (sampleFileInput) {
         sampleFileInput.value = '';
       }
-      sampleNameInput.focus();
+      if (sampleNameInput) {
+        sampleNameInput.value = '';
+        sampleNameInput.focus();
+      }
     };
 
-    if (addSampleButton) {
-      addSampleButton.addEventListener('click', () => {
-        if (!sampleNameInput || !sampleUrlInput) {
-          return;
+    // The signed-in user's uploaded samples ("My Samples" in the bank dropdown); null until loaded
+    let userSampleLibrary = null;
+    let userSampleLibraryUserId = null;
+    let userSampleUsage = null;
+    let userSampleLibraryPromise = null;
+
+    const loadUserSampleLibrary = () => {
+      if (!currentUser) {
+        userSampleLibrary = null;
+        userSampleLibraryUserId = null;
+        userSampleUsage = null;
+        return Promise.resolve([]);
+      }
+      if (userSampleLibraryPromise) {
+        return userSampleLibraryPromise;
+      }
+      const userId = currentUser.id;
+      userSampleLibraryPromise = samplesAPI.getSamples()
+        .then(({ samples = [], usage = null }) => {
+          userSampleUsage = usage;
+          return samples;
+        })
+        .catch((error) => {
+          console.warn('⚠️ Could not load your samples:', error.message);
+          return [];
+        })
+        .then((samples) => {
+          userSampleLibrary = samples;
+          userSampleLibraryUserId = userId;
+          return samples;
+        })
+        .finally(() => {
+          userSampleLibraryPromise = null;
+        });
+      return userSampleLibraryPromise;
+    };
+
+    // Sample packs added on this device (strudel.json URLs, ZIPs, folders); null until read from IndexedDB
+    let customSamplePacks = null;
+    let customSamplePacksPromise = null;
+
+    const loadCustomSamplePacks = () => {
+      if (!customSamplePacksPromise) {
+        customSamplePacksPromise = listCustomSamplePacks()
+          .catch((error) => {
+            console.warn('⚠️ Could not read saved sample packs:', error);
+            return [];
+          })
+          .then((packs) => {
+            customSamplePacks = packs;
+            return packs;
+          })
+          .finally(() => {
+            customSamplePacksPromise = null;
+          });
+      }
+      return customSamplePacksPromise;
+    };
+
+    const insertSampleUrlIntoPattern = (sampleName, url) => {
+      if (url.startsWith('data:')) {
+        insertSampleIntoPattern(sampleName, './', url);
+        return;
+      }
+      const { baseUrl, samplePath } = parseSampleLocation(url);
+      insertSampleIntoPattern(sampleName, baseUrl, samplePath || sampleName);
+    };
+
+    /**
+     * Turn a picked audio file into a URL a pattern can reference: an upload to the user's sample library
+     * when signed in, an inline data URL for guests
+     * @returns {Promise<{name: string, url: string}>}
+     */
+    const resolveSampleFileUrl = async (file, sampleName) => {
+      if (currentUser) {
+        const { sample, usage } = await samplesAPI.uploadSample(file, sampleName);
+        if (userSampleLibrary && userSampleLibraryUserId === currentUser.id) {
+          userSampleLibrary = [sample, ...userSampleLibrary];
+          userSampleUsage = usage || userSampleUsage;
+        }
+        ensurePatternBankOptions();
+        console.log(`🎵 Uploaded sample "${sample.name}" to your library`);
+        return { name: sample.name, url: samplesAPI.getSampleFileUrl(sample) };
+      }
+      const dataUrl = await new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (e) => resolve(e.target.result);
+        reader.onerror = () => reject(new Error('Unable to read the selected file. Please try again.'));
+        reader.readAsDataURL(file);
+      });
+      if (typeof dataUrl !== 'string' || !dataUrl) {
+        throw new Error('Unable to read the selected file. Please try again.');
+      }
+      return { name: sampleName, url: dataUrl };
+    };
+
+    modal.addEventListener('click', async (event) => {
+      const addSampleButton = event.target.closest('#modal-add-sample-btn');
+      if (!addSampleButton) {
+        return;
+      }
+      const { sampleUrlInput, sampleNameInput, sampleFileInput } = getSampleInputs();
+      if (!sampleNameInput || !sampleUrlInput) {
+        return;
+      }
+      const sampleName = sampleNameInput.value.trim();
+      const sampleUrl = sampleUrlInput.value.trim();
+      const hasFileSelection = sampleFileInput && sampleFileInput.files && sampleFileInput.files.length > 0;
+      if (!sampleName || (!sampleUrl && !hasFileSelection)) {
+        alert('Please provide a Sample Name and either a Sample URL or select a file.');
+        return;
+      }
+
+      if (sampleUrl) {
+        const { baseUrl, samplePath } = parseSampleLocation(sampleUrl);
+        insertSampleIntoPattern(sampleName, baseUrl, samplePath || sampleName);
+      } else if (hasFileSelection) {
+        const file = sampleFileInput.files[0];
+        addSampleButton.disabled = true;
+        try {
+          const { name, url } = await resolveSampleFileUrl(file, sampleName);
+          insertSampleUrlIntoPattern(name, url);
+        } catch (error) {
+          alert(`Unable to add the sample: ${error.message}`);
+        } finally {
+          addSampleButton.disabled = false;
         }
-        const sampleName = sampleNameInput.value.trim();
-        const sampleUrl = sampleUrlInput.value.trim();
-        const hasFileSelection = sampleFileInput && sampleFileInput.files && sampleFileInput.files.length > 0;
-        if (!sampleName || (!sampleUrl && !hasFileSelection)) {
-          alert('Please provide a Sample Name and either a Sample URL or select a file.');
+      }
+    });
+
+    // "Add Sample Pack" (also built by ensurePatternSnippetContainer): manifest URLs, ZIPs and folders
+    const setSamplePackSourceStatus = (text) => {
+      const status = document.getElementById('modal-sample-pack-status');
+      if (status) {
+        status.textContent = text;
+      }
+    };
+
+    const addSamplePackFromSource = async (loadPack, description) => {
+      setSamplePackSourceStatus(`Loading ${description}...`);
+      let pack;
+      try {
+        pack = await loadPack();
+      } catch (error) {
+        setSamplePackSourceStatus(`Unable to add the pack: ${error.message}`);
+        return false;
+      }
+      customSamplePacks = [...(customSamplePacks || []).filter(entry => entry.value !== pack.value), pack];
+      setSamplePackSourceStatus(`Added "${pack.label}" (${pack.samples} samples) to Sample Packs.`);
+      ensurePatternBankOptions(pack.value);
+      if (bankSelect?.querySelector(`option[value="${CSS.escape(pack.value)}"]`)) {
+        bankSelect.value = pack.value;
+        bankSelect.dispatchEvent(new Event('change'));
+      }
+      return true;
+    };
+
+    modal.addEventListener('click', (event) => {
+      if (event.target.closest('#modal-add-sample-pack-btn')) {
+        const urlInput = document.getElementById('modal-sample-pack-url');
+        const source = urlInput?.value.trim();
+        if (!source) {
+          setSamplePackSourceStatus('Enter a strudel.json URL or github:owner/repo.');
           return;
         }
+        addSamplePackFromSource(() => addRemoteSamplePack(source), source).then((added) => {
+          if (added) {
+            urlInput.value = '';
+          }
+        });
+      } else if (event.target.closest('#modal-sample-pack-folder-btn')) {
+        document.getElementById('modal-sample-pack-folder')?.click();
+      }
+    });
 
-        if (sampleUrl) {
-          const { baseUrl, samplePath } = parseSampleLocation(sampleUrl);
-          insertSampleIntoPattern(sampleName, baseUrl, samplePath || sampleName);
-        } else if (hasFileSelection) {
-          const file = sampleFileInput.files[0];
-          const reader = new FileReader();
-          reader.onload = (e) => {
-            const dataUrl = e.target.result;
-            if (typeof dataUrl === 'string' && dataUrl.length > 0) {
-              insertSampleIntoPattern(sampleName, './', dataUrl);
-            } else {
-              alert('Unable to read the selected file. Please try again.');
-            }
-          };
-          reader.onerror = () => {
-            alert('Unable to read the selected file. Please try again.');
-          };
-          reader.readAsDataURL(file);
-        }
+    modal.addEventListener('change', (event) => {
+      const input = event.target;
+      if (input.id === 'modal-sample-pack-zip' && input.files?.[0]) {
+        const file = input.files[0];
+        addSamplePackFromSource(() => importZipSamplePack(file), file.name);
+        input.value = '';
+      } else if (input.id === 'modal-sample-pack-folder' && input.files?.length) {
+        const files = Array.from(input.files);
+        addSamplePackFromSource(() => importFolderSamplePack(files), 'the folder');
+        input.value = '';
+      }
+    });
+
+    modal.addEventListener('dragover', (event) => {
+      const dropZone = event.target.closest?.('#modal-sample-pack-drop');
+      if (dropZone) {
+        event.preventDefault();
+        dropZone.classList.add('is-dragover');
+      }
+    });
+    modal.addEventListener('dragleave', (event) => {
+      event.target.closest?.('#modal-sample-pack-drop')?.classList.remove('is-dragover');
+    });
+    modal.addEventListener('drop', (event) => {
+      const dropZone = event.target.closest?.('#modal-sample-pack-drop');
+      if (!dropZone) return;
+      event.preventDefault();
+      dropZone.classList.remove('is-dragover');
+      const file = event.dataTransfer?.files?.[0];
+      if (!file || !/\.zip$/i.test(file.name)) {
+        setSamplePackSourceStatus('Drop a .zip file, or use "Choose folder" for a folder.');
+        return;
+      }
+      addSamplePackFromSource(() => importZipSamplePack(file), file.name);
+    });
+
+    const midiImportDropZone = document.getElementById('modal-midi-import-drop');
+    const midiImportFileInput = document.getElementById('modal-midi-import-file');
+    const midiImportStatus = document.getElementById('modal-midi-import-status');
+
+    const handleMidiImportFile = async (file) => {
+      if (!file) return;
+      if (!/\.midi?$/i.test(file.name) && file.type !== 'audio/midi') {
+        alert('Please choose a .mid file.');
+        return;
+      }
+      if (midiImportStatus) {
+        midiImportStatus.textContent = `Importing ${file.name}...`;
+      }
+      const result = await appInstance.importMIDIFileAsElements(file);
+      if (!midiImportStatus) return;
+      if (!result.success) {
+        midiImportStatus.textContent = `Import failed: ${result.error}`;
+        return;
+      }
+      const details = [`Created ${result.created.length} channel${result.created.length === 1 ? '' : 's'}`];
+      if (result.tempo) {
+        details.push(`tempo ${result.tempo} BPM${result.tempoChanges > 1 ? ` (first of ${result.tempoChanges} tempo changes)` : ''}`);
+      }
+      if (result.skippedNotes > 0) {
+        details.push(`${result.skippedNotes} unmapped drum notes skipped`);
+      }
+      midiImportStatus.textContent = `${details.join(', ')}.`;
+    };
+
+    if (midiImportDropZone && midiImportFileInput) {
+      midiImportFileInput.addEventListener('change', () => {
+        handleMidiImportFile(midiImportFileInput.files?.[0]);
+        midiImportFileInput.value = '';
+      });
+      midiImportDropZone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        midiImportDropZone.classList.add('is-dragover');
+      });
+      midiImportDropZone.addEventListener('dragleave', () => {
+        midiImportDropZone.classList.remove('is-dragover');
+      });
+      midiImportDropZone.addEventListener('drop', (e) => {
+        e.preventDefault();
+        midiImportDropZone.classList.remove('is-dragover');
+        handleMidiImportFile(e.dataTransfer?.files?.[0]);
       });
     }
 
@@ -9763,6 +10499,10 @@ class InteractiveSoundApp {
         (child) => child.tagName === 'OPTGROUP' && child.label && child.label === 'Sample Packs'
       );
 
+      let userSamplesGroup = Array.from(bankSelect.children).find(
+        (child) => child.tagName === 'OPTGROUP' && child.dataset.source === 'user-samples'
+      );
+
       // Create groups if they don't exist, in the correct order
       if (!drumsGroup) {
         drumsGroup = document.createElement('optgroup');
@@ -9814,6 +10554,12 @@ class InteractiveSoundApp {
         bankSelect.appendChild(samplePacksGroup);
       }
 
+      if (!userSamplesGroup) {
+        userSamplesGroup = document.createElement('optgroup');
+        userSamplesGroup.dataset.source = 'user-samples';
+        bankSelect.appendChild(userSamplesGroup);
+      }
+
       // Only rebuild the Drums group, preserve other groups
       drumsGroup.innerHTML = '';
 
@@ -9900,6 +10646,23 @@ class InteractiveSoundApp {
       }
       
       samplePacksGroup.innerHTML = '';
+
+      if (customSamplePacks) {
+        customSamplePacks
+          .filter(pack => !SAMPLE_PACKS.some(builtIn => builtIn.value === pack.value))
+          .forEach((pack) => {
+            const option = document.createElement('option');
+            option.value = pack.value;
+            option.textContent = `${pack.label} (${pack.samples})`;
+            option.dataset.source = 'sample-pack';
+            option.dataset.custom = pack.kind;
+            samplePacksGroup.appendChild(option);
+          });
+      } else if (!customSamplePacksPromise) {
+        loadCustomSamplePacks().then(() => {
+          ensurePatternBankOptions(selectedValue);
+        });
+      }
       
       // Check if SAMPLE_PACKS is defined
       if (typeof SAMPLE_PACKS === 'undefined') {
@@ -9931,6 +10694,40 @@ class InteractiveSoundApp {
         console.log(`✅ Added ${sortedSamplePacks.length} sample pack options to dropdown`);
       }
 
+      // Populate "My Samples" (uploads); selecting one inserts it like "Add sample" does
+      userSamplesGroup.innerHTML = '';
+      const addUserSamplesNote = (text) => {
+        const option = document.createElement('option');
+        option.value = '';
+        option.disabled = true;
+        option.textContent = text;
+        userSamplesGroup.appendChild(option);
+      };
+      const formatMegabytes = bytes => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+      const userSamplesLoaded = !!currentUser && !!userSampleLibrary && userSampleLibraryUserId === currentUser.id;
+      userSamplesGroup.label = userSamplesLoaded && userSampleUsage
+        ? `My Samples (${formatMegabytes(userSampleUsage.used)} of ${formatMegabytes(userSampleUsage.quota)})`
+        : 'My Samples';
+      if (!currentUser) {
+        addUserSamplesNote('Sign in to upload your own samples');
+      } else if (!userSamplesLoaded) {
+        addUserSamplesNote('Loading your samples...');
+        loadUserSampleLibrary().then(() => {
+          ensurePatternBankOptions(selectedValue);
+        });
+      } else if (userSampleLibrary.length === 0) {
+        addUserSamplesNote('Upload a file with "Add sample"');
+      } else {
+        userSampleLibrary.forEach((sample) => {
+          const option = document.createElement('option');
+          option.value = `${USER_SAMPLE_OPTION_PREFIX}${sample.id}`;
+          option.textContent = sample.name;
+          option.title = sample.originalName || sample.fileName;
+          option.dataset.source = 'user-sample';
+          userSamplesGroup.appendChild(option);
+        });
+      }
+
       // Don't add non-drum banks to drums group - they belong in their own groups
       // The other groups are preserved from the HTML, so options stay in place
 
@@ -9951,6 +10748,8 @@ class InteractiveSoundApp {
     
     const drumGridSection = document.getElementById('modal-drum-grid-section');
     const drumGridTimesigLabel = document.getElementById('modal-drum-grid-timesig');
+    const pianoRollSection = document.getElementById('modal-piano-roll-section');
+    const isPianoRollVisible = () => !!pianoRollSection && pianoRollSection.style.display !== 'none';
     
     const lastEditorMode = (() => {
       if (typeof localStorage === 'undefined') return null;
@@ -9972,7 +10771,18 @@ class InteractiveSoundApp {
       checkboxes: {},
       numBars: 1,
       currentBar: 1,
-      barTokens: []
+      barSteps: [],
+      selectedStep: null,
+      exact: true,
+      rowKeysByBank: (() => {
+        try {
+          const saved = typeof localStorage !== 'undefined' ? localStorage.getItem(DRUM_GRID_ROWS_STORAGE_KEY) : null;
+          const parsed = saved ? JSON.parse(saved) : null;
+          return parsed && typeof parsed === 'object' ? parsed : {};
+        } catch {
+          return {};
+        }
+      })()
     };
 
     const editorModeSwitch = document.getElementById('modal-editor-mode-switch');
@@ -10280,6 +11090,26 @@ class InteractiveSoundApp {
           sampleNameGroup.appendChild(addRow);
           sampleNameGroup.appendChild(hint);
           samplesContent.appendChild(sampleNameGroup);
+
+          const samplePackSourceGroup = document.createElement('div');
+          samplePackSourceGroup.className = 'form-group sample-pack-source-group';
+          samplePackSourceGroup.innerHTML = `
+            <label for="modal-sample-pack-url">Add Sample Pack:</label>
+            <div class="sample-add-row">
+              <input type="text" id="modal-sample-pack-url" placeholder="strudel.json URL or github:owner/repo" />
+              <button type="button" id="modal-add-sample-pack-btn" class="sample-add-button">Add</button>
+            </div>
+            <div class="sample-pack-local-row">
+              <label class="sample-pack-drop-zone" id="modal-sample-pack-drop" for="modal-sample-pack-zip">
+                <span>Drop a .zip here or click to choose</span>
+                <input type="file" id="modal-sample-pack-zip" accept=".zip,application/zip" hidden />
+              </label>
+              <button type="button" id="modal-sample-pack-folder-btn" class="sample-add-button">Choose folder</button>
+              <input type="file" id="modal-sample-pack-folder" webkitdirectory multiple hidden />
+            </div>
+            <small class="sample-add-hint" id="modal-sample-pack-status">Packs are saved on this device and listed under Sample Packs.</small>
+          `;
+          samplesContent.appendChild(samplePackSourceGroup);
           
           samplesContainer.appendChild(samplesContent);
           formGroup.appendChild(samplesContainer);
@@ -11142,6 +11972,7 @@ class InteractiveSoundApp {
         // Ensure UI reflects current state
         updatePreviewButtonState();
         updateModalTheoryVisibility();
+        reloadPianoRoll();
         renderMyChannelPresetButtons();
         refreshDrumGridForCurrentState();
         // Reset presets section state each time the modal opens
@@ -11357,8 +12188,8 @@ class InteractiveSoundApp {
       const timeSignatureGroup = document.getElementById('modal-time-signature-select')?.closest('.form-group');
       if (timeSignatureGroup) {
         // patternEditorEnabled = false means step editor (drum grid) is active
-        // patternEditorEnabled = true means code editor is active
-        timeSignatureGroup.style.display = drumGridState.patternEditorEnabled ? 'none' : 'block';
+        // patternEditorEnabled = true means code editor is active (the piano roll still needs the bar length)
+        timeSignatureGroup.style.display = (drumGridState.patternEditorEnabled && !isPianoRollVisible()) ? 'none' : 'block';
       }
       
       // Show/hide drum grid based on editor state
@@ -11493,8 +12324,10 @@ class InteractiveSoundApp {
       const hasInstrumentSelected = !!selectedValue;
       const isDrum = isDrumBankValue(selectedValue);
       const isStepEditorActive = drumGridState.active && !drumGridState.patternEditorEnabled;
+      const showPianoRoll = hasInstrumentSelected && !isDrum;
+      setPianoRollVisible(showPianoRoll);
       updateTheoryControlsVisibility('modal', {
-        showTimeSignature: isDrum && isStepEditorActive,
+        showTimeSignature: (isDrum && isStepEditorActive) || showPianoRoll,
         showKeyScale: hasInstrumentSelected && !isDrum,
         showPiano: hasInstrumentSelected && !isDrum
       });
@@ -11527,64 +12360,256 @@ class InteractiveSoundApp {
       }
     };
     
-    const switchToBar = (barNumber) => {
-      if (barNumber < 1 || barNumber > drumGridState.numBars) return;
+    const getDrumGridMetrics = () => {
       const modalTimeSigSelect = document.getElementById('modal-time-signature-select');
       const timeSig = modalTimeSigSelect?.value || this.currentTimeSignature || '4/4';
-      const metrics = getTimeSignatureMetrics(timeSig);
-      saveCurrentBarTokens(metrics);
+      return getTimeSignatureMetrics(timeSig);
+    };
+
+    // Piano roll for tonal instruments: edits the note("...") part of the pattern in place
+    let updatingFromPianoRoll = false;
+    const pianoRollContainer = document.getElementById('modal-piano-roll-container');
+    const pianoRollTimesigLabel = document.getElementById('modal-piano-roll-timesig');
+    const pianoRoll = pianoRollContainer ? new PianoRoll({
+      container: pianoRollContainer,
+      getMetrics: getDrumGridMetrics,
+      getKeyScale: () => ({
+        key: document.getElementById('modal-key-select')?.value || '',
+        scale: document.getElementById('modal-scale-select')?.value || 'chromatic'
+      }),
+      getScaleSteps: (key, scale) => soundManager.getScaleSemitoneSteps(key, scale),
+      onChange: (pattern) => {
+        updatingFromPianoRoll = true;
+        setStrudelEditorValue('modal-pattern', pattern);
+        updatingFromPianoRoll = false;
+      },
+      onPreviewNote: (midi, velocity) => {
+        soundManager.triggerMIDIMonitorNote(midi, velocity, {
+          elementId: this.currentEditingElementId,
+          bankValue: bankSelect ? bankSelect.value : ''
+        }).catch(error => console.warn('⚠️ Piano roll preview failed:', error));
+      }
+    }) : null;
+
+    const reloadPianoRoll = () => {
+      if (!pianoRoll || !isPianoRollVisible()) return;
+      const metrics = getDrumGridMetrics();
+      if (pianoRollTimesigLabel) {
+        pianoRollTimesigLabel.textContent = `${metrics.signature} · ${metrics.totalSteps} steps per bar`;
+      }
+      pianoRoll.load(getStrudelEditorValue('modal-pattern') || '');
+    };
+
+    const setPianoRollVisible = (visible) => {
+      if (!pianoRollSection || !pianoRoll) return;
+      const wasVisible = isPianoRollVisible();
+      pianoRollSection.style.display = visible ? 'block' : 'none';
+      if (visible && !wasVisible) {
+        reloadPianoRoll();
+      }
+    };
+
+    const switchToBar = (barNumber) => {
+      if (barNumber < 1 || barNumber > drumGridState.numBars) return;
+      const metrics = getDrumGridMetrics();
       drumGridState.currentBar = barNumber;
+      drumGridState.selectedStep = null;
       updateBarSelector();
       const bankValue = bankSelect ? bankSelect.value : '';
       drumGridState.built = false;
       ensureDrumGridBuilt(metrics, bankValue);
-      if (!drumGridState.barTokens || !drumGridState.barTokens.length) {
-      const currentPattern = getStrudelEditorValue('modal-pattern');
-        const tokens = tokenizePattern(currentPattern);
-        initializeBarTokensFromSequence(metrics, tokens || []);
-      } else {
-        rebalanceBarTokens(metrics);
-      }
-      applyBarTokensToGrid(metrics);
+      renderDrumStepEditor();
     };
     
     const addBar = () => {
-      const modalTimeSigSelect = document.getElementById('modal-time-signature-select');
-      const timeSig = modalTimeSigSelect?.value || this.currentTimeSignature || '4/4';
-      const metrics = getTimeSignatureMetrics(timeSig);
-      saveCurrentBarTokens(metrics);
+      const metrics = getDrumGridMetrics();
       drumGridState.numBars++;
-      rebalanceBarTokens(metrics);
-      const stepsPerBar = metrics.totalSteps;
-      drumGridState.barTokens[drumGridState.numBars - 1] = new Array(stepsPerBar).fill('~');
+      rebalanceBarSteps(metrics);
       updateBarSelector();
       switchToBar(drumGridState.numBars);
     };
-    
-    const resetDrumGridSelection = () => {
-      const currentBankRows = drumGridState.currentBankRows || DRUM_GRID_ROWS;
-      currentBankRows.forEach(({ key }) => {
-        const checkboxes = drumGridState.checkboxes[key];
-        if (checkboxes && checkboxes.length) {
-          checkboxes.forEach(cb => { if (cb) cb.checked = false; });
+
+    const saveDrumGridRowConfig = () => {
+      try {
+        if (typeof localStorage !== 'undefined') {
+          localStorage.setItem(DRUM_GRID_ROWS_STORAGE_KEY, JSON.stringify(drumGridState.rowKeysByBank));
         }
+      } catch {
+        // ignore storage errors
+      }
+    };
+
+    // Rows the selected bank can play: its registered sounds once loaded, the static kit lists before that
+    const getAvailableDrumRows = (bankValue) => {
+      const soundNames = soundManager.getBankSoundNames?.(bankValue) || [];
+      if (!soundNames.length) {
+        return { rows: DRUM_BANK_INSTRUMENTS[bankValue] || DRUM_GRID_ROWS, soundNames };
+      }
+      const keys = [...new Set(soundNames.map(resolveDrumRowKey))];
+      return { rows: sortDrumRowKeys(keys).map(key => getDrumRowDefinition(key, soundNames)), soundNames };
+    };
+
+    const getDrumGridRows = (bankValue) => {
+      const { rows: availableRows, soundNames } = getAvailableDrumRows(bankValue);
+      const configuredKeys = drumGridState.rowKeysByBank[bankValue || 'default'];
+      const keys = Array.isArray(configuredKeys)
+        ? [...configuredKeys]
+        : availableRows.map(row => row.key).filter(key => DRUM_GRID_ROWS.some(row => row.key === key));
+      if (!keys.length) {
+        keys.push(...availableRows.map(row => row.key));
+      }
+      // Rows the pattern already plays always show, so nothing typed by hand is hidden
+      drumGridState.barSteps.flat().forEach((step) => {
+        Object.keys(step).forEach((key) => {
+          if (!keys.includes(key)) keys.push(key);
+        });
       });
+      return keys.map(key => getDrumRowDefinition(key, soundNames));
+    };
+
+    const updateDrumGridRowPicker = (bankValue, rows) => {
+      const picker = document.getElementById('modal-drum-grid-add-row');
+      if (!picker) return;
+      const shownKeys = new Set(rows.map(row => row.key));
+      const { rows: availableRows } = getAvailableDrumRows(bankValue);
+      const candidates = [...availableRows, ...DRUM_GRID_ROWS]
+        .filter((row, index, list) => !shownKeys.has(row.key) && list.findIndex(other => other.key === row.key) === index);
+      picker.innerHTML = '';
+      const placeholder = document.createElement('option');
+      placeholder.value = '';
+      placeholder.textContent = '+ Row';
+      picker.appendChild(placeholder);
+      candidates.forEach((row) => {
+        const option = document.createElement('option');
+        option.value = row.key;
+        option.textContent = `${row.label} (${row.sample})`;
+        picker.appendChild(option);
+      });
+      picker.style.display = candidates.length ? '' : 'none';
+    };
+
+    const setDrumGridRowKeys = (keys) => {
+      const bankValue = bankSelect ? bankSelect.value : '';
+      drumGridState.rowKeysByBank[bankValue || 'default'] = keys;
+      saveDrumGridRowConfig();
+      drumGridState.built = false;
+      ensureDrumGridBuilt(getDrumGridMetrics(), bankValue);
+    };
+
+    const updateDrumGridHint = () => {
+      const hint = document.getElementById('modal-drum-grid-hint');
+      if (!hint) return;
+      hint.classList.toggle('is-warning', !drumGridState.exact);
+      hint.textContent = drumGridState.exact
+        ? 'Click a step to toggle it; right-click a hit for velocity, chance, ratchet and nudge. Pattern updates automatically.'
+        : 'Parts of this pattern can\'t be shown in the grid. Editing a step rewrites the pattern from the grid.';
+    };
+
+    const getDrumStepSlot = (step) => {
+      const stepsPerBar = drumGridState.totalSteps || getDrumGridMetrics().totalSteps;
+      return drumGridState.barSteps[Math.floor(step / stepsPerBar)]?.[step % stepsPerBar] || null;
+    };
+
+    const getSelectedDrumHit = () => {
+      const selected = drumGridState.selectedStep;
+      if (!selected) return null;
+      return getDrumStepSlot(selected.step)?.[selected.key] || null;
+    };
+
+    const describeDrumHit = (hit) => {
+      const parts = [hit.sound, `velocity ${hit.velocity}`];
+      if (hit.probability < 1) parts.push(`${Math.round(hit.probability * 100)}% chance`);
+      if (hit.ratchet > 1) parts.push(`×${hit.ratchet}`);
+      if (hit.nudge > 0) parts.push(`nudged +${Math.round(hit.nudge * 100)}%`);
+      return parts.join(' · ');
+    };
+
+    const decorateDrumStep = (checkbox, hit) => {
+      const wrapper = checkbox.parentElement;
+      if (!wrapper) return;
+      const selected = drumGridState.selectedStep;
+      wrapper.style.setProperty('--drum-step-velocity', hit ? String(Math.min(hit.velocity, 1)) : '1');
+      wrapper.style.setProperty('--drum-step-nudge', hit ? String(hit.nudge) : '0');
+      wrapper.classList.toggle('has-probability', !!hit && hit.probability < 1);
+      wrapper.classList.toggle('is-nudged', !!hit && hit.nudge > 0);
+      wrapper.classList.toggle('is-selected', !!hit && !!selected &&
+        selected.key === checkbox.dataset.row && selected.step === Number(checkbox.dataset.step));
+      if (hit && hit.ratchet > 1) {
+        wrapper.dataset.ratchet = `×${hit.ratchet}`;
+      } else {
+        delete wrapper.dataset.ratchet;
+      }
+      checkbox.title = hit ? describeDrumHit(hit) : '';
+    };
+
+    const renderDrumStepEditor = () => {
+      const editor = document.getElementById('modal-drum-step-editor');
+      if (!editor) return;
+      const hit = drumGridState.active ? getSelectedDrumHit() : null;
+      if (!hit) {
+        editor.style.display = 'none';
+        return;
+      }
+      const { key, step } = drumGridState.selectedStep;
+      const stepsPerBar = drumGridState.totalSteps || getDrumGridMetrics().totalSteps;
+      const row = (drumGridState.currentBankRows || DRUM_GRID_ROWS).find(candidate => candidate.key === key);
+      const barLabel = drumGridState.numBars > 1 ? `, bar ${Math.floor(step / stepsPerBar) + 1}` : '';
+      editor.style.display = 'flex';
+      editor.querySelector('#modal-drum-step-title').textContent = `${row?.label || key} · step ${(step % stepsPerBar) + 1}${barLabel}`;
+      editor.querySelector('#modal-drum-step-velocity').value = String(Math.min(hit.velocity, 1));
+      editor.querySelector('#modal-drum-step-velocity-value').textContent = hit.velocity.toFixed(2);
+      editor.querySelector('#modal-drum-step-probability').value = String(hit.probability);
+      editor.querySelector('#modal-drum-step-probability-value').textContent = `${Math.round(hit.probability * 100)}%`;
+      editor.querySelector('#modal-drum-step-ratchet').value = String(hit.ratchet);
+      editor.querySelector('#modal-drum-step-nudge').value = String(hit.nudge);
+      editor.querySelector('#modal-drum-step-nudge-value').textContent = `+${Math.round(hit.nudge * 100)}%`;
+    };
+
+    const selectDrumStep = (key, step) => {
+      drumGridState.selectedStep = key ? { key, step } : null;
+      applyBarStepsToGrid(getDrumGridMetrics());
+      renderDrumStepEditor();
     };
     
-    const handleDrumGridStepChange = () => {
+    const handleDrumGridStepChange = (event) => {
       if (!drumGridState.active || drumGridState.updatingFromPattern) {
         return;
       }
-      updatePatternFromGrid();
+      const checkbox = event.target;
+      const key = checkbox.dataset.row;
+      const step = Number(checkbox.dataset.step);
+      const slot = getDrumStepSlot(step);
+      if (!slot) return;
+      if (checkbox.checked) {
+        const row = (drumGridState.currentBankRows || DRUM_GRID_ROWS).find(candidate => candidate.key === key);
+        slot[key] = createDrumHit(row?.sample || key);
+        drumGridState.selectedStep = { key, step };
+      } else {
+        delete slot[key];
+        if (drumGridState.selectedStep?.key === key && drumGridState.selectedStep.step === step) {
+          drumGridState.selectedStep = null;
+        }
+      }
+      applyBarStepsToGrid(getDrumGridMetrics());
+      renderDrumStepEditor();
+      updatePatternFromGrid({ force: true });
+    };
+
+    const handleDrumGridStepContextMenu = (event) => {
+      const checkbox = event.target;
+      const key = checkbox.dataset.row;
+      const step = Number(checkbox.dataset.step);
+      if (!getDrumStepSlot(step)?.[key]) return;
+      event.preventDefault();
+      selectDrumStep(key, step);
     };
     
     const ensureDrumGridBuilt = (metrics, bankValue) => {
       if (!drumGridSection) return;
       
-      // Get instruments for the selected bank, or use default
-      const currentBankRows = bankValue && DRUM_BANK_INSTRUMENTS[bankValue] 
-        ? DRUM_BANK_INSTRUMENTS[bankValue] 
-        : DRUM_GRID_ROWS;
+      // Rows for the selected bank (configurable per bank) plus any the pattern uses
+      rebalanceBarSteps(metrics);
+      const currentBankRows = getDrumGridRows(bankValue);
       
       // Check if we need to rebuild (different bank, different step count, or bar changed)
       const needsRebuild = !drumGridState.built || 
@@ -11607,7 +12632,6 @@ class InteractiveSoundApp {
         return;
       }
       console.log('🔨 Building drum grid with', currentBankRows.length, 'rows,', metrics.totalSteps, 'steps');
-      console.log('   Grid container found:', gridContainer, 'current children:', gridContainer.children.length);
       gridContainer.innerHTML = '';
       
       // Reset checkboxes
@@ -11623,6 +12647,14 @@ class InteractiveSoundApp {
         const labelSpan = document.createElement('span');
         labelSpan.className = 'drum-grid-row-label';
         labelSpan.textContent = label;
+        labelSpan.title = sample;
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'drum-grid-row-remove';
+        removeButton.dataset.row = key;
+        removeButton.title = `Remove ${label} row`;
+        removeButton.textContent = '×';
+        labelSpan.appendChild(removeButton);
         row.appendChild(labelSpan);
         
         const stepsContainer = document.createElement('div');
@@ -11631,8 +12663,6 @@ class InteractiveSoundApp {
         stepsContainer.style.gridTemplateColumns = `repeat(${metrics.totalSteps}, minmax(18px, 1fr))`;
         
         drumGridState.checkboxes[key] = [];
-        // Calculate total steps for all bars
-        const totalStepsForAllBars = metrics.totalSteps * drumGridState.numBars;
         // Only show steps for the current bar
         const startStep = (drumGridState.currentBar - 1) * metrics.totalSteps;
         const endStep = startStep + metrics.totalSteps;
@@ -11650,6 +12680,7 @@ class InteractiveSoundApp {
           checkbox.dataset.step = String(step);
           checkbox.dataset.bar = String(drumGridState.currentBar);
           checkbox.addEventListener('change', handleDrumGridStepChange);
+          checkbox.addEventListener('contextmenu', handleDrumGridStepContextMenu);
           stepWrapper.appendChild(checkbox);
           stepsContainer.appendChild(stepWrapper);
           drumGridState.checkboxes[key].push(checkbox);
@@ -11659,127 +12690,69 @@ class InteractiveSoundApp {
         gridContainer.appendChild(row);
       });
       
-      rebalanceBarTokens(metrics);
-      applyBarTokensToGrid(metrics);
       drumGridState.totalSteps = metrics.totalSteps;
       drumGridState.built = true;
+      updateDrumGridRowPicker(bankValue, currentBankRows);
+      applyBarStepsToGrid(metrics);
     };
-    
-    const tokenizePattern = (pattern) => {
-      if (!pattern || typeof pattern !== 'string') return null;
-      const match = pattern.match(/(?:s|sound)\(\s*["'`]([^"'`]+)["'`]\s*\)/i);
-      if (!match || !match[1]) return null;
-      const sequence = match[1].trim();
-      if (!sequence) return null;
-      return sequence.split(/\s+/).filter(Boolean);
-    };
-    
-    function parseTokenToSamples(token) {
-      if (!token) return [];
-      const trimmed = token.trim();
-      if (!trimmed || trimmed === '~') return [];
-      let working = trimmed;
-      if ((working.startsWith('[') && working.endsWith(']')) || (working.startsWith('{') && working.endsWith('}'))) {
-        working = working.slice(1, -1);
-      }
-      working = working.replace(/[,]+/g, ' ');
-      return working.split(/\s+/).map(part => part.trim()).filter(Boolean);
-    }
 
-    function rebalanceBarTokens(metrics) {
-      if (!drumGridState.barTokens) {
-        drumGridState.barTokens = [];
+    function rebalanceBarSteps(metrics) {
+      if (!drumGridState.barSteps) {
+        drumGridState.barSteps = [];
       }
       const stepsPerBar = metrics.totalSteps;
       const requiredBars = Math.max(1, drumGridState.numBars);
-      if (drumGridState.barTokens.length > requiredBars) {
-        drumGridState.barTokens.length = requiredBars;
+      if (drumGridState.barSteps.length > requiredBars) {
+        drumGridState.barSteps.length = requiredBars;
       }
-      while (drumGridState.barTokens.length < requiredBars) {
-        drumGridState.barTokens.push(new Array(stepsPerBar).fill('~'));
+      while (drumGridState.barSteps.length < requiredBars) {
+        drumGridState.barSteps.push(Array.from({ length: stepsPerBar }, () => ({})));
       }
-      drumGridState.barTokens = drumGridState.barTokens.map((bar) => {
+      drumGridState.barSteps = drumGridState.barSteps.map((bar) => {
         const normalized = Array.isArray(bar) ? bar.slice(0, stepsPerBar) : [];
         while (normalized.length < stepsPerBar) {
-          normalized.push('~');
+          normalized.push({});
         }
         return normalized;
       });
     }
 
-    function initializeBarTokensFromSequence(metrics, sequenceTokens) {
+    function initializeBarSteps(metrics, steps) {
       const stepsPerBar = metrics.totalSteps;
       const totalBars = Math.max(1, drumGridState.numBars);
-      const totalStepsNeeded = stepsPerBar * totalBars;
-      let working = Array.isArray(sequenceTokens) ? sequenceTokens.slice(0, totalStepsNeeded) : [];
-      if (working.length < totalStepsNeeded) {
-        working = working.concat(new Array(totalStepsNeeded - working.length).fill('~'));
-      }
-      drumGridState.barTokens = [];
+      drumGridState.barSteps = [];
       for (let bar = 0; bar < totalBars; bar++) {
-        const start = bar * stepsPerBar;
-        drumGridState.barTokens.push(working.slice(start, start + stepsPerBar));
-      }
-      rebalanceBarTokens(metrics);
-    }
-
-    function saveCurrentBarTokens(metrics) {
-      if (!drumGridState.active || drumGridState.updatingFromPattern || !drumGridState.checkboxes) return;
-      const barIndex = drumGridState.currentBar - 1;
-      if (barIndex < 0) return;
-      rebalanceBarTokens(metrics);
-      const stepsPerBar = metrics.totalSteps;
-      const rows = drumGridState.currentBankRows || DRUM_GRID_ROWS;
-      const tokens = new Array(stepsPerBar).fill('~');
-      for (let step = 0; step < stepsPerBar; step += 1) {
-        const samples = [];
-        rows.forEach(({ key, sample }) => {
-          const checkboxes = drumGridState.checkboxes[key];
-          const checkbox = checkboxes ? checkboxes[step] : null;
-          if (checkbox && checkbox.checked) {
-            samples.push(sample);
-          }
-        });
-        if (samples.length === 1) {
-          tokens[step] = samples[0];
-        } else if (samples.length > 1) {
-          tokens[step] = `[${samples.join(' ')}]`;
-        }
+        drumGridState.barSteps.push(steps.slice(bar * stepsPerBar, (bar + 1) * stepsPerBar));
       }
-      drumGridState.barTokens[barIndex] = tokens;
+      rebalanceBarSteps(metrics);
     }
 
-    function applyBarTokensToGrid(metrics) {
+    function applyBarStepsToGrid(metrics) {
       if (!drumGridState.checkboxes) return;
-      rebalanceBarTokens(metrics);
-      const barIndex = drumGridState.currentBar - 1;
-      const barTokens = drumGridState.barTokens[barIndex];
-      if (!barTokens) return;
+      rebalanceBarSteps(metrics);
+      const barSteps = drumGridState.barSteps[drumGridState.currentBar - 1];
+      if (!barSteps) return;
       const rows = drumGridState.currentBankRows || DRUM_GRID_ROWS;
-      rows.forEach(({ key, sample }) => {
+      rows.forEach(({ key }) => {
         const checkboxes = drumGridState.checkboxes[key];
         if (!checkboxes) return;
         checkboxes.forEach((checkbox, step) => {
           if (!checkbox) return;
-          const samples = parseTokenToSamples(barTokens[step]);
-          checkbox.checked = samples.includes(sample);
+          const hit = barSteps[step]?.[key] || null;
+          checkbox.checked = !!hit;
+          decorateDrumStep(checkbox, hit);
         });
       });
     }
-
-    function getFlattenedBarTokens() {
-      if (!Array.isArray(drumGridState.barTokens)) {
-        return [];
-      }
-      return drumGridState.barTokens.flat();
-    }
     
     const populateDrumGridFromPattern = (pattern, metrics) => {
       if (!drumGridSection || !drumGridState.active) return;
-      const tokens = tokenizePattern(pattern);
+      const parsed = parseDrumGridPattern(pattern, resolveDrumRowKey);
       const stepsPerBar = metrics.totalSteps;
-      if (tokens && tokens.length) {
-        const requiredBars = Math.max(1, Math.ceil(tokens.length / stepsPerBar));
+      // s("bd sd") is spread over the bar; a length that doesn't fit is padded and left as typed
+      const fitted = parsed ? fitDrumStepsToGrid(parsed.steps, stepsPerBar) : null;
+      if (fitted && fitted.steps.length) {
+        const requiredBars = Math.max(1, Math.ceil(fitted.steps.length / stepsPerBar));
         if (drumGridState.numBars !== requiredBars) {
           drumGridState.numBars = requiredBars;
           if (drumGridState.currentBar > drumGridState.numBars) {
@@ -11787,39 +12760,37 @@ class InteractiveSoundApp {
           }
           updateBarSelector();
         }
-        initializeBarTokensFromSequence(metrics, tokens);
-      } else if (!drumGridState.barTokens.length) {
-        initializeBarTokensFromSequence(metrics, []);
+        initializeBarSteps(metrics, fitted.steps);
+      } else if (!drumGridState.barSteps.length) {
+        initializeBarSteps(metrics, []);
       } else {
-        rebalanceBarTokens(metrics);
+        rebalanceBarSteps(metrics);
+      }
+      drumGridState.exact = parsed ? parsed.exact && fitted.exact : !(pattern && pattern.trim());
+      if (!getSelectedDrumHit()) {
+        drumGridState.selectedStep = null;
       }
+      updateDrumGridHint();
       
       drumGridState.updatingFromPattern = true;
-      applyBarTokensToGrid(metrics);
+      ensureDrumGridBuilt(metrics, bankSelect ? bankSelect.value : '');
+      applyBarStepsToGrid(metrics);
       drumGridState.updatingFromPattern = false;
+      renderDrumStepEditor();
     };
     
-    const generateTokensFromGrid = (metrics) => {
-      rebalanceBarTokens(metrics);
-      return getFlattenedBarTokens();
-    };
-    
-    const updatePatternFromGrid = () => {
+    // Preview and save call this without `force`, so a pattern the grid can't fully show is left as typed
+    const updatePatternFromGrid = ({ force = false } = {}) => {
       if (!drumGridSection || !drumGridState.active || !bankSelect) return;
-      const modalTimeSigSelect = document.getElementById('modal-time-signature-select');
-      const timeSig = modalTimeSigSelect?.value || this.currentTimeSignature || '4/4';
-      const metrics = getTimeSignatureMetrics(timeSig);
-      saveCurrentBarTokens(metrics);
-      const tokens = generateTokensFromGrid(metrics);
-      const sequence = tokens.join(' ');
-      // Note: .fast() modifier removed - patterns are clean without tempo modifiers
-      const bankValue = bankSelect.value;
-      const bankSuffix = bankValue && bankValue !== '' ? `.bank("${bankValue}")` : '';
-      // Use s() for drum patterns with banks (Strudel standard)
-      const pattern = `s("${sequence}")${bankSuffix}`;
+      if (!force && !drumGridState.exact) return;
+      rebalanceBarSteps(getDrumGridMetrics());
+      const rows = drumGridState.currentBankRows || DRUM_GRID_ROWS;
+      const pattern = serializeDrumGrid(drumGridState.barSteps.flat(), rows, { bank: bankSelect.value });
       drumGridState.updatingFromGrid = true;
       setStrudelEditorValue('modal-pattern', pattern);
       drumGridState.updatingFromGrid = false;
+      drumGridState.exact = true;
+      updateDrumGridHint();
     };
     
     const showDrumGrid = (metrics, pattern) => {
@@ -11838,10 +12809,10 @@ class InteractiveSoundApp {
       }
       console.log('✅ Grid container found:', gridContainer);
       
-      ensureDrumGridBuilt(metrics, bankValue);
       setDrumGridSubtitle(metrics);
       drumGridSection.style.display = 'block';
       drumGridState.active = true;
+      // Builds the grid too, once the pattern's rows are known
       populateDrumGridFromPattern(pattern, metrics);
       // Update bar selector after grid is shown to ensure correct arrow visibility
       updateBarSelector();
@@ -11859,6 +12830,8 @@ class InteractiveSoundApp {
       // Reset to 1 bar when hiding
       drumGridState.numBars = 1;
       drumGridState.currentBar = 1;
+      drumGridState.selectedStep = null;
+      renderDrumStepEditor();
       // Hide arrows when grid is hidden
       updateBarSelector();
     };
@@ -11890,8 +12863,6 @@ class InteractiveSoundApp {
       // For drum banks, show the drum grid by default
       // Only hide it if the user explicitly enables the pattern editor
       const patternValue = getStrudelEditorValue('modal-pattern');
-      const trimmedPattern = patternValue ? patternValue.trim() : '';
-      const tokens = tokenizePattern(patternValue);
 
       // If pattern editor is enabled, hide drum grid
       if (drumGridState.patternEditorEnabled) {
@@ -11927,14 +12898,20 @@ class InteractiveSoundApp {
         const timeSig = modalTimeSigSelect?.value || this.currentTimeSignature || '4/4';
         const metrics = getTimeSignatureMetrics(timeSig);
         const trimmedValue = modalPatternTextarea.value ? modalPatternTextarea.value.trim() : '';
-        const tokens = tokenizePattern(modalPatternTextarea.value);
-        if (trimmedValue && (!tokens || tokens.length === 0)) {
+        const parsed = parseDrumGridPattern(modalPatternTextarea.value, resolveDrumRowKey);
+        // Code the grid can't show stays in the code editor instead of being rewritten by the next step edit
+        if (trimmedValue && (!parsed || !parsed.exact || !fitDrumStepsToGrid(parsed.steps, metrics.totalSteps).exact)) {
           setPatternEditorEnabled(true);
           hideDrumGrid();
           return;
         }
         populateDrumGridFromPattern(modalPatternTextarea.value, metrics);
       });
+      modalPatternTextarea.addEventListener('input', () => {
+        if (!updatingFromPianoRoll) {
+          reloadPianoRoll();
+        }
+      });
     }
 
     const applyPresetPattern = (preset) => {
@@ -12138,6 +13115,7 @@ class InteractiveSoundApp {
             setDrumGridSubtitle(metrics);
             showDrumGrid(metrics, currentPattern);
           }
+          reloadPianoRoll();
         }
       });
     }
@@ -12184,6 +13162,54 @@ class InteractiveSoundApp {
         addBar();
       });
     }
+
+    const addRowSelect = document.getElementById('modal-drum-grid-add-row');
+    if (addRowSelect) {
+      addRowSelect.addEventListener('change', () => {
+        const key = addRowSelect.value;
+        if (!key) return;
+        const rows = drumGridState.currentBankRows || DRUM_GRID_ROWS;
+        setDrumGridRowKeys(sortDrumRowKeys([...rows.map(row => row.key), key]));
+      });
+    }
+
+    const drumGridContainer = document.getElementById('modal-drum-grid-container');
+    if (drumGridContainer) {
+      drumGridContainer.addEventListener('click', (e) => {
+        const removeButton = e.target.closest('.drum-grid-row-remove');
+        if (!removeButton) return;
+        const key = removeButton.dataset.row;
+        drumGridState.barSteps.forEach((bar) => {
+          bar.forEach((step) => {
+            delete step[key];
+          });
+        });
+        if (drumGridState.selectedStep?.key === key) {
+          drumGridState.selectedStep = null;
+        }
+        const rows = drumGridState.currentBankRows || DRUM_GRID_ROWS;
+        setDrumGridRowKeys(rows.map(row => row.key).filter(rowKey => rowKey !== key));
+        renderDrumStepEditor();
+        updatePatternFromGrid({ force: true });
+      });
+    }
+
+    const drumStepEditor = document.getElementById('modal-drum-step-editor');
+    if (drumStepEditor) {
+      const handleDrumStepEditorInput = () => {
+        const hit = getSelectedDrumHit();
+        if (!hit) return;
+        hit.velocity = Number(document.getElementById('modal-drum-step-velocity').value);
+        hit.probability = Number(document.getElementById('modal-drum-step-probability').value);
+        hit.ratchet = Number(document.getElementById('modal-drum-step-ratchet').value) || 1;
+        hit.nudge = Number(document.getElementById('modal-drum-step-nudge').value);
+        applyBarStepsToGrid(getDrumGridMetrics());
+        renderDrumStepEditor();
+        updatePatternFromGrid({ force: true });
+      };
+      drumStepEditor.addEventListener('input', handleDrumStepEditorInput);
+      drumStepEditor.querySelector('#modal-drum-step-close')?.addEventListener('click', () => selectDrumStep(null));
+    }
     
     this.applyTimeSignatureToDrumGrid = (timeSignature) => {
       if (!drumGridSection || !drumGridState.active) return;
@@ -13312,6 +14338,7 @@ class InteractiveSoundApp {
       modalKeySelect.addEventListener('change', () => {
         updateScaleNotesDisplay(); // Update display immediately
         applyKeyScaleToPattern(false);
+        pianoRoll?.refreshScale();
       });
       modalKeySelect.dataset.listenerAttached = 'true';
     }
@@ -13321,6 +14348,7 @@ class InteractiveSoundApp {
         updateScaleNotesDisplay(); // Update display immediately
         // Respect the Semitones/Note names toggle (do not force note names)
         applyKeyScaleToPattern(false);
+        pianoRoll?.refreshScale();
       });
       modalScaleSelect.dataset.listenerAttached = 'true';
     }
@@ -13942,6 +14970,16 @@ class InteractiveSoundApp {
     if (bankSelect && !bankSelect.dataset.listenerAttached) {
       bankSelect.addEventListener('change', async (e) => {
         const rawSelectionValue = e.target.value;
+        if (rawSelectionValue.startsWith(USER_SAMPLE_OPTION_PREFIX)) {
+          // Uploaded samples aren't banks: insert a samples() block and put the dropdown back
+          const sampleId = rawSelectionValue.slice(USER_SAMPLE_OPTION_PREFIX.length);
+          const sample = userSampleLibrary?.find(entry => entry.id === sampleId);
+          bankSelect.value = this.loadElementConfig(this.currentEditingElementId)?.bank || '';
+          if (sample) {
+            insertSampleUrlIntoPattern(sample.name, samplesAPI.getSampleFileUrl(sample));
+          }
+          return;
+        }
         const parsedSelection = parseBankSelectionValue(rawSelectionValue);
         const bankValue = parsedSelection.bankValue;
         console.log('📦 Bank select changed to:', rawSelectionValue);
@@ -14266,6 +15304,12 @@ class InteractiveSoundApp {
               if (statusText) {
                 statusText.textContent = `✅ Built-in: ${bankValue}`;
               }
+            } else if (isSamplePackValue(bankValue) && !bankValue.startsWith('github:')) {
+              // Manifest and local packs aren't banks; their sounds are inserted one samples() block at a time
+              bankLoaded = true;
+              if (statusText) {
+                statusText.textContent = '📦 Choose a sample from the pack';
+              }
             } else {
               try {
                 bankLoaded = await soundManager.loadBank(bankValue);
@@ -14295,7 +15339,10 @@ class InteractiveSoundApp {
               const titleInput = document.getElementById('modal-title');
               let bankDisplayName;
               const specialtyMatch = SPECIAL_SAMPLE_BANKS.find(sampleBank => sampleBank.value === lowerBankValue);
-              if (bankValue.startsWith('github:')) {
+              const customSamplePack = customSamplePacks?.find(pack => pack.value === bankValue);
+              if (customSamplePack) {
+                bankDisplayName = customSamplePack.label;
+              } else if (bankValue.startsWith('github:')) {
                 // Try to find a matching sample pack for better display name
                 const samplePack = SAMPLE_PACKS.find(pack => pack.value === bankValue);
                 if (samplePack) {
@@ -14372,7 +15419,7 @@ class InteractiveSoundApp {
               const isSynthOrWaveform = OSCILLATOR_SYNTHS.includes(lowerBankValue) || 
                                         SAMPLE_SYNTHS.includes(lowerBankValue) ||
                                         ['sawtooth', 'square', 'triangle', 'sine'].includes(lowerBankValue);
-              const isSamplePack = bankValue.startsWith('github:');
+              const isSamplePack = isSamplePackValue(bankValue);
               
               console.log(`📝 Bank change: isDrumBank=${isDrumBank}, isSynthOrWaveform=${isSynthOrWaveform}, isSpecialSampleBank=${isSpecialSampleBank}, isSamplePack=${isSamplePack}, bankValue="${bankValue}"`);
               
@@ -14711,10 +15758,9 @@ class InteractiveSoundApp {
         // Handle file selection
         if (fileInput.files && fileInput.files.length > 0) {
           const file = fileInput.files[0];
-          const reader = new FileReader();
-          reader.onload = (e) => {
-            // Store as data URL
-            finalSampleUrl = e.target.result;
+          // Uploaded to the sample library when signed in, inlined as a data URL otherwise
+          resolveSampleFileUrl(file, file.name).then(({ url }) => {
+            finalSampleUrl = url;
             this.saveElementConfig(this.currentEditingElementId, {
               title: title || this.currentEditingElementId,
               pattern: pattern,
@@ -14728,8 +15774,9 @@ class InteractiveSoundApp {
             
             // Don't start playback when saving - user can manually trigger playback
             closeModal();
-          };
-          reader.readAsDataURL(file);
+          }).catch((error) => {
+            alert(`Unable to save the sample: ${error.message}`);
+          });
         } else {
           // Save without file
           this.saveElementConfig(this.currentEditingElementId, {
@@ -14805,6 +15852,7 @@ class InteractiveSoundApp {
 
   /**
    * Create a new element
+   * @returns {string|null} - The new element id
    */
   createNewElement() {
     this.elementCounter++;
@@ -14815,7 +15863,7 @@ class InteractiveSoundApp {
 
     const container = document.querySelector('.elements-container');
     const addBtn = document.getElementById('add-element-btn');
-    if (!container || !addBtn) return;
+    if (!container || !addBtn) return null;
 
     // Create new element HTML
     const newElementHTML = `
@@ -14905,7 +15953,76 @@ class InteractiveSoundApp {
       }
       
       console.log(`✅ Element ${newElementId} created and fully initialized`);
+      return newElementId;
     }
+    return null;
+  }
+
+  /**
+   * Import a Standard MIDI file: every track (or channel of a format-0 file) becomes a new
+   * element with a quantized note(...) pattern, the drum channel becomes s(...) drum sounds,
+   * and the file's first tempo event sets the master tempo (rescaled so one bar of the file's meter is one cycle).
+   * @param {File} file - Dropped or selected .mid file
+   */
+  async importMIDIFileAsElements(file) {
+    try {
+      const parsed = parseMIDIFile(await file.arrayBuffer());
+      const parts = splitMIDIParts(parsed);
+      if (parts.length === 0) {
+        return { success: false, error: 'The MIDI file contains no notes' };
+      }
+
+      const created = [];
+      let skippedNotes = 0;
+      parts.forEach((part) => {
+        const converted = midiPartToPattern(part, {
+          ticksPerQuarter: parsed.ticksPerQuarter,
+          timeSignature: parsed.timeSignature
+        });
+        if (!converted) {
+          skippedNotes += part.notes.length;
+          return;
+        }
+        skippedNotes += converted.skipped;
+
+        const elementId = this.createNewElement();
+        if (!elementId) return;
+        // Skip master save so importing doesn't start playback
+        this.saveElementConfig(elementId, { title: part.name, pattern: converted.code }, true);
+        created.push(elementId);
+      });
+
+      let tempo = null;
+      if (parsed.tempo) {
+        tempo = this.applyExternalTempo(midiTempoToCycleTempo(parsed.tempo, parsed.timeSignature));
+      }
+
+      console.log(`🎹 Imported ${created.length} MIDI tracks from ${file.name}${tempo ? ` at ${tempo} BPM` : ''}`);
+      return { success: true, created, tempo, skippedNotes, tempoChanges: parsed.tempoChanges };
+    } catch (error) {
+      console.error('❌ MIDI import failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Apply a tempo from outside the slider (MIDI import, MIDI clock) to the slider and the scheduler
+   */
+  applyExternalTempo(bpm) {
+    const tempoSlider = document.getElementById('tempo-slider');
+    const tempoValue = document.getElementById('tempo-value');
+    const min = Number(tempoSlider?.min) || 60;
+    const max = Number(tempoSlider?.max) || 240;
+    const clamped = Math.max(min, Math.min(max, Math.round(bpm)));
+    uiController.markTempoSliderActive(tempoSlider, tempoValue);
+    if (tempoSlider) {
+      tempoSlider.value = clamped;
+    }
+    if (tempoValue) {
+      tempoValue.textContent = clamped;
+    }
+    soundManager.setTempo(clamped);
+    return clamped;
   }
   
   /**
@@ -14988,19 +16105,316 @@ class InteractiveSoundApp {
     this.collabUnsubscribers = [];
 
     const snapshotHandler = (snapshot) => {
+      if (snapshot?.id && this.masterDocument?.sessionId !== snapshot.id) {
+        this.bindMasterDocument(snapshot.id);
+      }
+      if (snapshot?.id) {
+        sessionClock.start();
+        this.applySharedTransport(snapshot.settings?.transport || null);
+        this.collabQuantize = normalizeCollabQuantize(snapshot.settings?.quantize);
+      }
       const playbackCode = snapshot?.mergedStack?.trim() || snapshot?.masterCode?.trim();
       if (!playbackCode) return;
+      this.scheduleMasterSwitch();
       this.queueCollaborativeMaster(playbackCode, 'snapshot');
     };
 
     const masterHandler = (payload) => {
       const playbackCode = payload?.mergedStack?.trim() || payload?.masterCode?.trim();
       if (!playbackCode) return;
+      this.scheduleMasterSwitch(payload.quantize);
       this.queueCollaborativeMaster(playbackCode, 'socket');
     };
 
     this.collabUnsubscribers.push(collaborationClient.on('session:snapshot', snapshotHandler));
     this.collabUnsubscribers.push(collaborationClient.on('master:updated', masterHandler));
+    this.collabUnsubscribers.push(collaborationClient.on('transport:updated', (payload) => {
+      this.applySharedTransport(payload?.transport || null);
+    }));
+    this.collabUnsubscribers.push(collaborationClient.on('session:left', () => {
+      this.unbindMasterDocument();
+      this.applySharedTransport(null);
+      this.collabQuantize = null;
+    }));
+    this.collabUnsubscribers.push(collaborationClient.on('replay:state', ({ active } = {}) => {
+      this.collabReplayActive = !!active;
+    }));
+  }
+
+  /**
+   * Follow the session's shared transport: start/stop with the owner, use its tempo and keep the
+   * scheduler on the shared cycle so everyone hears cycle N at the same moment.
+   * @param {{playing: boolean, tempo: number, anchorTime: number, anchorCycle: number, updatedAt: number}|null} transport
+   */
+  applySharedTransport(transport) {
+    const previous = this.sharedTransport;
+    // Snapshots repeat the same transport; only act when the owner actually changed it
+    if (transport && previous && transport.updatedAt === previous.updatedAt) {
+      return;
+    }
+    this.sharedTransport = transport;
+    clearTimeout(this.sharedTransportStartTimer);
+    this.sharedTransportStartTimer = null;
+
+    if (!transport?.playing) {
+      clearInterval(this.sharedTransportSyncTimer);
+      this.sharedTransportSyncTimer = null;
+      if (transport && previous?.playing && soundManager.masterActive) {
+        soundManager.stopMasterPattern()
+          .then(() => uiController.updateStatus('Shared transport stopped'))
+          .catch(error => console.warn('⚠️ Failed to stop master for shared transport:', error));
+      }
+      if (transport?.tempo && transport.tempo !== soundManager.currentTempo) {
+        this.applyExternalTempo(transport.tempo);
+      }
+      return;
+    }
+
+    if (transport.tempo !== soundManager.currentTempo) {
+      this.applyExternalTempo(transport.tempo);
+    }
+    const begin = async () => {
+      this.sharedTransportStartTimer = null;
+      try {
+        // Listen-link visitors only hear anything after pressing Play themselves
+        if (!soundManager.masterActive && (!this.listenOnly || this.listenOnlyPlaying)) {
+          await soundManager.playMasterPattern();
+        }
+      } catch (error) {
+        console.warn('⚠️ Could not start master for shared transport:', error);
+      }
+      this.alignToSharedTransport(true);
+      if (!this.sharedTransportSyncTimer) {
+        this.sharedTransportSyncTimer = setInterval(() => this.alignToSharedTransport(), SHARED_TRANSPORT_SYNC_INTERVAL_MS);
+      }
+      uiController.updateStatus(`Following shared transport at ${transport.tempo} BPM`);
+    };
+    // Starts are stamped a little ahead; wait for the shared cycle 0 instead of jumping into it
+    const startsIn = sessionClock.toLocalTime(transport.anchorTime) - Date.now();
+    if (startsIn > 0) {
+      this.sharedTransportStartTimer = setTimeout(begin, startsIn);
+    } else {
+      begin();
+    }
+  }
+
+  /**
+   * Anonymous playback from a session listen link (?listen=<token>): follows the master pattern and the
+   * shared transport over the /listen socket, but never joins the session or sends anything back
+   */
+  startListenOnlyMode(token) {
+    if (this.listenOnly) return;
+    this.listenOnly = true;
+    this.listenOnlyPlaying = false;
+    const describeTransport = transport => (transport?.playing ? `Live at ${transport.tempo} BPM` : 'Waiting for the host to start');
+
+    const banner = new ListenOnlyBanner({
+      onPlay: async () => {
+        this.listenOnlyPlaying = true;
+        banner.setPlaying(true);
+        const transport = this.sharedTransport;
+        if (transport) {
+          // Re-run the transport now that playback is allowed; it starts on the shared cycle
+          this.sharedTransport = null;
+          this.applySharedTransport(transport);
+          banner.setStatus(describeTransport(transport));
+          return;
+        }
+        const result = await soundManager.playMasterPattern();
+        if (!result?.success) {
+          this.listenOnlyPlaying = false;
+          banner.setPlaying(false);
+          banner.setStatus(result?.error || 'Could not start playback');
+        }
+      },
+      onStop: async () => {
+        this.listenOnlyPlaying = false;
+        banner.setPlaying(false);
+        if (soundManager.masterActive) {
+          await soundManager.stopMasterPattern();
+        }
+      }
+    });
+    banner.init();
+    this.listenOnlyBanner = banner;
+
+    const end = (message) => {
+      this.listenOnlyPlaying = false;
+      this.applySharedTransport(null);
+      sessionClock.stop();
+      listenClient.disconnect();
+      if (soundManager.masterActive) {
+        soundManager.stopMasterPattern().catch(error => console.warn('⚠️ Failed to stop master:', error));
+      }
+      banner.setEnded(message);
+    };
+
+    listenClient.on('session:snapshot', (snapshot) => {
+      if (!snapshot) return;
+      setStrudelEditorEditable('master-pattern', false);
+      banner.setSession(snapshot);
+      sessionClock.start();
+      const transport = snapshot.settings?.transport || null;
+      this.applySharedTransport(transport);
+      this.collabQuantize = normalizeCollabQuantize(snapshot.settings?.quantize);
+      banner.setStatus(this.listenOnlyPlaying && transport ? describeTransport(transport) : '');
+      const playbackCode = snapshot.mergedStack?.trim() || snapshot.masterCode?.trim();
+      if (playbackCode) {
+        this.queueCollaborativeMaster(playbackCode, 'snapshot');
+      }
+    });
+    listenClient.on('master:updated', (payload) => {
+      const playbackCode = payload?.mergedStack?.trim() || payload?.masterCode?.trim();
+      if (!playbackCode) return;
+      this.scheduleMasterSwitch(payload.quantize);
+      this.queueCollaborativeMaster(playbackCode, 'socket');
+    });
+    listenClient.on('transport:updated', (payload) => {
+      const transport = payload?.transport || null;
+      this.applySharedTransport(transport);
+      if (this.listenOnlyPlaying && transport) {
+        banner.setStatus(describeTransport(transport));
+      }
+    });
+    listenClient.on('listen:revoked', () => end('The host closed this listen link'));
+    listenClient.on('listen:error', payload => end(payload?.error || 'This listen link is not available'));
+    listenClient.on('disconnect', ({ reason } = {}) => {
+      if (this.listenOnly && reason !== 'io client disconnect') {
+        banner.setStatus('Reconnecting…');
+      }
+    });
+
+    sessionClock.useSource(listenClient);
+    listenClient.connect(token);
+    console.log('🎧 Listen-only mode: following a shared session');
+  }
+
+  /**
+   * Nudge the local scheduler onto the shared cycle when it has drifted (or always, with force)
+   */
+  alignToSharedTransport(force = false) {
+    const transport = this.sharedTransport;
+    if (!transport?.playing || !soundManager.masterActive) {
+      return;
+    }
+    const cps = transport.tempo / 240;
+    const target = transport.anchorCycle + ((sessionClock.serverNow() - transport.anchorTime) / 1000) * cps;
+    const clock = soundManager.getSchedulerClock();
+    if (!clock || target < 0) {
+      return;
+    }
+    const driftMs = Math.abs(clock.cycle - target) / cps * 1000;
+    if (force || driftMs > SHARED_TRANSPORT_DRIFT_TOLERANCE_MS) {
+      if (soundManager.setSchedulerCycle(target) && !force) {
+        console.log(`🔄 Realigned to shared transport (drift ${driftMs.toFixed(0)} ms)`);
+      }
+    }
+  }
+
+  /**
+   * Co-edit the master pattern editor with everyone in the session (merged via OT instead of last write wins)
+   */
+  bindMasterDocument(sessionId) {
+    this.unbindMasterDocument();
+    this.masterDocument = new CollaborativeDocument({
+      sessionId,
+      key: MASTER_DOCUMENT_KEY,
+      editor: 'master-pattern',
+      onRemoteChange: (code) => {
+        // Remote keystrokes arrive one by one; only re-evaluate once they settle
+        clearTimeout(this.masterDocumentTimer);
+        this.masterDocumentTimer = setTimeout(() => {
+          const trimmed = (code || '').trim();
+          if (!trimmed || this.collabReplayActive) return;
+          this.scheduleMasterSwitch();
+          this.runAtMasterSwitch(() => {
+            soundManager.setMasterPatternCode(trimmed);
+            this.updateMasterPatternDisplay();
+          });
+        }, 150);
+      }
+    });
+    if (!this.masterDocument.binding) {
+      this.masterDocument = null;
+    }
+  }
+
+  unbindMasterDocument() {
+    clearTimeout(this.masterDocumentTimer);
+    this.masterDocumentTimer = null;
+    this.masterDocument?.destroy();
+    this.masterDocument = null;
+  }
+
+  /**
+   * Make the next master change wait for the next quantize boundary (beat, bar or multiple of N cycles) on
+   * the local scheduler. With a shared transport every client is on the same cycle, so they all switch
+   * together. A switch that is already waiting keeps its boundary, so a burst of changes lands at once;
+   * one that nothing has used yet gives way to a coarser request (e.g. a scene launch).
+   * @param {{mode: string, cycles?: number}} [quantize] - defaults to the session's setting
+   */
+  scheduleMasterSwitch(quantize = this.collabQuantize) {
+    const step = quantizeStepCycles(quantize);
+    if (this.masterSwitchAt > performance.now() && (this.masterSwitchTimer || step <= this.masterSwitchStep)) {
+      return;
+    }
+    const clock = step && soundManager.masterActive ? soundManager.getSchedulerClock() : null;
+    if (!clock) {
+      this.masterSwitchAt = null;
+      return;
+    }
+    const cycleMs = 1000 / clock.cps;
+    let boundary = (Math.floor(clock.cycle / step) + 1) * step;
+    while ((boundary - clock.cycle) * cycleMs - MASTER_SWITCH_LEAD_MS < MASTER_SWITCH_MIN_NOTICE_MS) {
+      boundary += step;
+    }
+    this.masterSwitchAt = performance.now() + (boundary - clock.cycle) * cycleMs - MASTER_SWITCH_LEAD_MS;
+    this.masterSwitchStep = step;
+    this.masterSwitchBeatMs = cycleMs / 4;
+  }
+
+  /**
+   * Apply a master change now, or at the pending switch point; a later change replaces a waiting one
+   */
+  runAtMasterSwitch(apply) {
+    clearTimeout(this.masterSwitchTimer);
+    const run = () => {
+      this.masterSwitchAt = null;
+      this.masterSwitchTimer = null;
+      this.renderMasterSwitchCountdown();
+      apply();
+    };
+    const wait = this.masterSwitchAt ? this.masterSwitchAt - performance.now() : 0;
+    if (wait > 0) {
+      this.masterSwitchTimer = setTimeout(run, wait);
+      this.renderMasterSwitchCountdown();
+    } else {
+      run();
+    }
+  }
+
+  /**
+   * "Pending change" indicator next to the master editor, counting down the beats until a waiting switch
+   */
+  renderMasterSwitchCountdown() {
+    const indicator = document.getElementById('master-pending-change');
+    const pending = !!this.masterSwitchTimer && this.masterSwitchAt > performance.now();
+    if (!pending) {
+      clearInterval(this.masterSwitchCountdownTimer);
+      this.masterSwitchCountdownTimer = null;
+      if (indicator) {
+        indicator.hidden = true;
+      }
+      return;
+    }
+    if (!this.masterSwitchCountdownTimer) {
+      this.masterSwitchCountdownTimer = setInterval(() => this.renderMasterSwitchCountdown(), MASTER_SWITCH_COUNTDOWN_INTERVAL_MS);
+    }
+    if (indicator) {
+      const beats = Math.max(1, Math.ceil((this.masterSwitchAt - performance.now()) / this.masterSwitchBeatMs));
+      indicator.textContent = `⏳ Change in ${beats} beat${beats === 1 ? '' : 's'}`;
+      indicator.hidden = false;
+    }
   }
 
   queueCollaborativeMaster(code, source = 'socket') {
@@ -15021,6 +16435,8 @@ class InteractiveSoundApp {
   applyCollaborativeMaster(code, source = 'socket') {
     const trimmed = (code || '').trim();
     if (!trimmed) return;
+    // The shared document keeps the editor in sync; overwriting it here would clobber pending local edits
+    if (this.masterDocument) return;
     let currentValue = '';
     try {
       currentValue = getStrudelEditorValue('master-pattern')?.trim() || '';
@@ -15043,8 +16459,12 @@ class InteractiveSoundApp {
       }
     }
 
-    soundManager.setMasterPatternCode(trimmed);
-    this.updateMasterPatternDisplay();
+    // A session replay owns the audio until it is closed; the editor still tracks the live session
+    if (this.collabReplayActive) return;
+    this.runAtMasterSwitch(() => {
+      soundManager.setMasterPatternCode(trimmed);
+      this.updateMasterPatternDisplay();
+    });
     if (source === 'socket') {
       uiController.updateStatus('Master updated from collaborators');
     } else if (source === 'snapshot') {
@@ -15517,6 +16937,9 @@ function handleAuthenticatedUser(user) {
   }
 }
 
+// Sample manifests and audio are served from the offline store once a track has been played
+registerOfflineServiceWorker();
+
 // Initialize app when DOM is ready
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', () => {
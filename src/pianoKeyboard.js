@@ -1,24 +1,39 @@
 import { soundManager } from './soundManager.js';
 import { Note } from '@tonaljs/tonal';
+import { getStrudelEditorValue, setStrudelEditorValue } from './strudelReplEditor.js';
+import { DRUM_BANK_VALUES } from './constants/banks.js';
+import { MIDI_TICKS_PER_QUARTER } from './constants/midi.js';
+import { midiPartToPattern, midiToNoteName } from './utils/midiImport.js';
 
 const DEFAULT_OCTAVE = 3;
+const RECORD_POLL_MS = 50;
 
 const PIANO_CONTEXTS = {
   modal: {
     textareaSelector: '#modal-pattern',
     keySelector: '#modal-key-select',
     scaleSelector: '#modal-scale-select',
+    bankSelector: '#modal-pattern-bank',
+    timeSignatureSelector: '#modal-time-signature-select',
     resolveNoteMode() {
       return 'note';
+    },
+    resolveElementId() {
+      return soundManager.appInstance?.currentEditingElementId || null;
     }
   },
   collab: {
     textareaSelector: '#collab-channel-code',
     keySelector: '#collab-key-select',
     scaleSelector: '#collab-scale-select',
+    bankSelector: '#collab-pattern-bank',
+    timeSignatureSelector: '#collab-channel-time-signature',
     resolveNoteMode() {
       const toggle = document.getElementById('collab-note-mode-toggle');
       return toggle?.checked ? 'semitone' : 'note';
+    },
+    resolveElementId() {
+      return null;
     }
   }
 };
@@ -73,9 +88,13 @@ function convertNoteToScaleDegree(noteName, octave, keyValue, scaleValue) {
   if (!info || !Number.isFinite(info.midi)) {
     return null;
   }
+  return convertMidiToScaleDegree(info.midi, keyValue, scaleValue);
+}
+
+function convertMidiToScaleDegree(midi, keyValue, scaleValue) {
   const rootMidi = getRootMidi(keyValue);
   const steps = ensureScaleSteps(keyValue, scaleValue);
-  const semitoneOffset = info.midi - rootMidi;
+  const semitoneOffset = midi - rootMidi;
 
   if (!steps || !steps.length) {
     return semitoneOffset;
@@ -90,6 +109,26 @@ function convertNoteToScaleDegree(noteName, octave, keyValue, scaleValue) {
   return octaveOffset * steps.length + degreeIndex;
 }
 
+/**
+ * Move a MIDI note to the nearest tone of the selected key/scale (ties resolve downwards)
+ */
+function snapMidiToScale(midi, keyValue, scaleValue) {
+  const steps = ensureScaleSteps(keyValue, scaleValue);
+  if (!steps || steps.length >= 12) {
+    return midi;
+  }
+  const rootPitchClass = getRootMidi(keyValue) % 12;
+  for (let distance = 0; distance < 12; distance++) {
+    for (const candidate of [midi - distance, midi + distance]) {
+      const relative = (((candidate - rootPitchClass) % 12) + 12) % 12;
+      if (steps.includes(relative)) {
+        return candidate;
+      }
+    }
+  }
+  return midi;
+}
+
 function insertTokenIntoPattern(pattern, token, targetFn) {
   const workingPattern = pattern || '';
   const fnRegex = targetFn === 'n'
@@ -114,6 +153,23 @@ function insertTokenIntoPattern(pattern, token, targetFn) {
   return `${prefix}${separator}${snippet}\n`;
 }
 
+/**
+ * Replace the first fn("...") call (plus a directly chained .slow(n)) with recorded code,
+ * or append the code on a new line when the pattern has no such call yet
+ */
+function replacePatternCall(pattern, fnNames, code) {
+  const workingPattern = pattern || '';
+  const callRegex = new RegExp(`\\b(?:${fnNames.join('|')})\\s*\\(\\s*(["'\`])[\\s\\S]*?\\1\\s*\\)(?:\\s*\\.slow\\(\\s*[\\d.]+\\s*\\))?`);
+  const match = workingPattern.match(callRegex);
+  if (match) {
+    const startIndex = match.index ?? 0;
+    return `${workingPattern.slice(0, startIndex)}${code}${workingPattern.slice(startIndex + match[0].length)}`;
+  }
+  const prefix = workingPattern.trimEnd();
+  const separator = prefix ? '\n' : '';
+  return `${prefix}${separator}${code}\n`;
+}
+
 function resolveTargetFunction(pattern, preferredMode) {
   if (/\bn\s*\(/i.test(pattern)) {
     return 'n';
@@ -259,9 +315,263 @@ function initSection(section) {
   });
 }
 
+function parseTimeSignature(value) {
+  const match = String(value || '').match(/^(\d+)\s*\/\s*(\d+)$/);
+  if (!match) {
+    return { numerator: 4, denominator: 4 };
+  }
+  return { numerator: Math.max(1, parseInt(match[1], 10)), denominator: Math.max(1, parseInt(match[2], 10)) };
+}
+
+/**
+ * Turn captured notes (cycle positions relative to the take start) into pattern code
+ * that respects the context's key/scale selectors and the current editor content
+ */
+function buildRecordedPattern(contextConfig, notes, bars) {
+  const textareaId = contextConfig.textareaSelector.replace(/^#/, '');
+  const currentValue = getStrudelEditorValue(textareaId) || '';
+  const bankValue = getSelectedValue(contextConfig.bankSelector, '');
+  const keyValue = getSelectedValue(contextConfig.keySelector, '');
+  const scaleValue = getSelectedValue(contextConfig.scaleSelector, 'chromatic');
+  const timeSignature = parseTimeSignature(getSelectedValue(contextConfig.timeSignatureSelector, '4/4'));
+  const ticksPerBar = timeSignature.numerator * (4 / timeSignature.denominator) * MIDI_TICKS_PER_QUARTER;
+  const isDrums = DRUM_BANK_VALUES.has(bankValue);
+
+  const part = {
+    isDrums,
+    notes: notes.map((note) => ({
+      tick: note.start * ticksPerBar,
+      duration: Math.max(0, note.end - note.start) * ticksPerBar,
+      note: note.note
+    }))
+  };
+
+  let fnNames = ['s', 'sound'];
+  let options = {};
+  if (!isDrums) {
+    const preferredMode = contextConfig.resolveNoteMode?.() === 'semitone' ? 'semitone' : 'note';
+    const targetFn = resolveTargetFunction(currentValue, preferredMode);
+    fnNames = [targetFn];
+    if (targetFn === 'n') {
+      // Scale degrees relative to the selected key; notes outside the scale are dropped
+      options = { fn: 'n', tokenForNote: (midi) => convertMidiToScaleDegree(midi, keyValue, scaleValue) };
+    } else {
+      options = { fn: 'note', tokenForNote: (midi) => midiToNoteName(keyValue ? snapMidiToScale(midi, keyValue, scaleValue) : midi) };
+    }
+  }
+
+  const converted = midiPartToPattern(part, {
+    ...options,
+    ticksPerQuarter: MIDI_TICKS_PER_QUARTER,
+    timeSignature,
+    bars
+  });
+  if (!converted) {
+    return null;
+  }
+  return {
+    textareaId,
+    skipped: converted.skipped,
+    pattern: replacePatternCall(currentValue, fnNames, converted.code)
+  };
+}
+
+function initMidiInputSection(section) {
+  if (!section || section.dataset.midiInputInitialized === 'true') {
+    return;
+  }
+  section.dataset.midiInputInitialized = 'true';
+
+  const context = section.getAttribute('data-piano-context') || 'modal';
+  const contextConfig = PIANO_CONTEXTS[context];
+  const deviceSelect = section.querySelector('[data-midi-input-select]');
+  const monitorToggle = section.querySelector('[data-midi-monitor]');
+  const barsSelect = section.querySelector('[data-midi-record-bars]');
+  const recordButton = section.querySelector('[data-midi-record]');
+  const statusEl = section.querySelector('[data-midi-status]');
+  if (!contextConfig || !deviceSelect || !recordButton) return;
+
+  let take = null;
+
+  const setStatus = (text) => {
+    if (statusEl) statusEl.textContent = text || '';
+  };
+
+  const refreshDevices = () => {
+    const inputs = soundManager.getMIDIInputs();
+    const selectedName = soundManager.selectedMidiInput?.name || '';
+    deviceSelect.innerHTML = '';
+    const noneOption = document.createElement('option');
+    noneOption.value = '';
+    noneOption.textContent = soundManager.midiEnabled ? 'No MIDI input' : 'Enable MIDI input…';
+    deviceSelect.appendChild(noneOption);
+    inputs.forEach((name) => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      deviceSelect.appendChild(option);
+    });
+    deviceSelect.value = inputs.includes(selectedName) ? selectedName : '';
+  };
+
+  // Sections in hidden panels (e.g. the closed modal) ignore incoming notes
+  const isActive = () => section.offsetParent !== null;
+
+  // Convert a MIDI event timestamp to a cycle position on the take's clock
+  const cycleAt = (timestamp) => {
+    const clock = take.useScheduler ? soundManager.getSchedulerClock() : null;
+    const elapsedSinceEvent = Math.max(0, performance.now() - timestamp) / 1000;
+    if (clock) {
+      return clock.cycle - elapsedSinceEvent * clock.cps;
+    }
+    return ((timestamp - take.startedAt) / 1000) * take.cps;
+  };
+
+  const finishTake = () => {
+    if (!take) return;
+    const finished = take;
+    take = null;
+    clearInterval(finished.timer);
+    recordButton.classList.remove('is-armed', 'is-recording');
+    recordButton.textContent = '● Rec';
+
+    const endCycle = finished.startCycle + finished.bars;
+    finished.openNotes.forEach((start, note) => {
+      finished.notes.push({ note, start, end: endCycle });
+    });
+    const relativeNotes = finished.notes
+      .filter((note) => note.start >= finished.startCycle - 0.01 && note.start < endCycle)
+      .map((note) => ({
+        note: note.note,
+        start: Math.max(0, note.start - finished.startCycle),
+        end: Math.min(endCycle, note.end) - finished.startCycle
+      }));
+
+    if (relativeNotes.length === 0) {
+      setStatus('Nothing recorded.');
+      return;
+    }
+    const result = buildRecordedPattern(contextConfig, relativeNotes, finished.bars);
+    if (!result) {
+      setStatus('No notes fit the selected key/scale.');
+      return;
+    }
+    setStrudelEditorValue(result.textareaId, result.pattern);
+    const textarea = getTextareaForContext(contextConfig);
+    if (textarea) {
+      textarea.value = result.pattern;
+      textarea.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+    setStatus(`Recorded ${relativeNotes.length - result.skipped} notes over ${finished.bars} bar${finished.bars === 1 ? '' : 's'}${result.skipped ? ` (${result.skipped} outside the scale skipped)` : ''}.`);
+    console.log(`🎹 MIDI take written to ${result.textareaId}`);
+  };
+
+  const pollTake = () => {
+    if (!take) return;
+    const now = cycleAt(performance.now());
+    if (now < take.startCycle) {
+      setStatus(`Starting in ${Math.max(0, (take.startCycle - now) / take.cps).toFixed(1)}s…`);
+      return;
+    }
+    if (!take.started) {
+      take.started = true;
+      recordButton.classList.remove('is-armed');
+      recordButton.classList.add('is-recording');
+      recordButton.textContent = '■ Stop';
+    }
+    if (now >= take.startCycle + take.bars) {
+      finishTake();
+      return;
+    }
+    setStatus(`Recording bar ${Math.floor(now - take.startCycle) + 1}/${take.bars}`);
+  };
+
+  const startTake = () => {
+    const bars = Math.max(1, parseInt(barsSelect?.value || '4', 10) || 4);
+    const clock = soundManager.getSchedulerClock();
+    const cps = clock?.cps || (soundManager.currentTempo || 120) / 240;
+    take = {
+      bars,
+      cps,
+      useScheduler: !!clock,
+      // Align to the next cycle boundary of the running scheduler, otherwise count in one bar
+      startCycle: clock ? Math.ceil(clock.cycle) : 1,
+      startedAt: performance.now(),
+      started: false,
+      notes: [],
+      openNotes: new Map(),
+      timer: null
+    };
+    recordButton.classList.add('is-armed');
+    recordButton.textContent = '✕ Cancel';
+    take.timer = setInterval(pollTake, RECORD_POLL_MS);
+    pollTake();
+  };
+
+  const handleMessage = (message) => {
+    if (message.type === 'devices') {
+      refreshDevices();
+      return;
+    }
+    if (!isActive()) return;
+
+    if (message.type === 'noteon') {
+      if (monitorToggle?.checked !== false) {
+        soundManager.triggerMIDIMonitorNote(message.note, message.velocity, {
+          elementId: contextConfig.resolveElementId?.(),
+          bankValue: getSelectedValue(contextConfig.bankSelector, '')
+        });
+      }
+      if (take) {
+        take.openNotes.set(message.note, cycleAt(message.timestamp));
+      }
+    } else if (message.type === 'noteoff' && take && take.openNotes.has(message.note)) {
+      take.notes.push({ note: message.note, start: take.openNotes.get(message.note), end: cycleAt(message.timestamp) });
+      take.openNotes.delete(message.note);
+    }
+  };
+
+  soundManager.addMIDIInputListener(handleMessage);
+
+  deviceSelect.addEventListener('focus', async () => {
+    if (!soundManager.midiEnabled) {
+      await soundManager.ensureMIDIEnabled();
+      refreshDevices();
+    }
+  });
+  deviceSelect.addEventListener('change', () => {
+    soundManager.selectMIDIInput(deviceSelect.value || null);
+  });
+
+  recordButton.addEventListener('click', async () => {
+    if (take) {
+      if (take.started) {
+        finishTake();
+      } else {
+        clearInterval(take.timer);
+        take = null;
+        recordButton.classList.remove('is-armed');
+        recordButton.textContent = '● Rec';
+        setStatus('Recording cancelled.');
+      }
+      return;
+    }
+    if (!soundManager.selectedMidiInput) {
+      await soundManager.ensureMIDIEnabled();
+      refreshDevices();
+      setStatus('Select a MIDI input first.');
+      return;
+    }
+    startTake();
+  });
+
+  refreshDevices();
+}
+
 export function initPianoSections(root = document) {
   if (!root) return;
   const sections = root.querySelectorAll('[data-piano-section]');
   sections.forEach(initSection);
+  root.querySelectorAll('[data-midi-input-section]').forEach(initMidiInputSection);
 }
 
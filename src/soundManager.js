@@ -7,6 +7,33 @@ import { Note, Scale, Interval } from '@tonaljs/tonal';
 import { WebMidi } from 'webmidi';
 import { startMasterHighlighting, stopMasterHighlighting } from './highlighting.js';
 import { resolveAssetUrl, mapAssetUrls } from './utils/assetUrls.js';
+import { collectOnsetHaps, createSampleBufferLoader, hapValueToMidi, scheduleHapVoice, toCycleNumber } from './utils/offlineRenderer.js';
+import { createZipArchive } from './utils/zipArchive.js';
+import { prewarmSampleUrls } from './utils/offlineSamples.js';
+import { getTimeSignatureMetrics } from './utils/timeSignature.js';
+import {
+  GM_DRUM_CHANNEL,
+  GM_DRUM_MAP,
+  MIDI_DEFAULT_PORT,
+  MIDI_CLOCK_FOLLOW_STORAGE_KEY,
+  MIDI_CLOCK_LOOKAHEAD_MS,
+  MIDI_CLOCK_MIN_BPM_CHANGE,
+  MIDI_CLOCK_MIN_UPDATE_MS,
+  MIDI_CLOCK_OUTPUT_STORAGE_KEY,
+  MIDI_CLOCK_PPQ,
+  MIDI_CLOCK_PULSES_PER_CYCLE,
+  MIDI_CLOCK_SMOOTHING,
+  MIDI_CLOCK_TICK_MS,
+  MIDI_INPUT_STORAGE_KEY,
+  MIDI_MONITOR_HOLD_SECONDS,
+  MIDI_OUTPUT_STORAGE_KEY,
+  MIDI_SYSTEM_MESSAGES,
+  MIDI_TICKS_PER_QUARTER,
+  formatMidiRoute,
+  parseMidiRoute
+} from './constants/midi.js';
+import { midiToDrumName } from './utils/midiImport.js';
+import { DRUM_BANK_VALUES, parseBankSelectionValue } from './constants/banks.js';
 
 // Import Strudel modules statically at top level to avoid duplicate bundling
 // Use dynamic imports but cache them to ensure single instance
@@ -58,6 +85,35 @@ const normalizeSampleManifest = (manifest) => {
 
 const DOUGH_SAMPLES_BASE_URL = 'https://raw.githubusercontent.com/felixroos/dough-samples/main';
 
+// Upper bound on files queued for offline pre-warming per pattern (a full pitched instrument is ~30)
+const PREWARM_MAX_FILES_PER_PATTERN = 400;
+
+/**
+ * Absolute file URLs of one soundMap entry (drum variations or a pitched note -> files map)
+ */
+const collectSoundEntryUrls = (data) => {
+  const samples = data?.samples;
+  if (!samples) return [];
+  const files = Array.isArray(samples)
+    ? samples
+    : Object.values(samples).flatMap(value => (Array.isArray(value) ? value : [value]));
+  return files
+    .filter(file => typeof file === 'string' && !file.startsWith('data:') && !file.startsWith('blob:'))
+    .map(file => resolveSampleManifestPath(file, data.baseUrl || undefined))
+    .filter(url => /^https?:\/\//.test(url));
+};
+
+// Offline export bounds (bars are cycles; one cycle is one bar at the master tempo)
+const OFFLINE_EXPORT_DEFAULTS = {
+  bars: 8,
+  sampleRate: 44100,
+  tailSeconds: 2
+};
+const OFFLINE_EXPORT_MAX_BARS = 256;
+const OFFLINE_EXPORT_MAX_TAIL_SECONDS = 30;
+export const OFFLINE_EXPORT_SAMPLE_RATES = [22050, 32000, 44100, 48000, 88200, 96000];
+const EXPORT_VISUALIZER_METHODS = ['scope', 'tscope', 'fscope', 'spectrum', 'pianoroll', 'punchcard', 'spiral', 'visual', 'visualTrigger'];
+
 export async function getStrudelModules() {
   // Create promise only once - this ensures all calls use the same module instances
   // Vite will pre-bundle these, and we cache them to prevent duplicate imports
@@ -537,6 +593,7 @@ class SoundManager {
     
     // Track which banks are successfully loaded
     this.loadedBanks = new Set(); // Set of bank names that are successfully loaded
+    this.prewarmedSampleUrls = new Set(); // Sample files already handed to the offline service worker
     
     // Current tempo (BPM) - defaults to 120
     this.defaultTempo = 120;
@@ -593,6 +650,8 @@ class SoundManager {
     this.visualizerAnalyser = null;
     this.visualizerAnalyserTapGain = null;
     this.visualizerAnalyserTapGainConnected = false;
+    // Called with each hap's value as it sounds, for patterns ending in .visualTrigger() (Hydra pulses)
+    this.visualTriggerListeners = new Set();
     
     // Debug flags
     this.debugAudioRouting = false; // set true to see detailed routing logs
@@ -700,8 +759,19 @@ class SoundManager {
     this.midiOutputs = new Map(); // portName -> WebMidi output
     this.selectedMidiOutput = null; // Currently selected MIDI output port
     this.activeMidiNotes = new Set(); // Track active MIDI notes (format: "note:channel")
+    this.midiPortChannelsUsed = new Map(); // portName -> Set of channels (0-15) that received notes
     this.midiChannel = 0; // Default MIDI channel (0-15, where 0 = channel 1)
     this._midiFallbackLogged = false;
+    this.midiInputs = new Map(); // portName -> WebMidi input
+    this.selectedMidiInput = null; // Currently selected MIDI input port
+    this.midiInputListeners = new Set(); // Subscribers for parsed incoming MIDI messages
+    this.midiClockOutput = null; // Output port receiving MIDI clock while master plays
+    this._midiClockTimer = null;
+    this._midiClockNextPulse = null; // Next pulse to schedule, in 1/96 bar units of the scheduler clock
+    this._midiClockStartPulse = null; // Pulse that carries the pending Start/Continue
+    this._midiClockOriginCycle = null; // Bar where the current clock-out playback started
+    this.midiClockFollow = false; // Follow tempo + transport of an external clock on the MIDI input
+    this._midiClockIn = null;
   }
   
   /**
@@ -2021,9 +2091,13 @@ class SoundManager {
   _createReverbImpulseResponse() {
     if (!this.audioContext || !this.masterReverbNode) return;
     
-    const sampleRate = this.audioContext.sampleRate;
+    this.masterReverbNode.buffer = this._generateReverbImpulse(this.audioContext);
+  }
+
+  _generateReverbImpulse(context) {
+    const sampleRate = context.sampleRate;
     const length = sampleRate * 2; // 2 seconds
-    const impulse = this.audioContext.createBuffer(2, length, sampleRate);
+    const impulse = context.createBuffer(2, length, sampleRate);
     const roomSize = this.masterReverbRoomSize;
     
     // Generate impulse response based on room size
@@ -2037,7 +2111,7 @@ class SoundManager {
       }
     }
     
-    this.masterReverbNode.buffer = impulse;
+    return impulse;
   }
 
   _requestMasterFilterUpdate(immediate = false) {
@@ -2141,12 +2215,10 @@ class SoundManager {
 
     // Create nodes if they don't exist
     if (!this.elementGainNodes.has(elementId)) {
-      const gainNode = this.audioContext.createGain();
-      const panNode = this.audioContext.createStereoPanner();
-      
       // Set default values
       const gainValue = this.elementGainValues.get(elementId) || 0.8;
       const panValue = this.elementPanValues.get(elementId) || 0;
+      const { gainNode, panNode } = this._createElementGainPanNodes(this.audioContext, gainValue * this.volume, panValue);
 
       // Store nodes before wiring them so intercepted connections don't recurse
       this.elementGainNodes.set(elementId, gainNode);
@@ -2154,9 +2226,6 @@ class SoundManager {
       this.elementGainValues.set(elementId, gainValue);
       this.elementPanValues.set(elementId, panValue);
       
-      gainNode.gain.value = gainValue * this.volume;
-      panNode.pan.value = panValue;
-      
       // Connect: elementGain -> elementPan -> masterPan
       // This ensures audio flows: Strudel -> elementGain -> elementPan -> masterPan -> masterGain -> destination
       gainNode.connect(panNode);
@@ -2210,6 +2279,18 @@ class SoundManager {
     };
   }
 
+  /**
+   * Create an unwired element gain/pan pair on the given context.
+   * Shared by the live chain and offline rendering so both mix channels the same way.
+   */
+  _createElementGainPanNodes(context, gainValue, panValue) {
+    const gainNode = context.createGain();
+    const panNode = context.createStereoPanner();
+    gainNode.gain.value = gainValue;
+    panNode.pan.value = Math.max(-1, Math.min(1, panValue || 0));
+    return { gainNode, panNode };
+  }
+
   /**
    * Dispose (disconnect and delete) per-element audio nodes.
    * Useful for temporary elements like modal previews so they don't keep routing audio.
@@ -7710,9 +7791,28 @@ class SoundManager {
         this.midiOutputs.set(output.name, output);
         console.log(`🎹 MIDI Output available: ${output.name}`);
       });
-      
-      // Auto-select first available output if any
-      if (this.midiOutputs.size > 0) {
+
+      // Store available MIDI inputs and restore the last selected one
+      WebMidi.inputs.forEach((input) => {
+        this.midiInputs.set(input.name, input);
+        console.log(`🎹 MIDI Input available: ${input.name}`);
+      });
+      const savedInputName = localStorage.getItem(MIDI_INPUT_STORAGE_KEY);
+      if (savedInputName && this.midiInputs.has(savedInputName)) {
+        this.selectMIDIInput(savedInputName);
+      }
+      const savedClockOutput = localStorage.getItem(MIDI_CLOCK_OUTPUT_STORAGE_KEY);
+      if (savedClockOutput && this.midiOutputs.has(savedClockOutput)) {
+        this.setMIDIClockOutput(savedClockOutput);
+      }
+      this.setMIDIClockFollow(localStorage.getItem(MIDI_CLOCK_FOLLOW_STORAGE_KEY) === 'true');
+      
+      // Restore the default output, falling back to the first available one
+      const savedOutputName = localStorage.getItem(MIDI_OUTPUT_STORAGE_KEY);
+      if (savedOutputName && this.midiOutputs.has(savedOutputName)) {
+        this.selectedMidiOutput = this.midiOutputs.get(savedOutputName);
+        console.log(`✅ Restored default MIDI output: ${savedOutputName}`);
+      } else if (this.midiOutputs.size > 0) {
         const firstOutput = Array.from(this.midiOutputs.values())[0];
         this.selectedMidiOutput = firstOutput;
         console.log(`✅ Auto-selected MIDI output: ${firstOutput.name}`);
@@ -7720,18 +7820,38 @@ class SoundManager {
       
       // Listen for new MIDI devices
       WebMidi.addListener('connected', (event) => {
+        if (event.port.type === 'input') {
+          this.midiInputs.set(event.port.name, event.port);
+          console.log(`🎹 MIDI Input connected: ${event.port.name}`);
+          if (!this.selectedMidiInput && localStorage.getItem(MIDI_INPUT_STORAGE_KEY) === event.port.name) {
+            this.selectMIDIInput(event.port.name);
+          }
+          this._notifyMIDIInputListeners({ type: 'devices' });
+        }
         if (event.port.type === 'output') {
           this.midiOutputs.set(event.port.name, event.port);
           console.log(`🎹 MIDI Output connected: ${event.port.name}`);
-          // Auto-select if no output is currently selected
-          if (!this.selectedMidiOutput) {
+          // Auto-select if no output is currently selected (or the saved default came back)
+          if (!this.selectedMidiOutput || localStorage.getItem(MIDI_OUTPUT_STORAGE_KEY) === event.port.name) {
             this.selectedMidiOutput = event.port;
             console.log(`✅ Auto-selected MIDI output: ${event.port.name}`);
           }
+          if (!this.midiClockOutput && localStorage.getItem(MIDI_CLOCK_OUTPUT_STORAGE_KEY) === event.port.name) {
+            this.setMIDIClockOutput(event.port.name);
+          }
+          this._notifyMIDIInputListeners({ type: 'devices' });
         }
       });
       
       WebMidi.addListener('disconnected', (event) => {
+        if (event.port.type === 'input') {
+          this.midiInputs.delete(event.port.name);
+          console.log(`🎹 MIDI Input disconnected: ${event.port.name}`);
+          if (this.selectedMidiInput?.name === event.port.name) {
+            this.selectedMidiInput = null;
+          }
+          this._notifyMIDIInputListeners({ type: 'devices' });
+        }
         if (event.port.type === 'output') {
           this.midiOutputs.delete(event.port.name);
           console.log(`🎹 MIDI Output disconnected: ${event.port.name}`);
@@ -7744,6 +7864,11 @@ class SoundManager {
               console.log(`✅ Auto-selected new MIDI output: ${this.selectedMidiOutput.name}`);
             }
           }
+          if (this.midiClockOutput?.name === event.port.name) {
+            this._stopMIDIClock(false);
+            this.midiClockOutput = null;
+          }
+          this._notifyMIDIInputListeners({ type: 'devices' });
         }
       });
       
@@ -7815,11 +7940,6 @@ class SoundManager {
         };
       }
       
-      // Auto-select IAC Driver if available (try again after a short delay to catch late connections)
-      setTimeout(() => {
-        this.selectIACDriver();
-      }, 500);
-      
       // Re-register MIDI methods now that webaudio handlers are wired
       this.ensurePatternMidiMethodsRegistered('setupStrudelMIDIOutput');
       
@@ -7829,34 +7949,6 @@ class SoundManager {
     }
   }
   
-  /**
-   * Auto-select IAC Driver if available
-   */
-  selectIACDriver() {
-    // Look for IAC Driver (macOS) or similar virtual MIDI ports
-    // Prioritize "IAC Driver Bus 1" over "Logic Pro Virtual In"
-    const iacNames = ['IAC Driver Bus 1', 'IAC Driver Bus 2', 'IAC Driver', 'IAC Bus 1', 'IAC Bus 2', 'loopMIDI', 'Virtual MIDI'];
-    
-    for (const name of iacNames) {
-      // Check both exact name and case-insensitive match
-      for (const [outputName, output] of this.midiOutputs.entries()) {
-        if (outputName === name || (name.toLowerCase().includes('iac') && outputName.toLowerCase().includes('iac'))) {
-          this.selectMIDIOutput(outputName);
-          console.log(`✅ Auto-selected IAC Driver: ${outputName}`);
-          return;
-        }
-      }
-    }
-    
-    // If IAC Driver not found, log available outputs
-    if (this.midiOutputs.size > 0) {
-      console.log('ℹ️ IAC Driver not found. Available MIDI outputs:', Array.from(this.midiOutputs.keys()).join(', '));
-      console.log('ℹ️ You can manually select a MIDI output using: soundManager.selectMIDIOutput("port name")');
-    } else {
-      console.log('ℹ️ No MIDI outputs available. Make sure IAC Driver is enabled in Audio MIDI Setup on macOS.');
-    }
-  }
-  
   /**
    * Send MIDI message to selected output
    * @param {Object} message - MIDI message object with type, channel, note, velocity, etc.
@@ -7961,6 +8053,7 @@ class SoundManager {
             // Track active note
             const noteKey = `${note}:${channel}`;
             this.activeMidiNotes.add(noteKey);
+            this._markMidiPortUsed(this.selectedMidiOutput.name, channel);
           }
           break;
           
@@ -8016,6 +8109,7 @@ class SoundManager {
             // Track active note
             const noteKey = `${note}:${channel}`;
             this.activeMidiNotes.add(noteKey);
+            this._markMidiPortUsed(this.selectedMidiOutput.name, channel);
           }
       }
     } catch (error) {
@@ -8024,7 +8118,7 @@ class SoundManager {
   }
 
   /**
-   * Ensure MIDI helper methods exist on all known Pattern prototypes
+   * Ensure MIDI helper methods (and .visualTrigger()) exist on all known Pattern prototypes
    * @param {string} reason - Description for logging
    */
   ensurePatternMidiMethodsRegistered(reason = 'unspecified') {
@@ -8103,6 +8197,12 @@ class SoundManager {
       updated = true;
     }
 
+    if (typeof proto.visualTrigger !== 'function' || !proto.visualTrigger.__soundManagerInjected) {
+      proto.visualTrigger = this._getPatternVisualTriggerMethod();
+      proto.visualTrigger.__soundManagerInjected = true;
+      updated = true;
+    }
+
     if (updated) {
       const name = patternCtor.name || 'AnonymousPattern';
       console.log(`🎛️ MIDI methods installed on Pattern prototype (${name}, reason: ${reason})`);
@@ -8117,12 +8217,20 @@ class SoundManager {
     }
 
     const soundManager = this;
-    this._patternMidiMethod = function midi(portName) {
-      return this.fmap((value, meta = {}) => {
-        const targetPort = portName ?? meta?.context?.midiport ?? null;
-        soundManager._processPatternValueForMIDI(value, meta?.time, targetPort);
-        return value;
-      });
+    /**
+     * .midi(routes, { audio }) - send each hap to one or more "<port>:<channel>" routes
+     * ("*" is the default output). A bare port name or no argument keeps the hap's own channel.
+     * With { audio: false } the hap only goes to MIDI; otherwise WebAudio plays it as well.
+     */
+    this._patternMidiMethod = function midi(routes, options = {}) {
+      const parsedRoutes = (Array.isArray(routes) ? routes : [routes ?? MIDI_DEFAULT_PORT])
+        .map(parseMidiRoute)
+        .filter(Boolean);
+      const audio = options?.audio !== false;
+      // Strudel calls hap.context.onTrigger(hap, currentTime, cps, targetTime), all on the audio clock
+      return this.onTrigger((hap, currentTime, cps, targetTime) => {
+        soundManager._sendHapToMidiRoutes(hap, parsedRoutes, { time: targetTime, currentTime, cps });
+      }, !audio);
     };
     return this._patternMidiMethod;
   }
@@ -8143,191 +8251,131 @@ class SoundManager {
     return this._patternMidiportMethod;
   }
 
-  _processPatternValueForMIDI(value, time, targetPort) {
-    const midiMessage = this._convertValueToMidiMessage(value, time);
-    if (!midiMessage) {
-      // Debug: log what value we got that couldn't be converted
-      if (Math.random() < 0.1) {
-        console.log('🔍 MIDI: Could not convert value to MIDI message:', {
-          value,
-          valueType: typeof value,
-          isObject: typeof value === 'object' && value !== null,
-          keys: typeof value === 'object' && value !== null ? Object.keys(value).slice(0, 10) : [],
-          hasNote: value?.note,
-          hasNumber: value?.number,
-          hasMidi: value?.midi
-        });
-      }
-      return;
+  _getPatternVisualTriggerMethod() {
+    if (this._patternVisualTriggerMethod) {
+      return this._patternVisualTriggerMethod;
     }
 
-    const sender = this._getMidiOutputForPattern(targetPort);
-    if (sender) {
-      try {
-        sender(midiMessage);
-        if (Math.random() < 0.05) {
-          console.log('🎹 MIDI sent:', {
-            note: midiMessage.note,
-            velocity: midiMessage.velocity,
-            channel: midiMessage.channel,
-            port: targetPort || 'default'
-          });
-        }
-      } catch (error) {
-        console.warn('⚠️ MIDI send error:', error, midiMessage);
-      }
-    } else if (!this._midiOutputMissingWarned) {
-      this._midiOutputMissingWarned = true;
-      console.warn('⚠️ MIDI output handler not available. Select a MIDI output or enable WebMidi.');
-    }
+    const soundManager = this;
+    /**
+     * .visualTrigger() - report every hap to the visual trigger listeners when it sounds; audio is unchanged
+     */
+    this._patternVisualTriggerMethod = function visualTrigger() {
+      return this.onTrigger((hap, currentTime, _cps, targetTime) => {
+        soundManager._emitVisualTrigger(hap, Math.max(0, Number(targetTime) - Number(currentTime)) || 0);
+      }, false);
+    };
+    return this._patternVisualTriggerMethod;
   }
 
-  _getMidiOutputForPattern(targetPort) {
-    const scheduler = window.strudel?.scheduler;
-    const webaudio = scheduler?.webaudio || window.strudel?.webaudio;
+  /**
+   * @param {Function} listener - called with the hap value when it sounds
+   * @returns {Function} unsubscribe
+   */
+  addVisualTriggerListener(listener) {
+    this.visualTriggerListeners.add(listener);
+    return () => this.visualTriggerListeners.delete(listener);
+  }
 
-    // First try webaudio if available (Strudel's native MIDI output)
-    if (webaudio && typeof webaudio.midiOutput === 'function') {
-      return (message) => {
+  _emitVisualTrigger(hap, delaySeconds) {
+    if (!this.visualTriggerListeners.size) return;
+    // Haps are scheduled ahead of time; wait until they are actually heard
+    setTimeout(() => {
+      this.visualTriggerListeners.forEach((listener) => {
         try {
-          webaudio.midiOutput(message);
+          listener(hap?.value);
         } catch (error) {
-          console.warn('⚠️ webaudio.midiOutput error:', error);
+          console.warn('⚠️ Visual trigger listener failed:', error);
         }
-      };
-    }
+      });
+    }, delaySeconds * 1000);
+  }
 
-    // Fallback to soundManager's MIDI output with port selection
-    if (this.midiEnabled && typeof this.sendMIDIMessageToPort === 'function') {
-      // If a specific port is requested and available, use it
-      if (targetPort && this.midiOutputs && this.midiOutputs.has(targetPort)) {
-        return (message) => {
-          try {
-            this.sendMIDIMessageToPort(message, targetPort);
-          } catch (error) {
-            console.warn('⚠️ sendMIDIMessageToPort error:', error);
-          }
-        };
-      }
-      // Otherwise use default selected output
-      if (this.selectedMidiOutput) {
-        return (message) => {
-          try {
-            this.sendMIDIMessageToPort(message, null); // null = use selectedMidiOutput
-          } catch (error) {
-            console.warn('⚠️ sendMIDIMessageToPort error:', error);
-          }
-        };
-      }
-    }
+  /**
+   * Resolve the MIDI note, velocity and channel override for a hap value.
+   * Shared by live routing and MIDI export so both agree on drums and dynamics.
+   * @returns {{note: number, velocity: number, channel: number|null, unmapped: boolean}|null} - channel 0-15
+   *   (drums force GM channel 10); unmapped marks a sample with no GM drum note
+   */
+  _hapValueToMidiNote(value) {
+    const hapValue = value && typeof value === 'object' ? value : { note: value };
+    let note = hapValueToMidi(hapValue);
+    let channel = null;
+    let unmapped = false;
+    if (note === null) {
+      const soundName = String(hapValue.s ?? hapValue.sound ?? '').toLowerCase();
+      if (!soundName || ['-', '~', '_'].includes(soundName)) return null;
+      // Live routing sends unmapped samples as a kick so their rhythm survives
+      unmapped = !Object.prototype.hasOwnProperty.call(GM_DRUM_MAP, soundName);
+      note = GM_DRUM_MAP[soundName] ?? GM_DRUM_MAP.bd;
+      channel = GM_DRUM_CHANNEL;
+    }
+    if (Number.isFinite(Number(hapValue.midichan))) {
+      channel = Math.max(0, Math.min(15, Math.round(Number(hapValue.midichan)) - 1));
+    } else if (channel === null && Number.isFinite(Number(hapValue.midiport))) {
+      // Legacy .midiport(n) patterns used the port number as a 0-based channel
+      channel = Math.max(0, Math.min(15, Math.round(Number(hapValue.midiport))));
+    }
+
+    const gain = Number(hapValue.gain ?? 1) * Number(hapValue.velocity ?? 1);
+    return {
+      note: Math.max(0, Math.min(127, Math.round(note))),
+      velocity: Math.max(1, Math.min(127, Math.round((Number.isFinite(gain) ? Math.min(gain, 1) : 1) * 127))),
+      channel,
+      unmapped
+    };
+  }
 
-    // Last resort: use sendMIDIMessage (uses selectedMidiOutput)
-    if (this.midiEnabled && typeof this.sendMIDIMessage === 'function' && this.selectedMidiOutput) {
-      return (message) => {
-        try {
-          this.sendMIDIMessage(message);
-        } catch (error) {
-          console.warn('⚠️ sendMIDIMessage error:', error);
-        }
-      };
+  /**
+   * Play one triggered hap on every route, timed with WebMidi timestamps
+   * @param {Object} hap - Strudel hap
+   * @param {Array<{port: string|null, channel: number|null}>} routes - channel 1-16, null = from the hap
+   * @param {Object} timing - { time, currentTime, cps }: time is onTrigger's targetTime (audio clock seconds)
+   */
+  _sendHapToMidiRoutes(hap, routes, { time, currentTime, cps }) {
+    if (!this.midiEnabled || !hap?.hasOnset?.()) {
+      return;
+    }
+    const midiNote = this._hapValueToMidiNote(hap.value);
+    if (!midiNote) {
+      return;
     }
 
-    return null;
-  }
+    const offsetMs = Math.max(0, (Number(time) - Number(currentTime)) * 1000) || 0;
+    const durationMs = Math.max(10, (toCycleNumber(hap.duration) / (cps || 0.5)) * 1000);
+    const startAt = performance.now() + offsetMs;
 
-  _convertValueToMidiMessage(value, time = 0) {
-    let note = null;
-    let velocity = 100; // Default velocity set to 100 instead of 127
-    let channel = 0;
-
-    if (value && typeof value === 'object') {
-      // Check for note properties first
-      if (value.note !== undefined) {
-        note = value.note;
-      } else if (value.number !== undefined) {
-        note = value.number;
-      } else if (value.midi !== undefined) {
-        note = value.midi;
-      }
-      // For sound patterns, check for sound name and convert to MIDI note
-      else if (value.sound !== undefined || value.name !== undefined) {
-        const soundName = value.sound || value.name;
-        if (typeof soundName === 'string') {
-          // Convert common drum sound names to MIDI notes
-          // This is a basic mapping - can be extended
-          const soundToMidi = {
-            'bd': 36,   // C2 - Bass drum
-            'sd': 38,   // D2 - Snare drum
-            'hh': 42,   // F#2 - Hi-hat
-            'oh': 46,   // A#2 - Open hi-hat
-            'cp': 49,   // C#3 - Crash
-            'ride': 51, // D#3 - Ride
-            'tom': 48,  // C3 - Tom
-            'kick': 36, // C2 - Kick
-            'snare': 38, // D2 - Snare
-            'hat': 42,  // F#2 - Hat
-            'crash': 49 // C#3 - Crash
-          };
-          
-          const lowerSound = soundName.toLowerCase();
-          if (soundToMidi[lowerSound]) {
-            note = soundToMidi[lowerSound];
-          } else {
-            // Try to extract MIDI note from sound name if it contains a number
-            const midiMatch = soundName.match(/(\d+)/);
-            if (midiMatch) {
-              const midiNum = parseInt(midiMatch[1], 10);
-              if (midiNum >= 0 && midiNum <= 127) {
-                note = midiNum;
-              }
-            }
-          }
+    routes.forEach((route) => {
+      const output = route.port ? this.midiOutputs.get(route.port) : this.selectedMidiOutput;
+      if (!output) {
+        if (!this._midiFallbackLogged) {
+          console.log(`ℹ️ MIDI route ${formatMidiRoute(route)} has no connected output; notes are skipped until it connects.`);
+          this._midiFallbackLogged = true;
         }
+        return;
       }
-
-      if (value.velocity !== undefined) {
-        velocity = value.velocity;
-      }
-
-      if (value.channel !== undefined) {
-        channel = value.channel;
-      } else if (value.port !== undefined) {
-        channel = value.port;
+      const channel = route.channel !== null ? route.channel - 1 : (midiNote.channel ?? this.midiChannel);
+      try {
+        output.channels[channel + 1].playNote(midiNote.note, {
+          attack: midiNote.velocity / 127,
+          duration: durationMs,
+          time: startAt
+        });
+        this._markMidiPortUsed(output.name, channel);
+      } catch (error) {
+        console.warn('⚠️ MIDI route send failed:', error);
       }
-    } else if (typeof value === 'number') {
-      note = value;
-    } else if (typeof value === 'string') {
-      note = this._noteNameToMidi(value);
-    }
-
-    if (typeof note !== 'number' || Number.isNaN(note)) {
-      return null;
-    }
-
-    return {
-      type: 'noteOn',
-      note: Math.round(note),
-      velocity: Math.max(1, Math.min(127, Math.round(velocity))),
-      channel: Math.max(0, Math.min(15, Math.round(channel))),
-      time
-    };
+    });
   }
 
-  _noteNameToMidi(noteName) {
-    if (!noteName || typeof noteName !== 'string') {
-      return null;
-    }
-
-    try {
-      const info = Note.get(noteName);
-      if (info && typeof info.midi === 'number') {
-        return Math.round(info.midi);
-      }
-    } catch (error) {
-      // Ignore tonal conversion errors
+  /**
+   * Remember which port/channel pairs received notes so stopping can silence all of them
+   */
+  _markMidiPortUsed(portName, channel) {
+    if (!this.midiPortChannelsUsed.has(portName)) {
+      this.midiPortChannelsUsed.set(portName, new Set());
     }
-
-    return null;
+    this.midiPortChannelsUsed.get(portName).add(channel);
   }
   
   /**
@@ -8339,13 +8387,15 @@ class SoundManager {
   }
   
   /**
-   * Select a MIDI output port
+   * Select the default MIDI output port (used by "*" routes and Strudel's midiOutput)
    * @param {string} portName - Name of the MIDI output port
    */
   selectMIDIOutput(portName) {
     if (this.midiOutputs.has(portName)) {
       this.selectedMidiOutput = this.midiOutputs.get(portName);
+      localStorage.setItem(MIDI_OUTPUT_STORAGE_KEY, portName);
       console.log(`✅ Selected MIDI output: ${portName}`);
+      this._notifyMIDIInputListeners({ type: 'devices' });
       return true;
     }
     console.warn(`⚠️ MIDI output not found: ${portName}`);
@@ -8364,161 +8414,544 @@ class SoundManager {
   }
   
   /**
-   * Stop all active MIDI notes
-   * Called when pattern stops to prevent stuck notes
+   * Enable WebMidi on demand (e.g. from the MIDI input controls) if Strudel init hasn't yet
+   * @returns {Promise<boolean>} - Whether MIDI is available
    */
-  stopAllMIDINotes() {
-    if (!this.midiEnabled || !this.selectedMidiOutput || this.activeMidiNotes.size === 0) {
-      return;
-    }
-    
-    try {
-      const stoppedCount = this.activeMidiNotes.size;
-      
-      // Send noteOff for all active notes
-      for (const noteKey of this.activeMidiNotes) {
-        const [noteStr, channelStr] = noteKey.split(':');
-        const note = parseInt(noteStr, 10);
-        const channel = parseInt(channelStr, 10);
-        
-        if (!isNaN(note) && !isNaN(channel)) {
-          try {
-            this.selectedMidiOutput.stopNote(note, {
-              channel: channel + 1 // WebMidi uses 1-16
-            });
-          } catch (error) {
-            // Ignore individual note errors
-          }
-        }
-      }
-      
-      // Clear all active notes
-      this.activeMidiNotes.clear();
-      
-      if (stoppedCount > 0) {
-        console.log(`✅ Stopped ${stoppedCount} active MIDI note(s)`);
-      }
-    } catch (error) {
-      console.warn('⚠️ Error stopping MIDI notes:', error);
+  async ensureMIDIEnabled() {
+    if (!this.midiEnabled) {
+      await this.initializeMIDI();
     }
+    return this.midiEnabled;
   }
-  
+
   /**
-   * Ensure MIDI functions are available in REPL context
-   * MIDI functions like .midi() and .midiport() are pattern modifiers from @strudel/webaudio
-   * They should be available when midiOutput is passed to initStrudel
+   * Get available MIDI inputs
+   * @returns {Array} Array of MIDI input port names
    */
-  async ensureMIDIFunctionsAvailable() {
-    if (!this.midiEnabled) {
-      return;
-    }
-
-    try {
-      await getStrudelModules();
-    } catch (moduleError) {
-      console.warn('⚠️ Unable to load Strudel modules for MIDI check:', moduleError);
-    }
-
-    const noteFn = typeof globalThis.note === 'function'
-      ? (...args) => globalThis.note(...args)
-      : null;
+  getMIDIInputs() {
+    return Array.from(this.midiInputs.keys());
+  }
 
-    const testMidiAvailability = () => {
-      if (!noteFn) {
-        return false;
-      }
+  /**
+   * Select the MIDI input port that feeds note entry, CC bindings and clock sync
+   * @param {string|null} portName - Name of the MIDI input port, or null to disconnect
+   */
+  selectMIDIInput(portName) {
+    if (this.selectedMidiInput) {
       try {
-        const testPattern = noteFn('c');
-        return !!testPattern && typeof testPattern.midi === 'function';
+        this.selectedMidiInput.removeListener('midimessage', this._handleMIDIInputMessage);
       } catch (error) {
-        return false;
+        // Port may already be gone
       }
-    };
+      this.selectedMidiInput = null;
+    }
 
-    if (!testMidiAvailability()) {
-      this.ensurePatternMidiMethodsRegistered('ensureMIDIFunctionsAvailable');
+    if (!portName) {
+      localStorage.removeItem(MIDI_INPUT_STORAGE_KEY);
+      this._notifyMIDIInputListeners({ type: 'devices' });
+      return true;
     }
 
-    if (testMidiAvailability()) {
-      console.log('✅ MIDI pattern modifiers are available');
-    } else {
-      console.warn('⚠️ MIDI pattern modifiers (.midi(), .midiport()) are still unavailable');
-      console.warn('   Patterns using .midi() will fail until the modifiers are registered');
-      console.warn('   Please verify that WebMidi is enabled and try selecting a MIDI output again');
+    const input = this.midiInputs.get(portName);
+    if (!input) {
+      console.warn(`⚠️ MIDI input not found: ${portName}`);
+      return false;
+    }
+
+    if (!this._handleMIDIInputMessage) {
+      this._handleMIDIInputMessage = (event) => this._dispatchMIDIInputMessage(event);
     }
+    input.addListener('midimessage', this._handleMIDIInputMessage);
+    this.selectedMidiInput = input;
+    localStorage.setItem(MIDI_INPUT_STORAGE_KEY, portName);
+    console.log(`✅ Selected MIDI input: ${portName}`);
+    this._notifyMIDIInputListeners({ type: 'devices' });
+    return true;
   }
 
   /**
-   * Pre-load samples from Sampler Effects presets
-   * Extracts samples() calls from preset patterns and loads them
+   * Subscribe to parsed incoming MIDI messages ({ type: 'noteon' | 'noteoff' | 'controlchange' | 'system' | 'devices', ... })
+   * @returns {Function} - Unsubscribe
    */
-  async preloadPresetSamples() {
-    const samplesFunc = window.strudel?.samples || globalThis.samples;
-    if (!samplesFunc || typeof samplesFunc !== 'function') {
-      console.warn('⚠️ samples() function not available for pre-loading preset samples');
-      return;
-    }
-
-    // Sample sources used in SAMPLER_EFFECT_PRESETS and popular packs from strudel-samples.alternet.site
-    // Note: Only verified GitHub repositories are included. Some packs from the site may use different formats.
-    const presetSampleSources = [
-      // Existing preset samples
-      'github:tidalcycles/dirt-samples',  // Used in: begin, slice, splice
-      'github:switchangel/pad',            // Used in: scrub
-      'github:yaxu/clean-breaks/main',    // Used in: scrub
-      
-      // Popular verified sample packs from strudel-samples.alternet.site
-      // TEMPORARILY DISABLED - Strudel 1.2.6 has issues resolving these github: URLs
-      // 'github:tidalcycles/uzu-drumkit',         // 16 samples - Uzu drumkit
-      
-      // Verified user repositories (based on known GitHub patterns)
-      'github:yaxu/mrid',                      // 13 samples - Mrid
-      
-      // Dough sample packs (verified)
-      'github:Bubobubobubobubo/Dough-Amiga',   // 116 samples - Dough Amiga
-      'github:Bubobubobubobubo/Dough-Fox',     // 63 samples - Dough Fox
-      'github:Bubobubobubobubo/Dough-Amen',   // 3 samples - Dough Amen
-      'github:Bubobubobubobubo/Dough-Juj',    // 1 sample - Dough Juj
-      
-      // Other verified repositories
-      'github:mot4i/garden',                   // 13 samples - Garden
-      'github:mot4i/loom',                     // Various loom samples
-      
-      // Additional verified packs
-      'github:heavy-lifting/a-maze',           // 26 samples - A-maze
-      'github:eddyflux/crate',                 // 18 samples - Crate
-      'github:ibleedicare/strudel-bank',       // 2 samples - Strudel bank
-      'github:Prof12200/strudel_repo',         // 6 samples - Strudel repo
-      'github:creativenucleus/strudel-m8-168-dnb-jungle', // 8 samples - Strudel M8 168 DNB Jungle
-      
-      // Note: Some packs from strudel-samples.alternet.site may use different URL formats
-      // (e.g., trudel.cc/*, custom domains) and would need to be added with their specific URLs
-    ];
+  addMIDIInputListener(listener) {
+    this.midiInputListeners.add(listener);
+    return () => this.midiInputListeners.delete(listener);
+  }
 
-    console.log('📦 Pre-loading samples from Sampler Effects presets...');
-    
-    for (const source of presetSampleSources) {
+  _notifyMIDIInputListeners(message) {
+    this.midiInputListeners.forEach((listener) => {
       try {
-        console.log(`   Loading: ${source}`);
-        await samplesFunc(source);
-        console.log(`   ✅ Loaded: ${source}`);
-        // Small delay between loads
-        await new Promise(resolve => setTimeout(resolve, 200));
+        listener(message);
       } catch (error) {
-        console.warn(`   ⚠️ Failed to load ${source}:`, error.message);
-        // Continue with other sources
+        console.warn('⚠️ MIDI input listener failed:', error);
       }
-    }
-    
-    console.log('✅ Finished pre-loading preset samples');
+    });
   }
 
-  /**
-   * Ensure that any banks or built-in synth waveforms referenced in a pattern
-   * are loaded before evaluation (handles master stack playback)
-   */
-  async ensurePatternResourcesLoaded(pattern) {
-    if (!pattern || typeof pattern !== 'string' || typeof this.loadBank !== 'function') {
+  _dispatchMIDIInputMessage(event) {
+    const data = event?.message?.data || event?.data;
+    if (!data || data.length === 0) return;
+
+    const status = data[0];
+    const timestamp = typeof event.timestamp === 'number' ? event.timestamp : performance.now();
+    if (status >= 0xF0) {
+      // System real-time / common messages (clock, start, stop, continue, ...)
+      if (this.midiClockFollow) {
+        this._handleMIDIClockInput(status, timestamp);
+      }
+      this._notifyMIDIInputListeners({ type: 'system', status, timestamp });
+      return;
+    }
+
+    const command = status & 0xF0;
+    const channel = status & 0x0F;
+    const data1 = data[1] ?? 0;
+    const data2 = data[2] ?? 0;
+    if (command === 0x90 && data2 > 0) {
+      this._notifyMIDIInputListeners({ type: 'noteon', note: data1, velocity: data2 / 127, channel, timestamp });
+    } else if (command === 0x80 || command === 0x90) {
+      this._notifyMIDIInputListeners({ type: 'noteoff', note: data1, channel, timestamp });
+    } else if (command === 0xB0) {
+      this._notifyMIDIInputListeners({ type: 'controlchange', controller: data1, value: data2, channel, timestamp });
+    }
+  }
+
+  /**
+   * Current position of the Strudel scheduler clock, in bars of the current tempo.
+   * Tempo is applied with .cpm() on each pattern rather than the scheduler's cps,
+   * so the raw scheduler cycle is rescaled to where the patterns actually are.
+   * @returns {{cycle: number, cps: number}|null} - null when the scheduler isn't running
+   */
+  getSchedulerClock() {
+    const scheduler = window.strudel?.scheduler;
+    if (!scheduler?.started || typeof scheduler.now !== 'function') {
+      return null;
+    }
+    const schedulerCycle = scheduler.now();
+    if (!Number.isFinite(schedulerCycle)) {
+      return null;
+    }
+    const schedulerCps = Number(scheduler.cps) || 0.5;
+    const cps = (this.currentTempo || 120) / 240;
+    return { cycle: schedulerCycle * (cps / schedulerCps), cps };
+  }
+
+  /**
+   * Move the Strudel scheduler so the patterns are at `cycle` (bars of the current tempo) right now.
+   * Used to line up with a shared collab transport; jumping back replays a few events, forward skips them.
+   * @param {number} cycle - Target position in the same units as getSchedulerClock().cycle
+   * @returns {boolean} - false when the scheduler isn't running or can't be repositioned
+   */
+  setSchedulerCycle(cycle) {
+    const scheduler = window.strudel?.scheduler;
+    if (!scheduler?.started || typeof scheduler.now !== 'function' || !Number.isFinite(cycle)) {
+      return false;
+    }
+    const schedulerCps = Number(scheduler.cps) || 0.5;
+    const cps = (this.currentTempo || 120) / 240;
+    const target = cycle * (schedulerCps / cps);
+    // Cyclist keeps its position in lastBegin/lastEnd; resetting the tick counter makes the next tick continue from there
+    if (Number.isFinite(scheduler.lastEnd) && 'num_ticks_since_cps_change' in scheduler) {
+      const delta = target - scheduler.now();
+      scheduler.lastBegin += delta;
+      scheduler.lastEnd += delta;
+      scheduler.num_ticks_since_cps_change = 0;
+      return true;
+    }
+    if (typeof scheduler.setCycle === 'function') {
+      scheduler.setCycle(target);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Send MIDI clock (24 PPQ) and start/stop/continue on an output port while master plays
+   * @param {string|null} portName - Name of the MIDI output port, or null to stop sending clock
+   */
+  setMIDIClockOutput(portName) {
+    this._stopMIDIClock(true);
+    this.midiClockOutput = null;
+
+    if (!portName) {
+      localStorage.removeItem(MIDI_CLOCK_OUTPUT_STORAGE_KEY);
+      return true;
+    }
+
+    const output = this.midiOutputs.get(portName);
+    if (!output) {
+      console.warn(`⚠️ MIDI output not found: ${portName}`);
+      return false;
+    }
+    this.midiClockOutput = output;
+    localStorage.setItem(MIDI_CLOCK_OUTPUT_STORAGE_KEY, portName);
+    console.log(`✅ Sending MIDI clock to: ${portName}`);
+
+    // Joining mid-playback: point the receiver at the next 16th note and continue from there
+    if (this.masterActive) {
+      this._startMIDIClock(true);
+    }
+    return true;
+  }
+
+  /**
+   * Follow an external MIDI clock on the selected input: its tempo drives setTempo (via
+   * { type: 'clock', bpm } listener messages) and start/stop arrive as { type: 'transport' }
+   * @param {boolean} enabled
+   */
+  setMIDIClockFollow(enabled) {
+    this.midiClockFollow = !!enabled;
+    this._midiClockIn = { lastPulseAt: null, intervals: [], bpm: null, appliedBpm: null, appliedAt: 0 };
+    localStorage.setItem(MIDI_CLOCK_FOLLOW_STORAGE_KEY, String(this.midiClockFollow));
+  }
+
+  _sendMIDIClockMessage(bytes, time) {
+    if (!this.midiClockOutput) return;
+    try {
+      this.midiClockOutput.send(bytes, time == null ? undefined : { time });
+    } catch (error) {
+      console.warn('⚠️ MIDI clock send failed:', error);
+    }
+  }
+
+  /**
+   * Begin sending clock pulses. A fresh start waits for the next bar line so the receiver's
+   * downbeat lines up with ours; resume sends Song Position Pointer + Continue instead.
+   */
+  _startMIDIClock(resume = false) {
+    if (!this.midiClockOutput) {
+      return;
+    }
+    this._stopMIDIClock(false);
+    // The first tick with a running scheduler picks the pulse that carries Start/Continue
+    this._midiClockStartPulse = {
+      pulse: null,
+      status: resume ? MIDI_SYSTEM_MESSAGES.continue : MIDI_SYSTEM_MESSAGES.start
+    };
+    this._midiClockTimer = setInterval(() => this._tickMIDIClock(), MIDI_CLOCK_TICK_MS);
+    this._tickMIDIClock();
+  }
+
+  _placeMIDIClockStart(clock) {
+    const currentPulse = clock.cycle * MIDI_CLOCK_PULSES_PER_CYCLE;
+    if (this._midiClockStartPulse.status === MIDI_SYSTEM_MESSAGES.start) {
+      this._midiClockOriginCycle = Math.ceil(clock.cycle);
+      this._midiClockStartPulse.pulse = this._midiClockOriginCycle * MIDI_CLOCK_PULSES_PER_CYCLE;
+    } else {
+      // Song position counts 16th notes (6 pulses) since playback started
+      const pulsesPerSixteenth = MIDI_CLOCK_PPQ / 4;
+      const originCycle = this._midiClockOriginCycle ?? Math.floor(clock.cycle);
+      const startPulse = Math.ceil(currentPulse / pulsesPerSixteenth) * pulsesPerSixteenth;
+      const sixteenths = Math.max(0, Math.round((startPulse - originCycle * MIDI_CLOCK_PULSES_PER_CYCLE) / pulsesPerSixteenth));
+      this._sendMIDIClockMessage([MIDI_SYSTEM_MESSAGES.songPosition, sixteenths & 0x7F, (sixteenths >> 7) & 0x7F]);
+      this._midiClockStartPulse.pulse = startPulse;
+    }
+    this._midiClockNextPulse = this._midiClockStartPulse.pulse;
+  }
+
+  _stopMIDIClock(sendStop = true) {
+    if (this._midiClockTimer) {
+      clearInterval(this._midiClockTimer);
+      this._midiClockTimer = null;
+      if (sendStop) {
+        this._sendMIDIClockMessage([MIDI_SYSTEM_MESSAGES.stop]);
+      }
+    }
+    this._midiClockNextPulse = null;
+    this._midiClockStartPulse = null;
+  }
+
+  /**
+   * Schedule every pulse inside the lookahead window with WebMidi timestamps
+   */
+  _tickMIDIClock() {
+    const clock = this.getSchedulerClock();
+    if (!clock || !this.midiClockOutput) {
+      return;
+    }
+    if (this._midiClockStartPulse?.pulse === null) {
+      this._placeMIDIClockStart(clock);
+    }
+    const pulsesPerSecond = clock.cps * MIDI_CLOCK_PULSES_PER_CYCLE;
+    const currentPulse = clock.cycle * MIDI_CLOCK_PULSES_PER_CYCLE;
+
+    // A tempo change rescales the bar position; resync instead of bursting or stalling
+    const nextPulse = this._midiClockNextPulse;
+    if (nextPulse == null || nextPulse < currentPulse - 1 || nextPulse > currentPulse + MIDI_CLOCK_PULSES_PER_CYCLE) {
+      this._midiClockNextPulse = Math.ceil(currentPulse);
+      if (this._midiClockStartPulse) {
+        this._midiClockStartPulse.pulse = this._midiClockNextPulse;
+      }
+    }
+
+    const nowMs = performance.now();
+    const horizon = currentPulse + (MIDI_CLOCK_LOOKAHEAD_MS / 1000) * pulsesPerSecond;
+    while (this._midiClockNextPulse < horizon) {
+      const time = Math.max(nowMs, nowMs + ((this._midiClockNextPulse - currentPulse) / pulsesPerSecond) * 1000);
+      if (this._midiClockStartPulse && this._midiClockNextPulse >= this._midiClockStartPulse.pulse) {
+        // The receiver starts on the first clock after Start/Continue
+        this._sendMIDIClockMessage([this._midiClockStartPulse.status], time);
+        this._midiClockStartPulse = null;
+      }
+      this._sendMIDIClockMessage([MIDI_SYSTEM_MESSAGES.clock], time);
+      this._midiClockNextPulse++;
+    }
+  }
+
+  /**
+   * Keep MIDI clock out in step with master playback
+   */
+  _updateMIDIClockTransport(playing) {
+    if (playing) {
+      this._midiClockOriginCycle = null;
+      this._startMIDIClock(false);
+    } else {
+      this._stopMIDIClock(true);
+      this._midiClockOriginCycle = null;
+    }
+  }
+
+  /**
+   * Estimate the tempo of an external clock and forward its transport messages
+   */
+  _handleMIDIClockInput(status, timestamp) {
+    const state = this._midiClockIn;
+    if (status === MIDI_SYSTEM_MESSAGES.clock) {
+      if (state.lastPulseAt !== null) {
+        const interval = timestamp - state.lastPulseAt;
+        // Longer than a pulse at 20 BPM means the clock paused; start averaging again
+        if (interval > 0 && interval < 125) {
+          state.intervals.push(interval);
+          if (state.intervals.length > MIDI_CLOCK_PPQ) {
+            state.intervals.shift();
+          }
+        } else {
+          state.intervals = [];
+        }
+      }
+      state.lastPulseAt = timestamp;
+      if (state.intervals.length < MIDI_CLOCK_PPQ) {
+        return;
+      }
+
+      const averageInterval = state.intervals.reduce((sum, interval) => sum + interval, 0) / state.intervals.length;
+      const measuredBpm = 60000 / (averageInterval * MIDI_CLOCK_PPQ);
+      state.bpm = state.bpm === null ? measuredBpm : state.bpm + (measuredBpm - state.bpm) * MIDI_CLOCK_SMOOTHING;
+
+      const bpm = Math.round(state.bpm);
+      const changed = state.appliedBpm === null || Math.abs(bpm - state.appliedBpm) >= MIDI_CLOCK_MIN_BPM_CHANGE;
+      if (changed && timestamp - state.appliedAt >= MIDI_CLOCK_MIN_UPDATE_MS) {
+        state.appliedBpm = bpm;
+        state.appliedAt = timestamp;
+        this._notifyMIDIInputListeners({ type: 'clock', bpm, timestamp });
+      }
+      return;
+    }
+
+    const actions = {
+      [MIDI_SYSTEM_MESSAGES.start]: 'start',
+      [MIDI_SYSTEM_MESSAGES.continue]: 'continue',
+      [MIDI_SYSTEM_MESSAGES.stop]: 'stop'
+    };
+    if (actions[status]) {
+      this._notifyMIDIInputListeners({ type: 'transport', action: actions[status], timestamp });
+    }
+  }
+
+  /**
+   * Play one incoming MIDI note through an element's sound/bank for live monitoring.
+   * superdough needs the voice length up front, so monitored notes hold for a fixed time.
+   * @param {number} note - MIDI note number
+   * @param {number} velocity - 0..1
+   * @param {Object} options - { elementId, bankValue }
+   */
+  async triggerMIDIMonitorNote(note, velocity, { elementId = null, bankValue = '' } = {}) {
+    if (!this.isAudioReady()) {
+      const ready = await this.initialize();
+      if (!ready) return false;
+    }
+    const { webaudioModule } = await getStrudelModules();
+    if (typeof webaudioModule?.superdough !== 'function') {
+      console.warn('⚠️ superdough not available for MIDI monitoring');
+      return false;
+    }
+
+    const { bankValue: bank, isVcslInstrument, vcslInstrument } = parseBankSelectionValue(bankValue);
+    const value = { gain: velocity };
+    if (DRUM_BANK_VALUES.has(bank)) {
+      const drum = midiToDrumName(note);
+      if (!drum) return false;
+      Object.assign(value, { s: drum, bank });
+    } else if (isVcslInstrument) {
+      Object.assign(value, { s: vcslInstrument, note });
+    } else if (bank && !bank.includes(':')) {
+      Object.assign(value, { s: bank, note });
+    } else {
+      // Same default as the on-screen piano
+      Object.assign(value, { s: 'piano', note });
+    }
+
+    if (elementId) {
+      value.gain *= this.getElementGain(elementId);
+      // Element pan is -1..1, superdough pan is 0..1
+      value.pan = (this.getElementPan(elementId) + 1) / 2;
+    }
+
+    try {
+      await webaudioModule.superdough(value, this.audioContext.currentTime + 0.005, MIDI_MONITOR_HOLD_SECONDS);
+      return true;
+    } catch (error) {
+      console.warn('⚠️ MIDI monitor note failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Stop all active MIDI notes
+   * Called when pattern stops to prevent stuck notes: sends All Notes Off (CC 123)
+   * on every channel of every port that received notes, not just the default output
+   */
+  stopAllMIDINotes() {
+    if (!this.midiEnabled || this.midiPortChannelsUsed.size === 0) {
+      this.activeMidiNotes.clear();
+      return;
+    }
+
+    let silencedPorts = 0;
+    this.midiPortChannelsUsed.forEach((channels, portName) => {
+      const output = this.midiOutputs.get(portName);
+      if (!output) return;
+      try {
+        output.sendControlChange(123, 0, { channels: Array.from(channels, (channel) => channel + 1) });
+        silencedPorts++;
+      } catch (error) {
+        console.warn(`⚠️ Error stopping MIDI notes on ${portName}:`, error);
+      }
+    });
+
+    this.midiPortChannelsUsed.clear();
+    this.activeMidiNotes.clear();
+    if (silencedPorts > 0) {
+      console.log(`✅ Sent All Notes Off to ${silencedPorts} MIDI port(s)`);
+    }
+  }
+  
+  /**
+   * Ensure MIDI functions are available in REPL context
+   * MIDI functions like .midi() and .midiport() are pattern modifiers from @strudel/webaudio
+   * They should be available when midiOutput is passed to initStrudel
+   */
+  async ensureMIDIFunctionsAvailable() {
+    if (!this.midiEnabled) {
+      return;
+    }
+
+    try {
+      await getStrudelModules();
+    } catch (moduleError) {
+      console.warn('⚠️ Unable to load Strudel modules for MIDI check:', moduleError);
+    }
+
+    const noteFn = typeof globalThis.note === 'function'
+      ? (...args) => globalThis.note(...args)
+      : null;
+
+    const testMidiAvailability = () => {
+      if (!noteFn) {
+        return false;
+      }
+      try {
+        const testPattern = noteFn('c');
+        return !!testPattern && typeof testPattern.midi === 'function';
+      } catch (error) {
+        return false;
+      }
+    };
+
+    if (!testMidiAvailability()) {
+      this.ensurePatternMidiMethodsRegistered('ensureMIDIFunctionsAvailable');
+    }
+
+    if (testMidiAvailability()) {
+      console.log('✅ MIDI pattern modifiers are available');
+    } else {
+      console.warn('⚠️ MIDI pattern modifiers (.midi(), .midiport()) are still unavailable');
+      console.warn('   Patterns using .midi() will fail until the modifiers are registered');
+      console.warn('   Please verify that WebMidi is enabled and try selecting a MIDI output again');
+    }
+  }
+
+  /**
+   * Pre-load samples from Sampler Effects presets
+   * Extracts samples() calls from preset patterns and loads them
+   */
+  async preloadPresetSamples() {
+    const samplesFunc = window.strudel?.samples || globalThis.samples;
+    if (!samplesFunc || typeof samplesFunc !== 'function') {
+      console.warn('⚠️ samples() function not available for pre-loading preset samples');
+      return;
+    }
+
+    // Sample sources used in SAMPLER_EFFECT_PRESETS and popular packs from strudel-samples.alternet.site
+    // Note: Only verified GitHub repositories are included. Some packs from the site may use different formats.
+    const presetSampleSources = [
+      // Existing preset samples
+      'github:tidalcycles/dirt-samples',  // Used in: begin, slice, splice
+      'github:switchangel/pad',            // Used in: scrub
+      'github:yaxu/clean-breaks/main',    // Used in: scrub
+      
+      // Popular verified sample packs from strudel-samples.alternet.site
+      // TEMPORARILY DISABLED - Strudel 1.2.6 has issues resolving these github: URLs
+      // 'github:tidalcycles/uzu-drumkit',         // 16 samples - Uzu drumkit
+      
+      // Verified user repositories (based on known GitHub patterns)
+      'github:yaxu/mrid',                      // 13 samples - Mrid
+      
+      // Dough sample packs (verified)
+      'github:Bubobubobubobubo/Dough-Amiga',   // 116 samples - Dough Amiga
+      'github:Bubobubobubobubo/Dough-Fox',     // 63 samples - Dough Fox
+      'github:Bubobubobubobubo/Dough-Amen',   // 3 samples - Dough Amen
+      'github:Bubobubobubobubo/Dough-Juj',    // 1 sample - Dough Juj
+      
+      // Other verified repositories
+      'github:mot4i/garden',                   // 13 samples - Garden
+      'github:mot4i/loom',                     // Various loom samples
+      
+      // Additional verified packs
+      'github:heavy-lifting/a-maze',           // 26 samples - A-maze
+      'github:eddyflux/crate',                 // 18 samples - Crate
+      'github:ibleedicare/strudel-bank',       // 2 samples - Strudel bank
+      'github:Prof12200/strudel_repo',         // 6 samples - Strudel repo
+      'github:creativenucleus/strudel-m8-168-dnb-jungle', // 8 samples - Strudel M8 168 DNB Jungle
+      
+      // Note: Some packs from strudel-samples.alternet.site may use different URL formats
+      // (e.g., trudel.cc/*, custom domains) and would need to be added with their specific URLs
+    ];
+
+    console.log('📦 Pre-loading samples from Sampler Effects presets...');
+    
+    for (const source of presetSampleSources) {
+      try {
+        console.log(`   Loading: ${source}`);
+        await samplesFunc(source);
+        console.log(`   ✅ Loaded: ${source}`);
+        // Small delay between loads
+        await new Promise(resolve => setTimeout(resolve, 200));
+      } catch (error) {
+        console.warn(`   ⚠️ Failed to load ${source}:`, error.message);
+        // Continue with other sources
+      }
+    }
+    
+    console.log('✅ Finished pre-loading preset samples');
+  }
+
+  /**
+   * Ensure that any banks or built-in synth waveforms referenced in a pattern
+   * are loaded before evaluation (handles master stack playback)
+   */
+  async ensurePatternResourcesLoaded(pattern) {
+    if (!pattern || typeof pattern !== 'string' || typeof this.loadBank !== 'function') {
       return;
     }
 
@@ -8620,6 +9053,89 @@ class SoundManager {
         console.warn(`⚠️ Error loading resource "${normalizedName}" (continuing anyway):`, error.message || error);
       }
     }
+
+    // Not awaited: playback must never wait on the offline cache
+    this.prewarmPatternSamples(workingPattern);
+  }
+
+  /**
+   * Hand every sample file a pattern can trigger to the service worker so the next
+   * session (or a dropped venue network) plays it from the offline store
+   */
+  async prewarmPatternSamples(pattern) {
+    const soundMap = webaudioModule?.soundMap || webModule?.soundMap;
+    const sounds = typeof soundMap?.get === 'function' ? soundMap.get() : soundMap;
+    if (!sounds || typeof sounds !== 'object' || !navigator.serviceWorker?.controller) {
+      return;
+    }
+
+    const banks = new Set();
+    const tokens = new Set();
+    let match;
+    const bankRegex = /\.bank\(["'`]([^"'`]+)["'`]\)/g;
+    while ((match = bankRegex.exec(pattern)) !== null) {
+      banks.add(match[1].trim().toLowerCase());
+    }
+    // s("bd*2 [sd hh:3]") / sound(...): every word is a sound name, ":n" picks a variation
+    const soundRegex = /\b(?:s|sound)\(\s*["'`]([^"'`]*)["'`]/g;
+    while ((match = soundRegex.exec(pattern)) !== null) {
+      match[1].split(/[^\w:.-]+/).forEach((token) => {
+        const name = token.split(':')[0].toLowerCase();
+        if (name && !/^\d/.test(name)) {
+          tokens.add(name);
+        }
+      });
+    }
+
+    const keys = Object.keys(sounds).filter((key) => {
+      const lowerKey = key.toLowerCase();
+      if (tokens.has(lowerKey)) return true;
+      for (const bank of banks) {
+        if (!lowerKey.startsWith(`${bank}_`)) continue;
+        if (!tokens.size || tokens.has(lowerKey.slice(bank.length + 1))) return true;
+      }
+      return false;
+    });
+
+    const urls = [];
+    for (const key of keys) {
+      for (const url of collectSoundEntryUrls(sounds[key]?.data)) {
+        if (urls.length >= PREWARM_MAX_FILES_PER_PATTERN) break;
+        if (!this.prewarmedSampleUrls.has(url)) {
+          this.prewarmedSampleUrls.add(url);
+          urls.push(url);
+        }
+      }
+    }
+    if (!urls.length) {
+      return;
+    }
+
+    const result = await prewarmSampleUrls(urls);
+    if (result.success) {
+      console.log(`📦 Offline sample cache: ${result.stored} stored, ${result.cached} already cached, ${result.failed} failed`);
+    } else {
+      // Let a later play retry
+      urls.forEach(url => this.prewarmedSampleUrls.delete(url));
+    }
+  }
+
+  /**
+   * Sound names a loaded bank provides, e.g. 'RolandTR909' -> ['bd', 'cp', 'hh', ...]
+   * (empty until the bank's samples are registered)
+   */
+  getBankSoundNames(bank) {
+    const soundMap = webaudioModule?.soundMap || webModule?.soundMap;
+    const sounds = typeof soundMap?.get === 'function' ? soundMap.get() : soundMap;
+    if (!bank || !sounds || typeof sounds !== 'object') {
+      return [];
+    }
+    const prefix = `${String(bank).toLowerCase()}_`;
+    return Object.keys(sounds)
+      .filter(key => key.toLowerCase().startsWith(prefix))
+      .map(key => key.slice(prefix.length).toLowerCase())
+      .filter(Boolean)
+      .sort();
   }
 
   /**
@@ -8891,8 +9407,246 @@ class SoundManager {
     if (!this.tempoUserAdjusted && tempo === (this.defaultTempo || 120)) {
       return sanitizedPattern;
     }
-
-    return `${sanitizedPattern}\n\n${tempoPrefix} ${tempo} BPM`;
+
+    return `${sanitizedPattern}\n\n${tempoPrefix} ${tempo} BPM`;
+  }
+
+  /**
+   * Build the code for one tracked element as it appears inside the master stack()
+   * Returns null when the element has no playable pattern
+   * @param {string} elementId - Tracked element ID
+   * @param {Object} trackData - Entry from trackedPatterns
+   * @param {Object} options - { includeGainPan } to append .postgain()/.pan() from trackData
+   * @returns {Promise<string|null>}
+   */
+  async _buildMasterChannelPattern(elementId, trackData, options = {}) {
+    const { includeGainPan = true } = options;
+    const originalSourcePattern = trackData.pattern || trackData.rawPattern || '';
+    let sourcePattern = this._sanitizePatternExpression(originalSourcePattern);
+    if (sourcePattern !== originalSourcePattern) {
+      trackData.pattern = sourcePattern;
+      trackData.rawPattern = sourcePattern;
+    }
+    if (!sourcePattern || sourcePattern.trim() === '') {
+      console.log(`  ⏭️ Skipping ${elementId} (empty pattern)`);
+      return null;
+    }
+    
+    // Extract and evaluate setDefaultVoicings from individual patterns BEFORE combining
+    // This prevents setDefaultVoicings from ending up inside stack()
+    if (sourcePattern.includes('setDefaultVoicings')) {
+      const setDefaultVoicingsRegex = /setDefaultVoicings\s*\(\s*(['"]([^'"]*)['"]|([^)]+))\s*\)/g;
+      const setDefaultVoicingsMatches = [];
+      let match;
+      
+      while ((match = setDefaultVoicingsRegex.exec(sourcePattern)) !== null) {
+        setDefaultVoicingsMatches.push({
+          fullMatch: match[0],
+          arg: match[2] || match[3],
+          isQuoted: !!match[2]
+        });
+      }
+      
+      // Evaluate all setDefaultVoicings calls
+      for (const voicingMatch of setDefaultVoicingsMatches) {
+        try {
+          const evalCode = voicingMatch.isQuoted 
+            ? `setDefaultVoicings('${voicingMatch.arg}')`
+            : `setDefaultVoicings(${voicingMatch.arg})`;
+          if (window.strudel && window.strudel.evaluate) {
+            await window.strudel.evaluate(evalCode);
+            console.log(`  ✅ Evaluated ${evalCode} from ${elementId}`);
+          }
+        } catch (e) {
+          console.warn(`  ⚠️ Could not evaluate setDefaultVoicings from ${elementId}:`, e.message);
+        }
+      }
+      
+      // Remove setDefaultVoicings from the pattern
+      if (setDefaultVoicingsMatches.length > 0) {
+        const lines = sourcePattern.split('\n');
+        const filteredLines = lines.filter(line => !line.trim().includes('setDefaultVoicings'));
+        sourcePattern = filteredLines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+        // Update stored pattern
+        trackData.pattern = sourcePattern;
+        trackData.rawPattern = sourcePattern;
+      }
+    }
+
+    // Preserve the format: if pattern uses note names, keep note names; if semitones, keep semitones
+    // Check if pattern is in note names format (e.g., note("C4 E4 G4"))
+    // Note names have letter notes (a-g) followed by optional accidental and octave
+    const hasNoteNames = this.patternHasNoteNames(sourcePattern);
+    const hasNumericNotes = this.patternHasNumericNotePattern(sourcePattern);
+    
+    // Preserve the format: if pattern uses note names, keep note names; if semitones, keep semitones
+    let convertedPattern = sourcePattern;
+    if (hasNoteNames && !hasNumericNotes) {
+      // Pattern is in note names format - keep it as note names, don't convert
+      convertedPattern = sourcePattern;
+      console.log(`  📝 Preserving note names format for ${elementId}: ${sourcePattern.substring(0, 50)}...`);
+    } else if (hasNumericNotes && !hasNoteNames) {
+      // Pattern is in semitones format - keep it as semitones
+      convertedPattern = sourcePattern;
+      console.log(`  📝 Preserving semitones format for ${elementId}: ${sourcePattern.substring(0, 50)}...`);
+    } else {
+      // Unclear format - preserve as-is, don't convert
+      convertedPattern = sourcePattern;
+      console.log(`  📝 Preserving pattern format as-is for ${elementId}: ${sourcePattern.substring(0, 50)}...`);
+    }
+    
+    trackData.pattern = convertedPattern;
+    
+    // Build pattern with gain and pan modifiers
+    let patternCode = (convertedPattern || '').trim();
+    
+    // Normalize quotes: replace fancy quotes with straight quotes
+    patternCode = patternCode.replace(/[""]/g, '"').replace(/['']/g, "'");
+    
+    const isSafeToStrip = () => {
+      const containsChannelComment = /\/\*\s*Channel\s+\d+\s*\*\//i.test(patternCode);
+      const containsStackCall = /\bstack\s*\(/i.test(patternCode);
+      if (containsChannelComment || containsStackCall) {
+        return false;
+      }
+      return true;
+    };
+    
+    if (isSafeToStrip()) {
+      while (patternCode.startsWith('(') && patternCode.endsWith(')')) {
+        let depth = 0;
+        let isProperlyWrapped = true;
+        
+        for (let i = 0; i < patternCode.length; i++) {
+          if (patternCode[i] === '(') depth++;
+          else if (patternCode[i] === ')') depth--;
+          
+          if (depth === 0 && i < patternCode.length - 1) {
+            isProperlyWrapped = false;
+            break;
+          }
+        }
+        
+        if (isProperlyWrapped && depth === 0) {
+          patternCode = patternCode.slice(1, -1).trim();
+        } else {
+          break;
+        }
+      }
+    }
+    
+    // Clean up malformed patterns (e.g., patterns with unmatched opening parens from old saves)
+    // Check if the pattern starts with a single opening paren that's unmatched
+    if (patternCode.startsWith('(')) {
+      let depth = 0;
+      let closingIndex = -1;
+      
+      for (let i = 0; i < patternCode.length; i++) {
+        if (patternCode[i] === '(') depth++;
+        if (patternCode[i] === ')') depth--;
+        
+        // If we close the first paren, mark where it closes
+        if (depth === 0) {
+          closingIndex = i;
+          break;
+        }
+      }
+      
+      // If the first paren never closes (depth != 0 at end), strip it
+      if (closingIndex === -1) {
+        patternCode = patternCode.substring(1);
+        console.log(`  🔧 Stripped unmatched opening paren from pattern`);
+      }
+    }
+    
+    // Normalize synth aliases to ensure consistency across master pattern
+    patternCode = replaceSynthAliasesInPattern(patternCode);
+    
+    // Strip any existing .postgain() and .pan() modifiers to prevent duplicates
+    // These will be re-added below with the correct values
+    patternCode = patternCode.replace(/\.postgain\s*\([^)]*\)/gi, '');
+    patternCode = patternCode.replace(/\.pan\s*\([^)]*\)/gi, '');
+    patternCode = patternCode.replace(/\.\.+/g, '.');
+    patternCode = patternCode.replace(/\s+\./g, '.');
+    patternCode = patternCode.replace(/\.\s*$/, '');
+    patternCode = patternCode.trim();
+    
+    // Apply MIDI modifiers BEFORE postgain (MIDI must be called on Pattern object, not after postgain)
+    if (this.appInstance?.getPatternWithMidi) {
+      patternCode = this.appInstance.getPatternWithMidi(elementId, patternCode);
+    }
+    
+    // Add gain/pan modifiers to pattern string
+    // Always apply gain to ensure smooth volume control (not just when !== 1)
+    // The Web Audio API gain nodes provide real-time control, but pattern-level gain
+    // ensures consistency and proper mixing when multiple channels are playing
+    // Offline rendering leaves these out and applies gain/pan through audio nodes instead
+    const basePattern = patternCode.trim();
+    patternCode = includeGainPan
+      ? `${basePattern}.postgain(${trackData.gain.toFixed(2)})`
+      : basePattern;
+    
+    // Add pan modifier if not centered
+    if (includeGainPan && trackData.pan !== 0) {
+      patternCode = `${patternCode}.pan(${trackData.pan.toFixed(2)})`;
+    }
+    
+    // Apply global settings (scale) per pattern instead of entire stack
+    // Use per-element key/scale if available, or extract from pattern's .scale() modifier
+    const elementConfig = this.appInstance?.loadElementConfig?.(elementId) || {};
+    let elementKey = elementConfig.key || null;
+    let elementScale = elementConfig.scale || null;
+    
+    // If key/scale not in config, try to extract from pattern's .scale() modifier
+    if ((!elementKey || !elementScale) && patternCode.includes('.scale(')) {
+      const scaleMatch = patternCode.match(/\.\s*scale\s*\(\s*['"]([^'"]+)['"]\s*\)/i);
+      if (scaleMatch && scaleMatch[1]) {
+        const scaleValue = scaleMatch[1];
+        if (scaleValue.includes(':')) {
+          const [keyPart, scalePart] = scaleValue.split(':');
+          elementKey = elementKey || keyPart.trim();
+          elementScale = elementScale || scalePart.trim();
+          console.log(`  🎼 Extracted scale from pattern: ${elementKey}:${elementScale}`);
+        } else {
+          elementScale = elementScale || scaleValue.trim();
+          elementKey = elementKey || 'C'; // Default to C if not specified
+          console.log(`  🎼 Extracted scale from pattern: ${elementKey}:${elementScale}`);
+        }
+      }
+    }
+    
+    // Check if pattern is already wrapped (after gain/pan modifiers)
+    const trimmedPattern = patternCode.trim();
+    const isWrapped = trimmedPattern.startsWith('(') && trimmedPattern.endsWith(')');
+    patternCode = this.applyGlobalSettingsToPattern(patternCode, isWrapped, false, elementKey, elementScale);
+
+    // Only unwrap if pan is 0 (gain is always applied now for smooth volume control)
+    if (trackData.pan === 0 || !includeGainPan) {
+      let normalizedPattern = patternCode.trim();
+      const unwrapFullyWrapped = () => {
+        while (normalizedPattern.startsWith('(') && normalizedPattern.endsWith(')')) {
+          let depth = 0;
+          let balanced = true;
+          for (let i = 0; i < normalizedPattern.length; i++) {
+            const char = normalizedPattern[i];
+            if (char === '(') depth++;
+            else if (char === ')') depth--;
+            if (depth === 0 && i < normalizedPattern.length - 1) {
+              balanced = false;
+              break;
+            }
+          }
+          if (!balanced || depth !== 0) {
+            break;
+          }
+          normalizedPattern = normalizedPattern.slice(1, -1).trim();
+        }
+      };
+      unwrapFullyWrapped();
+      patternCode = normalizedPattern;
+    }
+    
+    return patternCode;
   }
 
   /**
@@ -8928,228 +9682,11 @@ class SoundManager {
           continue;
         }
         
-        const originalSourcePattern = trackData.pattern || trackData.rawPattern || '';
-        let sourcePattern = this._sanitizePatternExpression(originalSourcePattern);
-        if (sourcePattern !== originalSourcePattern) {
-          trackData.pattern = sourcePattern;
-          trackData.rawPattern = sourcePattern;
-        }
-        if (!sourcePattern || sourcePattern.trim() === '') {
-          console.log(`  ⏭️ Skipping ${elementId} (empty pattern)`);
+        const patternCode = await this._buildMasterChannelPattern(elementId, trackData);
+        if (!patternCode) {
           continue;
         }
         
-        // Extract and evaluate setDefaultVoicings from individual patterns BEFORE combining
-        // This prevents setDefaultVoicings from ending up inside stack()
-        if (sourcePattern.includes('setDefaultVoicings')) {
-          const setDefaultVoicingsRegex = /setDefaultVoicings\s*\(\s*(['"]([^'"]*)['"]|([^)]+))\s*\)/g;
-          const setDefaultVoicingsMatches = [];
-          let match;
-          
-          while ((match = setDefaultVoicingsRegex.exec(sourcePattern)) !== null) {
-            setDefaultVoicingsMatches.push({
-              fullMatch: match[0],
-              arg: match[2] || match[3],
-              isQuoted: !!match[2]
-            });
-          }
-          
-          // Evaluate all setDefaultVoicings calls
-          for (const voicingMatch of setDefaultVoicingsMatches) {
-            try {
-              const evalCode = voicingMatch.isQuoted 
-                ? `setDefaultVoicings('${voicingMatch.arg}')`
-                : `setDefaultVoicings(${voicingMatch.arg})`;
-              if (window.strudel && window.strudel.evaluate) {
-                await window.strudel.evaluate(evalCode);
-                console.log(`  ✅ Evaluated ${evalCode} from ${elementId}`);
-              }
-            } catch (e) {
-              console.warn(`  ⚠️ Could not evaluate setDefaultVoicings from ${elementId}:`, e.message);
-            }
-          }
-          
-          // Remove setDefaultVoicings from the pattern
-          if (setDefaultVoicingsMatches.length > 0) {
-            const lines = sourcePattern.split('\n');
-            const filteredLines = lines.filter(line => !line.trim().includes('setDefaultVoicings'));
-            sourcePattern = filteredLines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
-            // Update stored pattern
-            trackData.pattern = sourcePattern;
-            trackData.rawPattern = sourcePattern;
-          }
-        }
-
-        // Preserve the format: if pattern uses note names, keep note names; if semitones, keep semitones
-        // Check if pattern is in note names format (e.g., note("C4 E4 G4"))
-        // Note names have letter notes (a-g) followed by optional accidental and octave
-        const hasNoteNames = this.patternHasNoteNames(sourcePattern);
-        const hasNumericNotes = this.patternHasNumericNotePattern(sourcePattern);
-        
-        // Preserve the format: if pattern uses note names, keep note names; if semitones, keep semitones
-        let convertedPattern = sourcePattern;
-        if (hasNoteNames && !hasNumericNotes) {
-          // Pattern is in note names format - keep it as note names, don't convert
-          convertedPattern = sourcePattern;
-          console.log(`  📝 Preserving note names format for ${elementId}: ${sourcePattern.substring(0, 50)}...`);
-        } else if (hasNumericNotes && !hasNoteNames) {
-          // Pattern is in semitones format - keep it as semitones
-          convertedPattern = sourcePattern;
-          console.log(`  📝 Preserving semitones format for ${elementId}: ${sourcePattern.substring(0, 50)}...`);
-        } else {
-          // Unclear format - preserve as-is, don't convert
-          convertedPattern = sourcePattern;
-          console.log(`  📝 Preserving pattern format as-is for ${elementId}: ${sourcePattern.substring(0, 50)}...`);
-        }
-        
-        trackData.pattern = convertedPattern;
-        
-        // Build pattern with gain and pan modifiers
-        let patternCode = (convertedPattern || '').trim();
-        
-        // Normalize quotes: replace fancy quotes with straight quotes
-        patternCode = patternCode.replace(/[""]/g, '"').replace(/['']/g, "'");
-        
-        const isSafeToStrip = () => {
-          const containsChannelComment = /\/\*\s*Channel\s+\d+\s*\*\//i.test(patternCode);
-          const containsStackCall = /\bstack\s*\(/i.test(patternCode);
-          if (containsChannelComment || containsStackCall) {
-            return false;
-          }
-          return true;
-        };
-        
-        if (isSafeToStrip()) {
-          while (patternCode.startsWith('(') && patternCode.endsWith(')')) {
-            let depth = 0;
-            let isProperlyWrapped = true;
-            
-            for (let i = 0; i < patternCode.length; i++) {
-              if (patternCode[i] === '(') depth++;
-              else if (patternCode[i] === ')') depth--;
-              
-              if (depth === 0 && i < patternCode.length - 1) {
-                isProperlyWrapped = false;
-                break;
-              }
-            }
-            
-            if (isProperlyWrapped && depth === 0) {
-              patternCode = patternCode.slice(1, -1).trim();
-            } else {
-              break;
-            }
-          }
-        }
-        
-        // Clean up malformed patterns (e.g., patterns with unmatched opening parens from old saves)
-        // Check if the pattern starts with a single opening paren that's unmatched
-        if (patternCode.startsWith('(')) {
-          let depth = 0;
-          let closingIndex = -1;
-          
-          for (let i = 0; i < patternCode.length; i++) {
-            if (patternCode[i] === '(') depth++;
-            if (patternCode[i] === ')') depth--;
-            
-            // If we close the first paren, mark where it closes
-            if (depth === 0) {
-              closingIndex = i;
-              break;
-            }
-          }
-          
-          // If the first paren never closes (depth != 0 at end), strip it
-          if (closingIndex === -1) {
-            patternCode = patternCode.substring(1);
-            console.log(`  🔧 Stripped unmatched opening paren from pattern`);
-          }
-        }
-        
-        // Normalize synth aliases to ensure consistency across master pattern
-        patternCode = replaceSynthAliasesInPattern(patternCode);
-        
-        // Strip any existing .postgain() and .pan() modifiers to prevent duplicates
-        // These will be re-added below with the correct values
-        patternCode = patternCode.replace(/\.postgain\s*\([^)]*\)/gi, '');
-        patternCode = patternCode.replace(/\.pan\s*\([^)]*\)/gi, '');
-        patternCode = patternCode.replace(/\.\.+/g, '.');
-        patternCode = patternCode.replace(/\s+\./g, '.');
-        patternCode = patternCode.replace(/\.\s*$/, '');
-        patternCode = patternCode.trim();
-        
-        // Apply MIDI modifiers BEFORE postgain (MIDI must be called on Pattern object, not after postgain)
-        if (this.appInstance?.getPatternWithMidi) {
-          patternCode = this.appInstance.getPatternWithMidi(elementId, patternCode);
-        }
-        
-        // Add gain/pan modifiers to pattern string
-        // Always apply gain to ensure smooth volume control (not just when !== 1)
-        // The Web Audio API gain nodes provide real-time control, but pattern-level gain
-        // ensures consistency and proper mixing when multiple channels are playing
-        const basePattern = patternCode.trim();
-        patternCode = `${basePattern}.postgain(${trackData.gain.toFixed(2)})`;
-        
-        // Add pan modifier if not centered
-        if (trackData.pan !== 0) {
-          patternCode = `${patternCode}.pan(${trackData.pan.toFixed(2)})`;
-        }
-        
-        // Apply global settings (scale) per pattern instead of entire stack
-        // Use per-element key/scale if available, or extract from pattern's .scale() modifier
-        const elementConfig = this.appInstance?.loadElementConfig?.(elementId) || {};
-        let elementKey = elementConfig.key || null;
-        let elementScale = elementConfig.scale || null;
-        
-        // If key/scale not in config, try to extract from pattern's .scale() modifier
-        if ((!elementKey || !elementScale) && patternCode.includes('.scale(')) {
-          const scaleMatch = patternCode.match(/\.\s*scale\s*\(\s*['"]([^'"]+)['"]\s*\)/i);
-          if (scaleMatch && scaleMatch[1]) {
-            const scaleValue = scaleMatch[1];
-            if (scaleValue.includes(':')) {
-              const [keyPart, scalePart] = scaleValue.split(':');
-              elementKey = elementKey || keyPart.trim();
-              elementScale = elementScale || scalePart.trim();
-              console.log(`  🎼 Extracted scale from pattern: ${elementKey}:${elementScale}`);
-            } else {
-              elementScale = elementScale || scaleValue.trim();
-              elementKey = elementKey || 'C'; // Default to C if not specified
-              console.log(`  🎼 Extracted scale from pattern: ${elementKey}:${elementScale}`);
-            }
-          }
-        }
-        
-        // Check if pattern is already wrapped (after gain/pan modifiers)
-        const trimmedPattern = patternCode.trim();
-        const isWrapped = trimmedPattern.startsWith('(') && trimmedPattern.endsWith(')');
-        patternCode = this.applyGlobalSettingsToPattern(patternCode, isWrapped, false, elementKey, elementScale);
-
-        // Only unwrap if pan is 0 (gain is always applied now for smooth volume control)
-        if (trackData.pan === 0) {
-          let normalizedPattern = patternCode.trim();
-          const unwrapFullyWrapped = () => {
-            while (normalizedPattern.startsWith('(') && normalizedPattern.endsWith(')')) {
-              let depth = 0;
-              let balanced = true;
-              for (let i = 0; i < normalizedPattern.length; i++) {
-                const char = normalizedPattern[i];
-                if (char === '(') depth++;
-                else if (char === ')') depth--;
-                if (depth === 0 && i < normalizedPattern.length - 1) {
-                  balanced = false;
-                  break;
-                }
-              }
-              if (!balanced || depth !== 0) {
-                break;
-              }
-              normalizedPattern = normalizedPattern.slice(1, -1).trim();
-            }
-          };
-          unwrapFullyWrapped();
-          patternCode = normalizedPattern;
-        }
-        
         patterns.push(patternCode);
         patternChannels.push(channelNumber);
         patternComments.push(`Channel ${channelNumber}`);
@@ -9936,6 +10473,7 @@ class SoundManager {
       }
       this.masterActive = true;
       this.masterPlaybackStartTime = this.audioContext?.currentTime || performance.now();
+      this._updateMIDIClockTransport(true);
       if (this.onMasterStateChangeCallback) {
         this.onMasterStateChangeCallback(true, Array.from(this.trackedPatterns.keys()));
       }
@@ -11263,6 +11801,7 @@ class SoundManager {
         this.masterPlaybackTempo = this.currentTempo || 120;
         const speedMultiplier = this.masterPlaybackTempo / 120;
         this.masterPlaybackSpeed = Number.isFinite(speedMultiplier) && speedMultiplier > 0 ? speedMultiplier : 1;
+        this._updateMIDIClockTransport(true);
         // masterActive is already set before evaluation to ensure proper routing
         console.log(`✅ Master pattern playing on ${this.masterSlot} (volume/pan/mute via Web Audio API)`);
         console.log(`🔊 Audio context state: ${this.audioContext?.state || 'unknown'}`);
@@ -11421,6 +11960,7 @@ class SoundManager {
       this.masterActive = false;
       stopMasterHighlighting();
       this.masterPlaybackStartTime = null;
+      this._updateMIDIClockTransport(false);
       
       // Stop all active MIDI notes
       this.stopAllMIDINotes();
@@ -11486,8 +12026,9 @@ class SoundManager {
           this._audioChainCheckInterval = null;
         }
         
-        // Stop all active MIDI notes
+        // Stop all active MIDI notes and the clock sent to external gear
         this.stopAllMIDINotes();
+        this._updateMIDIClockTransport(false);
         
         console.log(`✅ Master pattern stopped`);
         
@@ -11913,43 +12454,354 @@ class SoundManager {
 
   /**
    * Export master pattern as WAV audio file
-   * Uses OfflineAudioContext to render the audio offline
+   * Renders offline (faster than realtime); live recording is only used
+   * when the browser has no OfflineAudioContext
+   * @param {Object} options - { bars, sampleRate, tailSeconds }
    */
-  async exportAudioWAV(duration = 16, sampleRate = 44100) {
-    try {
-      console.log(`📦 Exporting master pattern as WAV (${duration} seconds)...`);
-      
-      if (!this.masterPattern || this.masterPattern.trim() === '') {
-        return { success: false, error: 'No master pattern to export' };
+  async exportAudioWAV(options = {}) {
+    if (typeof OfflineAudioContext === 'undefined') {
+      const { bars, tailSeconds } = this._normalizeOfflineExportOptions(options);
+      const duration = (bars * 240) / (this.currentTempo || 120) + tailSeconds;
+      console.log('⚠️ OfflineAudioContext unavailable - using realtime recording fallback');
+      return await this.exportAudioMediaRecorder(duration);
+    }
+    return await this.exportAudioWAVOffline(options);
+  }
+
+  _normalizeOfflineExportOptions(options = {}) {
+    const bars = Math.round(Number(options.bars));
+    const sampleRate = Number(options.sampleRate);
+    const tailSeconds = Number(options.tailSeconds);
+    return {
+      bars: Number.isFinite(bars) && bars > 0
+        ? Math.min(bars, OFFLINE_EXPORT_MAX_BARS)
+        : OFFLINE_EXPORT_DEFAULTS.bars,
+      sampleRate: OFFLINE_EXPORT_SAMPLE_RATES.includes(sampleRate)
+        ? sampleRate
+        : OFFLINE_EXPORT_DEFAULTS.sampleRate,
+      tailSeconds: Number.isFinite(tailSeconds) && tailSeconds >= 0
+        ? Math.min(tailSeconds, OFFLINE_EXPORT_MAX_TAIL_SECONDS)
+        : OFFLINE_EXPORT_DEFAULTS.tailSeconds
+    };
+  }
+
+  /**
+   * Collect the channels that make up the audible master mix for offline rendering.
+   * Follows the same solo/mute rules as updateMasterPattern; a manual master override
+   * renders as a single 'master' channel.
+   * @param {Object} options - { soloedElements, mutedElements, elementIds }
+   * @returns {Promise<Array<{elementId: string, code: string, gain: number, pan: number}>>}
+   */
+  async getOfflineRenderChannels(options = {}) {
+    const {
+      soloedElements = this.appInstance?.soloedElements || new Set(),
+      mutedElements = this.appInstance?.mutedElements || new Set(),
+      elementIds = null
+    } = options;
+
+    if (this.masterPatternManualOverride || this.trackedPatterns.size === 0) {
+      const code = (this.masterPattern || '').trim();
+      return code ? [{ elementId: 'master', code, gain: 1, pan: 0 }] : [];
+    }
+
+    const channels = [];
+    const hasSolo = soloedElements.size > 0;
+    for (const [elementId, trackData] of this.trackedPatterns.entries()) {
+      if (this.previewElementIds.has(elementId)) continue;
+      if (elementIds && !elementIds.includes(elementId)) continue;
+      if (mutedElements.has(elementId) || (hasSolo && !soloedElements.has(elementId))) continue;
+      if (trackData.gain <= 0) continue;
+
+      const channelCode = await this._buildMasterChannelPattern(elementId, trackData, { includeGainPan: false });
+      if (!channelCode) continue;
+      channels.push({
+        elementId,
+        code: this.convertPatternForScale(channelCode) || channelCode,
+        gain: trackData.gain,
+        pan: trackData.pan || 0
+      });
+    }
+    return channels;
+  }
+
+  /**
+   * Strip comments, visualizers and tempo setup from pattern code and work out the
+   * cycles-per-second it was written for, so haps can be placed in seconds.
+   */
+  _prepareExportPatternCode(code) {
+    const fallbackCps = (this.currentTempo || 120) / 240;
+    const { setupStatements, patternExpression } = this.parseMultiStatementPattern(code || '');
+    let cps = fallbackCps;
+    setupStatements.forEach((statement) => {
+      const cpsMatch = statement.match(/^\s*setcps\s*\(\s*([\d.]+)\s*\)/i);
+      const cpmMatch = statement.match(/^\s*setcpm\s*\(\s*([\d.]+)(?:\s*\/\s*([\d.]+))?\s*\)/i);
+      if (cpsMatch) {
+        cps = Number(cpsMatch[1]) || cps;
+      } else if (cpmMatch) {
+        cps = (Number(cpmMatch[1]) / (Number(cpmMatch[2]) || 1)) / 60 || cps;
       }
+    });
 
-      // Ensure Strudel is initialized
-      if (!this.strudelLoaded) {
-        await this.initializeStrudelAndSounds();
+    let prepared = (patternExpression || '')
+      .replace(/\/\*[\s\S]*?\*\//g, '')
+      .replace(/^\s*\/\/.*$/gm, '')
+      .trim();
+
+    EXPORT_VISUALIZER_METHODS.forEach((method) => {
+      const methodRegex = new RegExp(`\\.\\s*_?${method}\\s*\\(`, 'g');
+      let match = methodRegex.exec(prepared);
+      while (match) {
+        const openIndex = match.index + match[0].length - 1;
+        const closeIndex = this._findMatchingParenIndex(prepared, openIndex);
+        if (closeIndex === -1) break;
+        prepared = prepared.slice(0, match.index) + prepared.slice(closeIndex + 1);
+        methodRegex.lastIndex = 0;
+        match = methodRegex.exec(prepared);
       }
+    });
 
-      // Create offline audio context for rendering
-      const offlineContext = new OfflineAudioContext(
-        2, // stereo
-        sampleRate * duration, // number of frames
-        sampleRate
-      );
+    // A trailing .cpm() sets the tempo relative to the default scheduler cps
+    const cpmMatches = [...prepared.matchAll(/\.cpm\s*\(\s*([\d.]+)\s*\)/g)];
+    if (cpmMatches.length > 0) {
+      cps = Number(cpmMatches[cpmMatches.length - 1][1]) / 60 || cps;
+      prepared = prepared.replace(/\.cpm\s*\(\s*[\d.]+\s*\)/g, '');
+    }
+
+    return { code: prepared.replace(/\.\s*$/, '').trim(), cps };
+  }
+
+  async _evaluatePatternForExport(code) {
+    const { coreModule } = await getStrudelModules();
+    const { transpiler } = await import('@strudel/transpiler');
+    // addReturn makes the last expression the value of the evaluated block (as in the REPL)
+    const evaluation = await coreModule.evaluate(code, transpiler, {
+      wrapAsync: false,
+      addReturn: true,
+      emitMiniLocations: false
+    });
+    const pattern = evaluation?.pattern;
+    if (!pattern || typeof pattern.queryArc !== 'function') {
+      throw new Error('Pattern expression did not return a Strudel pattern');
+    }
+    return pattern;
+  }
+
+  _getOfflineFrameLength(cps, { bars, sampleRate, tailSeconds }) {
+    return Math.ceil((bars / cps + tailSeconds) * sampleRate);
+  }
+
+  /**
+   * Rebuild the master bus (pan -> filter -> dry/delay/reverb -> gain) on an offline context.
+   * With includeMasterEffects off the bus is a unity gain straight to the destination.
+   * @returns {AudioNode} - Input node channels connect to
+   */
+  _buildOfflineMasterChain(context, { includeMasterEffects = true } = {}) {
+    if (!includeMasterEffects) {
+      const input = context.createGain();
+      input.gain.value = 1;
+      input.connect(context.destination);
+      return input;
+    }
+
+    const panNode = context.createStereoPanner();
+    panNode.pan.value = this.masterPan || 0;
+    const filterNode = context.createBiquadFilter();
+    filterNode.type = 'lowpass';
+    filterNode.frequency.value = this.masterFilterEnabled
+      ? Math.max(this.masterFilterMinHz, Math.min(this.masterFilterMaxHz, this.masterFilterFrequency))
+      : Math.min(this.masterFilterBypassHz, context.sampleRate / 2);
+    filterNode.Q.value = this.masterFilterEnabled ? this.masterFilterResonance : this.masterFilterMinQ;
+    const dryGainNode = context.createGain();
+    dryGainNode.gain.value = 1;
+    const gainNode = context.createGain();
+    gainNode.gain.value = this.masterMuted ? 0 : this.masterVolume;
+
+    panNode.connect(filterNode);
+    filterNode.connect(dryGainNode);
+    dryGainNode.connect(gainNode);
+
+    if (this.masterDelayAmount > 0) {
+      const delayNode = context.createDelay(1.0);
+      delayNode.delayTime.value = this.masterDelayTime;
+      const delayGainNode = context.createGain();
+      delayGainNode.gain.value = this.masterDelayAmount;
+      const feedbackGainNode = context.createGain();
+      feedbackGainNode.gain.value = this.masterDelayFeedback;
+      filterNode.connect(delayNode);
+      delayNode.connect(delayGainNode);
+      delayGainNode.connect(gainNode);
+      delayNode.connect(feedbackGainNode);
+      feedbackGainNode.connect(delayNode);
+    }
+
+    if (this.masterReverbAmount > 0) {
+      const reverbNode = context.createConvolver();
+      reverbNode.buffer = this._generateReverbImpulse(context);
+      const reverbGainNode = context.createGain();
+      reverbGainNode.gain.value = this.masterReverbAmount;
+      filterNode.connect(reverbNode);
+      reverbNode.connect(reverbGainNode);
+      reverbGainNode.connect(gainNode);
+    }
+
+    gainNode.connect(context.destination);
+    return panNode;
+  }
+
+  /**
+   * Render the master mix into an AudioBuffer with an OfflineAudioContext.
+   * Each channel's haps are queried over [0, bars) cycles and scheduled through
+   * its own element gain/pan nodes into the master bus.
+   * @param {Object} options - { bars, sampleRate, tailSeconds, includeMasterEffects,
+   *   soloedElements, mutedElements, elementIds, channels, frameLength }
+   *   frameLength fixes the buffer length (stems are padded or cut to the master length)
+   * @returns {Promise<{buffer: AudioBuffer, bars: number, cps: number, scheduled: number, skippedSounds: string[]}>}
+   */
+  async renderMasterOffline(options = {}) {
+    const { bars, sampleRate, tailSeconds } = this._normalizeOfflineExportOptions(options);
+    const { includeMasterEffects = true } = options;
+
+    if (!this.strudelLoaded) {
+      await this.initializeStrudelAndSounds();
+    }
+
+    const channels = options.channels || await this.getOfflineRenderChannels(options);
+    if (channels.length === 0) {
+      throw new Error('No master pattern to export');
+    }
+
+    const preparedChannels = channels.map((channel) => ({
+      ...channel,
+      ...this._prepareExportPatternCode(channel.code)
+    }));
+    // Every channel shares the master tempo; a manual override may carry its own
+    const cps = preparedChannels[0].cps;
+    const frameLength = Number.isInteger(options.frameLength) && options.frameLength > 0
+      ? options.frameLength
+      : this._getOfflineFrameLength(cps, { bars, sampleRate, tailSeconds });
+    const context = new OfflineAudioContext(2, frameLength, sampleRate);
+    const masterInput = this._buildOfflineMasterChain(context, { includeMasterEffects });
+    const { webaudioModule } = await getStrudelModules();
+    const loadBuffer = createSampleBufferLoader(context);
+
+    let scheduled = 0;
+    const skippedSounds = new Set();
+    for (const channel of preparedChannels) {
+      try {
+        await this.ensurePatternResourcesLoaded(channel.code);
+      } catch (resourceError) {
+        console.warn(`⚠️ Unable to preload resources for ${channel.elementId}:`, resourceError);
+      }
 
-      // Create destination node for recording
-      const destination = offlineContext.destination;
+      const pattern = await this._evaluatePatternForExport(channel.code);
+      const { gainNode, panNode } = this._createElementGainPanNodes(context, channel.gain, channel.pan);
+      gainNode.connect(panNode);
+      panNode.connect(masterInput);
 
-      // Get Strudel's audio output
-      if (window.strudel && window.strudel.repl && window.strudel.repl.audioContext) {
-        // Use Strudel's audio context to create a worklet or connect to offline context
-        // This is a simplified approach - we'll use MediaRecorder as fallback
-        console.log('⚠️ Using MediaRecorder fallback for audio export');
-        return await this.exportAudioMediaRecorder(duration);
+      const haps = collectOnsetHaps(pattern, 0, bars);
+      for (const hap of haps) {
+        const rendered = await scheduleHapVoice(context, gainNode, hap, { cps, webaudioModule, loadBuffer });
+        if (rendered) {
+          scheduled += 1;
+        } else {
+          skippedSounds.add(String(hap.value?.s ?? hap.value?.sound ?? hap.value));
+        }
       }
+      console.log(`📦 Scheduled ${haps.length} haps for ${channel.elementId}`);
+    }
 
-      // Fallback: Use MediaRecorder to record from the audio context
-      return await this.exportAudioMediaRecorder(duration);
+    const buffer = await context.startRendering();
+    return { buffer, bars, cps, scheduled, skippedSounds: Array.from(skippedSounds) };
+  }
+
+  /**
+   * Export every audible tracked element as its own WAV stem, bundled in a ZIP with a manifest.
+   * Stems are rendered alone with their gain/pan and the master effects left off; they share
+   * bars, tail and sample rate and are rendered at the master mix length (a channel with its own
+   * tempo is padded with silence or cut), so all files start at 0 and have the same length.
+   * @param {Object} options - { bars, sampleRate, tailSeconds }
+   */
+  async exportStemsZIP(options = {}) {
+    try {
+      if (this.masterPatternManualOverride || this.trackedPatterns.size === 0) {
+        return { success: false, error: 'Stem export needs channels in the master mix (manual master edits render as one file)' };
+      }
+
+      const normalized = this._normalizeOfflineExportOptions(options);
+      const channels = await this.getOfflineRenderChannels(options);
+      if (channels.length === 0) {
+        return { success: false, error: 'No audible channels to export' };
+      }
+
+      console.log(`📦 Rendering ${channels.length} stems offline...`);
+      const files = [];
+      const stems = [];
+      const skipped = new Set();
+      // The mix takes its tempo from the first channel (see renderMasterOffline)
+      const masterCps = this._prepareExportPatternCode(channels[0].code).cps;
+      const frameLength = this._getOfflineFrameLength(masterCps, normalized);
+      const durationSeconds = frameLength / normalized.sampleRate;
+
+      for (let index = 0; index < channels.length; index++) {
+        const channel = channels[index];
+        const { buffer, skippedSounds } = await this.renderMasterOffline({
+          ...normalized,
+          channels: [channel],
+          includeMasterEffects: false,
+          frameLength
+        });
+        skippedSounds.forEach((sound) => skipped.add(sound));
+
+        const title = this.appInstance?.loadElementConfig?.(channel.elementId)?.title || '';
+        const channelNumber = this.extractChannelNumber(channel.elementId, index);
+        const slug = `${channel.elementId}${title ? `-${title}` : ''}`
+          .toLowerCase()
+          .replace(/[^a-z0-9]+/g, '-')
+          .replace(/^-+|-+$/g, '');
+        const fileName = `${String(index + 1).padStart(2, '0')}-${slug || `channel-${channelNumber}`}.wav`;
+
+        files.push({ name: fileName, data: this.audioBufferToWAV(buffer) });
+        stems.push({
+          file: fileName,
+          elementId: channel.elementId,
+          channel: channelNumber,
+          title: title || null,
+          gain: channel.gain,
+          pan: channel.pan
+        });
+      }
+
+      const manifest = {
+        format: 'strudesk-stems',
+        version: 1,
+        tempo: this.currentTempo || this.defaultTempo || 120,
+        key: this.currentKey || null,
+        scale: this.currentScale || null,
+        timeSignature: this.currentTimeSignature || '4/4',
+        bars: normalized.bars,
+        sampleRate: normalized.sampleRate,
+        tailSeconds: normalized.tailSeconds,
+        durationSeconds: Number(durationSeconds.toFixed(6)),
+        frames: frameLength,
+        masterEffects: false,
+        stems
+      };
+      files.push({ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) });
+
+      const zipBlob = await createZipArchive(files);
+      this.downloadBlob(zipBlob, 'master-stems.zip', 'application/zip');
+      console.log(`✅ Exported ${stems.length} stems (${zipBlob.size} bytes)`);
+
+      if (skipped.size > 0) {
+        return {
+          success: true,
+          format: 'zip',
+          warning: `These sounds cannot be rendered offline and were left out: ${Array.from(skipped).join(', ')}`
+        };
+      }
+      return { success: true, format: 'zip' };
     } catch (error) {
-      console.error(`❌ Error exporting WAV:`, error);
+      console.error(`❌ Error exporting stems:`, error);
       return { success: false, error: error.message };
     }
   }
@@ -12288,7 +13140,7 @@ class SoundManager {
    */
   parsePatternToMIDI(pattern) {
     const events = [];
-    const ticksPerQuarter = 480;
+    const ticksPerQuarter = MIDI_TICKS_PER_QUARTER;
     const tempo = this.currentTempo || 120;
     const ticksPerBeat = ticksPerQuarter;
     
@@ -12309,19 +13161,7 @@ class SoundManager {
     }
     
     // For drums, we'll use MIDI channel 9 (drums) and map to MIDI note numbers
-    const drumMap = {
-      'bd': 36, 'kick': 36, 'kickdrum': 36,
-      'sd': 38, 'snare': 38, 'snaredrum': 38,
-      'hh': 42, 'hihat': 42, 'closedhihat': 42,
-      'oh': 46, 'openhihat': 46,
-      'cr': 49, 'crash': 49,
-      'rd': 51, 'ride': 51,
-      'ht': 48, 'hightom': 48,
-      'mt': 47, 'midtom': 47,
-      'lt': 45, 'lowtom': 45,
-      'cp': 39, 'clap': 39,
-      'rim': 37, 'rimshot': 37
-    };
+    const drumMap = GM_DRUM_MAP;
     
     // Process each pattern (for stacked patterns, they play simultaneously)
     patternsToParse.forEach((subPattern, patternIndex) => {
@@ -12465,99 +13305,33 @@ class SoundManager {
   }
 
   /**
-   * Create MIDI file from events
+   * Encode a MIDI variable-length quantity (most significant group first)
    */
-  createMIDIFile(events) {
-    const ticksPerQuarter = 480;
-    const tempo = this.currentTempo || 120;
-    
-    // MIDI file structure:
-    // Header chunk (14 bytes)
-    // Track chunk
-    
-    const header = new Uint8Array([
-      0x4D, 0x54, 0x68, 0x64, // "MThd"
-      0x00, 0x00, 0x00, 0x06, // Header length
-      0x00, 0x01, // Format: 1 (multi-track)
-      0x00, 0x01, // Number of tracks: 1
-      0x01, 0xE0  // Ticks per quarter: 480 (0x01E0)
-    ]);
-    
-    // Track events
-    const trackEvents = [];
-    
-    // Set tempo
-    const microsecondsPerQuarter = Math.round(60000000 / tempo);
-    trackEvents.push({
-      deltaTime: 0,
-      type: 0xFF, // Meta event
-      metaType: 0x51, // Set tempo
-      data: [
-        (microsecondsPerQuarter >> 16) & 0xFF,
-        (microsecondsPerQuarter >> 8) & 0xFF,
-        microsecondsPerQuarter & 0xFF
-      ]
-    });
-    
-    // Add note events
-    let lastTick = 0;
-    events.forEach(event => {
-      const deltaTime = event.tick - lastTick;
-      lastTick = event.tick;
-      
-      if (event.type === 'noteOn') {
-        trackEvents.push({
-          deltaTime: deltaTime,
-          type: 0x90 | event.channel, // Note On
-          data: [event.note, event.velocity]
-        });
-      } else if (event.type === 'noteOff') {
-        trackEvents.push({
-          deltaTime: deltaTime,
-          type: 0x80 | event.channel, // Note Off
-          data: [event.note, event.velocity]
-        });
-      }
-    });
-    
-    // End of track
-    trackEvents.push({
-      deltaTime: 0,
-      type: 0xFF, // Meta event
-      metaType: 0x2F, // End of track
-      data: []
-    });
-    
-    // Convert track events to MIDI format
+  _encodeMIDIVariableLength(value) {
+    let remaining = Math.max(0, Math.round(value));
+    const bytes = [remaining & 0x7F];
+    remaining >>= 7;
+    while (remaining > 0) {
+      bytes.unshift((remaining & 0x7F) | 0x80);
+      remaining >>= 7;
+    }
+    return bytes;
+  }
+
+  _encodeMIDITrackChunk(trackEvents) {
     const trackData = [];
-    
     trackEvents.forEach(event => {
-      // Write variable-length delta time
-      let deltaTime = event.deltaTime;
-      const deltaBytes = [];
-      do {
-        let byte = deltaTime & 0x7F;
-        deltaTime >>= 7;
-        if (deltaBytes.length > 0) {
-          byte |= 0x80;
-        }
-        deltaBytes.push(byte);
-      } while (deltaTime > 0);
-      
-      trackData.push(...deltaBytes);
+      trackData.push(...this._encodeMIDIVariableLength(event.deltaTime));
       trackData.push(event.type);
-      
       if (event.metaType !== undefined) {
         trackData.push(event.metaType);
-        trackData.push(event.data.length);
+        trackData.push(...this._encodeMIDIVariableLength(event.data.length));
       }
-      
       trackData.push(...event.data);
     });
-    
-    // Track chunk
+
     const trackLength = trackData.length;
-    const trackChunk = new Uint8Array([
+    return new Uint8Array([
       0x4D, 0x54, 0x72, 0x6B, // "MTrk"
       (trackLength >> 24) & 0xFF,
       (trackLength >> 16) & 0xFF,
@@ -12565,13 +13339,240 @@ class SoundManager {
       trackLength & 0xFF,
       ...trackData
     ]);
+  }
+
+  _createMIDITrackNameEvent(name) {
+    return {
+      deltaTime: 0,
+      type: 0xFF, // Meta event
+      metaType: 0x03, // Sequence/track name
+      data: Array.from(new TextEncoder().encode(String(name).slice(0, 120)))
+    };
+  }
+
+  /**
+   * Create a type-1 MIDI file
+   * The first track carries the song name, tempo and time signature; every following
+   * track gets a track-name meta event and its own note events.
+   * @param {Array} tracksOrEvents - Array of { name, events } tracks, or a flat event list (single track)
+   * @param {Object} options - { tempo, timeSignature, name }
+   */
+  createMIDIFile(tracksOrEvents, options = {}) {
+    const ticksPerQuarter = MIDI_TICKS_PER_QUARTER;
+    const tempo = options.tempo || this.currentTempo || 120;
+    const isFlatEventList = Array.isArray(tracksOrEvents) && tracksOrEvents.length > 0 && tracksOrEvents[0]?.type;
+    const tracks = isFlatEventList || !Array.isArray(tracksOrEvents)
+      ? [{ name: options.name || 'Strudel Pattern', events: tracksOrEvents || [] }]
+      : tracksOrEvents;
+
+    let numerator = 4;
+    let denominator = 4;
+    const signatureMatch = String(options.timeSignature || this.currentTimeSignature || '4/4').match(/^(\d+)\s*\/\s*(\d+)$/);
+    if (signatureMatch) {
+      numerator = Math.max(1, parseInt(signatureMatch[1], 10));
+      const parsedDenominator = parseInt(signatureMatch[2], 10);
+      // MIDI stores the denominator as a power of two
+      if (parsedDenominator > 0 && (parsedDenominator & (parsedDenominator - 1)) === 0) {
+        denominator = parsedDenominator;
+      }
+    }
+    
+    // MIDI file structure:
+    // Header chunk (14 bytes)
+    // Conductor track + one track per entry
+    const trackCount = tracks.length + 1;
+    const header = new Uint8Array([
+      0x4D, 0x54, 0x68, 0x64, // "MThd"
+      0x00, 0x00, 0x00, 0x06, // Header length
+      0x00, 0x01, // Format: 1 (multi-track)
+      (trackCount >> 8) & 0xFF, trackCount & 0xFF,
+      (ticksPerQuarter >> 8) & 0xFF, ticksPerQuarter & 0xFF
+    ]);
     
-    // Combine header and track
-    const midiFile = new Uint8Array(header.length + trackChunk.length);
-    midiFile.set(header, 0);
-    midiFile.set(trackChunk, header.length);
+    // Conductor track: name, tempo and time signature
+    const microsecondsPerQuarter = Math.round(60000000 / tempo);
+    const conductorEvents = [
+      this._createMIDITrackNameEvent(options.name || 'Strudel Pattern'),
+      {
+        deltaTime: 0,
+        type: 0xFF, // Meta event
+        metaType: 0x51, // Set tempo
+        data: [
+          (microsecondsPerQuarter >> 16) & 0xFF,
+          (microsecondsPerQuarter >> 8) & 0xFF,
+          microsecondsPerQuarter & 0xFF
+        ]
+      },
+      {
+        deltaTime: 0,
+        type: 0xFF, // Meta event
+        metaType: 0x58, // Time signature
+        data: [numerator, Math.log2(denominator), 24, 8]
+      },
+      { deltaTime: 0, type: 0xFF, metaType: 0x2F, data: [] } // End of track
+    ];
+    const chunks = [this._encodeMIDITrackChunk(conductorEvents)];
+    
+    tracks.forEach((track) => {
+      const trackEvents = [this._createMIDITrackNameEvent(track.name || 'Track')];
+      
+      // Note-offs sort before note-ons on the same tick so repeated notes retrigger cleanly
+      const sortedEvents = [...(track.events || [])].sort((a, b) => (
+        a.tick - b.tick || (a.type === 'noteOff' ? -1 : 0) - (b.type === 'noteOff' ? -1 : 0)
+      ));
+      
+      let lastTick = 0;
+      sortedEvents.forEach(event => {
+        const deltaTime = event.tick - lastTick;
+        lastTick = event.tick;
+        
+        if (event.type === 'noteOn') {
+          trackEvents.push({
+            deltaTime: deltaTime,
+            type: 0x90 | event.channel, // Note On
+            data: [event.note, event.velocity]
+          });
+        } else if (event.type === 'noteOff') {
+          trackEvents.push({
+            deltaTime: deltaTime,
+            type: 0x80 | event.channel, // Note Off
+            data: [event.note, event.velocity]
+          });
+        }
+      });
+      
+      // End of track
+      trackEvents.push({
+        deltaTime: 0,
+        type: 0xFF, // Meta event
+        metaType: 0x2F, // End of track
+        data: []
+      });
+      chunks.push(this._encodeMIDITrackChunk(trackEvents));
+    });
     
-    return new Blob([midiFile], { type: 'audio/midi' });
+    return new Blob([header, ...chunks], { type: 'audio/midi' });
+  }
+
+  /**
+   * Build one MIDI track per audible tracked element by evaluating its pattern and
+   * walking queryArc over the requested cycles. Onsets, durations, velocities (from
+   * gain/velocity) and channels come from the haps themselves. Samples without a GM drum
+   * note are left out and listed in skippedSounds.
+   * @param {Object} options - { bars, soloedElements, mutedElements }
+   * @returns {Promise<{tracks: Array, tempo: number, skippedSounds: string[]}>}
+   */
+  async buildMIDIExportTracks(options = {}) {
+    const { bars } = this._normalizeOfflineExportOptions(options);
+    if (!this.strudelLoaded) {
+      await this.initializeStrudelAndSounds();
+    }
+
+    const channels = await this.getOfflineRenderChannels(options);
+    if (channels.length === 0) {
+      throw new Error('No master pattern to export');
+    }
+
+    const prepared = channels.map((channel) => ({ ...channel, ...this._prepareExportPatternCode(channel.code) }));
+    const cps = prepared[0].cps;
+    // One cycle is one bar, so its length in quarter notes follows the time signature (6/8 = 3)
+    const { totalSteps } = getTimeSignatureMetrics(this.currentTimeSignature || '4/4');
+    const quartersPerCycle = totalSteps / 4;
+    const ticksPerCycle = MIDI_TICKS_PER_QUARTER * quartersPerCycle;
+    const tempo = cps * 60 * quartersPerCycle;
+    const skippedSounds = new Set();
+    const melodicChannels = Array.from({ length: 16 }, (_, index) => index).filter(index => index !== GM_DRUM_CHANNEL);
+
+    const tracks = [];
+    for (let index = 0; index < prepared.length; index++) {
+      const channel = prepared[index];
+      const pattern = await this._evaluatePatternForExport(channel.code);
+      const midiSettings = this.appInstance?.getElementMidiSettings?.(channel.elementId);
+      const defaultChannel = midiSettings?.enabled
+        ? Math.max(0, Math.min(15, midiSettings.channel - 1))
+        : melodicChannels[index % melodicChannels.length];
+
+      const events = [];
+      collectOnsetHaps(pattern, 0, bars).forEach((hap) => {
+        const midiNote = this._hapValueToMidiNote(hap.value);
+        if (!midiNote) return;
+        if (midiNote.unmapped) {
+          skippedSounds.add(String(hap.value?.s ?? hap.value?.sound));
+          return;
+        }
+        const midiChannel = midiNote.channel ?? defaultChannel;
+        const wholeBegin = toCycleNumber(hap.whole?.begin);
+        const wholeEnd = toCycleNumber(hap.whole?.end);
+        const startTick = Math.round(wholeBegin * ticksPerCycle);
+        const endTick = Math.max(startTick + 1, Math.round(wholeEnd * ticksPerCycle));
+
+        events.push({ type: 'noteOn', tick: startTick, channel: midiChannel, note: midiNote.note, velocity: midiNote.velocity });
+        events.push({ type: 'noteOff', tick: endTick, channel: midiChannel, note: midiNote.note, velocity: 0 });
+      });
+
+      const title = this.appInstance?.loadElementConfig?.(channel.elementId)?.title;
+      const channelNumber = this.extractChannelNumber(channel.elementId, index);
+      tracks.push({
+        name: title ? `Channel ${channelNumber} - ${title}` : `Channel ${channelNumber}`,
+        events
+      });
+    }
+
+    return { tracks, tempo, skippedSounds: Array.from(skippedSounds) };
+  }
+
+  /**
+   * Export the master mix as a multi-track MIDI file
+   * @param {Object} options - { bars, soloedElements, mutedElements }
+   */
+  async exportMIDIFile(options = {}) {
+    try {
+      if (!this.masterPattern || this.masterPattern.trim() === '') {
+        return { success: false, error: 'No master pattern to export' };
+      }
+      const { tracks, tempo, skippedSounds } = await this.buildMIDIExportTracks(options);
+      const midiBlob = this.createMIDIFile(tracks, {
+        tempo,
+        timeSignature: this.currentTimeSignature || '4/4',
+        name: 'Strudesk Master'
+      });
+      this.downloadBlob(midiBlob, 'master-pattern.mid', 'audio/midi');
+      console.log(`✅ Exported ${tracks.length} MIDI tracks (${midiBlob.size} bytes)`);
+      if (skippedSounds.length > 0) {
+        return {
+          success: true,
+          format: 'mid',
+          warning: `These samples have no General MIDI drum note and were left out: ${skippedSounds.join(', ')}`
+        };
+      }
+      return { success: true, format: 'mid' };
+    } catch (error) {
+      console.error(`❌ Error exporting MIDI:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Live stereo stream of the master output (after the master gain), e.g. for recording video clips
+   * @returns {{stream: MediaStream, release: Function}|null} - call release() when done to disconnect the tap
+   */
+  createMasterAudioStream() {
+    if (!this.audioContext || !this.masterGainNode || typeof this.audioContext.createMediaStreamDestination !== 'function') {
+      return null;
+    }
+    const destination = this.audioContext.createMediaStreamDestination();
+    const source = this.masterGainNode;
+    source.connect(destination);
+    return {
+      stream: destination.stream,
+      release: () => {
+        try {
+          source.disconnect(destination);
+        } catch {
+          // Already disconnected
+        }
+      }
+    };
   }
 
   /**
@@ -12655,9 +13656,10 @@ class SoundManager {
   }
 
   /**
-   * Export audio as WAV using OfflineAudioContext (better quality)
+   * Export audio as WAV using OfflineAudioContext
+   * @param {Object} options - { bars, sampleRate, tailSeconds }
    */
-  async exportAudioWAVOffline(duration = 16, sampleRate = 44100) {
+  async exportAudioWAVOffline(options = {}) {
     try {
       console.log(`📦 Exporting master pattern as WAV using OfflineAudioContext...`);
       
@@ -12665,16 +13667,21 @@ class SoundManager {
         return { success: false, error: 'No master pattern to export' };
       }
 
-      // Ensure Strudel is initialized
-      if (!this.strudelLoaded) {
-        await this.initializeStrudelAndSounds();
-      }
+      const startedAt = performance.now();
+      const { buffer, bars, scheduled, skippedSounds } = await this.renderMasterOffline(options);
+      const wavBlob = this.audioBufferToWAV(buffer);
+      console.log(`✅ Rendered ${bars} bars (${buffer.duration.toFixed(1)}s, ${scheduled} events) in ${Math.round(performance.now() - startedAt)}ms`);
 
-      // Note: This is a simplified implementation
-      // Full implementation would require capturing Strudel's audio output
-      // For now, we'll use the MediaRecorder approach which works with live audio
-      return await this.exportAudioMediaRecorder(duration);
-      
+      this.downloadBlob(wavBlob, 'master-pattern.wav', 'audio/wav');
+
+      if (skippedSounds.length > 0) {
+        return {
+          success: true,
+          format: 'wav',
+          warning: `These sounds cannot be rendered offline and were left out: ${skippedSounds.join(', ')}`
+        };
+      }
+      return { success: true, format: 'wav' };
     } catch (error) {
       console.error(`❌ Error exporting WAV offline:`, error);
       return { success: false, error: error.message };
@@ -3,8 +3,8 @@
  * Provides syntax highlighting, autocomplete, and Strudel REPL features
  */
 
-import { EditorView, lineNumbers, keymap, Decoration } from '@codemirror/view';
-import { EditorState, EditorSelection, StateEffect, StateField } from '@codemirror/state';
+import { EditorView, lineNumbers, keymap, Decoration, WidgetType } from '@codemirror/view';
+import { Annotation, Compartment, EditorState, EditorSelection, StateEffect, StateField, Transaction } from '@codemirror/state';
 import { javascript, javascriptLanguage } from '@codemirror/lang-javascript';
 import { oneDark } from '@codemirror/theme-one-dark';
 import { defaultKeymap, history, historyKeymap } from '@codemirror/commands';
@@ -39,6 +39,56 @@ const highlightField = StateField.define({
 
 const highlightDecoration = Decoration.mark({ class: 'cm-master-highlight' });
 
+// Changes coming from collaborators are tagged so they are not echoed back as local edits
+const remoteChangeAnnotation = Annotation.define();
+const setRemoteCursorsEffect = StateEffect.define();
+
+const remoteCursorField = StateField.define({
+  create() {
+    return Decoration.none;
+  },
+  update(value, tr) {
+    if (tr.docChanged) {
+      value = value.map(tr.changes);
+    }
+    for (const effect of tr.effects) {
+      if (effect.is(setRemoteCursorsEffect)) {
+        return effect.value;
+      }
+    }
+    return value;
+  },
+  provide: field => EditorView.decorations.from(field)
+});
+
+class RemoteCaretWidget extends WidgetType {
+  constructor(color, label) {
+    super();
+    this.color = color;
+    this.label = label;
+  }
+
+  eq(other) {
+    return other.color === this.color && other.label === this.label;
+  }
+
+  toDOM() {
+    const caret = document.createElement('span');
+    caret.className = 'cm-remote-caret';
+    caret.style.borderLeftColor = this.color;
+    const label = document.createElement('span');
+    label.className = 'cm-remote-caret-label';
+    label.style.backgroundColor = this.color;
+    label.textContent = this.label;
+    caret.appendChild(label);
+    return caret;
+  }
+
+  ignoreEvent() {
+    return true;
+  }
+}
+
 /**
  * Create a Strudel REPL editor from a textarea element
  * @param {HTMLTextAreaElement} textarea - The textarea element to replace
@@ -589,6 +639,82 @@ export function setStrudelEditorHighlights(textareaOrId, ranges = []) {
   }
 }
 
+/**
+ * Bind a CodeMirror editor (createStrudelReplEditor or strudel-editor) to a collaborative document.
+ * Local edits are reported as { from, to, insert } changes in start-document coordinates;
+ * remote changes and collaborators' cursors are pushed in through the returned controller.
+ * @param {HTMLTextAreaElement|HTMLElement|string} textareaOrId
+ * @param {{ onLocalChanges?: Function, onSelectionChange?: Function }} handlers
+ * @returns {Object|null} - { getValue, getSelection, applyRemoteChanges, setRemoteCursors, destroy }
+ */
+export function bindCollaborativeEditor(textareaOrId, { onLocalChanges = null, onSelectionChange = null } = {}) {
+  const editor = getStrudelEditor(textareaOrId);
+  const view = editor?.editor?.state ? editor.editor : editor;
+  if (!view?.state || typeof view.dispatch !== 'function') {
+    return null;
+  }
+
+  const selectionRanges = (state) => state.selection.ranges.map(range => ({ anchor: range.anchor, head: range.head }));
+  const compartment = new Compartment();
+  const listener = EditorView.updateListener.of((update) => {
+    update.transactions.forEach((tr) => {
+      if (!tr.docChanged || tr.annotation(remoteChangeAnnotation)) {
+        return;
+      }
+      const changes = [];
+      tr.changes.iterChanges((fromA, toA, _fromB, _toB, inserted) => {
+        changes.push({ from: fromA, to: toA, insert: inserted.toString() });
+      });
+      onLocalChanges?.(changes, tr.startState.doc.length);
+    });
+    if ((update.selectionSet || update.docChanged) && onSelectionChange) {
+      onSelectionChange(selectionRanges(update.state));
+    }
+  });
+  view.dispatch({ effects: StateEffect.appendConfig.of(compartment.of([remoteCursorField, listener])) });
+
+  return {
+    getValue: () => view.state.doc.toString(),
+    getSelection: () => selectionRanges(view.state),
+    applyRemoteChanges(changes) {
+      if (!changes.length) return;
+      view.dispatch({
+        changes,
+        // Undo should only walk back this user's own edits
+        annotations: [remoteChangeAnnotation.of(true), Transaction.addToHistory.of(false)]
+      });
+    },
+    /**
+     * @param {Array<{from: number, to: number, head: number, color: string, label: string}>} cursors
+     */
+    setRemoteCursors(cursors = []) {
+      const length = view.state.doc.length;
+      const clamp = value => Math.max(0, Math.min(length, value));
+      const ranges = [];
+      cursors.forEach((cursor) => {
+        const from = clamp(cursor.from);
+        const to = clamp(cursor.to);
+        if (to > from) {
+          ranges.push(Decoration.mark({
+            class: 'cm-remote-selection',
+            attributes: { style: `background-color: ${cursor.color}33` }
+          }).range(from, to));
+        }
+        ranges.push(Decoration.widget({
+          widget: new RemoteCaretWidget(cursor.color, cursor.label),
+          side: 1
+        }).range(clamp(cursor.head)));
+      });
+      view.dispatch({ effects: setRemoteCursorsEffect.of(Decoration.set(ranges, true)) });
+    },
+    destroy() {
+      view.dispatch({
+        effects: [setRemoteCursorsEffect.of(Decoration.none), compartment.reconfigure([])]
+      });
+    }
+  };
+}
+
 /**
  * Insert a snippet into a Strudel editor at the current cursor position.
  * Falls back to textarea operations if CodeMirror is unavailable.
@@ -0,0 +1,105 @@
+/**
+ * Records a canvas and an audio stream together into a WebM clip with MediaRecorder.
+ */
+
+const CLIP_MIME_TYPES = [
+  'video/webm;codecs=vp9,opus',
+  'video/webm;codecs=vp8,opus',
+  'video/webm'
+];
+const CLIP_VIDEO_BITS_PER_SECOND = 6_000_000;
+const CLIP_AUDIO_BITS_PER_SECOND = 192_000;
+
+export function getSupportedClipMimeType() {
+  if (typeof MediaRecorder === 'undefined') {
+    return null;
+  }
+  return CLIP_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null;
+}
+
+/**
+ * Record `canvas` plus `audioStream` for `durationMs`, starting after `startDelayMs`
+ * (the caller lines that up with a cycle boundary so the clip loops cleanly).
+ * @param {Object} options
+ * @param {HTMLCanvasElement} options.canvas
+ * @param {MediaStream} options.audioStream
+ * @param {number} options.durationMs
+ * @param {number} [options.startDelayMs=0]
+ * @param {number} [options.fps=30]
+ * @param {Function} [options.onStart] - called when recording actually begins
+ * @param {AbortSignal} [options.signal] - abort to stop early; the part recorded so far is kept
+ * @returns {Promise<{success: boolean, blob?: Blob, mimeType?: string, error?: string}>}
+ */
+export function recordCanvasClip({ canvas, audioStream, durationMs, startDelayMs = 0, fps = 30, onStart = null, signal = null }) {
+  const mimeType = getSupportedClipMimeType();
+  if (!mimeType) {
+    return Promise.resolve({ success: false, error: 'This browser cannot record WebM video' });
+  }
+  if (signal?.aborted) {
+    return Promise.resolve({ success: false, error: 'Recording cancelled' });
+  }
+  if (!canvas?.captureStream) {
+    return Promise.resolve({ success: false, error: 'The visualizer canvas cannot be captured in this browser' });
+  }
+
+  const videoStream = canvas.captureStream(fps);
+  const stream = new MediaStream([
+    ...videoStream.getVideoTracks(),
+    ...(audioStream?.getAudioTracks() || [])
+  ]);
+  const recorder = new MediaRecorder(stream, {
+    mimeType,
+    videoBitsPerSecond: CLIP_VIDEO_BITS_PER_SECOND,
+    audioBitsPerSecond: CLIP_AUDIO_BITS_PER_SECOND
+  });
+  const chunks = [];
+
+  return new Promise((resolve) => {
+    let startTimer = null;
+    let stopTimer = null;
+    const finish = (result) => {
+      clearTimeout(startTimer);
+      clearTimeout(stopTimer);
+      videoStream.getTracks().forEach(track => track.stop());
+      resolve(result);
+    };
+
+    recorder.ondataavailable = (event) => {
+      if (event.data?.size) {
+        chunks.push(event.data);
+      }
+    };
+    recorder.onstop = () => {
+      if (!chunks.length) {
+        finish({ success: false, error: 'Nothing was recorded' });
+        return;
+      }
+      finish({ success: true, blob: new Blob(chunks, { type: mimeType }), mimeType });
+    };
+    recorder.onerror = (event) => {
+      finish({ success: false, error: event.error?.message || 'Recording failed' });
+    };
+
+    signal?.addEventListener('abort', () => {
+      if (recorder.state === 'recording') {
+        recorder.stop();
+      } else {
+        finish({ success: false, error: 'Recording cancelled' });
+      }
+    }, { once: true });
+
+    startTimer = setTimeout(() => {
+      if (signal?.aborted) {
+        finish({ success: false, error: 'Recording cancelled' });
+        return;
+      }
+      recorder.start(1000);
+      onStart?.();
+      stopTimer = setTimeout(() => {
+        if (recorder.state === 'recording') {
+          recorder.stop();
+        }
+      }, durationMs);
+    }, Math.max(0, startDelayMs));
+  });
+}
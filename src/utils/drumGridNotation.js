@@ -0,0 +1,313 @@
+/**
+ * Drum grid <-> Strudel mini-notation.
+ * A grid is an array of steps; each step maps a row key to a hit:
+ *   { sound, velocity, probability, ratchet, nudge }
+ * which is written as mini-notation per step:
+ *   ratchet     -> bd*3          (repeats inside the step)
+ *   probability -> bd?0.25       (degradeBy: chance the hit is dropped; a bare ? is 50%)
+ *   nudge       -> [~ bd@3]      (late by a fraction of the step, here 1/4)
+ *   velocity    -> .gain("...")  (one value per step; rows are stacked when any hit is not at full velocity)
+ * Simultaneous hits share a step as [bd,hh].
+ */
+
+export const DRUM_HIT_MAX_RATCHET = 8;
+export const DRUM_HIT_MAX_NUDGE = 0.75;
+
+const HIT_PATTERN = /^([A-Za-z_][\w.-]*(?::\d+)?)((?:\*\d+|\?(?:\d*\.?\d+)?)*)$/;
+const HIT_OP_PATTERN = /\*(\d+)|\?(\d*\.?\d+)?/g;
+const REST_PATTERN = /^~(?:@(\d*\.?\d+))?$/;
+const WEIGHT_PATTERN = /^(.*?)@(\d*\.?\d+)$/;
+const REPLICATE_PATTERN = /^(.+)!(\d+)$/;
+const NUMBER_PATTERN = /^-?\d*\.?\d+$/;
+// Only double quotes and backticks are parsed as mini-notation; a single-quoted s('...') is a plain string
+const SOUND_CALL_PATTERN = /\b(?:s|sound)\(\s*(["`])([^"`]*)\1\s*\)(?:\.gain\(\s*(?:(["`])([^"`]*)\3|(\d*\.?\d+))\s*\))?/g;
+const BANK_CALL_PATTERN = /\.bank\(\s*(["'`])[^"'`]*\1\s*\)/g;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+const roundTo = (value, digits = 2) => Number(value.toFixed(digits));
+const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+
+export function createDrumHit(sound, overrides = {}) {
+  return {
+    sound,
+    velocity: 1,
+    probability: 1,
+    ratchet: 1,
+    nudge: 0,
+    ...overrides
+  };
+}
+
+/**
+ * Split on `separator` (a single character, or whitespace when omitted) outside of brackets
+ */
+function splitTopLevel(text, separator = null) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of text) {
+    if ('[{<('.includes(char)) depth += 1;
+    if (']}>)'.includes(char)) depth -= 1;
+    const isSeparator = separator ? char === separator : /\s/.test(char);
+    if (depth === 0 && isSeparator) {
+      if (current.trim()) parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+function isWrappedInBrackets(text) {
+  if (!text.startsWith('[') || !text.endsWith(']')) return false;
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '[') depth += 1;
+    if (text[i] === ']') depth -= 1;
+    if (depth === 0 && i < text.length - 1) return false;
+  }
+  return true;
+}
+
+/**
+ * Hits of one step, [] for a rest, or null when the step uses notation the grid can't show
+ */
+function parseStepItem(text) {
+  const item = text.trim();
+  if (item === '~' || item === '-') {
+    return [];
+  }
+  if (isWrappedInBrackets(item)) {
+    const inner = item.slice(1, -1).trim();
+    const layers = splitTopLevel(inner, ',');
+    if (layers.length > 1) {
+      const hits = layers.map(parseStepItem);
+      return hits.some(layer => layer === null) ? null : hits.flat();
+    }
+    const sequence = splitTopLevel(inner);
+    if (sequence.length === 1) {
+      return parseStepItem(sequence[0]);
+    }
+    const rest = sequence.length === 2 ? sequence[0].match(REST_PATTERN) : null;
+    if (!rest) {
+      return null;
+    }
+    const weighted = sequence[1].match(WEIGHT_PATTERN);
+    const restWeight = Number(rest[1] || 1);
+    const hitWeight = Number(weighted ? weighted[2] : 1);
+    const hits = parseStepItem(weighted ? weighted[1] : sequence[1]);
+    if (!hits || !(restWeight > 0) || !(hitWeight > 0)) {
+      return null;
+    }
+    const nudge = roundTo(restWeight / (restWeight + hitWeight));
+    return hits.map(hit => ({ ...hit, nudge: clamp(nudge, 0, DRUM_HIT_MAX_NUDGE) }));
+  }
+
+  const match = item.match(HIT_PATTERN);
+  if (!match) {
+    return null;
+  }
+  const hit = createDrumHit(match[1]);
+  for (const [, ratchet, degrade] of match[2].matchAll(HIT_OP_PATTERN)) {
+    if (ratchet !== undefined) {
+      hit.ratchet = clamp(Number(ratchet) || 1, 1, DRUM_HIT_MAX_RATCHET);
+    } else {
+      const amount = degrade === undefined ? 0.5 : Number(degrade);
+      hit.probability = roundTo(clamp(1 - amount, 0, 1));
+    }
+  }
+  return [hit];
+}
+
+/**
+ * Steps of one s("...") sequence (with `x!n` and `!` replication expanded), or null
+ */
+function parseStepSequence(sequence) {
+  const steps = [];
+  for (const token of splitTopLevel(sequence.trim())) {
+    if (token === '!') {
+      if (!steps.length) return null;
+      steps.push(steps[steps.length - 1].map(hit => ({ ...hit })));
+      continue;
+    }
+    const replicated = token.match(REPLICATE_PATTERN);
+    const hits = parseStepItem(replicated ? replicated[1] : token);
+    if (!hits) {
+      return null;
+    }
+    const count = replicated ? Math.max(1, Number(replicated[2])) : 1;
+    for (let i = 0; i < count; i++) {
+      steps.push(hits.map(hit => ({ ...hit })));
+    }
+  }
+  return steps;
+}
+
+/**
+ * Per-step velocities from a .gain() argument; null entries are rests
+ */
+function parseGainSequence(sequence, stepCount) {
+  const tokens = splitTopLevel(String(sequence).trim());
+  if (tokens.length === 1 && NUMBER_PATTERN.test(tokens[0])) {
+    return new Array(stepCount).fill(Number(tokens[0]));
+  }
+  if (tokens.length !== stepCount || tokens.some(token => token !== '~' && !NUMBER_PATTERN.test(token))) {
+    return null;
+  }
+  return tokens.map(token => (token === '~' ? null : Number(token)));
+}
+
+/**
+ * Read a drum pattern written by hand or by serializeDrumGrid.
+ * @param {string} pattern - e.g. s("bd*2 ~ [bd,hh?] ~").bank("RolandTR909") or a stack() of rows
+ * @param {Function} resolveRow - sound name (e.g. 'kick', 'sd:2') -> grid row key
+ * @returns {{steps: Array<Object>, exact: boolean}|null} null when there is no s()/sound() sequence;
+ *   exact is false when part of the pattern could not be shown and would be lost on the next grid edit
+ */
+export function parseDrumGridPattern(pattern, resolveRow) {
+  if (!pattern || typeof pattern !== 'string') {
+    return null;
+  }
+  const calls = [...pattern.matchAll(SOUND_CALL_PATTERN)];
+  if (!calls.length) {
+    return null;
+  }
+
+  let exact = true;
+  let steps = null;
+  calls.forEach((call) => {
+    const rowSteps = parseStepSequence(call[2]);
+    if (!rowSteps || !rowSteps.length || (steps && rowSteps.length !== steps.length)) {
+      exact = false;
+      return;
+    }
+    const gainSource = call[4] ?? call[5];
+    const gains = gainSource !== undefined ? parseGainSequence(gainSource, rowSteps.length) : null;
+    if (gainSource !== undefined && !gains) {
+      exact = false;
+    }
+    if (!steps) {
+      steps = rowSteps.map(() => ({}));
+    }
+    rowSteps.forEach((hits, index) => {
+      hits.forEach((hit) => {
+        const key = resolveRow(hit.sound);
+        if (steps[index][key]) {
+          exact = false;
+          return;
+        }
+        const velocity = gains?.[index];
+        steps[index][key] = Number.isFinite(velocity) ? { ...hit, velocity: roundTo(Math.max(velocity, 0)) } : hit;
+      });
+    });
+  });
+
+  const leftover = pattern
+    .replace(SOUND_CALL_PATTERN, '')
+    .replace(BANK_CALL_PATTERN, '')
+    .replace(/\bstack\(/g, '')
+    .replace(/[(),\s]/g, '');
+  if (leftover) {
+    exact = false;
+  }
+  return { steps: steps || [], exact };
+}
+
+/**
+ * Lay parsed steps onto a grid of `stepsPerBar` steps per bar. A sequence that divides the bar evenly
+ * is spread out (s("bd sd") on 16 steps, with ratchets and nudges turned into hits where they land on
+ * grid steps: bd*4 -> four hits); anything else is padded with rests and reported as inexact.
+ * @returns {{steps: Array<Object>, exact: boolean}}
+ */
+export function fitDrumStepsToGrid(steps, stepsPerBar) {
+  if (!steps.length || steps.length % stepsPerBar === 0) {
+    return { steps, exact: true };
+  }
+  const factor = stepsPerBar / steps.length;
+  const spread = Array.from({ length: stepsPerBar }, () => ({}));
+  const fits = Number.isInteger(factor) && steps.every((step, index) => (
+    Object.entries(step).every(([key, hit]) => {
+      const offset = (hit.nudge || 0) * factor;
+      const spacing = factor / hit.ratchet;
+      if (!Number.isInteger(offset) || !Number.isInteger(spacing) || (offset && hit.ratchet > 1)) {
+        return false;
+      }
+      for (let repeat = 0; repeat < hit.ratchet; repeat++) {
+        spread[index * factor + offset + repeat * spacing][key] = { ...hit, ratchet: 1, nudge: 0 };
+      }
+      return true;
+    })
+  ));
+  if (fits) {
+    return { steps: spread, exact: true };
+  }
+  const padded = [...steps];
+  while (padded.length % stepsPerBar !== 0) {
+    padded.push({});
+  }
+  return { steps: padded, exact: false };
+}
+
+function formatHit(hit) {
+  let text = hit.sound;
+  if (hit.ratchet > 1) {
+    text += `*${hit.ratchet}`;
+  }
+  if (hit.probability < 1) {
+    const amount = roundTo(1 - hit.probability);
+    text += amount === 0.5 ? '?' : `?${amount}`;
+  }
+  const nudgePercent = Math.round(clamp(hit.nudge || 0, 0, DRUM_HIT_MAX_NUDGE) * 100);
+  if (nudgePercent > 0) {
+    const divisor = gcd(nudgePercent, 100 - nudgePercent);
+    const restWeight = nudgePercent / divisor;
+    const hitWeight = (100 - nudgePercent) / divisor;
+    text = `[~${restWeight === 1 ? '' : `@${restWeight}`} ${text}${hitWeight === 1 ? '' : `@${hitWeight}`}]`;
+  }
+  return text;
+}
+
+function formatStep(hits) {
+  if (!hits.length) return '~';
+  if (hits.length === 1) return formatHit(hits[0]);
+  return `[${hits.map(formatHit).join(',')}]`;
+}
+
+/**
+ * Write grid steps back as a pattern: one s("...") sequence while every hit is at full velocity,
+ * otherwise a stack() with one sequence (and its .gain()) per row
+ * @param {Array<Object>} steps
+ * @param {Array<{key: string}>} rows - row order
+ * @param {Object} [options]
+ * @param {string} [options.bank]
+ */
+export function serializeDrumGrid(steps, rows, { bank = '' } = {}) {
+  const rowKeys = rows.map(row => row.key);
+  steps.forEach((step) => {
+    Object.keys(step).forEach((key) => {
+      if (!rowKeys.includes(key)) rowKeys.push(key);
+    });
+  });
+  const bankSuffix = bank ? `.bank("${bank}")` : '';
+  const usesVelocity = steps.some(step => Object.values(step).some(hit => hit.velocity !== 1));
+
+  if (!usesVelocity) {
+    const sequence = steps.map(step => formatStep(rowKeys.map(key => step[key]).filter(Boolean))).join(' ');
+    return `s("${sequence}")${bankSuffix}`;
+  }
+
+  const rowPatterns = rowKeys
+    .filter(key => steps.some(step => step[key]))
+    .map((key) => {
+      const sequence = steps.map(step => (step[key] ? formatHit(step[key]) : '~')).join(' ');
+      const needsGain = steps.some(step => step[key] && step[key].velocity !== 1);
+      const gains = steps.map(step => (step[key] ? String(roundTo(step[key].velocity)) : '~')).join(' ');
+      return `s("${sequence}")${needsGain ? `.gain("${gains}")` : ''}`;
+    });
+  if (rowPatterns.length === 1) {
+    return `${rowPatterns[0]}${bankSuffix}`;
+  }
+  return `stack(\n${rowPatterns.map(rowPattern => `  ${rowPattern}`).join(',\n')}\n)${bankSuffix}`;
+}
@@ -0,0 +1,294 @@
+/**
+ * Standard MIDI file reader + converter to quantized Strudel mini-notation.
+ * Runs in the browser so .mid files can be dropped straight into the element modal.
+ */
+
+import { GM_DRUM_CHANNEL, GM_DRUM_MAP, GM_DRUM_NOTE_ALIASES } from '../constants/midi.js';
+
+const NOTE_NAMES = ['c', 'c#', 'd', 'd#', 'e', 'f', 'f#', 'g', 'g#', 'a', 'a#', 'b'];
+
+// First (shortest) Strudel name for every mapped GM note, e.g. 36 -> 'bd'
+const GM_NOTE_TO_DRUM = Object.entries(GM_DRUM_MAP).reduce((map, [name, note]) => {
+  if (!(note in map)) {
+    map[note] = name;
+  }
+  return map;
+}, {});
+
+export function midiToNoteName(midi) {
+  const rounded = Math.round(midi);
+  return `${NOTE_NAMES[((rounded % 12) + 12) % 12]}${Math.floor(rounded / 12) - 1}`;
+}
+
+export function midiToDrumName(midi) {
+  return GM_NOTE_TO_DRUM[midi] || GM_NOTE_TO_DRUM[GM_DRUM_NOTE_ALIASES[midi]] || null;
+}
+
+function readVariableLength(view, offset) {
+  let value = 0;
+  let position = offset;
+  let byte;
+  do {
+    byte = view.getUint8(position++);
+    value = (value << 7) | (byte & 0x7F);
+  } while (byte & 0x80);
+  return { value, length: position - offset };
+}
+
+function readChunkId(view, offset) {
+  return String.fromCharCode(
+    view.getUint8(offset),
+    view.getUint8(offset + 1),
+    view.getUint8(offset + 2),
+    view.getUint8(offset + 3)
+  );
+}
+
+function parseTrack(view, start, end) {
+  const track = { name: '', notes: [], tempos: [], timeSignatures: [] };
+  const openNotes = new Map();
+  let position = start;
+  let tick = 0;
+  let runningStatus = null;
+
+  const closeNote = (channel, note, atTick) => {
+    const key = `${channel}:${note}`;
+    const stack = openNotes.get(key);
+    if (!stack || stack.length === 0) return;
+    const started = stack.shift();
+    track.notes.push({
+      tick: started.tick,
+      duration: Math.max(0, atTick - started.tick),
+      note,
+      velocity: started.velocity,
+      channel
+    });
+  };
+
+  while (position < end) {
+    const delta = readVariableLength(view, position);
+    position += delta.length;
+    tick += delta.value;
+
+    let status = view.getUint8(position);
+    if (status & 0x80) {
+      position++;
+    } else if (runningStatus !== null) {
+      status = runningStatus;
+    } else {
+      throw new Error('Invalid MIDI data (missing status byte)');
+    }
+
+    if (status === 0xFF) {
+      const metaType = view.getUint8(position++);
+      const length = readVariableLength(view, position);
+      position += length.length;
+      const dataStart = position;
+      position += length.value;
+
+      if (metaType === 0x03) {
+        const bytes = new Uint8Array(view.buffer, view.byteOffset + dataStart, length.value);
+        track.name = new TextDecoder().decode(bytes).trim();
+      } else if (metaType === 0x51 && length.value === 3) {
+        const microsecondsPerQuarter = (view.getUint8(dataStart) << 16) | (view.getUint8(dataStart + 1) << 8) | view.getUint8(dataStart + 2);
+        if (microsecondsPerQuarter > 0) {
+          track.tempos.push({ tick, bpm: 60000000 / microsecondsPerQuarter });
+        }
+      } else if (metaType === 0x58 && length.value >= 2) {
+        track.timeSignatures.push({
+          tick,
+          numerator: view.getUint8(dataStart),
+          denominator: Math.pow(2, view.getUint8(dataStart + 1))
+        });
+      } else if (metaType === 0x2F) {
+        break;
+      }
+      continue;
+    }
+
+    if (status === 0xF0 || status === 0xF7) {
+      const length = readVariableLength(view, position);
+      position += length.length + length.value;
+      continue;
+    }
+
+    runningStatus = status;
+    const type = status & 0xF0;
+    const channel = status & 0x0F;
+    const dataLength = type === 0xC0 || type === 0xD0 ? 1 : 2;
+    const data1 = view.getUint8(position);
+    const data2 = dataLength === 2 ? view.getUint8(position + 1) : 0;
+    position += dataLength;
+
+    if (type === 0x90 && data2 > 0) {
+      const key = `${channel}:${data1}`;
+      if (!openNotes.has(key)) openNotes.set(key, []);
+      openNotes.get(key).push({ tick, velocity: data2 });
+    } else if (type === 0x80 || type === 0x90) {
+      closeNote(channel, data1, tick);
+    }
+  }
+
+  // Notes still held at the end of the track last until the final tick
+  openNotes.forEach((stack, key) => {
+    const [channel, note] = key.split(':').map(Number);
+    while (stack.length > 0) {
+      closeNote(channel, note, tick);
+    }
+  });
+
+  track.notes.sort((a, b) => a.tick - b.tick || a.note - b.note);
+  return track;
+}
+
+/**
+ * Parse a Standard MIDI File (format 0 or 1)
+ * @param {ArrayBuffer} arrayBuffer - Raw .mid file contents
+ * @returns {{format: number, ticksPerQuarter: number, tempo: number|null, timeSignature: {numerator: number, denominator: number}, tracks: Array}}
+ */
+export function parseMIDIFile(arrayBuffer) {
+  const view = new DataView(arrayBuffer);
+  if (view.byteLength < 14 || readChunkId(view, 0) !== 'MThd') {
+    throw new Error('Not a Standard MIDI file');
+  }
+
+  const headerLength = view.getUint32(4);
+  const format = view.getUint16(8);
+  const trackCount = view.getUint16(10);
+  const division = view.getUint16(12);
+  if (division & 0x8000) {
+    throw new Error('SMPTE-timed MIDI files are not supported');
+  }
+
+  const tracks = [];
+  let offset = 8 + headerLength;
+  while (offset + 8 <= view.byteLength && tracks.length < trackCount) {
+    const chunkId = readChunkId(view, offset);
+    const chunkLength = view.getUint32(offset + 4);
+    const chunkStart = offset + 8;
+    const chunkEnd = Math.min(view.byteLength, chunkStart + chunkLength);
+    if (chunkId === 'MTrk') {
+      tracks.push(parseTrack(view, chunkStart, chunkEnd));
+    }
+    offset = chunkEnd;
+  }
+
+  const tempos = tracks.flatMap((track) => track.tempos).sort((a, b) => a.tick - b.tick);
+  const timeSignatures = tracks.flatMap((track) => track.timeSignatures).sort((a, b) => a.tick - b.tick);
+
+  return {
+    format,
+    ticksPerQuarter: division,
+    tempo: tempos.length > 0 ? tempos[0].bpm : null,
+    tempoChanges: tempos.length,
+    timeSignature: timeSignatures[0] || { numerator: 4, denominator: 4 },
+    tracks
+  };
+}
+
+/**
+ * Split parsed tracks into importable parts: one per track, further split per channel
+ * so format-0 files (everything on one track) still become separate elements.
+ */
+export function splitMIDIParts(parsed) {
+  const parts = [];
+  parsed.tracks.forEach((track, trackIndex) => {
+    const byChannel = new Map();
+    track.notes.forEach((note) => {
+      if (!byChannel.has(note.channel)) byChannel.set(note.channel, []);
+      byChannel.get(note.channel).push(note);
+    });
+    byChannel.forEach((notes, channel) => {
+      const baseName = track.name || `Track ${trackIndex + 1}`;
+      parts.push({
+        name: byChannel.size > 1 ? `${baseName} (ch ${channel + 1})` : baseName,
+        channel,
+        isDrums: channel === GM_DRUM_CHANNEL,
+        notes
+      });
+    });
+  });
+  return parts;
+}
+
+function formatWeight(steps) {
+  return steps === 1 ? '' : `@${steps}`;
+}
+
+/**
+ * Convert one part to quantized Strudel code: note("...") for melodic parts, s("...") for drums.
+ * Notes starting on the same step become chords [a,b,c]; each event lasts until its quantized
+ * end (or the next onset, whichever comes first) and gaps become ~ rests, all as @ weights.
+ * One cycle is one bar, so multi-bar parts are slowed by their bar count.
+ * @param {Object} part - From splitMIDIParts
+ * @param {Object} options - { ticksPerQuarter, timeSignature, stepsPerQuarter, bars, fn, tokenForNote }
+ *   bars fixes the length (later notes are dropped); tokenForNote(midi) may return null to skip a note
+ * @returns {{code: string, bars: number, skipped: number}|null}
+ */
+export function midiPartToPattern(part, options = {}) {
+  const { ticksPerQuarter = 480, timeSignature = { numerator: 4, denominator: 4 }, stepsPerQuarter = 4 } = options;
+  const defaultToken = part.isDrums ? midiToDrumName : midiToNoteName;
+  const tokenForNote = options.tokenForNote || defaultToken;
+  const ticksPerStep = ticksPerQuarter / stepsPerQuarter;
+  const quartersPerBar = timeSignature.numerator * (4 / timeSignature.denominator);
+  const stepsPerBar = Math.max(1, Math.round(quartersPerBar * stepsPerQuarter));
+  const fixedSteps = options.bars ? options.bars * stepsPerBar : null;
+
+  let skipped = 0;
+  const onsets = new Map();
+  part.notes.forEach((note) => {
+    const token = tokenForNote(note.note);
+    const step = Math.round(note.tick / ticksPerStep);
+    if (token === null || token === undefined || token === '' || (fixedSteps !== null && step >= fixedSteps)) {
+      skipped++;
+      return;
+    }
+    const length = Math.max(1, Math.round(note.duration / ticksPerStep));
+    if (!onsets.has(step)) onsets.set(step, { tokens: [], length: 0 });
+    const group = onsets.get(step);
+    if (!group.tokens.includes(token)) group.tokens.push(token);
+    group.length = Math.max(group.length, length);
+  });
+
+  if (onsets.size === 0) {
+    return null;
+  }
+
+  const steps = Array.from(onsets.keys()).sort((a, b) => a - b);
+  const lastStep = steps[steps.length - 1];
+  const lastEnd = part.isDrums ? lastStep + 1 : lastStep + onsets.get(lastStep).length;
+  const bars = options.bars || Math.max(1, Math.ceil(lastEnd / stepsPerBar));
+  const totalSteps = bars * stepsPerBar;
+
+  const tokens = [];
+  if (steps[0] > 0) {
+    tokens.push(`~${formatWeight(steps[0])}`);
+  }
+  steps.forEach((step, index) => {
+    const group = onsets.get(step);
+    const nextStep = index + 1 < steps.length ? steps[index + 1] : totalSteps;
+    // Drum hits ring until the next onset; notes keep their own length and leave a rest
+    const length = part.isDrums ? nextStep - step : Math.max(1, Math.min(group.length, nextStep - step));
+    const value = group.tokens.length > 1 ? `[${group.tokens.join(',')}]` : group.tokens[0];
+    tokens.push(`${value}${formatWeight(length)}`);
+    if (step + length < nextStep) {
+      tokens.push(`~${formatWeight(nextStep - step - length)}`);
+    }
+  });
+
+  const fn = options.fn || (part.isDrums ? 's' : 'note');
+  const slow = bars > 1 ? `.slow(${bars})` : '';
+  return { code: `${fn}("${tokens.join(' ')}")${slow}`, bars, skipped };
+}
+
+/**
+ * Playback runs one cycle per 4 quarters (cpm = BPM / 4) but imported parts are one cycle per bar,
+ * so the file's quarter-note tempo is rescaled to keep bars in other meters (3/4, 6/8) at speed.
+ * @param {number} bpm - Quarter-note tempo from the file
+ * @param {{numerator: number, denominator: number}} timeSignature
+ * @returns {number} - Tempo for the app's 4-quarter cycle
+ */
+export function midiTempoToCycleTempo(bpm, timeSignature = { numerator: 4, denominator: 4 }) {
+  const quartersPerBar = timeSignature.numerator * (4 / timeSignature.denominator);
+  return quartersPerBar > 0 ? (bpm * 4) / quartersPerBar : bpm;
+}
@@ -0,0 +1,244 @@
+/**
+ * Offline renderer - schedules evaluated Strudel haps into an OfflineAudioContext
+ * so exports render faster than realtime instead of recording the live output.
+ */
+
+const SYNTH_WAVEFORMS = {
+  sine: 'sine',
+  sin: 'sine',
+  square: 'square',
+  sqr: 'square',
+  pulse: 'square',
+  sawtooth: 'sawtooth',
+  saw: 'sawtooth',
+  supersaw: 'sawtooth',
+  triangle: 'triangle',
+  tri: 'triangle'
+};
+
+const NOTE_CHROMAS = { c: 0, d: 2, e: 4, f: 5, g: 7, a: 9, b: 11 };
+const NOTE_ACCIDENTALS = { '#': 1, s: 1, b: -1, f: -1 };
+const REST_SOUNDS = new Set(['-', '~', '_']);
+
+export function toCycleNumber(value) {
+  if (value == null) return 0;
+  if (typeof value === 'number') return value;
+  if (typeof value.valueOf === 'function') {
+    const result = value.valueOf();
+    if (typeof result === 'number' && !Number.isNaN(result)) {
+      return result;
+    }
+  }
+  const coerced = Number(value);
+  return Number.isFinite(coerced) ? coerced : 0;
+}
+
+export function noteNameToMidi(note, defaultOctave = 3) {
+  if (typeof note !== 'string') return null;
+  const match = note.trim().match(/^([a-gA-G])([#bsf]*)(-?\d*)$/);
+  if (!match) return null;
+  const [, pitchClass, accidentals, octave] = match;
+  const offset = accidentals.split('').reduce((sum, char) => sum + (NOTE_ACCIDENTALS[char] || 0), 0);
+  const octaveNumber = octave === '' ? defaultOctave : Number(octave);
+  return (octaveNumber + 1) * 12 + NOTE_CHROMAS[pitchClass.toLowerCase()] + offset;
+}
+
+/**
+ * Resolve the MIDI pitch of a hap value the way superdough does (freq, then note)
+ */
+export function hapValueToMidi(value, fallback = null) {
+  if (!value || typeof value !== 'object') return fallback;
+  if (typeof value.freq === 'number' && value.freq > 0) {
+    return 12 * Math.log2(value.freq / 440) + 69;
+  }
+  if (typeof value.note === 'number') return value.note;
+  if (typeof value.note === 'string') {
+    const midi = noteNameToMidi(value.note);
+    return midi ?? fallback;
+  }
+  return fallback;
+}
+
+const midiToFrequency = (midi) => Math.pow(2, (midi - 69) / 12) * 440;
+
+/**
+ * Query onset haps over [beginCycle, endCycle) sorted by onset
+ */
+export function collectOnsetHaps(pattern, beginCycle, endCycle) {
+  if (!pattern || typeof pattern.queryArc !== 'function') {
+    return [];
+  }
+  const haps = pattern.queryArc(beginCycle, endCycle) || [];
+  return haps
+    .filter((hap) => (typeof hap.hasOnset === 'function' ? hap.hasOnset() : !!hap.whole))
+    .sort((a, b) => toCycleNumber(a.whole?.begin) - toCycleNumber(b.whole?.begin));
+}
+
+/**
+ * Fetch + decode helper bound to one render context, cached per URL
+ */
+export function createSampleBufferLoader(context) {
+  const cache = new Map();
+  return (url) => {
+    if (!url) {
+      return Promise.resolve(null);
+    }
+    const normalizedUrl = url.replace('#', '%23');
+    if (!cache.has(normalizedUrl)) {
+      cache.set(normalizedUrl, fetch(normalizedUrl)
+        .then((response) => {
+          if (!response.ok) {
+            throw new Error(`HTTP ${response.status} for ${normalizedUrl}`);
+          }
+          return response.arrayBuffer();
+        })
+        .then((data) => context.decodeAudioData(data))
+        .catch((error) => {
+          console.warn(`⚠️ Offline render could not load sample ${normalizedUrl}:`, error?.message || error);
+          return null;
+        }));
+    }
+    return cache.get(normalizedUrl);
+  };
+}
+
+function reverseAudioBuffer(context, buffer) {
+  const reversed = context.createBuffer(buffer.numberOfChannels, buffer.length, buffer.sampleRate);
+  for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+    reversed.copyToChannel(buffer.getChannelData(channel).slice().reverse(), channel);
+  }
+  return reversed;
+}
+
+function resolveSoundName(value) {
+  let s = value.s ?? value.sound ?? 'triangle';
+  if (typeof s !== 'string') {
+    return null;
+  }
+  if (value.bank) {
+    s = `${value.bank}_${s}`;
+  }
+  return s.toLowerCase();
+}
+
+function connectVoiceChain(context, sourceNode, destination, value, startTime, holdEnd, release) {
+  let node = sourceNode;
+  const cutoff = Number(value.cutoff ?? value.lpf);
+  if (Number.isFinite(cutoff) && cutoff > 0) {
+    const lowpass = context.createBiquadFilter();
+    lowpass.type = 'lowpass';
+    lowpass.frequency.value = Math.min(cutoff, context.sampleRate / 2);
+    lowpass.Q.value = Number(value.resonance ?? value.lpq) || 1;
+    node.connect(lowpass);
+    node = lowpass;
+  }
+  const hcutoff = Number(value.hcutoff ?? value.hpf);
+  if (Number.isFinite(hcutoff) && hcutoff > 0) {
+    const highpass = context.createBiquadFilter();
+    highpass.type = 'highpass';
+    highpass.frequency.value = Math.min(hcutoff, context.sampleRate / 2);
+    highpass.Q.value = Number(value.hresonance ?? value.hpq) || 1;
+    node.connect(highpass);
+    node = highpass;
+  }
+
+  const gain = Number(value.gain ?? 0.8) * Number(value.velocity ?? 1) * Number(value.postgain ?? 1);
+  const level = Number.isFinite(gain) ? Math.max(0, gain) : 0.8;
+  const attack = Math.max(0.001, Number(value.attack) || 0.001);
+  const envelope = context.createGain();
+  envelope.gain.setValueAtTime(0, startTime);
+  envelope.gain.linearRampToValueAtTime(level, startTime + attack);
+  envelope.gain.setValueAtTime(level, Math.max(startTime + attack, holdEnd));
+  envelope.gain.linearRampToValueAtTime(0, Math.max(startTime + attack, holdEnd) + release);
+  node.connect(envelope);
+  node = envelope;
+
+  if (value.pan != null && Number.isFinite(Number(value.pan))) {
+    const panner = context.createStereoPanner();
+    panner.pan.value = Math.max(-1, Math.min(1, Number(value.pan) * 2 - 1));
+    node.connect(panner);
+    node = panner;
+  }
+
+  node.connect(destination);
+}
+
+/**
+ * Schedule one hap into the offline context
+ * @param {OfflineAudioContext} context - Render context
+ * @param {AudioNode} destination - Node the voice connects to (per-element gain node)
+ * @param {Object} hap - Strudel hap with an onset
+ * @param {Object} options - { cps, startCycle, webaudioModule, loadBuffer }
+ * @returns {Promise<boolean>} - false when the hap's sound cannot be rendered offline
+ */
+export async function scheduleHapVoice(context, destination, hap, options) {
+  const { cps, startCycle = 0, webaudioModule, loadBuffer } = options;
+  const value = hap?.value;
+  if (!value || typeof value !== 'object') {
+    return false;
+  }
+
+  const soundName = resolveSoundName(value);
+  if (!soundName || REST_SOUNDS.has(soundName)) {
+    return true;
+  }
+
+  const wholeBegin = toCycleNumber(hap.whole?.begin);
+  const wholeEnd = toCycleNumber(hap.whole?.end);
+  const startTime = Math.max(0, (wholeBegin - startCycle) / cps);
+  const hapDuration = Math.max(0, (wholeEnd - wholeBegin) / cps);
+  const release = Math.max(0.01, Number(value.release) || 0.01);
+
+  const waveform = SYNTH_WAVEFORMS[soundName];
+  if (waveform) {
+    const midi = hapValueToMidi(value, 36);
+    const oscillator = context.createOscillator();
+    oscillator.type = waveform;
+    oscillator.frequency.value = midiToFrequency(midi);
+    // superdough turns raw oscillators down to 0.3 before the envelope
+    const trim = context.createGain();
+    trim.gain.value = 0.3;
+    oscillator.connect(trim);
+    const holdEnd = startTime + hapDuration;
+    connectVoiceChain(context, trim, destination, value, startTime, holdEnd, release);
+    oscillator.start(startTime);
+    oscillator.stop(holdEnd + release + 0.01);
+    return true;
+  }
+
+  const sound = webaudioModule?.getSound?.(soundName);
+  if (!sound || sound.data?.type !== 'sample' || typeof webaudioModule.getSampleInfo !== 'function') {
+    return false;
+  }
+
+  let { url, playbackRate } = webaudioModule.getSampleInfo({ ...value, s: soundName }, sound.data.samples);
+  let buffer = await loadBuffer(url);
+  if (!buffer) {
+    return false;
+  }
+  if (value.unit === 'c') {
+    playbackRate *= buffer.duration;
+  }
+  if (Number(value.speed) < 0) {
+    buffer = reverseAudioBuffer(context, buffer);
+  }
+
+  const source = context.createBufferSource();
+  source.buffer = buffer;
+  source.playbackRate.value = playbackRate;
+
+  const begin = Math.max(0, Math.min(1, Number(value.begin ?? 0)));
+  const end = Math.max(begin, Math.min(1, Number(value.end ?? 1)));
+  const offset = begin * buffer.duration;
+  const sliceDuration = ((end - begin) * buffer.duration) / playbackRate;
+  const clip = Number(value.clip ?? value.legato);
+  const playDuration = Number.isFinite(clip) && clip > 0
+    ? Math.min(sliceDuration, hapDuration * clip)
+    : sliceDuration;
+
+  const holdEnd = startTime + playDuration;
+  connectVoiceChain(context, source, destination, value, startTime, holdEnd, release);
+  source.start(startTime, offset);
+  source.stop(holdEnd + release + 0.01);
+  return true;
+}
@@ -0,0 +1,52 @@
+/**
+ * Page side of the offline service worker (public/sw.js): registration and sample pre-warming.
+ */
+
+const PREWARM_TIMEOUT_MS = 120000;
+
+/**
+ * Register the service worker (production builds only, so the dev server never serves stale modules)
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function registerOfflineServiceWorker() {
+  if (!import.meta.env.PROD || typeof navigator === 'undefined' || !('serviceWorker' in navigator)) {
+    return { success: false, error: 'Service workers are not available here' };
+  }
+  try {
+    // A new build id changes the script URL, so the browser installs the new worker and its fresh app cache
+    const registration = await navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js?build=${encodeURIComponent(__APP_BUILD_ID__)}`);
+    console.log('📦 Offline sample cache ready (scope:', registration.scope, ')');
+    return { success: true };
+  } catch (error) {
+    console.warn('⚠️ Could not register the offline service worker:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Ask the service worker to fetch and store sample files ahead of playback
+ * @param {string[]} urls - absolute sample URLs
+ * @returns {Promise<{success: boolean, stored?: number, cached?: number, failed?: number, error?: string}>}
+ */
+export function prewarmSampleUrls(urls) {
+  const controller = typeof navigator !== 'undefined' ? navigator.serviceWorker?.controller : null;
+  if (!controller) {
+    return Promise.resolve({ success: false, error: 'No active service worker' });
+  }
+  if (!urls?.length) {
+    return Promise.resolve({ success: true, stored: 0, cached: 0, failed: 0 });
+  }
+  return new Promise((resolve) => {
+    const channel = new MessageChannel();
+    const timer = setTimeout(() => {
+      channel.port1.close();
+      resolve({ success: false, error: 'Timed out waiting for the service worker' });
+    }, PREWARM_TIMEOUT_MS);
+    channel.port1.onmessage = (event) => {
+      clearTimeout(timer);
+      channel.port1.close();
+      resolve({ success: true, ...event.data });
+    };
+    controller.postMessage({ type: 'prewarm-samples', urls }, [channel.port2]);
+  });
+}
@@ -0,0 +1,405 @@
+/**
+ * Piano roll <-> Strudel note("...") mini-notation.
+ * Notes are { midi, start, length, velocity } in grid steps counted from the first bar.
+ * One cycle is one bar, so multi-bar rolls are slowed by their bar count (like MIDI imports).
+ * Overlapping notes go to separate voices, note("c3@4 e3@4, g2@8"); notes that share onset, length
+ * and velocity are written as chords [c3,e3,g3]@4. A velocity other than 1 needs its own .velocity()
+ * per voice, so those rolls are written as stack(note("...").velocity("..."), ...).
+ * Scale degrees, n("0 2 4").scale('c:major'), are read as well and written back as degrees while
+ * every note is in the scale (otherwise the n(...).scale(...) head becomes note(...)).
+ */
+
+import { midiToNoteName } from './midiImport.js';
+import { noteNameToMidi } from './offlineRenderer.js';
+
+const QUOTED = '["`]([^"`]*)["`]';
+const QUOTED_NC = '["`][^"`]*["`]';
+const callNc = name => `\\b${name}\\(\\s*${QUOTED_NC}\\s*\\)(?:\\.velocity\\(\\s*${QUOTED_NC}\\s*\\))?`;
+const stackOrCallNc = name => `(?:\\bstack\\(\\s*${callNc(name)}(?:\\s*,\\s*${callNc(name)})*\\s*,?\\s*\\)|${callNc(name)})`;
+const SLOW_SUFFIX = '(?:\\.slow\\(\\s*(\\d+)\\s*\\))?';
+const NOTE_REGION_PATTERN = new RegExp(`${stackOrCallNc('note')}${SLOW_SUFFIX}`);
+const SCALE_REGION_PATTERN = new RegExp(`${stackOrCallNc('n')}\\.scale\\(\\s*(["'\`])([^"'\`]*)\\1\\s*\\)${SLOW_SUFFIX}`);
+const CHAIN_CALL_PATTERN = /^\s*\.\s*([A-Za-z_$][\w$]*)\s*\(/;
+// Chain calls that change how fast the notes play; an integer .slow(n) is read as bars instead
+const TIME_CALLS = new Set(['slow', 'fast', 'hurry', 'cpm', 'density', 'sparsity']);
+const NOTE_CALL_PATTERN = new RegExp(`\\b(?:note|n)\\(\\s*${QUOTED}\\s*\\)(?:\\.velocity\\(\\s*${QUOTED}\\s*\\))?`, 'g');
+const WEIGHT_PATTERN = /^(.*?)@(\d*\.?\d+)$/;
+const REPLICATE_PATTERN = /^(.+)!(\d+)$/;
+const NUMBER_PATTERN = /^-?\d*\.?\d+$/;
+const EPSILON = 1e-6;
+
+const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+const roundTo = (value, digits = 2) => Number(value.toFixed(digits));
+
+function splitTopLevel(text, separator = null) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of text) {
+    if ('[{<('.includes(char)) depth += 1;
+    if (']}>)'.includes(char)) depth -= 1;
+    const isSeparator = separator ? char === separator : /\s/.test(char);
+    if (depth === 0 && isSeparator) {
+      if (current.trim()) parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+function parseNoteToken(token) {
+  if (NUMBER_PATTERN.test(token)) {
+    return Number(token);
+  }
+  return noteNameToMidi(token);
+}
+
+/**
+ * Root and semitone steps of a .scale() argument such as 'c:major', 'C4:minor' or 'd:major:pentatonic'
+ * (the root defaults to octave 3, as in Strudel), or null when it can't be resolved
+ */
+function resolveScale(name, getScaleSteps) {
+  const [tonic, ...typeParts] = name.trim().split(':');
+  const rootMidi = noteNameToMidi(tonic || '', 3);
+  if (!Number.isFinite(rootMidi) || typeof getScaleSteps !== 'function') {
+    return null;
+  }
+  const pitchClass = tonic.replace(/-?\d+$/, '');
+  const steps = getScaleSteps(pitchClass, typeParts.join(' ') || 'major');
+  if (!Array.isArray(steps) || !steps.length) {
+    return null;
+  }
+  return { name, rootMidi, steps: [...steps].sort((a, b) => a - b) };
+}
+
+function degreeToMidi(degree, scale) {
+  const { length } = scale.steps;
+  const octave = Math.floor(degree / length);
+  return scale.rootMidi + octave * 12 + scale.steps[degree - octave * length];
+}
+
+function midiToDegree(midi, scale) {
+  const offset = midi - scale.rootMidi;
+  const octave = Math.floor(offset / 12);
+  const index = scale.steps.indexOf(offset - octave * 12);
+  return index === -1 ? null : octave * scale.steps.length + index;
+}
+
+/**
+ * Value of one sequence element: null for a rest, an array of MIDI notes, a number (for
+ * velocity sequences), or undefined when the element uses notation the roll can't show
+ * @param {Function|null} toMidi - token -> MIDI note; null for velocity sequences
+ */
+function parseElementValue(text, toMidi) {
+  if (text === '~' || text === '-') {
+    return null;
+  }
+  if (!toMidi) {
+    return NUMBER_PATTERN.test(text) ? Number(text) : undefined;
+  }
+  if (text.startsWith('[') && text.endsWith(']')) {
+    const notes = splitTopLevel(text.slice(1, -1), ',').map(toMidi);
+    return notes.length && notes.every(Number.isFinite) ? notes : undefined;
+  }
+  const midi = toMidi(text);
+  return Number.isFinite(midi) ? [midi] : undefined;
+}
+
+/**
+ * One voice as [{ value, begin, end }] in 0..1 of the voice's span, or null
+ */
+function parseVoice(text, toMidi = null) {
+  const elements = [];
+  for (const token of splitTopLevel(text.trim())) {
+    if (token === '_') {
+      if (!elements.length) return null;
+      elements[elements.length - 1].weight += 1;
+      continue;
+    }
+    if (token === '!') {
+      if (!elements.length) return null;
+      elements.push({ ...elements[elements.length - 1] });
+      continue;
+    }
+    const replicated = token.match(REPLICATE_PATTERN);
+    const body = replicated ? replicated[1] : token;
+    const weighted = body.match(WEIGHT_PATTERN);
+    const value = parseElementValue(weighted ? weighted[1] : body, toMidi);
+    const weight = weighted ? Number(weighted[2]) : 1;
+    if (value === undefined || !(weight > 0)) {
+      return null;
+    }
+    const count = replicated ? Math.max(1, Number(replicated[2])) : 1;
+    for (let i = 0; i < count; i++) {
+      elements.push({ value, weight });
+    }
+  }
+  const total = elements.reduce((sum, element) => sum + element.weight, 0);
+  if (!total) {
+    return null;
+  }
+  let position = 0;
+  return elements.map((element) => {
+    const begin = position / total;
+    position += element.weight;
+    return { value: element.value, begin, end: position / total };
+  });
+}
+
+/**
+ * The .method(...) calls chained right after `from`, with their argument text and position
+ */
+function readChainCalls(source, from) {
+  const calls = [];
+  let position = from;
+  let match;
+  while ((match = source.slice(position).match(CHAIN_CALL_PATTERN)) !== null) {
+    const argsStart = position + match[0].length;
+    let depth = 1;
+    let quote = null;
+    let index = argsStart;
+    for (; index < source.length && depth > 0; index++) {
+      const char = source[index];
+      if (quote) {
+        if (char === '\\') index++;
+        else if (char === quote) quote = null;
+      } else if ('"\'`'.includes(char)) {
+        quote = char;
+      } else if (char === '(') {
+        depth++;
+      } else if (char === ')') {
+        depth--;
+      }
+    }
+    if (depth > 0) break;
+    calls.push({ name: match[1], args: source.slice(argsStart, index - 1).trim(), index: position, length: index - position });
+    position = index;
+  }
+  return calls;
+}
+
+/**
+ * Fold .slow(n) calls further down the chain (note("...").s("saw").slow(2)) into the region's bars;
+ * they are dropped when the region is rewritten, which writes its own .slow(bars).
+ * Other time changes (.fast(), .slow(1.5), ...) can't be shown, so the region is inexact.
+ */
+function readChainTiming(pattern, region) {
+  region.chainSlows = [];
+  region.chainExact = true;
+  readChainCalls(pattern, region.index + region.length).forEach((call) => {
+    if (call.name === 'slow' && /^\d+$/.test(call.args) && Number(call.args) >= 1) {
+      region.bars *= Number(call.args);
+      region.chainSlows.push({ index: call.index, length: call.length });
+    } else if (TIME_CALLS.has(call.name)) {
+      region.chainExact = false;
+    }
+  });
+  return region;
+}
+
+/**
+ * Find the note code the roll owns: stack(note(...), ...) or a single note("...") (each with an
+ * optional .velocity() and a trailing .slow(bars)), or the same with n(...) followed by .scale()
+ */
+function findNoteRegion(pattern, getScaleSteps) {
+  const noteMatch = pattern.match(NOTE_REGION_PATTERN);
+  const scaleMatch = pattern.match(SCALE_REGION_PATTERN);
+  if (scaleMatch && (!noteMatch || scaleMatch.index < noteMatch.index)) {
+    return readChainTiming(pattern, {
+      index: scaleMatch.index,
+      length: scaleMatch[0].length,
+      text: scaleMatch[0],
+      bars: scaleMatch[3] ? Math.max(1, Number(scaleMatch[3])) : 1,
+      scale: resolveScale(scaleMatch[2], getScaleSteps),
+      scaleQuote: scaleMatch[1],
+      degrees: true
+    });
+  }
+  if (!noteMatch) {
+    return null;
+  }
+  return readChainTiming(pattern, {
+    index: noteMatch.index,
+    length: noteMatch[0].length,
+    text: noteMatch[0],
+    bars: noteMatch[1] ? Math.max(1, Number(noteMatch[1])) : 1,
+    scale: null,
+    degrees: false
+  });
+}
+
+/**
+ * Read the notes of a pattern written by hand or by serializePianoRoll.
+ * @param {string} pattern
+ * @param {Object} options
+ * @param {number} options.stepsPerBar - from getTimeSignatureMetrics
+ * @param {Function} [options.getScaleSteps] - (key, scale) => semitone steps, for n("...").scale() patterns
+ * @returns {{notes: Array<Object>, bars: number, exact: boolean, region: Object|null}}
+ *   exact is false when some of the note code can't be shown (and would be rewritten by the next edit);
+ *   region is where that code sits in the pattern (with the resolved scale of an n(...).scale() head),
+ *   null when there is none yet
+ */
+export function parsePianoRollPattern(pattern, { stepsPerBar, getScaleSteps = null }) {
+  const source = typeof pattern === 'string' ? pattern : '';
+  const region = findNoteRegion(source, getScaleSteps);
+  if (!region) {
+    // Only an empty pattern or a bare s("...") can take new notes without losing code
+    const trimmed = source.trim();
+    return { notes: [], bars: 1, exact: !trimmed || /^(?:s|sound)\s*\([^)]*\)$/.test(trimmed), region: null };
+  }
+
+  const totalSteps = stepsPerBar * region.bars;
+  const notes = [];
+  let exact = region.chainExact;
+  if (region.degrees && !region.scale) {
+    // A patterned or unknown scale: the degrees can't be placed, the next edit writes note() instead
+    return { notes, bars: region.bars, exact: false, region };
+  }
+  const toMidi = region.degrees
+    ? token => (/^-?\d+$/.test(token) ? degreeToMidi(Number(token), region.scale) : NaN)
+    : parseNoteToken;
+  const toStep = (position) => {
+    const step = position * totalSteps;
+    if (Math.abs(step - Math.round(step)) > EPSILON) exact = false;
+    return Math.round(step);
+  };
+
+  for (const call of region.text.matchAll(NOTE_CALL_PATTERN)) {
+    const velocityVoices = call[2] !== undefined ? splitTopLevel(call[2], ',') : [];
+    const velocities = velocityVoices.length === 1 ? parseVoice(velocityVoices[0]) : null;
+    if (velocityVoices.length && !velocities) {
+      exact = false;
+    }
+    splitTopLevel(call[1], ',').forEach((voiceText) => {
+      const voice = parseVoice(voiceText, toMidi);
+      if (!voice) {
+        exact = false;
+        return;
+      }
+      voice.forEach(({ value, begin, end }) => {
+        if (!value) return;
+        const start = toStep(begin);
+        const length = Math.max(1, toStep(end) - start);
+        const velocitySegment = velocities?.find(segment => begin >= segment.begin - EPSILON && begin < segment.end - EPSILON);
+        const velocity = Number.isFinite(velocitySegment?.value) ? roundTo(Math.max(velocitySegment.value, 0)) : 1;
+        value.forEach((midi) => {
+          if (!Number.isInteger(midi)) exact = false;
+          notes.push({ midi: Math.round(midi), start, length, velocity });
+        });
+      });
+    });
+  }
+  return { notes, bars: region.bars, exact, region };
+}
+
+function formatWeight(steps) {
+  return steps === 1 ? '' : `@${steps}`;
+}
+
+/**
+ * Write notes as note code (see the module comment for the format)
+ * @param {Array<Object>} notes
+ * @param {Object} options
+ * @param {number} options.stepsPerBar
+ * @param {number} options.bars
+ * @param {Object} [options.region] - from parsePianoRollPattern; an n(...).scale() region keeps its scale
+ */
+export function serializePianoRoll(notes, { stepsPerBar, bars, region = null }) {
+  const totalSteps = stepsPerBar * bars;
+  const scale = region?.degrees ? region.scale : null;
+  const useDegrees = !!scale && notes.every(note => midiToDegree(note.midi, scale) !== null);
+  const call = useDegrees ? 'n' : 'note';
+  const formatPitch = useDegrees ? midi => String(midiToDegree(midi, scale)) : midiToNoteName;
+  const scaleSuffix = useDegrees ? `.scale(${region.scaleQuote}${scale.name}${region.scaleQuote})` : '';
+  const slow = `${scaleSuffix}${bars > 1 ? `.slow(${bars})` : ''}`;
+  const groups = new Map();
+  notes
+    .filter(note => note.start >= 0 && note.start < totalSteps)
+    .forEach((note) => {
+      const length = Math.max(1, Math.min(note.length, totalSteps - note.start));
+      const velocity = roundTo(note.velocity ?? 1);
+      const key = `${note.start}:${length}:${velocity}`;
+      if (!groups.has(key)) groups.set(key, { start: note.start, length, velocity, midis: [] });
+      const group = groups.get(key);
+      if (!group.midis.includes(note.midi)) group.midis.push(note.midi);
+    });
+  if (!groups.size) {
+    return `${call}("~")${slow}`;
+  }
+
+  // Greedy voice allocation: each chord goes to the first voice that is free at its onset
+  const voices = [];
+  [...groups.values()]
+    .sort((a, b) => a.start - b.start || b.length - a.length)
+    .forEach((group) => {
+      const voice = voices.find(candidate => candidate.end <= group.start);
+      if (voice) {
+        voice.groups.push(group);
+        voice.end = group.start + group.length;
+      } else {
+        voices.push({ groups: [group], end: group.start + group.length });
+      }
+    });
+
+  const usesVelocity = voices.some(voice => voice.groups.some(group => group.velocity !== 1));
+  const voiceCode = voices.map((voice) => {
+    const elements = [];
+    let position = 0;
+    voice.groups.forEach((group) => {
+      if (group.start > position) elements.push({ rest: true, weight: group.start - position });
+      elements.push({ group, weight: group.length });
+      position = group.start + group.length;
+    });
+    if (position < totalSteps) elements.push({ rest: true, weight: totalSteps - position });
+    const divisor = elements.reduce((result, element) => gcd(result, element.weight), 0) || 1;
+    const sequence = elements.map(({ rest, group, weight }) => {
+      if (rest) return `~${formatWeight(weight / divisor)}`;
+      const names = [...group.midis].sort((a, b) => a - b).map(formatPitch);
+      return `${names.length > 1 ? `[${names.join(',')}]` : names[0]}${formatWeight(weight / divisor)}`;
+    }).join(' ');
+    const velocitySequence = elements.map(({ rest, group, weight }) => (
+      `${rest ? '~' : group.velocity}${formatWeight(weight / divisor)}`
+    )).join(' ');
+    const needsVelocity = voice.groups.some(group => group.velocity !== 1);
+    return { sequence, velocity: needsVelocity ? velocitySequence : null };
+  });
+
+  if (!usesVelocity) {
+    return `${call}("${voiceCode.map(voice => voice.sequence).join(', ')}")${slow}`;
+  }
+  const calls = voiceCode.map(voice => `${call}("${voice.sequence}")${voice.velocity ? `.velocity("${voice.velocity}")` : ''}`);
+  if (calls.length === 1) {
+    return `${calls[0]}${slow}`;
+  }
+  return `stack(\n${calls.map(call => `  ${call}`).join(',\n')}\n)${slow}`;
+}
+
+/**
+ * Put freshly serialized note code in place of the region parsePianoRollPattern found, keeping the
+ * rest of the chain (e.g. .s("piano").room(0.3)); a bare s("...") pattern gets the notes in front.
+ * Any other pattern without a region is replaced, so callers confirm that first (see replacesPattern).
+ */
+export function replacesPattern(pattern, region) {
+  const trimmed = typeof pattern === 'string' ? pattern.trim() : '';
+  return !region && !!trimmed && !/^(?:s|sound)\s*\(/.test(trimmed);
+}
+
+export function replacePianoRollRegion(pattern, region, code) {
+  const source = typeof pattern === 'string' ? pattern : '';
+  if (region) {
+    // Later .slow(n) calls are already counted in the new code's .slow(bars)
+    const rest = (region.chainSlows || [])
+      .slice()
+      .reverse()
+      .reduce((text, call) => `${text.slice(0, call.index)}${text.slice(call.index + call.length)}`, source);
+    return `${rest.slice(0, region.index)}${code}${rest.slice(region.index + region.length)}`;
+  }
+  const trimmed = source.trim();
+  if (/^(?:s|sound)\s*\(/.test(trimmed)) {
+    return `${code}.${trimmed}`;
+  }
+  return code;
+}
@@ -0,0 +1,498 @@
+/**
+ * Sample pack sources for the channel modal's "Sample Packs" group:
+ *   github:owner/repo[/subdir]  - the repo's strudel.json when it has one, otherwise its file tree
+ *   manifest:<url>              - any strudel.json-style manifest
+ *   local:<id>                  - a dropped ZIP or a picked folder; the audio itself is kept on this device
+ * Resolved packs are cached in IndexedDB, so each one is fetched only once per device.
+ */
+
+import { readZipArchive } from './zipArchive.js';
+
+const AUDIO_FILE_EXTENSIONS = ['.wav', '.wave', '.mp3', '.ogg', '.oga', '.flac', '.aif', '.aiff', '.m4a', '.mp4', '.webm'];
+const AUDIO_MIME_TYPES = {
+  wav: 'audio/wav',
+  wave: 'audio/wav',
+  mp3: 'audio/mpeg',
+  ogg: 'audio/ogg',
+  oga: 'audio/ogg',
+  flac: 'audio/flac',
+  aif: 'audio/aiff',
+  aiff: 'audio/aiff',
+  m4a: 'audio/mp4',
+  mp4: 'audio/mp4',
+  webm: 'audio/webm'
+};
+const SAMPLE_PACK_FETCH_HEADERS = { Accept: 'application/vnd.github+json' };
+const GITHUB_MANIFEST_BRANCHES = ['main', 'master'];
+
+const SAMPLE_PACK_DB_NAME = 'strudesk-sample-packs';
+const SAMPLE_PACK_DB_VERSION = 1;
+const SAMPLE_PACK_STORE = 'packs';
+// Bump when the cached pack shape changes; older entries are then fetched again
+const SAMPLE_PACK_CACHE_VERSION = 1;
+
+const GITHUB_PACK_PREFIX = 'github:';
+export const MANIFEST_PACK_PREFIX = 'manifest:';
+export const LOCAL_PACK_PREFIX = 'local:';
+
+const samplePackSamplesCache = new Map();
+const samplePackFetchPromises = new Map();
+
+export const normalizeSamplePackPath = (path = '') => path.replace(/^\/+|\/+$/g, '');
+
+export const isAudioFilePath = (path = '') => {
+  const lower = path.toLowerCase();
+  return AUDIO_FILE_EXTENSIONS.some(ext => lower.endsWith(ext));
+};
+
+export const isSamplePackValue = (value = '') =>
+  typeof value === 'string'
+  && [GITHUB_PACK_PREFIX, MANIFEST_PACK_PREFIX, LOCAL_PACK_PREFIX].some(prefix => value.startsWith(prefix));
+
+const fileNameOf = (path = '') => normalizeSamplePackPath(path).split('/').pop() || path;
+const sampleNameOf = (path = '') => fileNameOf(path).replace(/\.[^/.]+$/, '');
+const audioMimeTypeOf = (path = '') => AUDIO_MIME_TYPES[path.split('.').pop()?.toLowerCase()] || 'application/octet-stream';
+
+const parseSamplePackValue = (value = '') => {
+  if (typeof value !== 'string' || !value.startsWith(GITHUB_PACK_PREFIX)) {
+    return null;
+  }
+  const withoutPrefix = value.slice(GITHUB_PACK_PREFIX.length);
+  const segments = withoutPrefix.split('/').filter(Boolean);
+  if (segments.length < 2) {
+    return null;
+  }
+  const owner = segments.shift();
+  const repo = segments.shift();
+  const subdir = segments.length > 0 ? segments.join('/') : '';
+  return { owner, repo, subdir: normalizeSamplePackPath(subdir) };
+};
+
+const buildRawGitHubUrl = ({ owner, repo, branch, path }) =>
+  `https://raw.githubusercontent.com/${owner}/${repo}/${branch}/${path}`;
+
+async function fetchGitHubJson(url) {
+  const response = await fetch(url, {
+    headers: SAMPLE_PACK_FETCH_HEADERS
+  });
+  if (!response.ok) {
+    let errorMessage = response.statusText;
+    try {
+      const errorBody = await response.json();
+      if (errorBody?.message) {
+        errorMessage = errorBody.message;
+      }
+    } catch {
+      // ignore
+    }
+    throw new Error(`GitHub API error (${response.status}): ${errorMessage}`);
+  }
+  return response.json();
+}
+
+// ---- IndexedDB cache --------------------------------------------------------
+
+let samplePackDbPromise = null;
+
+function openSamplePackDb() {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.resolve(null);
+  }
+  if (!samplePackDbPromise) {
+    samplePackDbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(SAMPLE_PACK_DB_NAME, SAMPLE_PACK_DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(SAMPLE_PACK_STORE, { keyPath: 'value' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('⚠️ Sample pack cache is unavailable:', request.error);
+        resolve(null);
+      };
+    });
+  }
+  return samplePackDbPromise;
+}
+
+async function runSamplePackStore(mode, operation) {
+  const db = await openSamplePackDb();
+  if (!db) {
+    return null;
+  }
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(SAMPLE_PACK_STORE, mode);
+    const request = operation(transaction.objectStore(SAMPLE_PACK_STORE));
+    transaction.oncomplete = () => resolve(request?.result ?? null);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+const readCachedPack = value =>
+  runSamplePackStore('readonly', store => store.get(value)).catch(() => null);
+
+const writeCachedPack = record =>
+  runSamplePackStore('readwrite', store => store.put(record)).catch((error) => {
+    console.warn(`⚠️ Could not cache sample pack ${record.value}:`, error);
+  });
+
+const toPayload = record => ({
+  audioNodes: record.audioNodes,
+  meta: { ...record.meta, kind: record.kind, label: record.label }
+});
+
+// ---- Sources ----------------------------------------------------------------
+
+/**
+ * "_base" may be relative to the manifest, absolute, or github:owner/repo[/branch] like Strudel accepts
+ */
+function resolveManifestBase(base, manifestUrl) {
+  let resolved;
+  if (typeof base === 'string' && base.startsWith(GITHUB_PACK_PREFIX)) {
+    const [owner, repo, branch = 'main', ...rest] = base.slice(GITHUB_PACK_PREFIX.length).split('/').filter(Boolean);
+    resolved = buildRawGitHubUrl({ owner, repo, branch, path: rest.join('/') });
+  } else if (typeof base === 'string' && base) {
+    resolved = new URL(base, manifestUrl).href;
+  } else {
+    resolved = new URL('.', manifestUrl).href;
+  }
+  return resolved.endsWith('/') ? resolved : `${resolved}/`;
+}
+
+/**
+ * Flatten a strudel.json manifest into one node per audio file. Keys with several files become key_0, key_1...
+ * and share a folder named after the key; pitched maps ({ "A0": "piano/A0.mp3" }) count as several files.
+ * This repo's own strudel.json nests the map under "samples", which is accepted too.
+ */
+export function resolveStrudelManifest(manifest, manifestUrl, packValue) {
+  const nested = manifest?.samples && typeof manifest.samples === 'object' && !Array.isArray(manifest.samples);
+  const source = nested ? { _base: manifest._base, ...manifest.samples } : manifest;
+  if (!source || typeof source !== 'object' || Array.isArray(source)) {
+    throw new Error('The manifest is not a strudel.json sample map.');
+  }
+  const baseUrl = resolveManifestBase(source._base, manifestUrl);
+  const audioNodes = [];
+  Object.entries(source).forEach(([key, entry]) => {
+    if (key.startsWith('_')) return;
+    let paths = [];
+    if (typeof entry === 'string') {
+      paths = [entry];
+    } else if (Array.isArray(entry)) {
+      paths = entry;
+    } else if (entry && typeof entry === 'object') {
+      paths = Object.values(entry).flat();
+    }
+    const files = paths.filter(path => typeof path === 'string' && path);
+    files.forEach((path, index) => {
+      const fileName = fileNameOf(path);
+      audioNodes.push({
+        id: `${packValue}:${key}:${index}`,
+        name: files.length > 1 ? `${key}_${index}` : key,
+        path,
+        relativePath: files.length > 1 ? `${key}/${fileName}` : key,
+        fileName,
+        url: new URL(path, baseUrl).href
+      });
+    });
+  });
+  if (audioNodes.length === 0) {
+    throw new Error('No samples were found in this manifest.');
+  }
+  return { audioNodes, meta: { baseUrl, manifestUrl } };
+}
+
+async function fetchManifestJson(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Could not load the manifest (${response.status} ${response.statusText})`);
+  }
+  try {
+    return await response.json();
+  } catch {
+    throw new Error('The manifest is not valid JSON.');
+  }
+}
+
+/**
+ * A GitHub repo that ships a strudel.json is read from raw.githubusercontent.com, which has no API rate limit;
+ * only repos without one walk the git tree API (60 unauthenticated requests per hour)
+ */
+async function resolveGitHubPack(packValue) {
+  const parsed = parseSamplePackValue(packValue);
+  if (!parsed) {
+    throw new Error('Invalid sample pack format.');
+  }
+  const { owner, repo, subdir } = parsed;
+  const rootPath = normalizeSamplePackPath(subdir);
+  const manifestPaths = rootPath ? [`${rootPath}/strudel.json`, 'strudel.json'] : ['strudel.json'];
+
+  for (const branch of GITHUB_MANIFEST_BRANCHES) {
+    for (const manifestPath of manifestPaths) {
+      const manifestUrl = buildRawGitHubUrl({ owner, repo, branch, path: manifestPath });
+      let manifest;
+      try {
+        const response = await fetch(manifestUrl);
+        if (!response.ok) continue;
+        manifest = await response.json();
+      } catch {
+        continue;
+      }
+      try {
+        const resolved = resolveStrudelManifest(manifest, manifestUrl, packValue);
+        // A repo-wide manifest still only shows the requested subfolder
+        const inSubdir = rootPath && manifestPath === 'strudel.json'
+          ? resolved.audioNodes.filter(node => node.url.startsWith(new URL(`${rootPath}/`, resolved.meta.baseUrl).href))
+          : resolved.audioNodes;
+        if (inSubdir.length) {
+          return { audioNodes: inSubdir, meta: { ...resolved.meta, owner, repo, branch, rootPath } };
+        }
+      } catch {
+        // Not a usable manifest - fall back to the file tree
+      }
+    }
+  }
+
+  const repoInfo = await fetchGitHubJson(`https://api.github.com/repos/${owner}/${repo}`);
+  const branch = repoInfo?.default_branch || 'main';
+  const treeData = await fetchGitHubJson(
+    `https://api.github.com/repos/${owner}/${repo}/git/trees/${encodeURIComponent(branch)}?recursive=1`
+  );
+
+  if (!treeData?.tree) {
+    throw new Error('GitHub repository tree data is unavailable.');
+  }
+
+  const validPrefix = rootPath ? `${rootPath}/` : '';
+  const audioNodes = treeData.tree
+    .filter(node => node.type === 'blob' && isAudioFilePath(node.path))
+    .map(node => {
+      if (rootPath && node.path !== rootPath && !node.path.startsWith(validPrefix)) {
+        return null;
+      }
+      const relativeFromRoot = rootPath
+        ? (node.path === rootPath ? fileNameOf(node.path) : node.path.slice(validPrefix.length))
+        : node.path;
+      const normalizedRelative = normalizeSamplePackPath(relativeFromRoot);
+      if (!normalizedRelative) {
+        return null;
+      }
+      return {
+        id: `${packValue}:${node.path}`,
+        name: sampleNameOf(normalizedRelative),
+        path: node.path,
+        relativePath: normalizedRelative,
+        fileName: fileNameOf(normalizedRelative),
+        url: buildRawGitHubUrl({ owner, repo, branch, path: node.path })
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+
+  if (audioNodes.length === 0) {
+    throw new Error('No audio files were found in this sample pack.');
+  }
+  return {
+    audioNodes,
+    meta: { owner, repo, branch, rootPath, baseUrl: buildRawGitHubUrl({ owner, repo, branch, path: '' }) }
+  };
+}
+
+async function resolveManifestPack(packValue) {
+  const manifestUrl = packValue.slice(MANIFEST_PACK_PREFIX.length);
+  const manifest = await fetchManifestJson(manifestUrl);
+  return resolveStrudelManifest(manifest, manifestUrl, packValue);
+}
+
+/**
+ * Resolve a pack to { audioNodes, meta }. Remote nodes carry an absolute `url`, local ones the audio `blob`.
+ */
+export async function fetchSamplePackSamples(packValue) {
+  if (samplePackSamplesCache.has(packValue)) {
+    return samplePackSamplesCache.get(packValue);
+  }
+  if (samplePackFetchPromises.has(packValue)) {
+    return samplePackFetchPromises.get(packValue);
+  }
+
+  const fetchPromise = (async () => {
+    const cached = await readCachedPack(packValue);
+    if (cached?.version === SAMPLE_PACK_CACHE_VERSION && cached.audioNodes?.length) {
+      const payload = toPayload(cached);
+      samplePackSamplesCache.set(packValue, payload);
+      return payload;
+    }
+    if (packValue.startsWith(LOCAL_PACK_PREFIX)) {
+      throw new Error('This local sample pack is no longer stored on this device. Import it again.');
+    }
+
+    const isManifest = packValue.startsWith(MANIFEST_PACK_PREFIX);
+    const resolved = isManifest ? await resolveManifestPack(packValue) : await resolveGitHubPack(packValue);
+    const record = {
+      value: packValue,
+      label: cached?.label || null,
+      kind: isManifest ? 'manifest' : 'github',
+      custom: !!cached?.custom,
+      version: SAMPLE_PACK_CACHE_VERSION,
+      savedAt: Date.now(),
+      ...resolved
+    };
+    await writeCachedPack(record);
+    const payload = toPayload(record);
+    samplePackSamplesCache.set(packValue, payload);
+    console.log(`📦 Resolved sample pack ${packValue} (${record.audioNodes.length} samples)`);
+    return payload;
+  })().finally(() => {
+    samplePackFetchPromises.delete(packValue);
+  });
+
+  samplePackFetchPromises.set(packValue, fetchPromise);
+  return fetchPromise;
+}
+
+// ---- Packs added on this device ----------------------------------------------
+
+const toPackEntry = record => ({
+  value: record.value,
+  label: record.label || record.value,
+  samples: record.audioNodes?.length || 0,
+  kind: record.kind
+});
+
+function manifestLabel(url) {
+  try {
+    const parsed = new URL(url);
+    const segments = parsed.pathname.split('/').filter(Boolean);
+    if (segments.length && segments[segments.length - 1].toLowerCase().endsWith('.json')) {
+      segments.pop();
+    }
+    return segments.length ? segments[segments.length - 1] : parsed.hostname;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Add a pack by strudel.json URL (or github:owner/repo) to this device's list
+ */
+export async function addRemoteSamplePack(source) {
+  const trimmed = String(source || '').trim();
+  let value;
+  let label;
+  if (trimmed.startsWith(GITHUB_PACK_PREFIX)) {
+    if (!parseSamplePackValue(trimmed)) {
+      throw new Error('Use github:owner/repo or github:owner/repo/folder');
+    }
+    value = trimmed;
+    label = trimmed.slice(GITHUB_PACK_PREFIX.length);
+  } else {
+    let url;
+    try {
+      url = new URL(trimmed, window.location.href).href;
+    } catch {
+      throw new Error('Enter a strudel.json URL or github:owner/repo');
+    }
+    value = `${MANIFEST_PACK_PREFIX}${url}`;
+    label = manifestLabel(url);
+  }
+
+  samplePackSamplesCache.delete(value);
+  const resolved = value.startsWith(MANIFEST_PACK_PREFIX)
+    ? await resolveManifestPack(value)
+    : await resolveGitHubPack(value);
+  const record = {
+    value,
+    label,
+    kind: value.startsWith(MANIFEST_PACK_PREFIX) ? 'manifest' : 'github',
+    custom: true,
+    version: SAMPLE_PACK_CACHE_VERSION,
+    savedAt: Date.now(),
+    ...resolved
+  };
+  await writeCachedPack(record);
+  samplePackSamplesCache.set(value, toPayload(record));
+  return toPackEntry(record);
+}
+
+/**
+ * Store audio files from a ZIP or folder as a local pack
+ * @param {Array<{path: string, blob: Blob}>} files
+ */
+async function addLocalSamplePack(files, { label, kind }) {
+  const audioFiles = files
+    .map(file => ({ ...file, path: normalizeSamplePackPath(file.path.replace(/\\/g, '/')) }))
+    .filter(file => isAudioFilePath(file.path) && !file.path.split('/').some(segment => segment.startsWith('.') || segment === '__MACOSX'));
+  if (audioFiles.length === 0) {
+    throw new Error('No audio files were found.');
+  }
+  // Drop a top folder every file shares (a zipped folder, the picked folder itself)
+  const firstSegments = new Set(audioFiles.map(file => (file.path.includes('/') ? file.path.split('/')[0] : '')));
+  const [sharedRoot] = firstSegments;
+  const stripRoot = firstSegments.size === 1 && sharedRoot;
+
+  const id = globalThis.crypto?.randomUUID?.() || `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  const value = `${LOCAL_PACK_PREFIX}${id}`;
+  const audioNodes = audioFiles
+    .map(({ path, blob }) => {
+      const relativePath = stripRoot ? path.slice(sharedRoot.length + 1) : path;
+      return {
+        id: `${value}:${relativePath}`,
+        name: sampleNameOf(relativePath),
+        path: relativePath,
+        relativePath,
+        fileName: fileNameOf(relativePath),
+        blob
+      };
+    })
+    .sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+
+  const record = {
+    value,
+    label: label || sharedRoot || 'Local pack',
+    kind,
+    custom: true,
+    version: SAMPLE_PACK_CACHE_VERSION,
+    savedAt: Date.now(),
+    audioNodes,
+    meta: {}
+  };
+  await writeCachedPack(record);
+  samplePackSamplesCache.set(value, toPayload(record));
+  console.log(`📦 Stored local sample pack "${record.label}" (${audioNodes.length} samples)`);
+  return toPackEntry(record);
+}
+
+export async function importZipSamplePack(file) {
+  const entries = await readZipArchive(file, { filter: isAudioFilePath });
+  const files = entries.map(({ name, data }) => ({
+    path: name,
+    blob: new Blob([data], { type: audioMimeTypeOf(name) })
+  }));
+  return addLocalSamplePack(files, { label: file.name.replace(/\.zip$/i, ''), kind: 'zip' });
+}
+
+/**
+ * @param {FileList|File[]} fileList - from an <input webkitdirectory>, so each file has webkitRelativePath
+ */
+export async function importFolderSamplePack(fileList) {
+  const files = Array.from(fileList || []).map(file => ({
+    path: file.webkitRelativePath || file.name,
+    blob: file
+  }));
+  return addLocalSamplePack(files, { kind: 'folder' });
+}
+
+/**
+ * Packs added on this device (URLs, ZIPs, folders), oldest first
+ */
+export async function listCustomSamplePacks() {
+  const records = await runSamplePackStore('readonly', store => store.getAll()).catch(() => null);
+  return (records || [])
+    .filter(record => record.custom)
+    .sort((a, b) => a.savedAt - b.savedAt)
+    .map(toPackEntry);
+}
+
+export async function removeCustomSamplePack(value) {
+  samplePackSamplesCache.delete(value);
+  await runSamplePackStore('readwrite', store => store.delete(value));
+}
@@ -1,5 +1,6 @@
 import { DEFAULT_CHAOSPAD_AXES, CHAOSPAD_EFFECTS } from '../constants/chaospad.js';
 import { BUILTIN_BANK_VALUES } from '../constants/banks.js';
+import { MIDI_MAPPING_FORMAT, isValidMidiLearnTarget } from '../constants/midi.js';
 
 const SETTINGS_KEY = 'strudesk_settings_v1';
 const VALID_BACKGROUND_TYPES = new Set(['animated', 'solid', 'image']);
@@ -15,6 +16,10 @@ const DEFAULT_SETTINGS = {
     backgroundType: 'animated',
     backgroundColor: '#05060a',
     backgroundImage: ''
+  },
+  midi: {
+    softTakeover: false,
+    ccBindings: []
   }
 };
 
@@ -83,6 +88,34 @@ function normalizeAxisConfig(config, fallback) {
   };
 }
 
+function normalizeMidiBinding(binding) {
+  if (!binding || !isValidMidiLearnTarget(binding.target)) {
+    return null;
+  }
+  const controller = Number(binding.controller);
+  if (!Number.isInteger(controller) || controller < 0 || controller > 127) {
+    return null;
+  }
+  const channel = Number(binding.channel);
+  return {
+    target: binding.target,
+    controller,
+    // null listens on every channel
+    channel: Number.isInteger(channel) && channel >= 0 && channel <= 15 ? channel : null
+  };
+}
+
+function normalizeMidiBindings(bindings) {
+  const byTarget = new Map();
+  (Array.isArray(bindings) ? bindings : []).forEach((binding) => {
+    const normalized = normalizeMidiBinding(binding);
+    if (normalized) {
+      byTarget.set(normalized.target, normalized);
+    }
+  });
+  return Array.from(byTarget.values());
+}
+
 function normalizeSettings(partialSettings) {
   const merged = deepMerge(structuredClone(DEFAULT_SETTINGS), partialSettings || {});
 
@@ -106,6 +139,10 @@ function normalizeSettings(partialSettings) {
   merged.styling.backgroundColor = merged.styling.backgroundColor || DEFAULT_SETTINGS.styling.backgroundColor;
   merged.styling.backgroundImage = (merged.styling.backgroundImage || '').trim();
 
+  // MIDI controller mapping
+  merged.midi.softTakeover = !!merged.midi?.softTakeover;
+  merged.midi.ccBindings = normalizeMidiBindings(merged.midi?.ccBindings);
+
   // Cleanup legacy fields
   if ('disableBubbles' in merged.styling) {
     delete merged.styling.disableBubbles;
@@ -172,3 +209,55 @@ export function toggleBankVisibility(bankValue, isVisible) {
   });
 }
 
+export function getMidiCcBindings(settings = settingsCache) {
+  return structuredClone(settings?.midi?.ccBindings || []);
+}
+
+export function isMidiSoftTakeoverEnabled(settings = settingsCache) {
+  return !!settings?.midi?.softTakeover;
+}
+
+/**
+ * Bind a CC to a control; a target keeps one binding and a CC drives one target
+ */
+export function setMidiCcBinding(target, controller, channel = null) {
+  const bindings = getMidiCcBindings().filter((binding) => (
+    binding.target !== target &&
+    !(binding.controller === controller && (binding.channel === channel || binding.channel === null || channel === null))
+  ));
+  bindings.push({ target, controller, channel });
+  updateSettings({ midi: { ccBindings: bindings } });
+}
+
+export function removeMidiCcBinding(target) {
+  updateSettings({
+    midi: { ccBindings: getMidiCcBindings().filter((binding) => binding.target !== target) }
+  });
+}
+
+export function exportMidiMapping() {
+  return {
+    format: MIDI_MAPPING_FORMAT,
+    version: 1,
+    softTakeover: isMidiSoftTakeoverEnabled(),
+    bindings: getMidiCcBindings()
+  };
+}
+
+/**
+ * Replace the CC bindings with a mapping produced by exportMidiMapping
+ * @returns {{success: boolean, count?: number, error?: string}}
+ */
+export function importMidiMapping(mapping) {
+  if (!mapping || mapping.format !== MIDI_MAPPING_FORMAT || !Array.isArray(mapping.bindings)) {
+    return { success: false, error: 'Not a Strudesk MIDI mapping file' };
+  }
+  const bindings = normalizeMidiBindings(mapping.bindings);
+  updateSettings({
+    midi: {
+      softTakeover: mapping.softTakeover ?? isMidiSoftTakeoverEnabled(),
+      ccBindings: bindings
+    }
+  });
+  return { success: true, count: bindings.length };
+}
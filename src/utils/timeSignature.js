@@ -0,0 +1,33 @@
+/**
+ * Normalize and parse a time signature string into useful metrics.
+ * @param {string} signature - e.g., "4/4" or "3/4"
+ * @returns {{signature: string, numerator: number, denominator: number, stepsPerBeat: number, totalSteps: number}}
+ */
+export function getTimeSignatureMetrics(signature) {
+  let numerator = 4;
+  let denominator = 4;
+  
+  if (typeof signature === 'string' && signature.includes('/')) {
+    const [numPart, denPart] = signature.split('/');
+    const parsedNumerator = parseInt(numPart, 10);
+    const parsedDenominator = parseInt(denPart, 10);
+    if (Number.isFinite(parsedNumerator) && parsedNumerator > 0) {
+      numerator = parsedNumerator;
+    }
+    if (Number.isFinite(parsedDenominator) && parsedDenominator > 0) {
+      denominator = parsedDenominator;
+    }
+  }
+  
+  const stepsPerBeatRaw = 16 / denominator;
+  const stepsPerBeat = Math.max(1, Math.round(stepsPerBeatRaw));
+  const totalSteps = Math.max(numerator, 1) * stepsPerBeat;
+  
+  return {
+    signature: `${numerator}/${denominator}`,
+    numerator,
+    denominator,
+    stepsPerBeat,
+    totalSteps
+  };
+}
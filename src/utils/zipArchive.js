@@ -0,0 +1,173 @@
+/**
+ * Minimal ZIP support: a writer (store method, no compression) for bundling exports
+ * such as WAV stems, which do not compress meaningfully anyway, and a reader for
+ * stored/deflated archives such as dropped sample packs.
+ */
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+export function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function toDosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+async function toBytes(data) {
+  if (data instanceof Uint8Array) return data;
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  if (typeof Blob !== 'undefined' && data instanceof Blob) {
+    return new Uint8Array(await data.arrayBuffer());
+  }
+  return new TextEncoder().encode(typeof data === 'string' ? data : JSON.stringify(data, null, 2));
+}
+
+/**
+ * Build a ZIP archive
+ * @param {Array<{name: string, data: Blob|ArrayBuffer|Uint8Array|string}>} files
+ * @returns {Promise<Blob>}
+ */
+export async function createZipArchive(files) {
+  const encoder = new TextEncoder();
+  const { time, day } = toDosDateTime(new Date());
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const nameBytes = encoder.encode(file.name);
+    const bytes = await toBytes(file.data);
+    const checksum = crc32(bytes);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034B50, true);
+    local.setUint16(4, 20, true); // version needed
+    local.setUint16(6, 0x0800, true); // UTF-8 names
+    local.setUint16(8, 0, true); // store
+    local.setUint16(10, time, true);
+    local.setUint16(12, day, true);
+    local.setUint32(14, checksum, true);
+    local.setUint32(18, bytes.length, true);
+    local.setUint32(22, bytes.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    local.setUint16(28, 0, true);
+    localParts.push(new Uint8Array(local.buffer), nameBytes, bytes);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014B50, true);
+    central.setUint16(4, 20, true); // version made by
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, day, true);
+    central.setUint32(16, checksum, true);
+    central.setUint32(20, bytes.length, true);
+    central.setUint32(24, bytes.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);
+    centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+    offset += 30 + nameBytes.length + bytes.length;
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...localParts, ...centralParts, new Uint8Array(end.buffer)], { type: 'application/zip' });
+}
+
+async function inflateRaw(bytes) {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser cannot unpack compressed ZIP files');
+  }
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Read the files of a ZIP archive (stored or deflated entries; no ZIP64, no encryption)
+ * @param {Blob|ArrayBuffer|Uint8Array} data
+ * @param {Object} [options]
+ * @param {Function} [options.filter] - (name) => boolean; entries it rejects are not unpacked
+ * @returns {Promise<Array<{name: string, data: Uint8Array}>>} directories are skipped
+ */
+export async function readZipArchive(data, { filter = null } = {}) {
+  const bytes = await toBytes(data);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  // The end-of-central-directory record sits in the last 22 bytes plus an optional comment of up to 64 KB
+  let endOffset = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+    if (view.getUint32(i, true) === 0x06054B50) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset === -1) {
+    throw new Error('Not a ZIP file');
+  }
+
+  const entryCount = view.getUint16(endOffset + 10, true);
+  let offset = view.getUint32(endOffset + 16, true);
+  if (offset === 0xFFFFFFFF || entryCount === 0xFFFF) {
+    throw new Error('ZIP64 archives are not supported');
+  }
+
+  const decoder = new TextDecoder();
+  const files = [];
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== 0x02014B50) {
+      throw new Error('Corrupt ZIP central directory');
+    }
+    const flags = view.getUint16(offset + 8, true);
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/') || (filter && !filter(name))) {
+      continue;
+    }
+    if (flags & 0x1) {
+      throw new Error(`"${name}" is encrypted`);
+    }
+    const dataStart = localOffset + 30
+      + view.getUint16(localOffset + 26, true)
+      + view.getUint16(localOffset + 28, true);
+    const raw = bytes.subarray(dataStart, dataStart + compressedSize);
+    if (method === 0) {
+      files.push({ name, data: raw.slice() });
+    } else if (method === 8) {
+      files.push({ name, data: await inflateRaw(raw) });
+    } else {
+      throw new Error(`"${name}" uses an unsupported ZIP compression method (${method})`);
+    }
+  }
+  return files;
+}
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMIDIFile, splitMIDIParts, midiPartToPattern, midiTempoToCycleTempo } from '../src/utils/midiImport.js';
+
+const variableLength = (value) => {
+  const bytes = [value & 0x7F];
+  while ((value >>= 7) > 0) {
+    bytes.unshift((value & 0x7F) | 0x80);
+  }
+  return bytes;
+};
+
+/**
+ * Format-0 fixture: 120 BPM in 3/4, one quarter note per beat
+ */
+function buildThreeFourFile(notes) {
+  const events = [
+    0, 0xFF, 0x51, 0x03, 0x07, 0xA1, 0x20,
+    0, 0xFF, 0x58, 0x04, 3, 2, 24, 8
+  ];
+  notes.forEach((note) => {
+    events.push(...variableLength(0), 0x90, note, 100);
+    events.push(...variableLength(480), 0x80, note, 0);
+  });
+  events.push(0, 0xFF, 0x2F, 0x00);
+  const header = [0x4D, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 0, 0, 1, 0x01, 0xE0];
+  const length = events.length;
+  const track = [0x4D, 0x54, 0x72, 0x6B, (length >>> 24) & 0xFF, (length >>> 16) & 0xFF, (length >>> 8) & 0xFF, length & 0xFF, ...events];
+  return new Uint8Array([...header, ...track]).buffer;
+}
+
+test('a 3/4 file imports with 3-quarter bars', () => {
+  const parsed = parseMIDIFile(buildThreeFourFile([60, 64, 67, 72]));
+  assert.deepEqual(
+    { numerator: parsed.timeSignature.numerator, denominator: parsed.timeSignature.denominator },
+    { numerator: 3, denominator: 4 }
+  );
+  assert.equal(Math.round(parsed.tempo), 120);
+
+  const [part] = splitMIDIParts(parsed);
+  const converted = midiPartToPattern(part, {
+    ticksPerQuarter: parsed.ticksPerQuarter,
+    timeSignature: parsed.timeSignature
+  });
+  assert.equal(converted.bars, 2);
+  assert.equal(converted.code, 'note("c4@4 e4@4 g4@4 c5@4 ~@8").slow(2)');
+});
+
+test('a 3/4 tempo is rescaled so one bar plays as one cycle', () => {
+  // 120 quarters per minute in 3/4 is 40 bars per minute, i.e. 160 BPM at 4 quarters per cycle
+  assert.equal(midiTempoToCycleTempo(120, { numerator: 3, denominator: 4 }), 160);
+  assert.equal(midiTempoToCycleTempo(120, { numerator: 6, denominator: 8 }), 160);
+  assert.equal(midiTempoToCycleTempo(120, { numerator: 4, denominator: 4 }), 120);
+});
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findMidiCalls, parseMidiCallRoutes } from '../src/constants/midi.js';
+
+test('a port name with parentheses stays inside its .midi() call', () => {
+  const pattern = `note("c3 e3").midi(['IAC Driver (Bus 1):2', '*:10'], { audio: false }).postgain(1.2)`;
+  const calls = findMidiCalls(pattern);
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].args, `['IAC Driver (Bus 1):2', '*:10'], { audio: false }`);
+
+  const stripped = pattern.slice(0, calls[0].start) + pattern.slice(calls[0].end);
+  assert.equal(stripped, 'note("c3 e3").postgain(1.2)');
+
+  assert.deepEqual(parseMidiCallRoutes(calls[0].args), [
+    { port: 'IAC Driver (Bus 1)', channel: 2 },
+    { port: null, channel: 10 }
+  ]);
+});
+
+test('.midiport() calls and escaped quotes are found too', () => {
+  const pattern = `s("bd").midi('Port \\'A\\' (x)').midiport(2)`;
+  const calls = findMidiCalls(pattern);
+  assert.deepEqual(calls.map((call) => call.name), ['midi', 'midiport']);
+  assert.deepEqual(parseMidiCallRoutes(calls[0].args), [{ port: "Port 'A' (x)", channel: 1 }]);
+  assert.equal(calls[1].args, '2');
+});
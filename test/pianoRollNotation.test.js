@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePianoRollPattern, replacePianoRollRegion, serializePianoRoll } from '../src/utils/pianoRollNotation.js';
+
+const stepsPerBar = 16;
+
+const edit = (pattern, bars) => {
+  const parsed = parsePianoRollPattern(pattern, { stepsPerBar });
+  const code = serializePianoRoll(parsed.notes, { stepsPerBar, bars, region: parsed.region });
+  return replacePianoRollRegion(pattern, parsed.region, code);
+};
+
+test('a .slow(n) later in the chain sets the bar count', () => {
+  const parsed = parsePianoRollPattern('note("c3 e3").s("sawtooth").slow(2)', { stepsPerBar });
+  assert.equal(parsed.bars, 2);
+  assert.equal(parsed.exact, true);
+  assert.deepEqual(parsed.notes.map(note => [note.midi, note.start, note.length]), [[48, 0, 16], [52, 16, 16]]);
+});
+
+test('rewriting the notes leaves a single .slow()', () => {
+  assert.equal(edit('note("c3 e3").s("sawtooth").slow(2)', 2), 'note("c3 e3").slow(2).s("sawtooth")');
+  assert.equal(edit('note("c3 e3").slow(2).s("saw").slow(2)', 4), 'note("c3 e3").slow(4).s("saw")');
+});
+
+test('other tempo changes in the chain are reported as inexact', () => {
+  assert.equal(parsePianoRollPattern('note("c3 e3").s("sawtooth").fast(2)', { stepsPerBar }).exact, false);
+});
@@ -1,6 +1,12 @@
 import { defineConfig } from 'vite';
 
+// Each build registers public/sw.js?build=<id>, which names the app cache and drops older ones
+const BUILD_ID = Date.now().toString(36);
+
 export default defineConfig({
+  define: {
+    __APP_BUILD_ID__: JSON.stringify(BUILD_ID)
+  },
   server: {
     port: 3000,
     open: true,
@@ -12,7 +18,7 @@ export default defineConfig({
     }
   },
   optimizeDeps: {
-    include: ['@strudel/core', '@strudel/web', '@strudel/webaudio', '@strudel/mini', 'escodegen', 'chord-voicings'],
+    include: ['@strudel/core', '@strudel/web', '@strudel/webaudio', '@strudel/mini', 'escodegen', 'chord-voicings', 'hydra-synth'],
     force: true,
     // Exclude from optimization to prevent duplicate bundling
     exclude: []